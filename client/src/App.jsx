@@ -1,25 +1,51 @@
 import { useState, useEffect } from 'react';
 import Home from './Home';
 import Interview, { getPendingReport, clearPendingReport } from './Interview';
+import History from './History';
+import Candidates from './Candidates';
+import RubricEditor from './RubricEditor';
+import Upload from './Upload';
+import Users from './Users';
+import Login from './Login';
+import { fetchCurrentUser, signOut } from './auth';
+
+const NO_PARTICIPANTS = { candidateId: null, candidateName: null, interviewerName: null, recipients: [], meeting: null };
 
 export default function App() {
+  /** Signed-in user; undefined while checking the session, null when signed out. */
+  const [user, setUser] = useState(undefined);
   const [started, setStarted] = useState(false);
+  /** Secondary page shown instead of Home: 'history' | 'candidates' | 'rubrics' | 'upload' | 'users' | null. */
+  const [page, setPage] = useState(null);
   const [selectedRole, setSelectedRole] = useState('vp-sales');
-  const [recipientEmail, setRecipientEmail] = useState(null);
+  /** Candidate and interviewer the next interview is attached to, who gets its report, and the calendar event it was started from. */
+  const [participants, setParticipants] = useState(NO_PARTICIPANTS);
   const [recoveryData, setRecoveryData] = useState(null);
 
+  useEffect(() => {
+    fetchCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null));
+  }, []);
+
   useEffect(() => {
     const pending = getPendingReport();
     if (pending) setRecoveryData(pending);
   }, []);
 
-  const handleStart = (roleId) => {
+  const handleStart = (roleId, people) => {
     setSelectedRole(roleId || 'vp-sales');
-    setRecipientEmail(null);
+    setParticipants({ ...NO_PARTICIPANTS, ...people });
     setRecoveryData(null);
     setStarted(true);
   };
 
+  const handleUpload = (roleId, people) => {
+    setSelectedRole(roleId || 'vp-sales');
+    setParticipants({ ...NO_PARTICIPANTS, ...people });
+    setPage('upload');
+  };
+
   const handleRecoveryStart = () => {
     setStarted(true);
   };
@@ -35,19 +61,60 @@ export default function App() {
     if (pending) setRecoveryData(pending);
   };
 
+  const handleSignOut = () => {
+    signOut()
+      .catch(() => {})
+      .finally(() => {
+        setUser(null);
+        setPage(null);
+      });
+  };
+
+  if (user === undefined) return null;
+  if (!user) {
+    return <Login onSignedIn={setUser} />;
+  }
+
+  if (page === 'history') {
+    return <History onBack={() => setPage(null)} />;
+  }
+  if (page === 'candidates') {
+    return <Candidates onBack={() => setPage(null)} />;
+  }
+  if (page === 'rubrics') {
+    return <RubricEditor onBack={() => setPage(null)} />;
+  }
+  if (page === 'users') {
+    return <Users currentUser={user} onBack={() => setPage(null)} />;
+  }
+  if (page === 'upload') {
+    return <Upload role={selectedRole} participants={participants} onBack={() => setPage(null)} />;
+  }
+
   return started ? (
     <Interview
       selectedRole={recoveryData?.selectedRole ?? selectedRole}
-      recipientEmail={recipientEmail}
+      candidateId={recoveryData?.candidateId ?? participants.candidateId}
+      candidateName={recoveryData?.candidateName ?? participants.candidateName}
+      interviewerName={recoveryData?.interviewerName ?? participants.interviewerName}
+      recipients={participants.recipients}
+      meeting={recoveryData ? null : participants.meeting}
       onEnd={handleEnd}
       recoveryData={recoveryData || undefined}
     />
   ) : (
     <Home
+      user={user}
+      onSignOut={handleSignOut}
       onStart={handleStart}
+      onUpload={handleUpload}
       recoveryData={recoveryData}
       onRecoveryStart={handleRecoveryStart}
       onRecoveryClear={handleRecoveryClear}
+      onShowHistory={() => setPage('history')}
+      onShowCandidates={() => setPage('candidates')}
+      onShowRubrics={() => setPage('rubrics')}
+      onShowUsers={() => setPage('users')}
     />
   );
 }
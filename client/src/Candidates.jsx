@@ -0,0 +1,488 @@
+import { useState, useEffect, useCallback } from 'react';
+import './Interview.css';
+import './History.css';
+import './Candidates.css';
+
+const API_BASE = '';
+
+async function requestJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function recommendationClass(rec) {
+  return rec ? `recommendation-${rec.replace(/\s+/g, '-').toLowerCase()}` : '';
+}
+
+export default function Candidates({ onBack }) {
+  const [candidates, setCandidates] = useState([]);
+  const [stages, setStages] = useState([]);
+  const [query, setQuery] = useState('');
+  const [stage, setStage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  const load = useCallback(() => {
+    const params = new URLSearchParams();
+    if (query.trim()) params.set('q', query.trim());
+    if (stage) params.set('stage', stage);
+    setLoading(true);
+    requestJson(`${API_BASE}/api/candidates?${params.toString()}`)
+      .then((data) => {
+        setCandidates(data.candidates || []);
+        setStages(data.stages || []);
+        setError(null);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [query, stage]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  if (openId) {
+    return (
+      <CandidateDetail
+        id={openId}
+        stages={stages}
+        onBack={() => {
+          setOpenId(null);
+          load();
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="history">
+      <header className="history-header">
+        <h1>Candidates</h1>
+        <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+      </header>
+
+      <div className="history-filters">
+        <input
+          type="search"
+          className="history-search"
+          placeholder="Search by name or email…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <select value={stage} onChange={(e) => setStage(e.target.value)}>
+          <option value="">All stages</option>
+          {stages.map((s) => (
+            <option key={s} value={s}>{s}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="banner error">{error}</div>}
+
+      {loading && candidates.length === 0 ? (
+        <p className="muted">Loading candidates…</p>
+      ) : candidates.length === 0 ? (
+        <p className="muted">No candidates yet. Add one from the home page when you start an interview.</p>
+      ) : (
+        <table className="scores-table history-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Stage</th>
+              <th>Interviews</th>
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map((c) => (
+              <tr key={c.id} className="history-row" onClick={() => setOpenId(c.id)}>
+                <td>{c.name}</td>
+                <td>{c.email || '—'}</td>
+                <td><span className="stage-badge">{c.stage}</span></td>
+                <td>{c.interview_count}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function CandidateDetail({ id, stages, onBack }) {
+  const [candidate, setCandidate] = useState(null);
+  const [interviews, setInterviews] = useState([]);
+  const [panels, setPanels] = useState([]);
+  /** The applicant tracking system reports can be sent to: { enabled, provider, label, auto_submit }. */
+  const [ats, setAts] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([
+      requestJson(`${API_BASE}/api/candidates/${encodeURIComponent(id)}`),
+      requestJson(`${API_BASE}/api/candidates/${encodeURIComponent(id)}/panel`),
+      requestJson(`${API_BASE}/api/ats/status`),
+    ])
+      .then(([detail, panel, atsStatus]) => {
+        setCandidate(detail.candidate);
+        setDraft({ name: detail.candidate.name, email: detail.candidate.email || '', stage: detail.candidate.stage, resume: detail.candidate.resume || '' });
+        setInterviews(detail.interviews || []);
+        setPanels(panel.panels || []);
+        setAts(atsStatus);
+      })
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  /** Re-read the interviews, e.g. once an ATS submission has finished. */
+  const reloadInterviews = useCallback(() => {
+    requestJson(`${API_BASE}/api/candidates/${encodeURIComponent(id)}`)
+      .then((detail) => setInterviews(detail.interviews || []))
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  /** A link change may also fill in the email address, so the draft follows it. */
+  const handleLinked = (updated) => {
+    setCandidate(updated);
+    setDraft((d) => ({ ...d, email: d.email || updated.email || '' }));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    setError(null);
+    try {
+      const data = await requestJson(`${API_BASE}/api/candidates/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft),
+      });
+      setCandidate(data.candidate);
+      setMessage('Saved.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!candidate) {
+    return (
+      <div className="history">
+        {error ? <div className="banner error">{error}</div> : <p className="muted">Loading candidate…</p>}
+        <button className="btn btn-secondary" onClick={onBack}>Back to candidates</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history">
+      <header className="history-header">
+        <h1>{candidate.name}</h1>
+        <button className="btn btn-secondary" onClick={onBack}>Back to candidates</button>
+      </header>
+
+      {error && <div className="banner error">{error}</div>}
+
+      <section className="panel candidate-profile">
+        <h2>Profile</h2>
+        <div className="candidate-form">
+          <label>
+            Name
+            <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </label>
+          <label>
+            Email
+            <input type="email" value={draft.email} onChange={(e) => setDraft({ ...draft, email: e.target.value })} />
+          </label>
+          <label>
+            Pipeline stage
+            <select value={draft.stage} onChange={(e) => setDraft({ ...draft, stage: e.target.value })}>
+              {stages.map((s) => (
+                <option key={s} value={s}>{s}</option>
+              ))}
+            </select>
+          </label>
+          <label className="candidate-resume">
+            Resume / notes
+            <textarea rows={6} value={draft.resume} onChange={(e) => setDraft({ ...draft, resume: e.target.value })} />
+          </label>
+        </div>
+        <button className="btn btn-primary" onClick={save} disabled={saving}>
+          {saving ? 'Saving…' : 'Save profile'}
+        </button>
+        {message && <span className="muted candidate-saved">{message}</span>}
+      </section>
+
+      {ats?.enabled && <AtsRecord candidate={candidate} ats={ats} onChange={handleLinked} />}
+
+      <section className="panel">
+        <h2>Interviews</h2>
+        {interviews.length === 0 ? (
+          <p className="muted">No interviews attached yet.</p>
+        ) : (
+          <table className="scores-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Role</th>
+                <th>Interviewer</th>
+                <th>Recommendation</th>
+                <th>Score</th>
+                {ats?.enabled && <th>{ats.label}</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {interviews.map((iv) => (
+                <tr key={iv.id}>
+                  <td>{formatDate(iv.created_at)}</td>
+                  <td>{iv.role}</td>
+                  <td>{iv.interviewer_name || '—'}</td>
+                  <td className={recommendationClass(iv.hire_recommendation)}>{iv.hire_recommendation || (iv.status === 'completed' ? '—' : 'No report')}</td>
+                  <td>{iv.weighted_overall_score != null ? Number(iv.weighted_overall_score).toFixed(1) : '—'}</td>
+                  {ats?.enabled && (
+                    <td>
+                      <AtsSubmission interview={iv} ats={ats} linked={candidate.ats?.provider === ats.provider} onDone={reloadInterviews} />
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {panels.map((panel) => (
+        <PanelSummary key={`${panel.role}-${panel.rubric_version}`} panel={panel} />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * The candidate's record in the ATS: once linked, the application reports are sent to, with its job
+ * and stage as last pulled in; before that, a search of the ATS by email address to link from.
+ */
+function AtsRecord({ candidate, ats, onChange }) {
+  const link = candidate.ats;
+  const [email, setEmail] = useState(candidate.email || '');
+  const [matches, setMatches] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (work) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await work();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const search = () =>
+    run(async () => {
+      const data = await requestJson(`${API_BASE}/api/ats/candidates?email=${encodeURIComponent(email.trim())}`);
+      setMatches(data.candidates || []);
+    });
+
+  const linkTo = (atsCandidateId, applicationId) =>
+    run(async () => {
+      const data = await requestJson(`${API_BASE}/api/candidates/${encodeURIComponent(candidate.id)}/ats`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ atsCandidateId, applicationId }),
+      });
+      setMatches(null);
+      onChange(data.candidate);
+    });
+
+  const unlink = () =>
+    run(async () => {
+      const data = await requestJson(`${API_BASE}/api/candidates/${encodeURIComponent(candidate.id)}/ats`, { method: 'DELETE' });
+      onChange(data.candidate);
+    });
+
+  if (link && link.provider === ats.provider) {
+    return (
+      <section className="panel ats-record">
+        <h2>{ats.label}</h2>
+        <p>
+          Linked to {link.url ? <a href={link.url} target="_blank" rel="noopener noreferrer">{link.name || link.candidate_id}</a> : link.name || link.candidate_id}
+          {link.job && <> — {link.job}</>}
+          {link.stage && <> · {link.stage}</>}
+          {link.status && link.status !== 'active' && <> ({link.status})</>}
+        </p>
+        {(link.applications || []).length > 1 && (
+          <label className="ats-application">
+            Application reports are sent for
+            <select value={link.application_id || ''} disabled={busy} onChange={(e) => linkTo(link.candidate_id, e.target.value)}>
+              {link.applications.map((a) => (
+                <option key={a.id} value={a.id}>{[a.job || `Application ${a.id}`, a.stage, a.status].filter(Boolean).join(' · ')}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <p className="muted">
+          Pulled in {formatDate(link.synced_at)}.{' '}
+          {ats.auto_submit ? 'Final reports of this candidate are sent automatically.' : 'Send each final report from the interviews below.'}
+        </p>
+        <div className="ats-actions">
+          <button className="btn btn-secondary" onClick={() => linkTo(undefined, undefined)} disabled={busy}>Refresh from {ats.label}</button>
+          <button className="btn btn-secondary" onClick={unlink} disabled={busy}>Unlink</button>
+        </div>
+        {error && <div className="banner error">{error}</div>}
+      </section>
+    );
+  }
+
+  return (
+    <section className="panel ats-record">
+      <h2>{ats.label}</h2>
+      <p className="muted">
+        {link ? `Linked to a ${link.provider} record, which is no longer the ATS in use. Link them again. ` : ''}
+        Find the candidate in {ats.label} by email to send their reports there.
+      </p>
+      <div className="ats-search">
+        <input type="email" placeholder="candidate@example.com" value={email} onChange={(e) => setEmail(e.target.value)} />
+        <button className="btn btn-primary" onClick={search} disabled={busy || !email.trim()}>Search {ats.label}</button>
+      </div>
+      {error && <div className="banner error">{error}</div>}
+      {matches && matches.length === 0 && <p className="muted">No {ats.label} candidate has that email address.</p>}
+      {matches && matches.length > 0 && (
+        <ul className="ats-matches">
+          {matches.map((m) => (
+            <li key={m.id}>
+              <strong>{m.name || m.id}</strong> <span className="muted">{m.emails.join(', ')}</span>
+              {m.applications.length === 0 ? (
+                <button className="btn btn-secondary" onClick={() => linkTo(m.id)} disabled={busy}>Link</button>
+              ) : (
+                <ul>
+                  {m.applications.map((a) => (
+                    <li key={a.id}>
+                      {[a.job || `Application ${a.id}`, a.stage, a.status].filter(Boolean).join(' · ')}
+                      <button className="btn btn-secondary" onClick={() => linkTo(m.id, a.id)} disabled={busy}>Link</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+/** Send one interview's final report to the ATS, and how the last send went (its ats_submission). */
+function AtsSubmission({ interview, ats, linked, onDone }) {
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const submission = interview.ats_submission;
+
+  const send = async () => {
+    setSending(true);
+    setError(null);
+    try {
+      let { job } = await requestJson(`${API_BASE}/api/interviews/${encodeURIComponent(interview.id)}/ats-submit`, { method: 'POST' });
+      // A failed attempt is retried by the queue; its error shows in ats_submission meanwhile.
+      while (job.status === 'queued' || job.status === 'running') {
+        await new Promise((resolve) => setTimeout(resolve, 1500));
+        ({ job } = await requestJson(`${API_BASE}/api/jobs/${encodeURIComponent(job.id)}`));
+        if (job.attempts > 0 && job.status === 'queued') onDone();
+      }
+      if (job.status === 'failed') setError(job.error);
+      onDone();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!interview.hire_recommendation) return <span className="muted">—</span>;
+  return (
+    <div className="ats-submission">
+      {submission?.submitted && <span className="muted">Sent {formatDate(submission.at)}</span>}
+      {submission?.submitted && (submission.warnings || []).map((w) => <span key={w} className="muted">{w}</span>)}
+      {submission && !submission.submitted && submission.error && !error && <span className="ats-error">{submission.error}</span>}
+      {error && <span className="ats-error">{error}</span>}
+      <button className="btn btn-secondary" onClick={send} disabled={sending || !linked} title={linked ? undefined : `Link the candidate to ${ats.label} first`}>
+        {sending ? 'Sending…' : submission?.submitted ? 'Send again' : `Send to ${ats.label}`}
+      </button>
+    </div>
+  );
+}
+
+function PanelSummary({ panel }) {
+  const { interviewers } = panel;
+  return (
+    <section className="panel panel-summary">
+      <h2>Panel summary — {panel.role_label}{panel.rubric_version_number ? ` (rubric v${panel.rubric_version_number})` : ''}</h2>
+      <p className="muted">
+        {panel.interview_count} completed interview{panel.interview_count === 1 ? '' : 's'}. Scores 0–{panel.max_score}; highlighted rows are categories where interviewers disagree.
+        {!panel.latest_version && ' Scored against an earlier rubric version, so these interviews are summarized apart from the newer ones.'}
+      </p>
+      <div className="panel-rollup">
+        <div>
+          <h3>Rolled-up recommendation</h3>
+          <p className={`recommendation ${recommendationClass(panel.hire_recommendation)}`}>{panel.hire_recommendation || '—'}</p>
+        </div>
+        <div>
+          <h3>Weighted score (mean of panel)</h3>
+          <p className="weighted-score">{panel.weighted_overall_score != null ? Number(panel.weighted_overall_score).toFixed(1) : '—'} / 100</p>
+        </div>
+      </div>
+      {panel.recommendation_split && (
+        <div className="banner error">Interviewers are split: at least one Strong Hire and one No Hire.</div>
+      )}
+      <table className="scores-table panel-table">
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Weight</th>
+            {interviewers.map((v, i) => (
+              <th key={v.interview_id}>{v.interviewer || `Interviewer ${i + 1}`}</th>
+            ))}
+            <th>Mean</th>
+            <th>Spread</th>
+          </tr>
+        </thead>
+        <tbody>
+          {panel.categories.map((cat) => (
+            <tr key={cat.name} className={cat.disagreement ? 'panel-disagreement' : ''}>
+              <td>{cat.name}</td>
+              <td>{Math.round((cat.weight || 0) * 100)}%</td>
+              {interviewers.map((v) => {
+                const entry = cat.scores.find((s) => s.interview_id === v.interview_id);
+                return <td key={v.interview_id}>{entry ? entry.score : '—'}</td>;
+              })}
+              <td>{cat.mean != null ? cat.mean : '—'}</td>
+              <td>{cat.spread != null ? cat.spread : '—'}</td>
+            </tr>
+          ))}
+          <tr>
+            <td>Recommendation</td>
+            <td />
+            {interviewers.map((v) => (
+              <td key={v.interview_id} className={recommendationClass(v.recommendation)}>{v.recommendation}</td>
+            ))}
+            <td colSpan={2} />
+          </tr>
+        </tbody>
+      </table>
+    </section>
+  );
+}
@@ -0,0 +1,431 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FinalReport } from './Interview';
+import './Interview.css';
+import './History.css';
+
+const API_BASE = '';
+const RECOMMENDATIONS = ['Strong Hire', 'Hire with caveats', 'No Hire'];
+const SEARCH_DEBOUNCE_MS = 300;
+
+async function fetchInterviews(filters) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  const res = await fetch(`${API_BASE}/api/interviews?${params.toString()}`);
+  if (!res.ok) throw new Error(await res.text());
+  const data = await res.json();
+  return data.interviews || [];
+}
+
+async function fetchInterview(id) {
+  const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(id)}`);
+  if (!res.ok) throw new Error(res.status === 404 ? 'Interview not found' : await res.text());
+  const data = await res.json();
+  return data.interview;
+}
+
+async function fetchJob(id) {
+  const res = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(id)}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Failed to load job (${res.status})`);
+  return data.job;
+}
+
+/** Queue a re-score, wait for its job, and return the re-score it added to the interview. */
+async function rescoreInterview(id) {
+  const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(id)}/rescore`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({}),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Re-score failed (${res.status})`);
+  let { job } = data;
+  while (job.status === 'queued' || job.status === 'running') {
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+    job = await fetchJob(job.id);
+  }
+  if (job.status === 'failed') throw new Error(job.error || 'Re-score failed');
+  const interview = await fetchInterview(id);
+  return interview.rescores?.[interview.rescores.length - 1];
+}
+
+async function startReplay(id) {
+  const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(id)}/replay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({}),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Replay failed (${res.status})`);
+  return data.replay;
+}
+
+async function fetchReplay(id) {
+  const res = await fetch(`${API_BASE}/api/replays/${encodeURIComponent(id)}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Failed to load replay (${res.status})`);
+  return data.replay;
+}
+
+async function fetchLatestReplay(interviewId) {
+  const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(interviewId)}/replays`);
+  if (!res.ok) return null;
+  const data = await res.json();
+  return data.replays?.[0] || null;
+}
+
+/** How often a running replay is polled. */
+const REPLAY_POLL_MS = 2000;
+/** How often a queued re-score job is polled. */
+const JOB_POLL_MS = 1500;
+
+function formatScore(value) {
+  return value != null ? Number(value).toFixed(1) : '—';
+}
+
+function formatDelta(delta) {
+  if (delta == null) return '—';
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+function formatDuration(ms) {
+  const total = Math.round((ms || 0) / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+export default function History({ onBack }) {
+  const [roles, setRoles] = useState([]);
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [role, setRole] = useState('');
+  const [recommendation, setRecommendation] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [interviews, setInterviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  /** Interview opened from the list; its report is shown read-only. */
+  const [opened, setOpened] = useState(null);
+  const [openError, setOpenError] = useState(null);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/api/roles`)
+      .then((r) => r.ok ? r.json() : Promise.resolve({ roles: [] }))
+      .then((data) => setRoles(data.roles || []))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    const t = setTimeout(() => setDebouncedQuery(query.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [query]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchInterviews({ q: debouncedQuery, role, recommendation, from, to })
+      .then((list) => { if (!cancelled) setInterviews(list); })
+      .catch((err) => { if (!cancelled) setError(err.message || 'Failed to load interviews'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [debouncedQuery, role, recommendation, from, to]);
+
+  const roleLabel = useCallback((id) => roles.find((r) => r.id === id)?.label || id, [roles]);
+
+  const openInterview = async (id) => {
+    setOpenError(null);
+    try {
+      setOpened(await fetchInterview(id));
+    } catch (err) {
+      setOpenError(err.message || 'Failed to open interview');
+    }
+  };
+
+  if (opened) {
+    return (
+      <div className="history">
+        <div className="final-view">
+          {opened.final_result ? (
+            <FinalReport
+              result={opened.final_result}
+              transcript={opened.transcript}
+              turns={opened.turns}
+              interviewId={opened.id}
+              role={opened.role}
+              email={opened.report_email}
+              calendarEvent={opened.calendar_event}
+              onBack={() => setOpened(null)}
+              backLabel="Back to history"
+            />
+          ) : (
+            <div className="final-content">
+              <h2>{roleLabel(opened.role)} — {formatDate(opened.created_at)}</h2>
+              <p className="muted">This interview has no final report yet.</p>
+              <section className="block">
+                <h3>Full transcript</h3>
+                <div className="final-transcript">{opened.transcript || '—'}</div>
+              </section>
+              <button className="btn btn-secondary" onClick={() => setOpened(null)}>Back to history</button>
+            </div>
+          )}
+          {opened.recordings?.length > 0 && <RecordingsPanel interview={opened} />}
+          {opened.final_result && opened.transcript && (
+            <RescorePanel
+              interview={opened}
+              onRescored={(rescore) => setOpened((o) => ({ ...o, rescores: [...(o.rescores || []), rescore] }))}
+            />
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history">
+      <header className="history-header">
+        <h1>Interview history</h1>
+        <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+      </header>
+
+      <div className="history-filters">
+        <input
+          type="search"
+          className="history-search"
+          placeholder="Search transcripts and candidates…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <select value={role} onChange={(e) => setRole(e.target.value)}>
+          <option value="">All roles</option>
+          {roles.map((r) => (
+            <option key={r.id} value={r.id}>{r.label}</option>
+          ))}
+        </select>
+        <select value={recommendation} onChange={(e) => setRecommendation(e.target.value)}>
+          <option value="">Any recommendation</option>
+          {RECOMMENDATIONS.map((r) => (
+            <option key={r} value={r}>{r}</option>
+          ))}
+        </select>
+        <label>
+          From <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          To <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+      </div>
+
+      {error && <div className="banner error">{error}</div>}
+      {openError && <div className="banner error">{openError}</div>}
+
+      {loading && interviews.length === 0 ? (
+        <p className="muted">Loading interviews…</p>
+      ) : interviews.length === 0 ? (
+        <p className="muted">No interviews match.</p>
+      ) : (
+        <table className="scores-table history-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Role</th>
+              <th>Candidate</th>
+              <th>Recommendation</th>
+              <th>Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {interviews.map((iv) => (
+              <tr key={iv.id} className="history-row" onClick={() => openInterview(iv.id)}>
+                <td>{formatDate(iv.created_at)}</td>
+                <td>{roleLabel(iv.role)}</td>
+                <td>
+                  {iv.candidate_name || <span className="muted">—</span>}
+                  {iv.match_snippet && <div className="history-snippet">{iv.match_snippet}</div>}
+                </td>
+                <td>
+                  {iv.hire_recommendation ? (
+                    <span className={`recommendation-${iv.hire_recommendation.replace(/\s+/g, '-').toLowerCase()}`}>
+                      {iv.hire_recommendation}
+                    </span>
+                  ) : (
+                    <span className="muted">{iv.status === 'completed' ? '—' : 'No report'}</span>
+                  )}
+                </td>
+                <td>{iv.weighted_overall_score != null ? Number(iv.weighted_overall_score).toFixed(1) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/** Re-score a stored transcript against the role's current rubric and compare with the original report. */
+function RescorePanel({ interview, onRescored }) {
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const latest = (interview.rescores || [])[interview.rescores?.length - 1];
+
+  const run = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      onRescored(await rescoreInterview(interview.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <section className="block rescore-panel">
+      <h3>Re-score</h3>
+      <p className="muted">
+        Score this transcript again against the current rubric for the role. The original report is kept.
+      </p>
+      <button type="button" className="btn btn-secondary" onClick={run} disabled={running}>
+        {running ? 'Re-scoring…' : 'Re-score against current rubric'}
+      </button>
+      {error && <p className="error-msg">{error}</p>}
+      {latest && (
+        <>
+          <p className="muted rescore-summary">
+            Rubric v{latest.rubric_version_number} ({latest.rubric_version})
+            {latest.original_rubric_version ? ` vs original ${latest.original_rubric_version}` : ' vs original (unversioned)'} ·{' '}
+            {formatDate(latest.created_at)}
+          </p>
+          <ScoreComparison comparison={latest} label="Re-scored" />
+        </>
+      )}
+    </section>
+  );
+}
+
+/** Original report vs. a re-score or replay: per-category scores, weighted score and recommendation. */
+function ScoreComparison({ comparison, label }) {
+  return (
+    <table className="scores-table">
+      <thead>
+        <tr>
+          <th />
+          <th>Original</th>
+          <th>{label}</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        {comparison.categories.map((c) => (
+          <tr key={c.name}>
+            <td>{c.name}</td>
+            <td>{c.original ?? '—'}</td>
+            <td>{c.rescored ?? '—'}</td>
+            <td>{formatDelta(c.delta)}</td>
+          </tr>
+        ))}
+        <tr>
+          <td>Weighted score</td>
+          <td>{formatScore(comparison.original_weighted_overall_score)}</td>
+          <td>{formatScore(comparison.result?.weighted_overall_score)}</td>
+          <td />
+        </tr>
+        <tr>
+          <td>Recommendation</td>
+          <td>{comparison.original_hire_recommendation || '—'}</td>
+          <td>{comparison.result?.hire_recommendation || '—'}</td>
+          <td />
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Recorded audio of the interview, and a replay that sends it through transcription and the final
+ * evaluation again so a disputed score can be checked. The replay runs on the server; this polls it.
+ */
+function RecordingsPanel({ interview }) {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState(null);
+  const active = replay && (replay.status === 'queued' || replay.status === 'transcribing' || replay.status === 'scoring');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchLatestReplay(interview.id).then((latest) => {
+      if (!cancelled) setReplay(latest);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [interview.id]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = setTimeout(() => {
+      fetchReplay(replay.id).then(setReplay).catch((err) => setError(err.message));
+    }, REPLAY_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [active, replay]);
+
+  const run = async () => {
+    setError(null);
+    try {
+      setReplay(await startReplay(interview.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <section className="block recordings-panel">
+      <h3>Recordings</h3>
+      <ul className="recordings-list">
+        {interview.recordings.map((r) => (
+          <li key={r.id}>
+            <span className="recording-label">{r.speaker || 'Audio'} · {formatDuration(r.duration_ms)}</span>
+            <audio controls preload="none" src={`${API_BASE}/api/interviews/${encodeURIComponent(interview.id)}/recordings/${encodeURIComponent(r.id)}`} />
+          </li>
+        ))}
+      </ul>
+      <p className="muted">
+        Replay sends the recordings through speech-to-text and the final evaluation again, against the rubric version of the original report. The original report is kept.
+      </p>
+      <button type="button" className="btn btn-secondary" onClick={run} disabled={active}>
+        {active ? 'Replaying…' : 'Replay transcription & evaluation'}
+      </button>
+      {error && <p className="error-msg">{error}</p>}
+      {replay && (
+        <>
+          <p className="muted rescore-summary">
+            {replay.status === 'queued' && 'Queued…'}
+            {replay.status === 'transcribing' && `Transcribing… ${Math.round((replay.progress || 0) * 100)}% (at ${replay.speed}× real time)`}
+            {replay.status === 'scoring' && 'Scoring the replayed transcript…'}
+            {active && replay.error && ` Retrying after: ${replay.error}`}
+            {replay.status === 'failed' && `Replay failed: ${replay.error}`}
+            {replay.status === 'completed' && `Replayed ${formatDate(replay.completed_at)} · rubric v${replay.rubric_version_number} (${replay.rubric_version})`}
+          </p>
+          {replay.status === 'completed' && replay.categories && (
+            <>
+              <ScoreComparison comparison={replay} label="Replayed" />
+              {replay.transcript && (
+                <details className="replay-transcript">
+                  <summary>Replayed transcript</summary>
+                  <div className="final-transcript">{replay.transcript}</div>
+                </details>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -1,17 +1,319 @@
 import { useState, useEffect } from 'react';
+import { hasRole } from './auth';
 import './Home.css';
 
 const API_BASE = '';
 
-const DEFAULT_ROLES = [
-  { id: 'vp-sales', label: 'VP of Sales' },
-  { id: 'vp-ta', label: 'VP of TA' },
-  { id: 'account-executive', label: 'Account Executive' },
-];
+const NEW_CANDIDATE = '__new__';
 
-export default function Home({ onStart, recoveryData, onRecoveryStart, onRecoveryClear }) {
-  const [roles, setRoles] = useState(DEFAULT_ROLES);
+const ADDRESS_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+/** Comma- or semicolon-separated addresses; `invalid` lists the entries that are not addresses. */
+function parseRecipients(value) {
+  const entries = value.split(/[,;]/).map((s) => s.trim()).filter(Boolean);
+  return {
+    recipients: entries.filter((s) => ADDRESS_PATTERN.test(s)),
+    invalid: entries.filter((s) => !ADDRESS_PATTERN.test(s)),
+  };
+}
+
+async function createCandidate(name, email) {
+  const res = await fetch(`${API_BASE}/api/candidates`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, email: email || null, stage: 'interviewing' }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Failed to create candidate (${res.status})`);
+  return data.candidate;
+}
+
+async function requestJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+const CALENDAR_ERRORS = {
+  no_code: 'Google did not return an authorization code.',
+  not_configured: 'Google Calendar is not configured on the server.',
+  exchange_failed: 'Could not finish connecting to Google Calendar.',
+  state_mismatch: 'The connection was started in another tab or expired; try again.',
+};
+
+/** Outcome of the Google OAuth redirect (?calendar=connected|error&message=…), read once and removed from the URL. */
+function takeCalendarRedirect() {
+  const params = new URLSearchParams(window.location.search);
+  const outcome = params.get('calendar');
+  if (!outcome) return null;
+  window.history.replaceState(null, '', window.location.pathname);
+  return outcome === 'connected' ? { connected: true } : { error: CALENDAR_ERRORS[params.get('message')] || 'Could not connect Google Calendar.' };
+}
+
+function formatMeetingTime(start, end) {
+  if (!start) return '';
+  const allDay = !start.includes('T');
+  const from = new Date(start);
+  const day = from.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', ...(allDay ? { timeZone: 'UTC' } : {}) });
+  if (allDay) return `${day} (all day)`;
+  const time = (d) => d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  return `${day}, ${time(from)}${end ? `–${time(new Date(end))}` : ''}`;
+}
+
+/** "VP of Sales · Candidate: Jane Doe (new)" — what starting from the event will fill in. */
+function eventSetup(event) {
+  return [
+    event.role?.label,
+    event.candidate && `Candidate: ${event.candidate.name}${event.candidate.existing ? '' : ' (new)'}`,
+  ].filter(Boolean).join(' · ');
+}
+
+const MEETING_SERVICES = { meet: 'Google Meet', teams: 'Microsoft Teams', zoom: 'Zoom', webex: 'Webex' };
+
+const NO_SOURCE_FORM = { url: '', username: '', password: '', file: null };
+
+/**
+ * The signed-in user's meetings for the next 7 days from the calendars they connected (Google,
+ * CalDAV, or an .ics feed or file), with the role and candidate the server inferred from each.
+ * "Start evaluation" opens the meeting (Meet, Teams, Zoom or Webex) and starts the interview from it.
+ */
+function UpcomingInterviews({ onStartMeeting }) {
+  const [status, setStatus] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [sourceErrors, setSourceErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [adding, setAdding] = useState(null);
+  const [sourceForm, setSourceForm] = useState(NO_SOURCE_FORM);
+  const [connecting, setConnecting] = useState(false);
+
+  const loadStatus = () =>
+    requestJson(`${API_BASE}/api/calendar/status`)
+      .then((s) => {
+        setStatus(s);
+        return s;
+      })
+      .catch(() => setStatus({ connected: false, providers: [], connections: [] }));
+
+  const loadEvents = () => {
+    setLoading(true);
+    requestJson(`${API_BASE}/api/calendar/events`)
+      .then((data) => {
+        setEvents(data.events || []);
+        setSourceErrors(data.errors || []);
+        setError(null);
+        // Calendars whose access was revoked or expired have been dropped.
+        if (data.errors?.some((e) => e.reconnect)) loadStatus();
+      })
+      .catch((err) => {
+        setError(err.message);
+        loadStatus();
+      })
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    const redirect = takeCalendarRedirect();
+    if (redirect?.error) setError(redirect.error);
+    if (redirect?.connected) setNotice('Google Calendar connected.');
+    loadStatus().then((s) => {
+      if (s?.connected) loadEvents();
+    });
+  }, []);
+
+  const connectGoogle = async () => {
+    setError(null);
+    try {
+      const { url } = await requestJson(`${API_BASE}/api/calendar/auth-url`);
+      window.location.href = url;
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startAdding = (provider) => {
+    setError(null);
+    setSourceForm(NO_SOURCE_FORM);
+    setAdding(provider);
+  };
+
+  const connectSource = async (e) => {
+    e.preventDefault();
+    setConnecting(true);
+    setError(null);
+    try {
+      const body =
+        adding === 'caldav'
+          ? { provider: 'caldav', url: sourceForm.url, username: sourceForm.username, password: sourceForm.password }
+          : sourceForm.file
+            ? { provider: 'ics', ics: await sourceForm.file.text(), fileName: sourceForm.file.name }
+            : { provider: 'ics', url: sourceForm.url };
+      const { connection } = await requestJson(`${API_BASE}/api/calendar/connect`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      setAdding(null);
+      setNotice(`${connection.label} connected.`);
+      await loadStatus();
+      loadEvents();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setConnecting(false);
+    }
+  };
+
+  const disconnect = async (provider) => {
+    setError(null);
+    try {
+      await requestJson(`${API_BASE}/api/calendar/disconnect`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ provider }),
+      });
+      setEvents((list) => list.filter((event) => event.provider !== provider));
+      setSourceErrors((list) => list.filter((e) => e.provider !== provider));
+      setNotice(null);
+      loadStatus();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!status?.providers?.length) return null;
+
+  const connectedProviders = new Set(status.connections.map((c) => c.provider));
+  const providerLabel = (name) => status.providers.find((p) => p.name === name)?.label || name;
+  const unconnected = status.providers.filter((p) => !connectedProviders.has(p.name));
+
+  return (
+    <section className="calendar-section">
+      <h2>Upcoming interviews</h2>
+      {error && <p className="calendar-error">{error}</p>}
+      {sourceErrors.map((e) => (
+        <p key={e.provider} className="calendar-error">
+          {e.label}: {e.error}{e.reconnect ? ' Connect it again below.' : ''}
+        </p>
+      ))}
+      {!status.connected ? (
+        <p className="calendar-hint">
+          Connect your calendar — Google, a CalDAV account such as Fastmail or iCloud, or an .ics feed such as a published
+          Outlook calendar — to start an evaluation straight from a meeting. Only you see your events.
+        </p>
+      ) : (
+        <>
+          <p className="calendar-connected">
+            {notice || 'Your meetings for the next 7 days.'}{' '}
+            <button type="button" className="link-button" onClick={loadEvents}>Refresh</button>
+          </p>
+          <ul className="calendar-sources">
+            {status.connections.map((c) => (
+              <li key={c.provider}>
+                {c.label || providerLabel(c.provider)} <span className="muted">({providerLabel(c.provider)})</span>{' · '}
+                <button type="button" className="link-button" onClick={() => disconnect(c.provider)}>Disconnect</button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {unconnected.length > 0 && (
+        <div className="calendar-connect">
+          {unconnected.map((p) => (
+            <button
+              key={p.name}
+              type="button"
+              className={p.connect === 'oauth' ? 'btn-calendar' : 'btn-calendar btn-calendar-secondary'}
+              onClick={() => (p.connect === 'oauth' ? connectGoogle() : startAdding(adding === p.name ? null : p.name))}
+            >
+              {p.connect === 'oauth' ? `Connect ${p.label}` : p.connect === 'account' ? 'Connect CalDAV' : 'Add .ics feed or file'}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {adding && (
+        <form className="calendar-source-form" onSubmit={connectSource}>
+          {adding === 'caldav' ? (
+            <>
+              <label className="email-label">
+                Server URL
+                <input className="email-input" type="url" required placeholder="https://caldav.fastmail.com/" value={sourceForm.url} onChange={(e) => setSourceForm({ ...sourceForm, url: e.target.value })} />
+              </label>
+              <label className="email-label">
+                Username
+                <input className="email-input" type="text" required autoComplete="username" value={sourceForm.username} onChange={(e) => setSourceForm({ ...sourceForm, username: e.target.value })} />
+              </label>
+              <label className="email-label">
+                App password
+                <input className="email-input" type="password" required autoComplete="off" value={sourceForm.password} onChange={(e) => setSourceForm({ ...sourceForm, password: e.target.value })} />
+              </label>
+            </>
+          ) : (
+            <>
+              <label className="email-label">
+                Feed URL (https:// or webcal://)
+                <input className="email-input" type="text" disabled={!!sourceForm.file} placeholder="https://outlook.office365.com/owa/calendar/…/calendar.ics" value={sourceForm.url} onChange={(e) => setSourceForm({ ...sourceForm, url: e.target.value })} />
+              </label>
+              <label className="email-label">
+                …or upload an .ics file
+                <input type="file" accept=".ics,text/calendar" onChange={(e) => setSourceForm({ ...sourceForm, file: e.target.files[0] || null })} />
+              </label>
+            </>
+          )}
+          <div className="calendar-connect">
+            <button type="submit" className="btn-calendar" disabled={connecting}>{connecting ? 'Connecting…' : 'Connect'}</button>
+            <button type="button" className="link-button" onClick={() => setAdding(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {status.connected &&
+        (loading && events.length === 0 ? (
+          <p className="muted">Loading meetings…</p>
+        ) : events.length === 0 ? (
+          <p className="muted">No meetings in the next 7 days.</p>
+        ) : (
+          <ul className="meeting-list">
+            {events.map((event) => (
+              <li key={`${event.provider}:${event.id}`} className="meeting-item">
+                <div className="meeting-info">
+                  <span className="meeting-title">{event.summary}</span>
+                  <span className="meeting-time">
+                    {formatMeetingTime(event.start, event.end)}
+                    {event.meetLink && ` · ${MEETING_SERVICES[event.meetingType] || 'Video call'}`}
+                  </span>
+                  {eventSetup(event) && <span className="meeting-setup">{eventSetup(event)}</span>}
+                  {event.interview_id && <span className="meeting-no-meet">Already evaluated — see Interview history</span>}
+                  {!event.meetLink && <span className="meeting-no-meet">No video link</span>}
+                </div>
+                {event.meetLink && (
+                  <button type="button" className="btn-start-meeting" onClick={() => onStartMeeting(event)}>
+                    Start evaluation
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ))}
+    </section>
+  );
+}
+
+export default function Home({ user, onSignOut, onStart, onUpload, recoveryData, onRecoveryStart, onRecoveryClear, onShowHistory, onShowCandidates, onShowRubrics, onShowUsers }) {
+  const [roles, setRoles] = useState([]);
   const [selectedRole, setSelectedRole] = useState('vp-sales');
+  const [candidates, setCandidates] = useState([]);
+  const [candidateId, setCandidateId] = useState('');
+  const [newCandidateName, setNewCandidateName] = useState('');
+  const [newCandidateEmail, setNewCandidateEmail] = useState('');
+  const [interviewerName, setInterviewerName] = useState(user.name || '');
+  const [reportRecipients, setReportRecipients] = useState('');
+  const [recipientsError, setRecipientsError] = useState(null);
+  const [candidateError, setCandidateError] = useState(null);
   const [rolesLoading, setRolesLoading] = useState(true);
 
   useEffect(() => {
@@ -27,11 +329,86 @@ export default function Home({ onStart, recoveryData, onRecoveryStart, onRecover
       .finally(() => setRolesLoading(false));
   }, []);
 
-  const handleStart = () => onStart(selectedRole);
+  useEffect(() => {
+    fetch(`${API_BASE}/api/candidates`)
+      .then((r) => r.ok ? r.json() : Promise.resolve({ candidates: [] }))
+      .then((data) => setCandidates(data.candidates || []))
+      .catch(() => {});
+  }, []);
+
+  /**
+   * Candidate, interviewer and report recipients for the next interview, creating a new candidate if
+   * asked; null on error. A candidate matched from a calendar event (`eventCandidate`) takes the place
+   * of the one picked here, and is added as a candidate if new.
+   */
+  const chooseParticipants = async (eventCandidate = null) => {
+    setCandidateError(null);
+    setRecipientsError(null);
+    const { recipients, invalid } = parseRecipients(reportRecipients);
+    if (invalid.length) {
+      setRecipientsError(`Not an email address: ${invalid.join(', ')}`);
+      return null;
+    }
+    let candidate = candidates.find((c) => c.id === candidateId) || null;
+    if (eventCandidate?.existing) {
+      candidate = eventCandidate;
+    } else if (eventCandidate) {
+      try {
+        candidate = await createCandidate(eventCandidate.name, eventCandidate.email);
+        setCandidates((list) => [...list, candidate]);
+      } catch (err) {
+        setCandidateError(err.message);
+        return null;
+      }
+    } else if (candidateId === NEW_CANDIDATE) {
+      if (!newCandidateName.trim()) {
+        setCandidateError('Enter the candidate’s name, or choose “No candidate”.');
+        return null;
+      }
+      try {
+        candidate = await createCandidate(newCandidateName.trim(), newCandidateEmail.trim());
+      } catch (err) {
+        setCandidateError(err.message);
+        return null;
+      }
+    }
+    return {
+      candidateId: candidate?.id ?? null,
+      candidateName: candidate?.name ?? null,
+      interviewerName: interviewerName.trim() || null,
+      recipients,
+    };
+  };
+
+  const handleStart = async () => {
+    const people = await chooseParticipants();
+    if (people) onStart(selectedRole, people);
+  };
+
+  /**
+   * Open the meeting in a new tab and start the interview here with the event's inferred role and
+   * candidate (else the ones chosen on this page); the interview keeps the event so its report links back.
+   */
+  const handleStartMeeting = async (event) => {
+    const people = await chooseParticipants(event.candidate);
+    if (!people) return;
+    window.open(event.meetLink, '_blank', 'noopener');
+    const meeting = { id: event.id, provider: event.provider, title: event.summary, start: event.start, url: event.htmlLink, meetingLink: event.meetLink };
+    onStart(event.role?.id || selectedRole, { ...people, meeting });
+  };
+
+  const handleUpload = async () => {
+    const people = await chooseParticipants();
+    if (people) onUpload(selectedRole, people);
+  };
 
   return (
     <div className="home">
       <header className="home-header">
+        <p className="home-user">
+          Signed in as {user.name || user.email} ({user.role}) ·{' '}
+          <button type="button" className="link-button" onClick={onSignOut}>Sign out</button>
+        </p>
         <h1>Live Interview Evaluation</h1>
         <p className="subtitle">Real-time rubric scoring and follow-up suggestions</p>
       </header>
@@ -40,6 +417,8 @@ export default function Home({ onStart, recoveryData, onRecoveryStart, onRecover
         <h2>Choose role to evaluate</h2>
         {rolesLoading ? (
           <p className="muted">Loading roles…</p>
+        ) : roles.length === 0 ? (
+          <p className="muted">Could not load roles. Check that the server is running.</p>
         ) : (
           <div className="role-options">
             {roles.map((r) => (
@@ -58,22 +437,90 @@ export default function Home({ onStart, recoveryData, onRecoveryStart, onRecover
         )}
       </section>
 
+      <section className="email-section">
+        <label className="email-label" htmlFor="candidate-select">Candidate (optional)</label>
+        <select
+          id="candidate-select"
+          className="email-input"
+          value={candidateId}
+          onChange={(e) => setCandidateId(e.target.value)}
+        >
+          <option value="">No candidate</option>
+          {candidates.map((c) => (
+            <option key={c.id} value={c.id}>{c.name}{c.email ? ` (${c.email})` : ''}</option>
+          ))}
+          <option value={NEW_CANDIDATE}>+ New candidate…</option>
+        </select>
+        {candidateId === NEW_CANDIDATE && (
+          <div className="new-candidate-fields">
+            <input
+              type="text"
+              className="email-input"
+              placeholder="Candidate name"
+              value={newCandidateName}
+              onChange={(e) => setNewCandidateName(e.target.value)}
+            />
+            <input
+              type="email"
+              className="email-input"
+              placeholder="Candidate email (optional)"
+              value={newCandidateEmail}
+              onChange={(e) => setNewCandidateEmail(e.target.value)}
+            />
+          </div>
+        )}
+        {candidateError && <p className="email-error">{candidateError}</p>}
+        <p className="email-hint">Interviews attached to a candidate are combined into a panel summary.</p>
+      </section>
+
+      <section className="email-section">
+        <label className="email-label" htmlFor="interviewer-name">Your name (interviewer)</label>
+        <input
+          id="interviewer-name"
+          type="text"
+          className="email-input"
+          placeholder="e.g. Alex Kim"
+          value={interviewerName}
+          onChange={(e) => setInterviewerName(e.target.value)}
+        />
+      </section>
+
+      <section className="email-section">
+        <label className="email-label" htmlFor="report-recipients">Email the report to (optional)</label>
+        <input
+          id="report-recipients"
+          type="text"
+          className="email-input"
+          placeholder="e.g. hiring-manager@company.com, recruiter@company.com"
+          value={reportRecipients}
+          onChange={(e) => setReportRecipients(e.target.value)}
+        />
+        {recipientsError && <p className="email-error">{recipientsError}</p>}
+        <p className="email-hint">Separate addresses with commas. Left empty, the report goes to the server’s default recipient, if one is set.</p>
+      </section>
+
+      <UpcomingInterviews onStartMeeting={handleStartMeeting} />
+
       <section className="instructions">
         <h2>Instructions for the interviewer</h2>
         <ul>
           <li><strong>Before starting:</strong> Choose your audio source (mic, meeting tab, or both). For video calls, share the meeting tab with &quot;Share tab audio&quot; checked so the candidate&apos;s voice is captured.</li>
           <li><strong>Suggested questions:</strong> Use the list on the right to go deeper—ask behavioral and situational questions so the candidate can demonstrate real experience.</li>
           <li><strong>Live evaluation:</strong> Scores, strengths, red flags, and current impression update as you talk. Use them to guide follow-ups.</li>
-          <li><strong>End interview:</strong> Click &quot;End Interview&quot; when done. The full report is generated and you can download it as a PDF file.</li>
+          <li><strong>End interview:</strong> Click &quot;End Interview&quot; when done. The full report is generated and you can download it as PDF, HTML, Markdown or text.</li>
         </ul>
       </section>
 
       {recoveryData && (
         <div className="recovery-banner">
-          <p><strong>Your last interview didn’t finish.</strong> The transcript was saved. You can generate the report now or clear it.</p>
+          {recoveryData.jobId ? (
+            <p><strong>Your last report was still being generated</strong> when the page closed. It carries on on the server; open it here or in Interview history.</p>
+          ) : (
+            <p><strong>Your last interview didn’t finish.</strong> The transcript was saved. You can generate the report now or clear it.</p>
+          )}
           <div className="recovery-banner-actions">
             <button type="button" className="btn btn-primary" onClick={onRecoveryStart}>
-              Generate report
+              {recoveryData.jobId ? 'Open report' : 'Generate report'}
             </button>
             <button type="button" className="btn btn-secondary" onClick={onRecoveryClear}>
               Clear
@@ -85,6 +532,28 @@ export default function Home({ onStart, recoveryData, onRecoveryStart, onRecover
       <button className="btn-start" onClick={handleStart}>
         Start Interview
       </button>
+
+      <button type="button" className="btn-history" onClick={handleUpload}>
+        Upload a recording or transcript
+      </button>
+      <button type="button" className="btn-history" onClick={onShowHistory}>
+        View interview history
+      </button>
+      {hasRole(user, 'recruiter') && (
+        <button type="button" className="btn-history" onClick={onShowCandidates}>
+          Candidates &amp; panel summaries
+        </button>
+      )}
+      {hasRole(user, 'admin') && (
+        <>
+          <button type="button" className="btn-history" onClick={onShowRubrics}>
+            Manage roles &amp; rubrics
+          </button>
+          <button type="button" className="btn-history" onClick={onShowUsers}>
+            Manage users
+          </button>
+        </>
+      )}
     </div>
   );
 }
@@ -1,26 +1,27 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { useStreamingTranscription } from './useStreamingTranscription';
-import html2canvas from 'html2canvas';
-import { jsPDF } from 'jspdf';
+import { formatTimestamp, turnLine } from './turns';
 import './Interview.css';
 
 const API_BASE = '';
 const PENDING_REPORT_KEY = 'interviewPendingReport';
-const ROLE_LABELS = { 'vp-sales': 'VP of Sales', 'vp-ta': 'VP of TA', 'account-executive': 'Account Executive' };
-const SUGGESTED_QUESTIONS_INTERVAL_MS = 25000; // refresh suggested questions every 25s
+const MIN_LIVE_EVALUATION_GAP_MS = 10000; // live evaluation runs on new turns, but at most every 10s
 const MIN_TRANSCRIPT_FOR_QUESTIONS = 60; // chars - request questions as soon as we have a bit of transcript
+const JOB_POLL_MS = 2000;
+const NO_RECIPIENTS = [];
 
 async function fetchRubricSampleQuestions(role) {
   const url = role ? `${API_BASE}/api/rubric-sample-questions?role=${encodeURIComponent(role)}` : `${API_BASE}/api/rubric-sample-questions`;
   const res = await fetch(url);
   if (!res.ok) throw new Error(await res.text());
   const data = await res.json();
-  return (data.questions || []).map((q) => ({
+  const questions = (data.questions || []).map((q) => ({
     question: typeof q === 'string' ? q : (q.question || q),
     already_asked: false,
     category: typeof q === 'object' ? q.category : undefined,
     weight_pct: typeof q === 'object' ? q.weight_pct : undefined,
   }));
+  return { questions, roleLabel: data.role || null };
 }
 
 /** True if the question (or its key phrases) appears in the transcript — interviewer likely asked it. */
@@ -36,23 +37,102 @@ function questionAskedInTranscript(question, transcript) {
   return matchCount >= Math.min(3, words.length) && matchCount >= words.length * 0.35;
 }
 
-async function evaluatePartial(transcript, role) {
-  const res = await fetch(`${API_BASE}/api/evaluate`, {
+/**
+ * Send turns added since the last live evaluation and stream the answer: `onEvent(event, data)` is
+ * called for each score, red flag, strength, question and impression as the model writes them.
+ * Resolves to the validated result, { outOfSync, sessionId, turnCount } when the server's session
+ * has a different turn count (e.g. after a server restart), or { busy } while another evaluation of
+ * the session is still running.
+ */
+async function streamLiveEvaluation({ sessionId, role, interviewId, turnOffset, turns }, onEvent) {
+  const res = await fetch(`${API_BASE}/api/evaluate/stream`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ transcript, role: role || 'vp-sales' }),
+    body: JSON.stringify({ sessionId: sessionId || undefined, role: role || 'vp-sales', interviewId: interviewId || undefined, turnOffset, turns }),
   });
-  if (!res.ok) throw new Error(await res.text());
-  return res.json();
+  if (res.status === 409) {
+    const data = await res.json();
+    if (data.busy) return { busy: true };
+    return { outOfSync: true, sessionId: data.session_id, turnCount: data.turn_count };
+  }
+  if (!res.ok || !res.body) throw new Error(await res.text());
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    for (const message of messages) {
+      const event = message.match(/^event: (.*)$/m)?.[1];
+      const data = message.match(/^data: (.*)$/m)?.[1];
+      if (!event || data == null) continue;
+      const parsed = JSON.parse(data);
+      if (event === 'result') return parsed;
+      if (event === 'error') throw new Error(parsed.error || 'Live evaluation failed');
+      onEvent(event, parsed);
+    }
+  }
+  throw new Error('Live evaluation stream ended without a result');
+}
+
+/** Streamed list events and the live-evaluation field each one adds to. */
+const STREAM_LIST_FIELDS = { red_flag: 'red_flags', strength: 'strengths' };
+
+/** Create the server-side interview record; returns its id, or null if the store is unreachable. */
+async function createInterviewRecord({ role, candidateId, candidateName, interviewerName, recipients, calendarEvent, transcript, turns }) {
+  try {
+    const res = await fetch(`${API_BASE}/api/interviews`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        role: role || 'vp-sales',
+        candidateId: candidateId || null,
+        candidateName: candidateName || null,
+        interviewerName: interviewerName || null,
+        recipients: recipients || [],
+        calendarEvent: calendarEvent || null,
+        transcript: transcript || '',
+        turns: turns || [],
+      }),
+    });
+    if (!res.ok) throw new Error(await res.text());
+    const data = await res.json();
+    return data.interview?.id ?? null;
+  } catch (err) {
+    console.error('Create interview failed:', err);
+    return null;
+  }
 }
 
-function savePendingReport(transcript, turns, recipientEmail, selectedRole) {
+async function updateInterviewRecord(interviewId, changes) {
+  if (!interviewId) return;
+  try {
+    const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(interviewId)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    if (!res.ok) throw new Error(await res.text());
+  } catch (err) {
+    console.error('Update interview failed:', err);
+  }
+}
+
+function savePendingReport(transcript, turns, recipients, selectedRole, interviewId, participants, jobId) {
   try {
     localStorage.setItem(PENDING_REPORT_KEY, JSON.stringify({
       transcript,
       turns: turns || [],
-      recipientEmail: recipientEmail || null,
+      recipients: recipients || [],
       selectedRole: selectedRole || 'vp-sales',
+      interviewId: interviewId || null,
+      jobId: jobId || null,
+      candidateId: participants?.candidateId || null,
+      candidateName: participants?.candidateName || null,
+      interviewerName: participants?.interviewerName || null,
       savedAt: Date.now(),
     }));
   } catch (_) {}
@@ -76,13 +156,71 @@ export function getPendingReport() {
       clearPendingReport();
       return null;
     }
+    // Saved before recipient lists: a single recipientEmail.
+    if (!data.recipients) data.recipients = data.recipientEmail ? [data.recipientEmail] : [];
     return data;
   } catch (_) {
     return null;
   }
 }
 
-async function evaluateFinal(transcript, turns, role) {
+async function queueFinalEvaluation(interviewId, transcript, turns) {
+  const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(interviewId)}/final-evaluation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transcript, turns: turns || [] }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data.job;
+}
+
+async function fetchJob(id) {
+  const res = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(id)}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data.job;
+}
+
+/**
+ * After the evaluation, the report-pdf and report-email jobs still run. Returns whether they are
+ * pending, whether the email is, and the interview's last email outcome (report_email).
+ */
+async function fetchReportEmail(interviewId) {
+  const id = encodeURIComponent(interviewId);
+  const [jobsRes, interviewRes] = await Promise.all([
+    fetch(`${API_BASE}/api/interviews/${id}/jobs`),
+    fetch(`${API_BASE}/api/interviews/${id}`),
+  ]);
+  if (!jobsRes.ok || !interviewRes.ok) throw new Error('Failed to load the report email status');
+  const { jobs } = await jobsRes.json();
+  const { interview } = await interviewRes.json();
+  const isPending = (type) => jobs.some((j) => j.type === type && (j.status === 'queued' || j.status === 'running'));
+  const emailing = isPending('report-email');
+  return { pending: emailing || isPending('report-pdf'), emailing, email: interview.report_email || null };
+}
+
+/**
+ * Poll a final-evaluation job until it finishes and resolve with the interview's final result.
+ * `onUpdate(job)` sees each poll, e.g. to show that a rate-limited attempt will be retried.
+ */
+async function waitForFinalEvaluation(jobId, interviewId, onUpdate) {
+  for (;;) {
+    const job = await fetchJob(jobId);
+    onUpdate(job);
+    if (job.status === 'failed') throw new Error(job.error || 'Final evaluation failed');
+    if (job.status === 'completed') {
+      const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(interviewId)}`);
+      if (!res.ok) throw new Error(`Failed to load the report (${res.status})`);
+      const data = await res.json();
+      return data.interview.final_result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+/** Synchronous final evaluation, used only when the interview could not be stored on the server. */
+async function evaluateFinal(transcript, turns, role, recipients) {
   const res = await fetch(`${API_BASE}/api/evaluate-final`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -90,6 +228,7 @@ async function evaluateFinal(transcript, turns, role) {
       transcript,
       turns: turns || [],
       role: role || 'vp-sales',
+      recipients: recipients || [],
     }),
   });
   const text = await res.text();
@@ -110,87 +249,172 @@ async function evaluateFinal(transcript, turns, role) {
 
 const defaultSuggestedQuestions = [];
 
-export default function Interview({ selectedRole: selectedRoleProp, recipientEmail, onEnd, recoveryData }) {
+export default function Interview({ selectedRole: selectedRoleProp, candidateId, candidateName, interviewerName, recipients, meeting, onEnd, recoveryData }) {
   const isRecoveryMode = !!recoveryData;
   const selectedRole = isRecoveryMode ? (recoveryData?.selectedRole ?? selectedRoleProp ?? 'vp-sales') : (selectedRoleProp ?? 'vp-sales');
   const [finalResult, setFinalResult] = useState(null);
   const [evaluating, setEvaluating] = useState(false);
+  /** Final-evaluation job being polled; shows retries while the provider is rate limiting. */
+  const [finalJob, setFinalJob] = useState(null);
+  /** Where the report was (or is being) emailed: report_email of the interview, plus `pending`. */
+  const [reportEmail, setReportEmail] = useState(null);
   const [copyHint, setCopyHint] = useState(null);
   const [audioSource, setAudioSource] = useState('both');
   /** Standard questions from rubric — shown from the start, before interview. */
   const [rubricQuestions, setRubricQuestions] = useState([]);
   const [rubricQuestionsLoading, setRubricQuestionsLoading] = useState(true);
+  /** Display name from the rubric's `role` field (falls back to the role id until loaded). */
+  const [roleLabel, setRoleLabel] = useState(null);
   /** Questions from partial API — replace rubric list as interview proceeds. */
   const [suggestedQuestionsFromApi, setSuggestedQuestionsFromApi] = useState(defaultSuggestedQuestions);
   const [questionsLoading, setQuestionsLoading] = useState(false);
   /** Live evaluation (partial scores, impression, red flags, strengths). */
   const [partialResult, setPartialResult] = useState(null);
+  /** Bumped after each live evaluation so turns that ended meanwhile schedule the next one. */
+  const [liveEvaluationTick, setLiveEvaluationTick] = useState(0);
   const transcriptRef = useRef('');
-  const partialIntervalRef = useRef(null);
+  /** Incremental live evaluation: server session id and how many turns it has seen. */
+  const liveSessionRef = useRef({ id: null, turnCount: 0 });
+  const liveInFlightRef = useRef(false);
+  const lastLiveEvaluationRef = useRef(0);
+  const liveTimerRef = useRef(null);
+  const completedTurnsRef = useRef([]);
+  /** Server-side interview record id (null until created, or if the store is unreachable). */
+  const interviewIdRef = useRef(recoveryData?.interviewId ?? null);
+  /** Final-evaluation job already queued for this interview (e.g. before the tab was closed). */
+  const finalJobIdRef = useRef(recoveryData?.jobId ?? null);
 
-  const { transcript: liveTranscript, turns: liveTurns, isConnected, isStarting, error, start, stop } = useStreamingTranscription({
+  const { transcript: liveTranscript, turns: liveTurns, completedTurnCount, isConnected, isStarting, error, start, stop } = useStreamingTranscription({
     onTurn: () => {},
     onError: (err) => console.error(err),
   });
   const transcript = isRecoveryMode ? (recoveryData?.transcript ?? '') : liveTranscript;
   const turns = isRecoveryMode ? (recoveryData?.turns ?? []) : liveTurns;
-  const effectiveRecipientEmail = isRecoveryMode ? (recoveryData?.recipientEmail ?? null) : recipientEmail;
+  const effectiveRecipients = (isRecoveryMode ? recoveryData?.recipients : recipients) ?? NO_RECIPIENTS;
 
   transcriptRef.current = transcript;
+  // The live endpoint only needs each turn's text line, not its word timings.
+  completedTurnsRef.current = liveTurns.slice(0, completedTurnCount).map(turnLine);
 
-  // Load standard rubric questions on mount (show before interview starts).
+  // Load standard rubric questions and the role's display name on mount (show before interview starts).
   useEffect(() => {
-    if (isRecoveryMode) return;
     setRubricQuestionsLoading(true);
     fetchRubricSampleQuestions(selectedRole)
-      .then(setRubricQuestions)
+      .then(({ questions, roleLabel: label }) => {
+        if (!isRecoveryMode) setRubricQuestions(questions);
+        setRoleLabel(label);
+      })
       .catch((err) => console.error('Rubric questions fetch failed:', err))
       .finally(() => setRubricQuestionsLoading(false));
   }, [isRecoveryMode, selectedRole]);
 
+  const applyPartialResult = useCallback((result) => {
+    setPartialResult({
+      partial_scores: result.partial_scores || [],
+      red_flags: result.red_flags || [],
+      strengths: result.strengths || [],
+      current_impression: result.current_impression || '',
+    });
+    const raw = result.suggested_questions || [];
+    const list = raw.map((item) =>
+      typeof item === 'string'
+        ? { question: item, already_asked: false }
+        : {
+            question: item?.question ?? '',
+            already_asked: !!item?.already_asked,
+            category: item?.category,
+            weight_pct: item?.weight_pct,
+          }
+    );
+    setSuggestedQuestionsFromApi(list.slice(0, 10));
+  }, []);
+
+  /** Evaluate the turns completed since the last live evaluation; the server keeps the running state. */
   const fetchPartialEvaluation = useCallback(async () => {
     const t = transcriptRef.current;
     if (!t.trim() || t.length < MIN_TRANSCRIPT_FOR_QUESTIONS) return;
+    if (liveInFlightRef.current) return;
+    const session = liveSessionRef.current;
+    const completed = completedTurnsRef.current;
+    if (completed.length <= session.turnCount) return;
+    liveInFlightRef.current = true;
+    lastLiveEvaluationRef.current = Date.now();
     setQuestionsLoading(true);
-    try {
-      const result = await evaluatePartial(t, selectedRole);
-      setPartialResult({
-        partial_scores: result.partial_scores || [],
-        red_flags: result.red_flags || [],
-        strengths: result.strengths || [],
-        current_impression: result.current_impression || '',
+    // Lists restart from empty on their first streamed item; scores are updated in place by name.
+    const started = new Set();
+    const onEvent = (event, data) => {
+      const first = !started.has(event);
+      started.add(event);
+      if (event === 'question') {
+        const q = { question: data?.question ?? '', already_asked: !!data?.already_asked, category: data?.category, weight_pct: data?.weight_pct };
+        setSuggestedQuestionsFromApi((list) => (first ? [q] : [...list, q].slice(0, 10)));
+        return;
+      }
+      setPartialResult((prev) => {
+        const base = prev || { partial_scores: [], red_flags: [], strengths: [], current_impression: '' };
+        if (event === 'score') {
+          const exists = base.partial_scores.some((row) => row.name === data.name);
+          return {
+            ...base,
+            partial_scores: exists ? base.partial_scores.map((row) => (row.name === data.name ? data : row)) : [...base.partial_scores, data],
+          };
+        }
+        if (event === 'impression') return { ...base, current_impression: data };
+        const field = STREAM_LIST_FIELDS[event];
+        if (!field) return base;
+        return { ...base, [field]: first ? [data] : [...base[field], data] };
       });
-      const raw = result.suggested_questions || [];
-      const list = raw.map((item) =>
-        typeof item === 'string'
-          ? { question: item, already_asked: false }
-          : {
-              question: item?.question ?? '',
-              already_asked: !!item?.already_asked,
-              category: item?.category,
-              weight_pct: item?.weight_pct,
-            }
-      );
-      setSuggestedQuestionsFromApi(list.slice(0, 10));
+    };
+    try {
+      let result = await streamLiveEvaluation({
+        sessionId: session.id,
+        role: selectedRole,
+        interviewId: interviewIdRef.current,
+        turnOffset: session.turnCount,
+        turns: completed.slice(session.turnCount),
+      }, onEvent);
+      // Another request of this session is still being scored; its turns are picked up next time.
+      if (result.busy) return;
+      if (result.outOfSync) {
+        // Server lost or moved past our session: resend from the turn count it reports.
+        liveSessionRef.current = { id: result.sessionId, turnCount: result.turnCount };
+        const latest = completedTurnsRef.current;
+        result = await streamLiveEvaluation({
+          sessionId: result.sessionId,
+          role: selectedRole,
+          interviewId: interviewIdRef.current,
+          turnOffset: result.turnCount,
+          turns: latest.slice(result.turnCount),
+        }, onEvent);
+        if (result.outOfSync || result.busy) throw new Error('Live evaluation session out of sync');
+      }
+      liveSessionRef.current = { id: result.session_id, turnCount: result.turn_count };
+      applyPartialResult(result);
     } catch (err) {
       console.error('Partial evaluation fetch failed:', err);
     } finally {
+      liveInFlightRef.current = false;
       setQuestionsLoading(false);
     }
-  }, [selectedRole]);
+  }, [selectedRole, applyPartialResult]);
 
   const hasEnoughTranscript = transcript.trim().length >= MIN_TRANSCRIPT_FOR_QUESTIONS;
+  // Refresh when a turn ends, no more often than MIN_LIVE_EVALUATION_GAP_MS. Turns that end while a
+  // request is in flight are picked up by the next one.
   useEffect(() => {
     if (isRecoveryMode || !isConnected || !hasEnoughTranscript) return;
-    fetchPartialEvaluation();
-    partialIntervalRef.current = setInterval(fetchPartialEvaluation, SUGGESTED_QUESTIONS_INTERVAL_MS);
-    return () => {
-      if (partialIntervalRef.current) {
-        clearInterval(partialIntervalRef.current);
-        partialIntervalRef.current = null;
-      }
-    };
-  }, [isConnected, isRecoveryMode, hasEnoughTranscript, fetchPartialEvaluation]);
+    if (completedTurnCount <= liveSessionRef.current.turnCount || liveTimerRef.current) return;
+    const wait = Math.max(0, lastLiveEvaluationRef.current + MIN_LIVE_EVALUATION_GAP_MS - Date.now());
+    liveTimerRef.current = setTimeout(async () => {
+      await fetchPartialEvaluation();
+      liveTimerRef.current = null;
+      setLiveEvaluationTick((n) => n + 1);
+    }, wait);
+  }, [completedTurnCount, liveEvaluationTick, isConnected, isRecoveryMode, hasEnoughTranscript, fetchPartialEvaluation]);
+
+  useEffect(() => () => {
+    if (liveTimerRef.current) clearTimeout(liveTimerRef.current);
+  }, []);
 
   const runFinalEvaluation = useCallback(async () => {
     if (!transcript.trim()) {
@@ -198,17 +422,38 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
       return;
     }
     setEvaluating(true);
-    savePendingReport(transcript, turns, effectiveRecipientEmail, selectedRole);
+    if (!interviewIdRef.current) {
+      interviewIdRef.current = await createInterviewRecord({ role: selectedRole, candidateId, candidateName, interviewerName, recipients: effectiveRecipients, calendarEvent: meeting, transcript, turns });
+    } else {
+      await updateInterviewRecord(interviewIdRef.current, { transcript, turns });
+    }
+    const participants = { candidateId, candidateName, interviewerName };
+    savePendingReport(transcript, turns, effectiveRecipients, selectedRole, interviewIdRef.current, participants, finalJobIdRef.current);
     try {
-      const result = await evaluateFinal(transcript, turns, selectedRole);
+      let result;
+      if (interviewIdRef.current) {
+        // The evaluation runs as a server job: it finishes (and the report is emailed) even if this tab closes.
+        if (!finalJobIdRef.current) {
+          finalJobIdRef.current = (await queueFinalEvaluation(interviewIdRef.current, transcript, turns)).id;
+          savePendingReport(transcript, turns, effectiveRecipients, selectedRole, interviewIdRef.current, participants, finalJobIdRef.current);
+        }
+        result = await waitForFinalEvaluation(finalJobIdRef.current, interviewIdRef.current, setFinalJob);
+      } else {
+        const { email, ...evaluated } = await evaluateFinal(transcript, turns, selectedRole, effectiveRecipients);
+        result = evaluated;
+        setReportEmail(email || null);
+      }
       clearPendingReport();
       setFinalResult(result);
     } catch (err) {
+      // A failed job is not retried by polling it again; Retry queues a new one.
+      finalJobIdRef.current = null;
       setFinalResult({ error: err.message });
     } finally {
       setEvaluating(false);
+      setFinalJob(null);
     }
-  }, [transcript, turns, effectiveRecipientEmail, selectedRole]);
+  }, [transcript, turns, effectiveRecipients, selectedRole, candidateId, candidateName, interviewerName, meeting]);
 
   const handleEndInterview = useCallback(async () => {
     stop();
@@ -220,9 +465,35 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
     runFinalEvaluation();
   }, [runFinalEvaluation]);
 
+  // The report is emailed by a job that runs after the evaluation: follow it to show where it went.
+  useEffect(() => {
+    const interviewId = interviewIdRef.current;
+    if (!interviewId || !finalResult || finalResult.error) return undefined;
+    let cancelled = false;
+    let timer = null;
+    const poll = async () => {
+      try {
+        const { pending, emailing, email } = await fetchReportEmail(interviewId);
+        if (cancelled) return;
+        setReportEmail(emailing ? { ...email, pending: true } : email);
+        if (pending) timer = setTimeout(poll, JOB_POLL_MS);
+      } catch (err) {
+        console.error('Report email status failed:', err);
+      }
+    };
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [finalResult]);
+
   const handleStart = useCallback(async () => {
-    await start(audioSource);
-  }, [start, audioSource]);
+    if (!interviewIdRef.current) {
+      interviewIdRef.current = await createInterviewRecord({ role: selectedRole, candidateId, candidateName, interviewerName, recipients: effectiveRecipients, calendarEvent: meeting });
+    }
+    await start(audioSource, { interviewId: interviewIdRef.current });
+  }, [start, audioSource, selectedRole, candidateId, candidateName, interviewerName, effectiveRecipients, meeting]);
 
   const copyQuestion = (q) => {
     navigator.clipboard.writeText(q);
@@ -235,7 +506,15 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
   return (
     <div className="interview-layout">
       <header className="interview-header">
-        <h1>Live Interview</h1>
+        <div>
+          <h1>Live Interview</h1>
+          {meeting && (
+            <p className="interview-meeting">
+              {meeting.title} ·{' '}
+              <a href={meeting.meetingLink} target="_blank" rel="noopener noreferrer">Open meeting</a>
+            </p>
+          )}
+        </div>
         <div className="header-actions">
           {!isConnected && !showFinal && !isRecoveryMode && (
             <div className="start-recording-row">
@@ -274,7 +553,13 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
 
       {evaluating && (
         <div className="banner generating-report" role="status">
-          Generating your report… Please don&apos;t close or refresh this page. Your transcript is saved and can be recovered if something goes wrong.
+          {finalJob?.status === 'queued' && finalJob.attempts > 0
+            ? `The evaluation service is busy (${finalJob.error_status === 429 ? 'rate limit' : 'temporary error'}); retrying automatically — attempt ${finalJob.attempts + 1} of ${finalJob.max_attempts}.`
+            : 'Generating your report…'}
+          {' '}
+          {interviewIdRef.current
+            ? 'You can close this page: the report finishes on the server and appears in Interview history.'
+            : 'Please don’t close or refresh this page. Your transcript is saved and can be recovered if something goes wrong.'}
         </div>
       )}
       {error && !isRecoveryMode && <div className="banner error">{error}</div>}
@@ -289,7 +574,7 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
 
       {showFinal ? (
         <div className="final-view">
-          <FinalReport result={finalResult} transcript={transcript} roleLabel={ROLE_LABELS[selectedRole] || selectedRole} onBack={onEnd} onRetry={handleRetryFinal} />
+          <FinalReport result={finalResult} transcript={transcript} turns={turns} interviewId={interviewIdRef.current} role={selectedRole} email={reportEmail} calendarEvent={meeting} onBack={onEnd} onRetry={handleRetryFinal} />
         </div>
       ) : isRecoveryMode ? (
         <div className="recovery-view">
@@ -299,7 +584,7 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
             <h3>Transcript</h3>
             <div className="transcript-scroll">
               {(turns && turns.length > 0) ? turns.map((t, i) => (
-                <p key={i} className="transcript-turn">{t}</p>
+                <TranscriptTurn key={t.id || i} turn={t} />
               )) : <p className="transcript-placeholder">{transcript || 'No transcript.'}</p>}
             </div>
           </div>
@@ -312,7 +597,10 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
           <div className="interview-top">
             <div className="interview-left-column">
               <div className="panel evaluation-panel" data-area="evaluation">
-                <h2>Live evaluation</h2>
+                <h2>
+                  Live evaluation
+                  {partialResult && questionsLoading && <span className="muted live-updating">updating…</span>}
+                </h2>
                 {!partialResult && !isConnected && (
                   <p className="muted evaluation-placeholder">Start recording to see live scores and impressions.</p>
                 )}
@@ -336,11 +624,7 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
                 <h2>Live transcript</h2>
                 <div className="transcript-scroll">
                   {turns.length > 0 ? (
-                    turns.map((t, i) => (
-                      <p key={i} className="transcript-turn">
-                        {t}
-                      </p>
-                    ))
+                    turns.map((t, i) => <TranscriptTurn key={t.id || i} turn={t} />)
                   ) : (
                     <p className="transcript-placeholder">
                       {isConnected ? 'Speaking will appear here…' : 'Start recording to begin.'}
@@ -390,6 +674,33 @@ export default function Interview({ selectedRole: selectedRoleProp, recipientEma
   );
 }
 
+const SPEAKER_PREFIX = /^(Interviewer|Candidate): /;
+
+/** One transcript line with its start time and speaker badge. Accepts structured turns and legacy "Speaker: text" strings. */
+function TranscriptTurn({ turn, turnId, active }) {
+  let speaker = null;
+  let text = turn;
+  let time = '';
+  if (typeof turn === 'string') {
+    const match = turn.match(SPEAKER_PREFIX);
+    if (match) {
+      speaker = match[1];
+      text = turn.slice(match[0].length);
+    }
+  } else {
+    speaker = turn.speaker;
+    text = turn.text;
+    time = formatTimestamp(turn.start_ms);
+  }
+  return (
+    <p className={`transcript-turn${active ? ' transcript-turn-active' : ''}`} data-turn-id={turnId}>
+      {time && <span className="turn-time">{time}</span>}
+      {speaker && <span className={`turn-speaker turn-speaker-${speaker.toLowerCase()}`}>{speaker}</span>}
+      {text}
+    </p>
+  );
+}
+
 function ScoresTable({ scores }) {
   if (!scores?.length) return null;
   return (
@@ -405,7 +716,7 @@ function ScoresTable({ scores }) {
         </thead>
         <tbody>
           {scores.map((row, i) => (
-            <tr key={i}>
+            <tr key={row.name || i}>
               <td>{row.name}</td>
               <td>{row.score}</td>
               <td>{row.justification}</td>
@@ -483,95 +794,94 @@ function CurrentImpression({ text }) {
   );
 }
 
-function escapeHtml(s) {
-  if (s == null) return '';
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+const REPORT_FORMATS = [
+  { format: 'html', label: 'HTML' },
+  { format: 'markdown', label: 'Markdown' },
+  { format: 'text', label: 'Text' },
+];
+
+/** URL of a stored interview's report, rendered by the server's shared report template. */
+function reportUrl(interviewId, format) {
+  return `${API_BASE}/api/interviews/${encodeURIComponent(interviewId)}/report?format=${format}&download=1`;
 }
 
-function buildReportHtml(result, transcript, roleLabel) {
-  const titleRole = roleLabel || 'Interview';
-  const score = result.weighted_overall_score != null ? Number(result.weighted_overall_score).toFixed(1) : '—';
-  const rec = escapeHtml(result.hire_recommendation || '—');
-  const summary = escapeHtml(result.summary || '');
-  const scores = result.category_scores || [];
-  const rows = scores
-    .map((r) => `<tr><td style="padding:12px;border:1px solid #d0d7de;">${escapeHtml(r.name)}</td><td style="text-align:center;padding:12px;border:1px solid #d0d7de;">${r.score}</td><td style="padding:12px;border:1px solid #d0d7de;">${escapeHtml(r.justification || '')}</td></tr>`)
-    .join('');
-  const strengths = (result.strengths || []).map((s) => `<li>${escapeHtml(s)}</li>`).join('') || '<li>None noted</li>';
-  const weaknesses = (result.weaknesses || []).map((w) => `<li>${escapeHtml(w)}</li>`).join('') || '<li>None noted</li>';
-  const redFlags = (result.red_flags || []).map((f) => `<li>${escapeHtml(f)}</li>`).join('') || '<li>None noted</li>';
-  const q = result.questions_coverage || {};
-  const asked = (q.asked || []).map((a) => `<li><strong>${escapeHtml(a.category)}:</strong> ${escapeHtml(a.question_or_topic || '')}</li>`).join('') || '<li>—</li>';
-  const missed = (q.missed || []).map((m) => {
-    const qs = (m.sample_questions_not_asked || []).map((sq) => `<li>${escapeHtml(sq)}</li>`).join('');
-    return `<li><strong>${escapeHtml(m.category)}:</strong><ul>${qs}</ul></li>`;
-  }).join('') || '<li>—</li>';
-  const date = new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
-  const fullTranscript = escapeHtml(transcript || '—');
-  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(titleRole)} — Interview Evaluation Report</title><style>body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;line-height:1.6;color:#1a1a1a;max-width:720px;margin:0 auto;padding:24px;} table{border-collapse:collapse;width:100%;} th,td{border:1px solid #d0d7de;padding:12px;text-align:left;} th{background:#f6f8fa;}</style></head><body>
-<h1>${escapeHtml(titleRole)} — Interview Evaluation Report</h1><p>${date}</p>
-<h2>Hire recommendation</h2><p><strong>${rec}</strong></p>
-<h2>Weighted overall score</h2><p><strong>${score} / 100</strong></p>
-<h2>Category scores (1–5) & justification</h2><table><thead><tr><th>Category</th><th>Score</th><th>Justification</th></tr></thead><tbody>${rows}</tbody></table>
-<h2>Strengths</h2><ul>${strengths}</ul>
-<h2>Weaknesses</h2><ul>${weaknesses}</ul>
-<h2>Red flags</h2><ul>${redFlags}</ul>
-<h2>Questions / topics asked</h2><ul>${asked}</ul>
-<h2>Questions missed (recommended from rubric)</h2><ul>${missed}</ul>
-<h2>Overall summary</h2><p>${summary}</p>
-<h2>Full transcript</h2><pre style="background:#f6f8fa;padding:16px;overflow:auto;max-height:400px;">${fullTranscript}</pre>
-<p style="margin-top:24px;font-size:12px;color:#57606a;">Generated by Sales Interview Tool</p>
-</body></html>`;
+/** Have the server render a result that is not stored on an interview, and save the file. */
+async function downloadUnsavedReport({ result, transcript, role }, format) {
+  const res = await fetch(`${API_BASE}/api/reports?format=${format}&download=1`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ result, transcript, role }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Download failed (${res.status})`);
+  }
+  const name = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '')?.[1] || `Interview-Report.${format}`;
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-async function downloadReport(result, transcript, roleLabel) {
-  const safeName = (roleLabel || 'Interview').replace(/\s+/g, '-');
-  const html = buildReportHtml(result, transcript, roleLabel);
-  const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-  const styleMatch = html.match(/<style[^>]*>([\s\S]*?)<\/style>/i);
-  const content = (styleMatch ? `<style>${styleMatch[1]}</style>` : '') + (bodyMatch ? bodyMatch[1] : html);
+/** Strengths and red flags are { text, evidence } since citations were added; older results hold strings. */
+function findingText(item) {
+  return typeof item === 'string' ? item : item?.text || '';
+}
 
-  const wrap = document.createElement('div');
-  wrap.style.cssText = 'position:fixed;left:-9999px;top:0;width:794px;background:#fff;padding:24px;box-sizing:border-box;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;';
-  wrap.innerHTML = content;
-  document.body.appendChild(wrap);
+/** Id a turn is cited by. Matches the server: string turns and transcript lines are "t1", "t2", … by position. */
+function turnIdOf(turn, index) {
+  return (typeof turn === 'object' && turn?.id) || `t${index + 1}`;
+}
 
-  try {
-    await new Promise((r) => setTimeout(r, 100));
-    const canvas = await html2canvas(wrap, { scale: 2, useCORS: true, logging: false, width: wrap.offsetWidth, height: wrap.scrollHeight });
-    document.body.removeChild(wrap);
-
-    const pdf = new jsPDF('p', 'mm', 'a4');
-    const pdfW = 210;
-    const pdfH = 297;
-    const imgW = pdfW;
-    const imgH = (canvas.height * pdfW) / canvas.width;
-    const totalPages = Math.ceil(imgH / pdfH);
-    const imgData = canvas.toDataURL('image/jpeg', 0.92);
-
-    for (let p = 0; p < totalPages; p++) {
-      if (p > 0) pdf.addPage();
-      pdf.addImage(imgData, 'JPEG', 0, -p * pdfH, imgW, imgH);
-    }
-    pdf.save(`${safeName}-Interview-Report-${new Date().toISOString().slice(0, 10)}.pdf`);
-  } catch (err) {
-    document.body.removeChild(wrap);
-    console.error('PDF generation failed:', err);
-    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${safeName}-Interview-Report-${new Date().toISOString().slice(0, 10)}.html`;
-    a.click();
-    URL.revokeObjectURL(url);
+/** Evidence quotes under a score or finding; clicking one scrolls the transcript to the quoted turn. */
+function Citations({ evidence, onJump }) {
+  if (!evidence?.length) return null;
+  return (
+    <ul className="citations">
+      {evidence.map((c, i) => {
+        const time = formatTimestamp(c.start_ms);
+        return (
+          <li key={i}>
+            <button
+              type="button"
+              className={`citation${c.verified === false ? ' citation-unverified' : ''}`}
+              onClick={() => onJump(c.turn_id)}
+              disabled={!c.turn_id}
+              title={c.verified === false ? 'This quote was not found in the transcript' : 'Show in transcript'}
+            >
+              “{c.quote}”{time && <span className="citation-time"> · {time}</span>}
+              {c.verified === false && <span className="citation-flag"> · not found in transcript</span>}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+/** One line about emailing the report, from the interview's report_email (plus `pending` while the job runs). */
+function emailNote(email) {
+  if (!email) return null;
+  const to = email.to?.length ? ` to ${email.to.join(', ')}` : '';
+  if (email.pending) {
+    return `Emailing the report${to}…${email.error ? ` The last attempt failed (${email.error}); retrying.` : ''}`;
   }
+  if (email.sent) return `Report emailed${to}.`;
+  return email.to?.length ? `The report was not emailed${to}: ${email.error}` : null;
 }
 
-function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
+/**
+ * Final evaluation report. Also rendered read-only from the history view (no onRetry, custom backLabel).
+ * Downloads (PDF, HTML, Markdown, text) are rendered by the server from the shared report template:
+ * the stored interview's report when `interviewId` is set, else `result` posted with its `role`.
+ * `email` is the outcome of emailing the report (see emailNote); `calendarEvent` ({ title, url }) is the meeting it came from.
+ */
+export function FinalReport({ result, transcript, turns, interviewId, role, email, calendarEvent, onBack, onRetry, backLabel = 'Back to home' }) {
+  const [activeTurnId, setActiveTurnId] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+  const transcriptBoxRef = useRef(null);
   const isError = result && result.error;
   const hasReport = result && !result.error && (result.hire_recommendation != null || (result.category_scores && result.category_scores.length > 0));
   if (isError) {
@@ -582,7 +892,7 @@ function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
         <p className="muted" style={{ marginTop: '0.5rem', fontSize: '0.85rem' }}>Your transcript was saved. You can retry or go back home.</p>
         <div style={{ display: 'flex', gap: '0.75rem', marginTop: '1rem' }}>
           {onRetry && <button className="btn btn-primary" onClick={onRetry}>Retry report</button>}
-          <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+          <button className="btn btn-secondary" onClick={onBack}>{backLabel}</button>
         </div>
       </div>
     );
@@ -594,7 +904,7 @@ function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
         <p className="error-msg">No evaluation data received. Check the server terminal for errors.</p>
         <div style={{ display: 'flex', gap: '0.75rem', marginTop: '1rem' }}>
           {onRetry && <button className="btn btn-primary" onClick={onRetry}>Retry report</button>}
-          <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+          <button className="btn btn-secondary" onClick={onBack}>{backLabel}</button>
         </div>
       </div>
     );
@@ -608,17 +918,64 @@ function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
   const weaknesses = result.weaknesses || [];
   const redFlags = result.red_flags || [];
   const hasSummaryLists = strengths.length > 0 || weaknesses.length > 0 || redFlags.length > 0;
+  // Without stored turns, citations refer to transcript lines.
+  const transcriptTurns = turns?.length ? turns : (transcript || '').split('\n');
+
+  const emailText = emailNote(email);
+  const download = (format, label, className) => (interviewId ? (
+    <a key={format} className={className} href={reportUrl(interviewId, format)} download>{label}</a>
+  ) : (
+    <button
+      key={format}
+      type="button"
+      className={className}
+      onClick={() => {
+        setDownloadError(null);
+        downloadUnsavedReport({ result, transcript, role }, format).catch((err) => setDownloadError(err.message));
+      }}
+    >
+      {label}
+    </button>
+  ));
+  const downloadButton = download('pdf', 'Download report (PDF)', 'btn btn-primary');
+
+  const jumpToTurn = (turnId) => {
+    setActiveTurnId(turnId);
+    const line = transcriptBoxRef.current?.querySelector(`[data-turn-id="${CSS.escape(turnId)}"]`);
+    if (!line) return;
+    transcriptBoxRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    transcriptBoxRef.current.scrollTo({ top: line.offsetTop - 8, behavior: 'smooth' });
+  };
 
   return (
     <div className="final-content">
       <h2>Final evaluation</h2>
+      {(result.rubric_version || result.transcript_segments > 1) && (
+        <p className="muted rubric-version-note">
+          {result.rubric_version && `Scored against rubric v${result.rubric_version_number} (${result.rubric_version})`}
+          {result.rubric_version && result.transcript_segments > 1 && ' · '}
+          {result.transcript_segments > 1 && `Long interview: evidence gathered from ${result.transcript_segments} transcript segments`}
+        </p>
+      )}
+
+      {calendarEvent?.url && (
+        <p className="muted report-email-note">
+          From the calendar event{' '}
+          <a href={calendarEvent.url} target="_blank" rel="noopener noreferrer">{calendarEvent.title || 'in your calendar'}</a>
+        </p>
+      )}
+      {emailText && (
+        <p className={`report-email-note ${email.sent || email.pending ? 'muted' : 'error-msg'}`}>{emailText}</p>
+      )}
 
       <div style={{ display: 'flex', gap: '0.75rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
-        <button type="button" className="btn btn-primary" onClick={() => downloadReport(result, transcript, roleLabel)}>
-          Download report (PDF)
-        </button>
-        <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+        {downloadButton}
+        <button className="btn btn-secondary" onClick={onBack}>{backLabel}</button>
       </div>
+      <p className="muted report-formats">
+        Also as {REPORT_FORMATS.map(({ format, label }, i) => [i > 0 && ' · ', download(format, label, 'link-button')])}
+      </p>
+      {downloadError && <p className="error-msg">{downloadError}</p>}
 
       <section className="block final-recommendation-block">
         <h3>Hire recommendation</h3>
@@ -648,7 +1005,10 @@ function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
                 <tr key={i}>
                   <td className="category-name">{row.name}</td>
                   <td className="score-num">{row.score}</td>
-                  <td className="justification-cell">{row.justification}</td>
+                  <td className="justification-cell">
+                    {row.justification}
+                    <Citations evidence={row.evidence} onJump={jumpToTurn} />
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -664,7 +1024,10 @@ function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
               <h4>Strengths</h4>
               <ul>
                 {strengths.map((item, i) => (
-                  <li key={i} className="strength-item">{item}</li>
+                  <li key={i} className="strength-item">
+                    {findingText(item)}
+                    <Citations evidence={item.evidence} onJump={jumpToTurn} />
+                  </li>
                 ))}
               </ul>
             </div>
@@ -684,7 +1047,10 @@ function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
               <h4>Red flags</h4>
               <ul>
                 {redFlags.map((item, i) => (
-                  <li key={i} className="red-flag-item">{item}</li>
+                  <li key={i} className="red-flag-item">
+                    {findingText(item)}
+                    <Citations evidence={item.evidence} onJump={jumpToTurn} />
+                  </li>
                 ))}
               </ul>
             </div>
@@ -738,14 +1104,22 @@ function FinalReport({ result, transcript, roleLabel, onBack, onRetry }) {
 
       <section className="block">
         <h3>Full transcript</h3>
-        <div className="final-transcript">{transcript || '—'}</div>
+        {transcript || turns?.length ? (
+          <div className="final-transcript final-transcript-turns" ref={transcriptBoxRef}>
+            {transcriptTurns.map((t, i) => {
+              const id = turnIdOf(t, i);
+              if (!(typeof t === 'string' ? t : t?.text)?.trim()) return null;
+              return <TranscriptTurn key={id} turn={t} turnId={id} active={id === activeTurnId} />;
+            })}
+          </div>
+        ) : (
+          <div className="final-transcript">—</div>
+        )}
       </section>
 
       <div style={{ display: 'flex', gap: '0.75rem', marginTop: '1rem', flexWrap: 'wrap' }}>
-        <button type="button" className="btn btn-primary" onClick={() => downloadReport(result, transcript, roleLabel)}>
-          Download report (PDF)
-        </button>
-        <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+        {downloadButton}
+        <button className="btn btn-secondary" onClick={onBack}>{backLabel}</button>
       </div>
     </div>
   );
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import { signIn, fetchAuthConfig, ssoLoginUrl } from './auth';
+import './Home.css';
+import './Login.css';
+
+/** Error from a failed single sign-on, which the server reports as ?login=error&message=… */
+function ssoError() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('login') === 'error' ? params.get('message') || 'Single sign-on failed' : null;
+}
+
+export default function Login({ onSignedIn }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [sso, setSso] = useState(null);
+  const [error, setError] = useState(ssoError);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (ssoError()) window.history.replaceState(null, '', window.location.pathname);
+    fetchAuthConfig()
+      .then((config) => setSso(config.oidc))
+      .catch(() => {});
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      onSignedIn(await signIn(email.trim(), password));
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="home login">
+      <header className="home-header">
+        <h1>Live Interview Evaluation</h1>
+        <p className="subtitle">Sign in to run and review interviews</p>
+      </header>
+
+      <form className="login-form" onSubmit={handleSubmit}>
+        <section className="email-section">
+          <label className="email-label" htmlFor="login-email">Email</label>
+          <input
+            id="login-email"
+            type="email"
+            className="email-input"
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            autoFocus
+          />
+        </section>
+        <section className="email-section">
+          <label className="email-label" htmlFor="login-password">Password</label>
+          <input
+            id="login-password"
+            type="password"
+            className="email-input"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </section>
+        {error && <p className="email-error login-error">{error}</p>}
+        <button type="submit" className="btn-start" disabled={submitting}>
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+
+      {sso && (
+        <a className="btn-history login-sso" href={ssoLoginUrl(window.location.pathname)}>
+          Sign in with {sso.name}
+        </a>
+      )}
+    </div>
+  );
+}
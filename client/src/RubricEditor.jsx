@@ -0,0 +1,383 @@
+import { useState, useEffect, useCallback } from 'react';
+import './Interview.css';
+import './History.css';
+import './Candidates.css';
+import './RubricEditor.css';
+
+const API_BASE = '';
+
+async function requestJson(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 204) return {};
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || `Request failed (${res.status})`);
+    err.details = data.details || [];
+    throw err;
+  }
+  return data;
+}
+
+function emptyCategory() {
+  return { name: '', weightPct: '', criteria: '', questions: '' };
+}
+
+function emptyDraft() {
+  return {
+    id: '',
+    role: '',
+    max_score: 5,
+    scoring_guide: '',
+    non_negotiables_summary: '',
+    preferred: '',
+    categories: [emptyCategory()],
+  };
+}
+
+/** Rubric JSON → editor form state (weights as percentages, sample questions one per line). */
+function toDraft(id, rubric) {
+  return {
+    id,
+    role: rubric.role || '',
+    max_score: rubric.max_score ?? 5,
+    scoring_guide: rubric.scoring_guide || '',
+    non_negotiables_summary: rubric.non_negotiables_summary || '',
+    preferred: rubric.preferred || '',
+    categories: (rubric.categories || []).map((c) => ({
+      name: c.name || '',
+      weightPct: c.weight != null ? String(Math.round(c.weight * 1000) / 10) : '',
+      criteria: c.criteria || '',
+      questions: (c.sample_questions || []).join('\n'),
+    })),
+  };
+}
+
+/** Editor form state → rubric JSON in the schema the evaluation prompts use. */
+function fromDraft(draft) {
+  return {
+    role: draft.role,
+    max_score: Number(draft.max_score),
+    scoring_guide: draft.scoring_guide,
+    categories: draft.categories.map((c) => ({
+      name: c.name,
+      weight: Math.round((Number(c.weightPct) || 0) * 100) / 10000,
+      criteria: c.criteria,
+      sample_questions: c.questions.split('\n'),
+    })),
+    non_negotiables_summary: draft.non_negotiables_summary,
+    preferred: draft.preferred,
+  };
+}
+
+export default function RubricEditor({ onBack }) {
+  const [rubrics, setRubrics] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [details, setDetails] = useState([]);
+  const [importing, setImporting] = useState(false);
+  /** Scorecard the current draft was imported from: { filename, text, problems }. Cleared on save. */
+  const [imported, setImported] = useState(null);
+
+  const loadList = useCallback(() => {
+    requestJson(`${API_BASE}/api/rubrics`)
+      .then((data) => setRubrics(data.rubrics || []))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    loadList();
+  }, [loadList]);
+
+  const resetMessages = () => {
+    setMessage(null);
+    setError(null);
+    setDetails([]);
+  };
+
+  const openRubric = async (id) => {
+    resetMessages();
+    try {
+      const data = await requestJson(`${API_BASE}/api/rubrics/${encodeURIComponent(id)}`);
+      setSelectedId(id);
+      setIsNew(false);
+      setImported(null);
+      setDraft(toDraft(data.id, data.rubric));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startNew = () => {
+    resetMessages();
+    setSelectedId(null);
+    setIsNew(true);
+    setImported(null);
+    setDraft(emptyDraft());
+  };
+
+  const importScorecard = async (file) => {
+    if (!file) return;
+    resetMessages();
+    setImporting(true);
+    try {
+      const data = await requestJson(`${API_BASE}/api/rubrics/import?filename=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file,
+      });
+      const draftFromImport = toDraft(data.id, data.rubric || {});
+      if (draftFromImport.categories.length === 0) draftFromImport.categories = [emptyCategory()];
+      setSelectedId(null);
+      setIsNew(true);
+      setDraft(draftFromImport);
+      setImported({ filename: data.source?.filename || file.name, text: data.source?.text || '', problems: data.problems || [] });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const updateCategory = (index, changes) => {
+    setDraft((d) => ({
+      ...d,
+      categories: d.categories.map((c, i) => (i === index ? { ...c, ...changes } : c)),
+    }));
+  };
+
+  const moveCategory = (index, delta) => {
+    setDraft((d) => {
+      const next = d.categories.slice();
+      const target = index + delta;
+      if (target < 0 || target >= next.length) return d;
+      [next[index], next[target]] = [next[target], next[index]];
+      return { ...d, categories: next };
+    });
+  };
+
+  const save = async () => {
+    resetMessages();
+    setSaving(true);
+    try {
+      const rubric = fromDraft(draft);
+      const data = isNew
+        ? await requestJson(`${API_BASE}/api/rubrics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: draft.id.trim(), rubric }),
+          })
+        : await requestJson(`${API_BASE}/api/rubrics/${encodeURIComponent(selectedId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rubric }),
+          });
+      setSelectedId(data.id);
+      setIsNew(false);
+      setDraft(toDraft(data.id, data.rubric));
+      setImported(null);
+      setMessage('Saved. The role is available for new interviews.');
+      loadList();
+    } catch (err) {
+      setError(err.message);
+      setDetails(err.details || []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!selectedId || !window.confirm(`Delete the "${draft.role || selectedId}" rubric? Stored reports keep their scores.`)) return;
+    resetMessages();
+    try {
+      await requestJson(`${API_BASE}/api/rubrics/${encodeURIComponent(selectedId)}`, { method: 'DELETE' });
+      setSelectedId(null);
+      setDraft(null);
+      setMessage('Rubric deleted.');
+      loadList();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const weightTotal = draft
+    ? Math.round(draft.categories.reduce((sum, c) => sum + (Number(c.weightPct) || 0), 0) * 10) / 10
+    : 0;
+
+  return (
+    <div className="history">
+      <header className="history-header">
+        <h1>Roles &amp; rubrics</h1>
+        <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+      </header>
+
+      {error && (
+        <div className="banner error">
+          {error}
+          {details.length > 0 && (
+            <ul className="rubric-errors">
+              {details.map((d, i) => <li key={i}>{d}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+      {message && <div className="banner success">{message}</div>}
+
+      <div className="rubric-layout">
+        <aside className="panel rubric-list">
+          <h2>Roles</h2>
+          <ul>
+            {rubrics.map((r) => (
+              <li key={r.id}>
+                <button
+                  type="button"
+                  className={`rubric-list-item ${selectedId === r.id ? 'selected' : ''}`}
+                  onClick={() => openRubric(r.id)}
+                >
+                  <span>{r.role}</span>
+                  <span className="muted">{r.category_count} categories · 0–{r.max_score}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="btn btn-primary" onClick={startNew}>+ New role</button>
+          <label className={`btn btn-secondary rubric-import ${importing ? 'disabled' : ''}`}>
+            {importing ? 'Reading scorecard…' : 'Import scorecard (PDF/DOCX)'}
+            <input
+              type="file"
+              accept=".pdf,.docx,.txt,.md"
+              disabled={importing}
+              onChange={(e) => {
+                importScorecard(e.target.files?.[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </aside>
+
+        {!draft ? (
+          <p className="muted">Choose a role to edit, or add a new one.</p>
+        ) : (
+          <section className="panel rubric-form">
+            {imported && (
+              <div className="rubric-import-review">
+                <p>
+                  Drafted from <strong>{imported.filename}</strong>. Review every category, weight and question against the
+                  scorecard before creating the role.
+                </p>
+                {imported.problems.length > 0 && (
+                  <ul className="rubric-errors">
+                    {imported.problems.map((p, i) => <li key={i}>{p}</li>)}
+                  </ul>
+                )}
+                <details>
+                  <summary>Scorecard text</summary>
+                  <pre className="rubric-import-source">{imported.text}</pre>
+                </details>
+              </div>
+            )}
+            <div className="candidate-form">
+              {isNew && (
+                <label>
+                  Role id
+                  <input
+                    type="text"
+                    placeholder="e.g. vp-marketing"
+                    value={draft.id}
+                    onChange={(e) => setDraft({ ...draft, id: e.target.value })}
+                  />
+                </label>
+              )}
+              <label>
+                Role name
+                <input type="text" placeholder="e.g. VP of Marketing" value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })} />
+              </label>
+              <label>
+                Max score per category
+                <input type="number" min="1" step="1" value={draft.max_score} onChange={(e) => setDraft({ ...draft, max_score: e.target.value })} />
+              </label>
+              <label className="candidate-resume">
+                Scoring guide
+                <input type="text" placeholder="e.g. 1=No fit, 3=Mixed, 5=Exceptional" value={draft.scoring_guide} onChange={(e) => setDraft({ ...draft, scoring_guide: e.target.value })} />
+              </label>
+            </div>
+
+            <h3>
+              Categories <span className={`rubric-weight-total ${Math.abs(weightTotal - 100) < 0.1 ? 'ok' : 'bad'}`}>weights total {weightTotal}% (must be 100%)</span>
+            </h3>
+            {draft.categories.map((cat, i) => (
+              <div key={i} className="rubric-category">
+                <div className="rubric-category-head">
+                  <input
+                    type="text"
+                    className="rubric-category-name"
+                    placeholder="Category name"
+                    value={cat.name}
+                    onChange={(e) => updateCategory(i, { name: e.target.value })}
+                  />
+                  <label className="rubric-weight">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.1"
+                      value={cat.weightPct}
+                      onChange={(e) => updateCategory(i, { weightPct: e.target.value })}
+                    />
+                    %
+                  </label>
+                  <button type="button" className="btn btn-secondary" onClick={() => moveCategory(i, -1)} disabled={i === 0}>↑</button>
+                  <button type="button" className="btn btn-secondary" onClick={() => moveCategory(i, 1)} disabled={i === draft.categories.length - 1}>↓</button>
+                  <button
+                    type="button"
+                    className="btn btn-danger"
+                    onClick={() => setDraft({ ...draft, categories: draft.categories.filter((_, j) => j !== i) })}
+                    disabled={draft.categories.length === 1}
+                  >
+                    Remove
+                  </button>
+                </div>
+                <div className="candidate-form">
+                  <label className="candidate-resume">
+                    Criteria
+                    <textarea rows={2} value={cat.criteria} onChange={(e) => updateCategory(i, { criteria: e.target.value })} />
+                  </label>
+                  <label className="candidate-resume">
+                    Sample questions (one per line)
+                    <textarea rows={3} value={cat.questions} onChange={(e) => updateCategory(i, { questions: e.target.value })} />
+                  </label>
+                </div>
+              </div>
+            ))}
+            <button type="button" className="btn btn-secondary" onClick={() => setDraft({ ...draft, categories: [...draft.categories, emptyCategory()] })}>
+              + Add category
+            </button>
+
+            <div className="candidate-form rubric-extra">
+              <label className="candidate-resume">
+                Non-negotiables (optional)
+                <textarea rows={2} value={draft.non_negotiables_summary} onChange={(e) => setDraft({ ...draft, non_negotiables_summary: e.target.value })} />
+              </label>
+              <label className="candidate-resume">
+                Preferred (optional)
+                <textarea rows={2} value={draft.preferred} onChange={(e) => setDraft({ ...draft, preferred: e.target.value })} />
+              </label>
+            </div>
+
+            <div className="rubric-actions">
+              <button type="button" className="btn btn-primary" onClick={save} disabled={saving}>
+                {saving ? 'Saving…' : isNew ? 'Create role' : 'Save rubric'}
+              </button>
+              {!isNew && (
+                <button type="button" className="btn btn-danger" onClick={remove}>Delete role</button>
+              )}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FinalReport } from './Interview';
+import './Interview.css';
+import './History.css';
+import './Upload.css';
+
+const API_BASE = '';
+/** How often a running upload is polled. */
+const UPLOAD_POLL_MS = 2000;
+const ACCEPTED_FILES = 'audio/*,video/*,.vtt,.srt,.txt';
+
+/** POST the file as the raw request body. XHR rather than fetch so the bytes sent can be shown. */
+function sendUpload(file, params, onProgress) {
+  return new Promise((resolve, reject) => {
+    const query = new URLSearchParams({ filename: file.name });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) query.set(key, value);
+    });
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${API_BASE}/api/uploads?${query.toString()}`);
+    xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (_) {}
+      if (xhr.status >= 200 && xhr.status < 300) resolve(data.upload);
+      else reject(new Error(data.error || `Upload failed (${xhr.status})`));
+    };
+    xhr.onerror = () => reject(new Error('Upload failed. Check your connection and try again.'));
+    xhr.send(file);
+  });
+}
+
+async function fetchUpload(id) {
+  const res = await fetch(`${API_BASE}/api/uploads/${encodeURIComponent(id)}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Failed to load upload (${res.status})`);
+  return data.upload;
+}
+
+async function fetchUploads() {
+  const res = await fetch(`${API_BASE}/api/uploads`);
+  if (!res.ok) return [];
+  const data = await res.json();
+  return data.uploads || [];
+}
+
+async function fetchInterview(id) {
+  const res = await fetch(`${API_BASE}/api/interviews/${encodeURIComponent(id)}`);
+  if (!res.ok) throw new Error(res.status === 404 ? 'Interview not found' : await res.text());
+  const data = await res.json();
+  return data.interview;
+}
+
+function isActive(upload) {
+  return upload && ['converting', 'transcribing', 'scoring'].includes(upload.status);
+}
+
+function statusText(upload) {
+  switch (upload.status) {
+    case 'converting':
+      return 'Converting audio…';
+    case 'transcribing':
+      return `Transcribing… ${Math.round((upload.progress || 0) * 100)}% (at ${upload.speed}× real time)`;
+    case 'scoring':
+      return 'Scoring against the rubric…';
+    case 'completed':
+      return 'Done';
+    default:
+      return `Failed: ${upload.error}`;
+  }
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Upload a recorded interview (audio or video) or an existing transcript (WebVTT, SRT, text) for
+ * the role and participants chosen on Home. The server transcribes and scores it in the
+ * background; this page polls the job and shows the report when it is done.
+ */
+export default function Upload({ role, participants, onBack }) {
+  const [roles, setRoles] = useState([]);
+  const [file, setFile] = useState(null);
+  const [sent, setSent] = useState(null);
+  const [upload, setUpload] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/api/roles`)
+      .then((r) => r.ok ? r.json() : Promise.resolve({ roles: [] }))
+      .then((data) => setRoles(data.roles || []))
+      .catch(() => {});
+    fetchUploads().then(setRecent);
+  }, []);
+
+  const roleLabel = useCallback((id) => roles.find((r) => r.id === id)?.label || id, [roles]);
+
+  useEffect(() => {
+    if (!isActive(upload)) return undefined;
+    const timer = setTimeout(() => {
+      fetchUpload(upload.id).then(setUpload).catch((err) => setError(err.message));
+    }, UPLOAD_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [upload]);
+
+  useEffect(() => {
+    if (upload?.status !== 'completed') return;
+    fetchUploads().then(setRecent);
+    fetchInterview(upload.interview_id).then(setReport).catch((err) => setError(err.message));
+  }, [upload?.id, upload?.status]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setError(null);
+    setReport(null);
+    setSent(0);
+    try {
+      setUpload(await sendUpload(file, { role, ...participants, recipients: participants.recipients?.join(',') }, setSent));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSent(null);
+    }
+  };
+
+  if (report?.final_result) {
+    return (
+      <div className="history">
+        <div className="final-view">
+          <FinalReport
+            result={report.final_result}
+            transcript={report.transcript}
+            turns={report.turns}
+            interviewId={report.id}
+            role={report.role}
+            email={report.report_email}
+            onBack={() => { setReport(null); setUpload(null); setFile(null); }}
+            backLabel="Upload another"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history upload">
+      <header className="history-header">
+        <h1>Upload an interview</h1>
+        <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+      </header>
+
+      <p className="muted upload-context">
+        {roleLabel(role)}
+        {participants.candidateName && ` · ${participants.candidateName}`}
+        {participants.interviewerName && ` · interviewed by ${participants.interviewerName}`}
+        {participants.recipients?.length > 0 && ` · report to ${participants.recipients.join(', ')}`}
+      </p>
+
+      <form className="upload-form" onSubmit={handleSubmit}>
+        <input type="file" accept={ACCEPTED_FILES} onChange={(e) => setFile(e.target.files[0] || null)} disabled={sent != null || isActive(upload)} />
+        <button type="submit" className="btn btn-primary" disabled={!file || sent != null || isActive(upload)}>
+          Upload &amp; evaluate
+        </button>
+      </form>
+      <p className="muted upload-hint">
+        Audio or video (e.g. a Zoom recording) is transcribed and then scored against the rubric. An existing transcript — WebVTT, SRT or plain text with “Name: text” lines — is scored directly; speakers named like the interviewer or candidate are labelled as such.
+      </p>
+
+      {sent != null && <p className="muted">Uploading… {Math.round(sent * 100)}%</p>}
+      {upload && (
+        <div className="upload-status">
+          <strong>{upload.filename}</strong> — {statusText(upload)}
+          {isActive(upload) && upload.status === 'transcribing' && (
+            <progress max="1" value={upload.progress || 0} />
+          )}
+        </div>
+      )}
+      {error && <p className="error-msg">{error}</p>}
+
+      {recent.length > 0 && (
+        <section className="block upload-recent">
+          <h3>Recent uploads</h3>
+          <table className="scores-table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Uploaded</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recent.map((u) => (
+                <tr key={u.id} className="history-row" onClick={() => { setError(null); setUpload(u); }}>
+                  <td>{u.filename}</td>
+                  <td>{formatDate(u.created_at)}</td>
+                  <td>{statusText(u)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import { useState, useEffect, useCallback } from 'react';
+import { USER_ROLES } from './auth';
+import './Interview.css';
+import './History.css';
+import './Candidates.css';
+import './Users.css';
+
+const API_BASE = '';
+
+const NEW_USER = { email: '', name: '', role: 'interviewer', password: '' };
+
+async function requestJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+function patchUser(id, changes) {
+  return requestJson(`${API_BASE}/api/users/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes),
+  });
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/** Admin page: add accounts, change roles, disable accounts and set passwords. */
+export default function Users({ currentUser, onBack }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(NEW_USER);
+  const [adding, setAdding] = useState(false);
+  const [passwordFor, setPasswordFor] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+
+  const load = useCallback(() => {
+    requestJson(`${API_BASE}/api/users`)
+      .then((data) => {
+        setUsers(data.users || []);
+        setError(null);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const replaceUser = (user) => setUsers((list) => list.map((u) => (u.id === user.id ? user : u)));
+
+  const change = async (id, changes) => {
+    setError(null);
+    try {
+      replaceUser((await patchUser(id, changes)).user);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const addUser = async (e) => {
+    e.preventDefault();
+    setAdding(true);
+    setError(null);
+    try {
+      const { password, ...fields } = draft;
+      const data = await requestJson(`${API_BASE}/api/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(password ? draft : fields),
+      });
+      setUsers((list) => [...list, data.user].sort((a, b) => a.email.localeCompare(b.email)));
+      setDraft(NEW_USER);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const savePassword = async (id) => {
+    if (await change(id, { password: newPassword })) {
+      setPasswordFor(null);
+      setNewPassword('');
+    }
+  };
+
+  return (
+    <div className="history">
+      <header className="history-header">
+        <h1>Users</h1>
+        <button className="btn btn-secondary" onClick={onBack}>Back to home</button>
+      </header>
+
+      {error && <div className="banner error">{error}</div>}
+
+      <section className="panel">
+        <h2>Add a user</h2>
+        <form className="candidate-form" onSubmit={addUser}>
+          <label>
+            Email
+            <input type="email" required value={draft.email} onChange={(e) => setDraft({ ...draft, email: e.target.value })} />
+          </label>
+          <label>
+            Name
+            <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </label>
+          <label>
+            Role
+            <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+              {USER_ROLES.map((r) => (
+                <option key={r} value={r}>{r}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Password (optional)
+            <input type="password" autoComplete="new-password" value={draft.password} onChange={(e) => setDraft({ ...draft, password: e.target.value })} />
+          </label>
+          <div className="users-add">
+            <button type="submit" className="btn btn-primary" disabled={adding}>
+              {adding ? 'Adding…' : 'Add user'}
+            </button>
+            <span className="muted">Without a password the user signs in with single sign-on only.</span>
+          </div>
+        </form>
+      </section>
+
+      {loading ? (
+        <p className="muted">Loading users…</p>
+      ) : (
+        <table className="scores-table users-table">
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Sign-in</th>
+              <th>Last signed in</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((u) => {
+              const self = u.id === currentUser.id;
+              return (
+                <tr key={u.id} className={u.disabled ? 'user-disabled' : ''}>
+                  <td>{u.email}</td>
+                  <td>{u.name || '—'}</td>
+                  <td>
+                    <select value={u.role} disabled={self} onChange={(e) => change(u.id, { role: e.target.value })}>
+                      {USER_ROLES.map((r) => (
+                        <option key={r} value={r}>{r}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>{[u.has_password && 'password', u.sso && 'SSO'].filter(Boolean).join(', ') || '—'}</td>
+                  <td>{formatDate(u.last_login_at)}</td>
+                  <td className="users-actions">
+                    {passwordFor === u.id ? (
+                      <>
+                        <input
+                          type="password"
+                          autoComplete="new-password"
+                          placeholder="New password"
+                          value={newPassword}
+                          onChange={(e) => setNewPassword(e.target.value)}
+                        />
+                        <button type="button" className="btn btn-primary" onClick={() => savePassword(u.id)}>Save</button>
+                        <button type="button" className="btn btn-secondary" onClick={() => setPasswordFor(null)}>Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button type="button" className="link-button" onClick={() => { setPasswordFor(u.id); setNewPassword(''); }}>
+                          Set password
+                        </button>
+                        {!self && (
+                          <button type="button" className="link-button" onClick={() => change(u.id, { disabled: !u.disabled })}>
+                            {u.disabled ? 'Enable' : 'Disable'}
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+/**
+ * Signed-in user helpers. The session lives in an httpOnly cookie the browser sends with every
+ * same-origin request (and the /api/stt socket), so other API calls need nothing extra.
+ * Roles, lowest first: interviewer, recruiter, admin — each can do what the ones before it can.
+ */
+
+export const USER_ROLES = ['interviewer', 'recruiter', 'admin'];
+
+/** True when the user's role is at least `role`. */
+export function hasRole(user, role) {
+  return Boolean(user) && USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+}
+
+async function requestJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || `Request failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+/** The signed-in user, or null when signed out. */
+export async function fetchCurrentUser() {
+  try {
+    return (await requestJson('/api/auth/me')).user;
+  } catch (err) {
+    if (err.status === 401) return null;
+    throw err;
+  }
+}
+
+/** { oidc: { name } | null } — whether the server offers single sign-on. */
+export function fetchAuthConfig() {
+  return requestJson('/api/auth/config');
+}
+
+export async function signIn(email, password) {
+  const data = await requestJson('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+  return data.user;
+}
+
+export function signOut() {
+  return requestJson('/api/auth/logout', { method: 'POST' });
+}
+
+/** Where the single sign-on button goes; `next` is the app path to come back to. */
+export function ssoLoginUrl(next = '/') {
+  return `/api/auth/oidc/login?next=${encodeURIComponent(next)}`;
+}
@@ -0,0 +1,27 @@
+/**
+ * Structured transcript turns: { id, speaker, text, start_ms, end_ms, end_of_turn, confidence, words }.
+ * Times are milliseconds from the start of the recording; words are { text, start_ms, end_ms, confidence }.
+ * Records saved before turns were structured hold plain strings, so helpers accept both.
+ */
+
+/** "12:40" (or "1:02:05" past the hour) for a time offset in ms, '' when unknown. */
+export function formatTimestamp(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) return '';
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+}
+
+/** One transcript line: "[12:40] Candidate: text". Legacy string turns are returned as-is. */
+export function turnLine(turn) {
+  if (typeof turn === 'string') return turn;
+  const time = formatTimestamp(turn?.start_ms);
+  return `${time ? `[${time}] ` : ''}${turn?.speaker ? `${turn.speaker}: ` : ''}${turn?.text ?? ''}`;
+}
+
+/** Plain-text transcript (one line per turn) as sent to the evaluator and stored with the interview. */
+export function transcriptFromTurns(turns) {
+  return (turns || []).map(turnLine).join('\n');
+}
@@ -1,4 +1,5 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { turnLine } from './turns';
 
 const SAMPLE_RATE = 16000;
 const CHUNK_MS = 100;
@@ -11,71 +12,72 @@ function mergeBuffers(a, b) {
   return out;
 }
 
+/**
+ * Our server's transcription socket (see server/sttRelay.js); it forwards audio to the configured
+ * STT provider and, when recording is enabled, records it on the interview.
+ */
+function sttEndpoint({ interviewId, channel, speaker }) {
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  const params = new URLSearchParams({ sample_rate: String(SAMPLE_RATE), channel: String(channel) });
+  if (interviewId) params.set('interview_id', interviewId);
+  if (speaker) params.set('speaker', speaker);
+  return `${protocol}://${window.location.host}/api/stt?${params.toString()}`;
+}
+
+/** Mean word confidence rounded to 3 places, or null when AssemblyAI sent no words. */
+function meanConfidence(words) {
+  const scored = words.filter((w) => typeof w.confidence === 'number');
+  if (!scored.length) return null;
+  return Math.round((scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length) * 1000) / 1000;
+}
+
+/**
+ * Live transcription: PCM from the audio worklet is streamed to our server, which runs the
+ * configured speech-to-text provider (AssemblyAI, or a local engine). In `both` mode the microphone (interviewer) and the
+ * shared meeting tab (candidate) are transcribed as two separate streaming sessions, so every turn
+ * knows its speaker; `tab` alone is treated as the candidate and `mic` alone is unlabeled. Turns from
+ * both sessions are merged in order of when they started.
+ *
+ * `turns` are structured (see turns.js) with times in ms from the start of the recording; `transcript`
+ * is the same turns as "[mm:ss] Speaker: text" lines.
+ */
 export function useStreamingTranscription(options = {}) {
   const { onTurn, onError } = options;
   const [transcript, setTranscript] = useState('');
   const [turns, setTurns] = useState([]);
+  /** Leading turns that have ended (speaker finished); the last turn may still be changing. */
+  const [completedTurnCount, setCompletedTurnCount] = useState(0);
   const [isConnected, setIsConnected] = useState(false);
   const [isStarting, setIsStarting] = useState(false);
   const [error, setError] = useState(null);
-  const wsRef = useRef(null);
+  /** One entry per streaming session: { ws, worklet, source }. */
+  const channelsRef = useRef([]);
   const streamRef = useRef(null);
   const streamsRef = useRef([]);
   const audioContextRef = useRef(null);
-  const workletRef = useRef(null);
-  const sourceRef = useRef(null);
-  const queueRef = useRef(new Int16Array(0));
+  /** Turns from all sessions keyed by `${channel}:${turn_order}`, plus `ended` once the formatted text arrived. */
   const turnsMapRef = useRef({});
 
   const stop = useCallback(() => {
-    if (wsRef.current) {
+    channelsRef.current.forEach(({ ws }) => {
       try {
-        wsRef.current.send(JSON.stringify({ type: 'Terminate' }));
-        wsRef.current.close();
+        ws.send(JSON.stringify({ type: 'Terminate' }));
+        ws.close();
       } catch (_) {}
-      wsRef.current = null;
-    }
+    });
+    channelsRef.current = [];
     streamRef.current?.getTracks?.().forEach((t) => t.stop());
     streamRef.current = null;
     streamsRef.current.forEach((s) => s?.getTracks?.().forEach((t) => t.stop()));
     streamsRef.current = [];
     audioContextRef.current?.close?.();
     audioContextRef.current = null;
-    workletRef.current = null;
-    sourceRef.current = null;
-    queueRef.current = new Int16Array(0);
     setIsConnected(false);
   }, []);
 
-  const start = useCallback(async (audioSource = 'mic') => {
+  const start = useCallback(async (audioSource = 'mic', { interviewId } = {}) => {
     setError(null);
     setIsStarting(true);
-    let data;
-    try {
-      const tokenRes = await fetch('/api/token');
-      const text = await tokenRes.text();
-      try {
-        data = JSON.parse(text);
-      } catch (_) {
-        setError(tokenRes.ok ? 'Invalid response from server' : `Recording setup failed (${tokenRes.status}). Check that the server is running and ASSEMBLYAI_API_KEY is set in server .env.`);
-        onError?.('Token request failed');
-        setIsStarting(false);
-        return;
-      }
-      if (!tokenRes.ok || !data.token) {
-        const err = data?.error || (tokenRes.status === 401 ? 'AssemblyAI API key missing or invalid. Add ASSEMBLYAI_API_KEY to server .env.' : `Failed to get recording token (${tokenRes.status}).`);
-        setError(err);
-        onError?.(err);
-        setIsStarting(false);
-        return;
-      }
-    } catch (e) {
-      const err = e.message || 'Could not reach server. Is the backend running?';
-      setError(err);
-      onError?.(err);
-      setIsStarting(false);
-      return;
-    }
 
     const streamsToStop = [];
     let stream;
@@ -191,83 +193,121 @@ export function useStreamingTranscription(options = {}) {
       setIsStarting(false);
       return;
     }
-    const worklet = new AudioWorkletNode(audioContext, 'audio-processor');
-    workletRef.current = worklet;
+    const inputs =
+      audioSource === 'both'
+        ? [{ stream: micStream, speaker: 'Interviewer' }, { stream: tabStream, speaker: 'Candidate' }]
+        : [{ stream, speaker: audioSource === 'tab' ? 'Candidate' : null }];
 
-    if (audioSource === 'both') {
-      const sourceTab = audioContext.createMediaStreamSource(tabStream);
-      const sourceMic = audioContext.createMediaStreamSource(micStream);
-      const gainTab = audioContext.createGain();
-      const gainMic = audioContext.createGain();
-      gainTab.gain.value = 0.8;
-      gainMic.gain.value = 0.8;
-      sourceTab.connect(gainTab);
-      sourceMic.connect(gainMic);
-      gainTab.connect(worklet);
-      gainMic.connect(worklet);
-      sourceRef.current = [sourceTab, sourceMic];
-    } else {
-      const source = audioContext.createMediaStreamSource(stream);
-      sourceRef.current = source;
-      source.connect(worklet);
-    }
-    worklet.connect(audioContext.destination);
+    turnsMapRef.current = {};
+    setTurns([]);
+    setTranscript('');
+    setCompletedTurnCount(0);
 
-    const endpoint = `wss://streaming.assemblyai.com/v3/ws?sample_rate=${SAMPLE_RATE}&formatted_finals=true&token=${data.token}`;
-    const ws = new WebSocket(endpoint);
-    wsRef.current = ws;
+    // Every session's word timings are placed on one clock that starts here.
+    const recordingStart = performance.now();
 
-    ws.onopen = () => {
-      setIsConnected(true);
-      setIsStarting(false);
-      queueRef.current = new Int16Array(0);
-      turnsMapRef.current = {};
+    const publishTurns = () => {
+      const ordered = Object.values(turnsMapRef.current).sort((a, b) => a.start_ms - b.start_ms);
+      const structured = ordered.map(({ ended, ...turn }) => turn);
+      const full = structured.map(turnLine).join('\n');
+      let completed = 0;
+      while (completed < ordered.length && ordered[completed].ended) completed++;
+      setTurns(structured);
+      setTranscript(full);
+      setCompletedTurnCount(completed);
+      onTurn?.(full, structured);
     };
 
-    worklet.port.onmessage = (event) => {
-      const chunk = new Int16Array(event.data.audio_data);
-      queueRef.current = mergeBuffers(queueRef.current, chunk);
-      const durationMs = (queueRef.current.length / SAMPLE_RATE) * 1000;
-      if (durationMs >= CHUNK_MS && ws.readyState === WebSocket.OPEN) {
-        const toSend = Math.floor(SAMPLE_RATE * 0.1);
-        const slice = queueRef.current.subarray(0, toSend);
-        ws.send(new Uint8Array(slice.buffer));
-        queueRef.current = queueRef.current.subarray(toSend);
-      }
-    };
+    let openCount = 0;
+    channelsRef.current = inputs.map(({ stream: input, speaker }, channel) => {
+      const source = audioContext.createMediaStreamSource(input);
+      const worklet = new AudioWorkletNode(audioContext, 'audio-processor');
+      source.connect(worklet);
+      worklet.connect(audioContext.destination);
 
-    ws.onmessage = (event) => {
-      try {
-        const msg = JSON.parse(event.data);
-        if (msg.type === 'Turn') {
-          const { turn_order, transcript: turnText } = msg;
-          turnsMapRef.current[turn_order] = turnText;
-          const ordered = Object.keys(turnsMapRef.current)
-            .sort((a, b) => Number(a) - Number(b))
-            .map((k) => turnsMapRef.current[k]);
-          const full = ordered.join(' ');
-          setTurns(ordered);
-          setTranscript(full);
-          onTurn?.(full, ordered);
+      const ws = new WebSocket(sttEndpoint({ interviewId, channel, speaker }));
+      let queue = new Int16Array(0);
+      let openedAt = 0;
+
+      ws.onopen = () => {
+        openedAt = performance.now();
+        openCount++;
+        queue = new Int16Array(0);
+        setIsConnected(true);
+        setIsStarting(false);
+      };
+
+      worklet.port.onmessage = (event) => {
+        const chunk = new Int16Array(event.data.audio_data);
+        queue = mergeBuffers(queue, chunk);
+        const durationMs = (queue.length / SAMPLE_RATE) * 1000;
+        if (durationMs >= CHUNK_MS && ws.readyState === WebSocket.OPEN) {
+          const toSend = Math.floor(SAMPLE_RATE * 0.1);
+          const slice = queue.subarray(0, toSend);
+          ws.send(new Uint8Array(slice.buffer.slice(slice.byteOffset, slice.byteOffset + slice.byteLength)));
+          queue = queue.subarray(toSend);
         }
-      } catch (_) {}
-    };
+      };
 
-    ws.onerror = () => {
-      setError('WebSocket error. Check ASSEMBLYAI_API_KEY in server .env.');
-      onError?.('WebSocket error');
-      setIsStarting(false);
-    };
+      ws.onmessage = (event) => {
+        try {
+          const msg = JSON.parse(event.data);
+          if (msg.type === 'Error') {
+            setError(msg.error);
+            onError?.(msg.error);
+            setIsStarting(false);
+            return;
+          }
+          if (msg.type === 'Turn') {
+            const { turn_order, transcript: turnText, end_of_turn, turn_is_formatted } = msg;
+            const key = `${channel}:${turn_order}`;
+            const existing = turnsMapRef.current[key];
+            // Word timings are relative to the session's audio, which started when its socket opened.
+            const offset = openedAt - recordingStart;
+            const words = (msg.words || []).map((w) => ({
+              text: w.text,
+              start_ms: Math.round(offset + w.start),
+              end_ms: Math.round(offset + w.end),
+              confidence: typeof w.confidence === 'number' ? w.confidence : null,
+            }));
+            const now = Math.round(performance.now() - recordingStart);
+            // With formatted_finals the formatted text arrives after end_of_turn; wait for it.
+            const ended = !!existing?.ended || (!!end_of_turn && turn_is_formatted !== false);
+            turnsMapRef.current[key] = {
+              id: `${channel}-${turn_order}`,
+              speaker,
+              text: turnText,
+              start_ms: words.length ? words[0].start_ms : (existing?.start_ms ?? now),
+              end_ms: words.length ? words[words.length - 1].end_ms : now,
+              end_of_turn: ended,
+              confidence: meanConfidence(words),
+              words,
+              ended,
+            };
+            publishTurns();
+          }
+        } catch (_) {}
+      };
 
-    ws.onclose = () => {
-      setIsConnected(false);
-      setIsStarting(false);
-    };
-  }, [onTurn, onError]);
+      ws.onerror = () => {
+        setError('Lost connection to the transcription server. Is the backend running?');
+        onError?.('WebSocket error');
+        setIsStarting(false);
+      };
+
+      ws.onclose = () => {
+        if (openedAt) openCount--;
+        if (openCount <= 0) setIsConnected(false);
+        setIsStarting(false);
+      };
+
+      return { ws, worklet, source };
+    });
+  }, [onTurn, onError, stop]);
 
   useEffect(() => {
     return () => stop();
   }, [stop]);
 
-  return { transcript, turns, isConnected, isStarting, error, start, stop };
+  return { transcript, turns, completedTurnCount, isConnected, isStarting, error, start, stop };
 }
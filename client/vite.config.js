@@ -12,6 +12,7 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:4000',
         changeOrigin: true,
+        ws: true, // live transcription socket at /api/stt
       },
     },
   },
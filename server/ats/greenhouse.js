@@ -0,0 +1,80 @@
+import { atsFetch, apiKeyAuth } from './http.js';
+
+/**
+ * Greenhouse through its Harvest API (https://harvest.greenhouse.io/v1), signed in with a Harvest
+ * API key; writes are made on behalf of the Greenhouse user `userId` (On-Behalf-Of). Harvest can
+ * read scorecards but not create them, so the scorecard — mapped attribute names with Greenhouse's
+ * ratings and overall recommendation — goes in as a note on the candidate's activity feed, and the
+ * transcript as an attachment on the candidate.
+ */
+export function createGreenhouseAts({ baseUrl, apiKey, userId }) {
+  if (!apiKey) console.error('ATS_PROVIDER=greenhouse but ATS_API_KEY is not set');
+  if (!userId) console.error('ATS_PROVIDER=greenhouse but ATS_USER_ID (the Greenhouse user notes are added as) is not set');
+  const base = (baseUrl || 'https://harvest.greenhouse.io/v1').replace(/\/$/, '');
+
+  function call(path, { write = false, ...options } = {}) {
+    const headers = { Authorization: apiKeyAuth(apiKey) };
+    if (write) headers['On-Behalf-Of'] = String(userId);
+    return atsFetch('Greenhouse', `${base}${path}`, { ...options, headers });
+  }
+
+  function toCandidate(c) {
+    return {
+      id: String(c.id),
+      name: [c.first_name, c.last_name].filter(Boolean).join(' ') || null,
+      emails: (c.email_addresses || []).map((e) => e.value).filter(Boolean),
+      url: `https://app.greenhouse.io/people/${c.id}`,
+      applications: (c.applications || []).map((a) => ({
+        id: String(a.id),
+        job: a.jobs?.[0]?.name || (a.prospect ? 'Prospect' : null),
+        stage: a.current_stage?.name || null,
+        status: a.status || null,
+      })),
+    };
+  }
+
+  return {
+    name: 'greenhouse',
+    label: 'Greenhouse',
+    /** Greenhouse's scorecard ratings, lowest first. */
+    ratings: [
+      { value: 'definitely_not', label: 'Definitely Not' },
+      { value: 'no', label: 'No' },
+      { value: 'mixed', label: 'Mixed' },
+      { value: 'yes', label: 'Yes' },
+      { value: 'strong_yes', label: 'Strong Yes' },
+    ],
+    recommendations: { 'Strong Hire': 'strong_yes', 'Hire with caveats': 'yes', 'No Hire': 'no' },
+
+    async findCandidates({ email }) {
+      const list = await call(`/candidates?email=${encodeURIComponent(email)}`);
+      return (list || []).map(toCandidate);
+    },
+
+    async getCandidate(id) {
+      return toCandidate(await call(`/candidates/${encodeURIComponent(id)}`));
+    },
+
+    /** Harvest has no endpoint to create scorecards; the note carries it instead. */
+    createScorecard: null,
+
+    async addNote(link, text) {
+      const note = await call(`/candidates/${encodeURIComponent(link.candidate_id)}/activity_feed/notes`, {
+        method: 'POST',
+        write: true,
+        json: { user_id: Number(userId) || userId, body: text, visibility: 'public' },
+      });
+      return String(note.id);
+    },
+
+    async attachFile(link, { filename, content, type }) {
+      const attachment = await call(`/candidates/${encodeURIComponent(link.candidate_id)}/attachments`, {
+        method: 'POST',
+        write: true,
+        json: { filename, type: 'other', content: content.toString('base64'), content_type: type },
+      });
+      // Harvest answers with the stored file's URL rather than an id.
+      return attachment.url || filename;
+    },
+  };
+}
@@ -0,0 +1,44 @@
+const TIMEOUT_MS = 20000;
+
+function reasonOf(data, text) {
+  if (Array.isArray(data?.errors) && data.errors.length) return data.errors.map((e) => e?.message || e).join('; ');
+  return data?.message || data?.error || text.slice(0, 200);
+}
+
+/**
+ * One request to an ATS API, resolving to the parsed JSON reply. `json` is sent as a JSON body,
+ * `body` (e.g. FormData) as is. Errors carry the HTTP `status` (and `retryAfter` in seconds) so the
+ * job queue retries rate limits and outages; a request that times out fails with status 504.
+ */
+export async function atsFetch(label, url, { method = 'GET', headers = {}, json, body } = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: json !== undefined ? { ...headers, 'Content-Type': 'application/json' } : headers,
+      body: json !== undefined ? JSON.stringify(json) : body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw Object.assign(new Error(`${label} did not answer within ${TIMEOUT_MS / 1000}s`), { status: 504 });
+    throw err;
+  }
+  const text = await res.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (_) {}
+  if (!res.ok) {
+    const error = new Error(`${label}: ${reasonOf(data, text) || res.statusText} (HTTP ${res.status})`);
+    error.status = res.status;
+    const retryAfter = Number(res.headers.get('retry-after'));
+    if (retryAfter > 0) error.retryAfter = retryAfter;
+    throw error;
+  }
+  return data;
+}
+
+/** HTTP Basic credentials for an API key used as the username with no password (Greenhouse, Lever). */
+export function apiKeyAuth(apiKey) {
+  return `Basic ${Buffer.from(`${apiKey}:`).toString('base64')}`;
+}
@@ -0,0 +1,178 @@
+import { createGreenhouseAts } from './greenhouse.js';
+import { createLeverAts } from './lever.js';
+import { createMockAtsRouter } from './mockServer.js';
+import { buildScorecard, scorecardNoteText, transcriptAttachment } from './scorecard.js';
+
+/**
+ * Applicant tracking system that finished reports are sent to, chosen with ATS_PROVIDER:
+ *   - greenhouse: Greenhouse Harvest API
+ *   - lever: Lever API
+ * Both sign in with ATS_API_KEY and write as the ATS user ATS_USER_ID. ATS_BASE_URL overrides the
+ * API address; ATS_BASE_URL=mock points it at the in-process stand-in (mockServer.js) for tests.
+ * Without ATS_PROVIDER the connector is off.
+ *
+ * A provider is { name, label, ratings: [{ value, label }] lowest first, recommendations (hire
+ * recommendation → rating value), findCandidates({ email }), getCandidate(id), createScorecard(link,
+ * scorecard) → id | null (itself null where the ATS cannot create scorecards), addNote(link, text) → id,
+ * attachFile(link, { filename, content, type }) → id }. Candidates come back as { id, name, emails,
+ * url, applications: [{ id, job, stage, status }] }. Errors carry the HTTP `status` (and
+ * `retryAfter`) so the job queue can retry rate limits and outages.
+ */
+const PROVIDERS = {
+  greenhouse: (config) => createGreenhouseAts(config),
+  lever: (config) => createLeverAts(config),
+};
+
+/** Where the stand-in ATS (mockServer.js) is mounted when ATS_BASE_URL=mock. */
+export const MOCK_ATS_PATH = '/api/ats/mock';
+
+let provider;
+
+function atsError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/** Connection settings from the environment; the stand-in gets a fixed key and user when none is set. */
+function atsConfig(name) {
+  const mock = atsMock();
+  return {
+    baseUrl: mock ? `http://localhost:${process.env.PORT || 8080}${MOCK_ATS_PATH}/${name}/v1` : process.env.ATS_BASE_URL,
+    apiKey: process.env.ATS_API_KEY || (mock ? 'mock-key' : ''),
+    userId: process.env.ATS_USER_ID || (mock ? '1001' : ''),
+  };
+}
+
+function getProvider() {
+  if (provider !== undefined) return provider;
+  const name = process.env.ATS_PROVIDER?.toLowerCase() || null;
+  const factory = name && PROVIDERS[name];
+  if (name && !factory) {
+    throw new Error(`Unknown ATS_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  provider = factory ? factory(atsConfig(name)) : null;
+  return provider;
+}
+
+function requireProvider() {
+  const p = getProvider();
+  if (!p) throw atsError('No applicant tracking system is configured (set ATS_PROVIDER)', 503);
+  return p;
+}
+
+/** Whether the stand-in ATS is in use (ATS_BASE_URL=mock). */
+export function atsMock() {
+  return process.env.ATS_BASE_URL === 'mock';
+}
+
+/** The stand-in ATS router to mount at MOCK_ATS_PATH, accepting the configured key. */
+export function mockAtsRouter() {
+  return createMockAtsRouter({ apiKey: atsConfig(process.env.ATS_PROVIDER?.toLowerCase()).apiKey });
+}
+
+/** { enabled, provider, label, auto_submit } for the client. */
+export function atsStatus() {
+  const p = getProvider();
+  return { enabled: !!p, provider: p?.name || null, label: p?.label || null, auto_submit: atsAutoSubmit() };
+}
+
+/** Whether finished reports go to the ATS on their own (ATS_AUTO_SUBMIT=true), for linked candidates. */
+export function atsAutoSubmit() {
+  return !!getProvider() && process.env.ATS_AUTO_SUBMIT === 'true';
+}
+
+/** ATS candidates with this email address. */
+export function findAtsCandidates(email) {
+  return requireProvider().findCandidates({ email });
+}
+
+/**
+ * Read the ATS candidate `candidateId` and describe the link stored on our candidate: the ATS
+ * candidate and one of their applications (`applicationId`, else the only or first active one),
+ * with the job, stage and status pulled from it.
+ */
+export async function atsLinkFor(candidateId, applicationId) {
+  const p = requireProvider();
+  const record = await p.getCandidate(candidateId);
+  const applications = record.applications || [];
+  const application = applicationId
+    ? applications.find((a) => a.id === String(applicationId))
+    : applications.find((a) => a.status === 'active') || applications[0];
+  if (applicationId && !application) {
+    throw atsError(`${p.label} candidate ${record.id} has no application ${applicationId}`, 400);
+  }
+  return {
+    provider: p.name,
+    candidate_id: record.id,
+    application_id: application?.id || null,
+    name: record.name,
+    emails: record.emails,
+    job: application?.job || null,
+    stage: application?.stage || null,
+    status: application?.status || null,
+    applications,
+    url: record.url,
+    synced_at: new Date().toISOString(),
+  };
+}
+
+function checkLink(p, link) {
+  if (!link) throw atsError('The candidate is not linked to an ATS record', 409);
+  if (link.provider !== p.name) {
+    throw atsError(`The candidate is linked to a ${link.provider} record, but the ATS is now ${p.label}. Link them again.`, 409);
+  }
+}
+
+/** The scorecard that would be sent for this interview, with the note text, without sending anything. */
+export function previewScorecard(interview) {
+  const scorecard = buildScorecard(interview, requireProvider());
+  return { ...scorecard, note: scorecardNoteText(scorecard) };
+}
+
+/**
+ * Send an interview's scorecard, notes and transcript to the linked ATS record. Each step's id is
+ * passed to `onProgress` as it completes, and steps already in `previous` (an earlier attempt for the
+ * same record) are skipped, so a retry does not post the note twice. Resolves to the outcome:
+ * { submitted, provider, candidate_id, application_id, scorecard_id, note_id, attachment_id, url,
+ * warnings, error, at }.
+ */
+export async function submitScorecard(link, interview, { previous = null, onProgress = () => {} } = {}) {
+  const p = requireProvider();
+  checkLink(p, link);
+  const scorecard = buildScorecard(interview, p);
+  const resume = previous?.provider === p.name && previous?.candidate_id === link.candidate_id ? previous : {};
+  const outcome = {
+    submitted: false,
+    provider: p.name,
+    candidate_id: link.candidate_id,
+    application_id: link.application_id,
+    scorecard_id: resume.scorecard_id || null,
+    note_id: resume.note_id || null,
+    attachment_id: resume.attachment_id || null,
+    url: link.url,
+    warnings: [],
+    error: null,
+    at: new Date().toISOString(),
+  };
+  if (p.createScorecard && !outcome.scorecard_id) {
+    outcome.scorecard_id = await p.createScorecard(link, scorecard);
+    if (!outcome.scorecard_id) {
+      outcome.warnings.push(`No ${p.label} feedback template is mapped for ${scorecard.role}; the ratings are in the note only`);
+    }
+    onProgress({ ...outcome });
+  }
+  if (!outcome.note_id) {
+    outcome.note_id = await p.addNote(link, scorecardNoteText(scorecard));
+    onProgress({ ...outcome });
+  }
+  if (!outcome.attachment_id && interview.transcript?.trim()) {
+    outcome.attachment_id = await p.attachFile(link, transcriptAttachment(interview, scorecard));
+  }
+  return { ...outcome, submitted: true, at: new Date().toISOString() };
+}
+
+/** One line for the startup log. */
+export function describeAts() {
+  const p = getProvider();
+  if (!p) return 'ATS: off';
+  return `ATS: ${p.name}${atsMock() ? ' (mock)' : ''}${atsAutoSubmit() ? ', reports sent automatically' : ''}`;
+}
@@ -0,0 +1,110 @@
+import { atsFetch, apiKeyAuth } from './http.js';
+
+/**
+ * Lever through its API (https://api.lever.co/v1), signed in with an API key; writes are made as the
+ * Lever user `userId` (perform_as). Candidates are Lever opportunities. The scorecard is submitted as
+ * feedback on the role's mapped feedback template (see mapping.js), and the notes and the transcript
+ * are added to the opportunity as a note and a file.
+ */
+export function createLeverAts({ baseUrl, apiKey, userId }) {
+  if (!apiKey) console.error('ATS_PROVIDER=lever but ATS_API_KEY is not set');
+  if (!userId) console.error('ATS_PROVIDER=lever but ATS_USER_ID (the Lever user feedback is added as) is not set');
+  const base = (baseUrl || 'https://api.lever.co/v1').replace(/\/$/, '');
+  const postingTitles = new Map();
+
+  function call(path, { write = false, ...options } = {}) {
+    const url = new URL(`${base}${path}`);
+    if (write) url.searchParams.set('perform_as', userId);
+    return atsFetch('Lever', url.toString(), { ...options, headers: { Authorization: apiKeyAuth(apiKey) } });
+  }
+
+  async function postingTitle(id) {
+    if (!id) return null;
+    if (!postingTitles.has(id)) {
+      try {
+        postingTitles.set(id, (await call(`/postings/${encodeURIComponent(id)}`)).data?.text || null);
+      } catch (err) {
+        // A closed or deleted posting still leaves the application worth linking.
+        if (err.status !== 404) throw err;
+        postingTitles.set(id, null);
+      }
+    }
+    return postingTitles.get(id);
+  }
+
+  async function toCandidate(o) {
+    const applications = (o.applications || []).filter((a) => a && typeof a === 'object');
+    return {
+      id: o.id,
+      name: o.name || null,
+      emails: o.emails || [],
+      url: o.urls?.show || null,
+      applications: await Promise.all(
+        applications.map(async (a) => ({
+          id: a.id,
+          job: (await postingTitle(a.posting)) || (a.type === 'referral' ? 'Referral' : null),
+          // Lever keeps the stage on the opportunity, not on each application.
+          stage: o.stage?.text || null,
+          status: o.archived ? 'archived' : 'active',
+        }))
+      ),
+    };
+  }
+
+  return {
+    name: 'lever',
+    label: 'Lever',
+    /** Lever's feedback scores, lowest first. */
+    ratings: [
+      { value: 1, label: 'Strong No' },
+      { value: 2, label: 'No' },
+      { value: 3, label: 'Yes' },
+      { value: 4, label: 'Strong Yes' },
+    ],
+    recommendations: { 'Strong Hire': 4, 'Hire with caveats': 3, 'No Hire': 2 },
+
+    async findCandidates({ email }) {
+      const { data } = await call(`/opportunities?email=${encodeURIComponent(email)}&expand=applications&expand=stage`);
+      return Promise.all((data || []).map(toCandidate));
+    },
+
+    async getCandidate(id) {
+      const { data } = await call(`/opportunities/${encodeURIComponent(id)}?expand=applications&expand=stage`);
+      return toCandidate(data);
+    },
+
+    /**
+     * Feedback on the role's template: each mapped attribute's score, the overall recommendation and
+     * the notes in their mapped fields. Null when the role has no template mapped.
+     */
+    async createScorecard(link, scorecard) {
+      const { template_id: templateId, recommendation_field: recommendationField, notes_field: notesField } = scorecard.mapping;
+      if (!templateId) return null;
+      const fieldValues = scorecard.attributes.filter((a) => a.attribute && a.rating).map((a) => ({ id: a.attribute, value: a.rating.value }));
+      if (recommendationField && scorecard.recommendation) fieldValues.push({ id: recommendationField, value: scorecard.recommendation.value });
+      if (notesField) fieldValues.push({ id: notesField, value: scorecard.notes });
+      const { data } = await call(`/opportunities/${encodeURIComponent(link.candidate_id)}/feedback`, {
+        method: 'POST',
+        write: true,
+        json: { baseTemplateId: templateId, fieldValues, completedAt: Date.parse(scorecard.completed_at) || Date.now() },
+      });
+      return data.id;
+    },
+
+    async addNote(link, text) {
+      const { data } = await call(`/opportunities/${encodeURIComponent(link.candidate_id)}/notes`, {
+        method: 'POST',
+        write: true,
+        json: { value: text },
+      });
+      return data.noteId || data.id;
+    },
+
+    async attachFile(link, { filename, content, type }) {
+      const form = new FormData();
+      form.append('file', new Blob([content], { type }), filename);
+      const { data } = await call(`/opportunities/${encodeURIComponent(link.candidate_id)}/files`, { method: 'POST', write: true, body: form });
+      return data.id;
+    },
+  };
+}
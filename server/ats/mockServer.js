@@ -0,0 +1,170 @@
+import express from 'express';
+import { randomBytes } from 'crypto';
+
+/** Applicants both stand-ins start with: one open application and one older rejected one each. */
+const SEED = [
+  { name: 'Jordan Lee', email: 'jordan.lee@example.com', job: 'VP of Sales', stage: 'Executive Interview', earlier: 'Account Executive' },
+  { name: 'Priya Shah', email: 'priya.shah@example.com', job: 'VP of Talent Acquisition', stage: 'Panel Interview', earlier: null },
+];
+
+function mockId() {
+  return randomBytes(6).toString('hex');
+}
+
+function requireApiKey(apiKey) {
+  return (req, res, next) => {
+    const [scheme, value] = (req.headers.authorization || '').split(' ');
+    const key = scheme === 'Basic' && value ? Buffer.from(value, 'base64').toString().split(':')[0] : '';
+    if (key !== apiKey) return res.status(401).json({ message: 'Invalid Basic Auth credentials' });
+    next();
+  };
+}
+
+/** Greenhouse Harvest v1: candidates with applications, activity-feed notes and attachments. */
+function greenhouseRouter(apiKey) {
+  const router = express.Router();
+  let nextId = 4001;
+  const candidates = SEED.map((s) => {
+    const [first, ...last] = s.name.split(' ');
+    const id = nextId++;
+    const applications = [{ id: nextId++, status: 'active', prospect: false, jobs: [{ id: nextId++, name: s.job }], current_stage: { id: nextId++, name: s.stage } }];
+    if (s.earlier) applications.push({ id: nextId++, status: 'rejected', prospect: false, jobs: [{ id: nextId++, name: s.earlier }], current_stage: null });
+    return { id, first_name: first, last_name: last.join(' '), email_addresses: [{ value: s.email, type: 'work' }], applications, attachments: [], notes: [] };
+  });
+  const view = ({ notes, ...c }) => c;
+
+  router.use(requireApiKey(apiKey));
+  router.use(express.json({ limit: '10mb' }));
+  router.param('id', (req, res, next, id) => {
+    req.candidate = candidates.find((c) => String(c.id) === id);
+    if (!req.candidate) return res.status(404).json({ message: 'Resource not found' });
+    next();
+  });
+  const onBehalfOf = (req, res, next) => {
+    if (!req.headers['on-behalf-of']) return res.status(403).json({ message: 'On-Behalf-Of header is required' });
+    next();
+  };
+
+  router.get('/v1/candidates', (req, res) => {
+    const email = String(req.query.email || '').toLowerCase();
+    res.json(candidates.filter((c) => !email || c.email_addresses.some((e) => e.value.toLowerCase() === email)).map(view));
+  });
+  router.get('/v1/candidates/:id', (req, res) => res.json(view(req.candidate)));
+  router.get('/v1/candidates/:id/activity_feed', (req, res) => res.json({ notes: req.candidate.notes, emails: [], activities: [] }));
+  router.post('/v1/candidates/:id/activity_feed/notes', onBehalfOf, (req, res) => {
+    const { body, visibility } = req.body || {};
+    if (!body || !['admin_only', 'private', 'public'].includes(visibility)) {
+      return res.status(422).json({ errors: [{ message: 'body and visibility (admin_only, private or public) are required' }] });
+    }
+    const note = { id: nextId++, created_at: new Date().toISOString(), body, user: { id: Number(req.headers['on-behalf-of']) }, private: visibility !== 'public', visibility };
+    req.candidate.notes.push(note);
+    res.status(201).json(note);
+  });
+  router.post('/v1/candidates/:id/attachments', onBehalfOf, (req, res) => {
+    const { filename, type, content } = req.body || {};
+    if (!filename || !type || !content) return res.status(422).json({ errors: [{ message: 'filename, type and content are required' }] });
+    const attachment = { filename, type, url: `https://mock-greenhouse.example/attachments/${nextId++}/${encodeURIComponent(filename)}`, created_at: new Date().toISOString(), size: Buffer.from(content, 'base64').length };
+    req.candidate.attachments.push(attachment);
+    res.status(201).json(attachment);
+  });
+  return router;
+}
+
+/** Lever v1: opportunities with applications and stage, postings, feedback, notes and files. */
+function leverRouter(apiKey) {
+  const router = express.Router();
+  const postings = new Map();
+  const opportunities = SEED.map((s) => {
+    const posting = { id: `post-${mockId()}`, text: s.job };
+    postings.set(posting.id, posting);
+    const id = `opp-${mockId()}`;
+    return {
+      id,
+      name: s.name,
+      emails: [s.email],
+      archived: null,
+      stage: { id: `stage-${mockId()}`, text: s.stage },
+      applications: [{ id: `app-${mockId()}`, type: 'posting', posting: posting.id }],
+      urls: { show: `https://hire.lever.co/candidates/${id}` },
+      feedback: [],
+      notes: [],
+      files: [],
+    };
+  });
+  const view = ({ feedback, notes, files, ...o }, expand) => ({
+    ...o,
+    stage: expand.includes('stage') ? o.stage : o.stage.id,
+    applications: expand.includes('applications') ? o.applications : o.applications.map((a) => a.id),
+  });
+  const expandOf = (req) => [].concat(req.query.expand || []);
+
+  router.use(requireApiKey(apiKey));
+  router.use(express.json({ limit: '10mb' }));
+  router.param('id', (req, res, next, id) => {
+    req.opportunity = opportunities.find((o) => o.id === id);
+    if (!req.opportunity) return res.status(404).json({ code: 'ResourceNotFound', message: 'Opportunity not found' });
+    next();
+  });
+  const performAs = (req, res, next) => {
+    if (!req.query.perform_as) return res.status(400).json({ code: 'BadRequestError', message: 'perform_as is required' });
+    next();
+  };
+
+  router.get('/v1/opportunities', (req, res) => {
+    const email = String(req.query.email || '').toLowerCase();
+    const data = opportunities.filter((o) => !email || o.emails.some((e) => e.toLowerCase() === email)).map((o) => view(o, expandOf(req)));
+    res.json({ data, hasNext: false });
+  });
+  router.get('/v1/opportunities/:id', (req, res) => res.json({ data: view(req.opportunity, expandOf(req)) }));
+  router.get('/v1/postings/:posting', (req, res) => {
+    const posting = postings.get(req.params.posting);
+    if (!posting) return res.status(404).json({ code: 'ResourceNotFound', message: 'Posting not found' });
+    res.json({ data: posting });
+  });
+
+  router.get('/v1/opportunities/:id/feedback', (req, res) => res.json({ data: req.opportunity.feedback, hasNext: false }));
+  router.post('/v1/opportunities/:id/feedback', performAs, (req, res) => {
+    const { baseTemplateId, fieldValues } = req.body || {};
+    if (!baseTemplateId || !Array.isArray(fieldValues)) {
+      return res.status(400).json({ code: 'BadRequestError', message: 'baseTemplateId and fieldValues are required' });
+    }
+    const feedback = { id: `fb-${mockId()}`, baseTemplateId, fieldValues, user: req.query.perform_as, completedAt: req.body.completedAt || Date.now(), createdAt: Date.now() };
+    req.opportunity.feedback.push(feedback);
+    res.status(201).json({ data: feedback });
+  });
+
+  router.get('/v1/opportunities/:id/notes', (req, res) => res.json({ data: req.opportunity.notes, hasNext: false }));
+  router.post('/v1/opportunities/:id/notes', performAs, (req, res) => {
+    if (!req.body?.value) return res.status(400).json({ code: 'BadRequestError', message: 'value is required' });
+    const note = { id: `note-${mockId()}`, text: req.body.value, user: req.query.perform_as, createdAt: Date.now() };
+    req.opportunity.notes.push(note);
+    res.status(201).json({ data: { noteId: note.id } });
+  });
+
+  router.get('/v1/opportunities/:id/files', (req, res) => res.json({ data: req.opportunity.files, hasNext: false }));
+  router.post('/v1/opportunities/:id/files', performAs, async (req, res) => {
+    let file;
+    try {
+      file = (await new Response(req, { headers: { 'content-type': req.headers['content-type'] || '' } }).formData()).get('file');
+    } catch (_) {}
+    if (!file || typeof file === 'string') return res.status(400).json({ code: 'BadRequestError', message: 'Send the file as multipart/form-data field "file"' });
+    const stored = { id: `file-${mockId()}`, name: file.name, size: file.size, ext: file.name.split('.').pop(), uploadedAt: Date.now() };
+    req.opportunity.files.push(stored);
+    res.status(201).json({ data: stored });
+  });
+  return router;
+}
+
+/**
+ * Stand-in Greenhouse (`/greenhouse/v1/…`) and Lever (`/lever/v1/…`) APIs for tests and local
+ * development (ATS_BASE_URL=mock), answering the requests greenhouse.js and lever.js make from
+ * records kept in memory, plus the reads that show what was submitted (Greenhouse's activity feed,
+ * Lever's feedback, notes and files). Two applicants are seeded: jordan.lee@example.com and
+ * priya.shah@example.com. Requests need the API key `apiKey` and, for writes, the acting user.
+ */
+export function createMockAtsRouter({ apiKey }) {
+  const router = express.Router();
+  router.use('/greenhouse', greenhouseRouter(apiKey));
+  router.use('/lever', leverRouter(apiKey));
+  return router;
+}
@@ -0,0 +1,113 @@
+import { readFileSync, existsSync } from 'fs';
+import { buildInterviewReportModel } from '../reportTemplate.js';
+
+/**
+ * The scorecard sent to the ATS for a finished interview, mapped with ATS_MAPPING_FILE: a JSON file
+ * keyed by provider, then role id, e.g.
+ *   { "greenhouse": { "vp-sales": { "attributes": { "Pipeline Generation": "Prospecting" } } },
+ *     "lever": { "vp-sales": { "template_id": "…", "recommendation_field": "…", "notes_field": "…",
+ *                              "attributes": { "Pipeline Generation": "<field id>" } } } }
+ * Greenhouse attributes are scorecard attribute names and default to the rubric category's name;
+ * Lever attributes are field ids on the feedback template and have no default. Categories without
+ * an attribute are still listed in the note.
+ */
+
+function mappingError(message) {
+  return Object.assign(new Error(message), { status: 500 });
+}
+
+/** The mapping for one provider and role from ATS_MAPPING_FILE (read on every use, so edits apply at once). */
+function roleMapping(providerName, roleId) {
+  const path = process.env.ATS_MAPPING_FILE;
+  if (!path) return {};
+  if (!existsSync(path)) throw mappingError(`ATS_MAPPING_FILE ${path} does not exist`);
+  let mapping;
+  try {
+    mapping = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw mappingError(`ATS_MAPPING_FILE ${path} is not valid JSON: ${err.message}`);
+  }
+  return mapping?.[providerName]?.[roleId] || {};
+}
+
+/** The provider's rating for a score: its share of the rubric's scale spread over the provider's ratings. */
+function ratingFor(score, { minScore, maxScore }, ratings) {
+  if (score == null || !(maxScore > minScore)) return null;
+  const share = Math.min(1, Math.max(0, (Number(score) - minScore) / (maxScore - minScore)));
+  return ratings[Math.round(share * (ratings.length - 1))];
+}
+
+function bulletList(items) {
+  return items.length ? items.map((item) => `- ${item.text}`).join('\n') : '- None noted';
+}
+
+/**
+ * Provider-neutral scorecard of an interview's final result, with each rubric category's mapped
+ * `attribute` and the provider's `rating`, the overall `recommendation` in the provider's terms and
+ * the `notes` (summary, strengths, weaknesses and red flags) as text.
+ */
+export function buildScorecard(interview, provider) {
+  const model = buildInterviewReportModel(interview);
+  const { attributes: attributeMap = {}, ...mapping } = roleMapping(provider.name, interview.role || 'vp-sales');
+  const defaultAttribute = provider.name === 'greenhouse' ? (name) => name : () => null;
+  const recommendation = provider.recommendations[interview.final_result.hire_recommendation];
+  return {
+    provider: provider.name,
+    role: interview.role || 'vp-sales',
+    role_label: model.roleLabel,
+    candidate_name: model.candidateName,
+    interviewer_name: interview.interviewer_name || null,
+    completed_at: interview.completed_at || interview.created_at,
+    scale: model.scale,
+    mapping,
+    attributes: model.categories.map((c) => ({
+      category: c.name,
+      attribute: attributeMap[c.name] ?? defaultAttribute(c.name),
+      score: c.score,
+      rating: ratingFor(c.score, model, provider.ratings),
+      justification: c.justification,
+    })),
+    hire_recommendation: interview.final_result.hire_recommendation || null,
+    weighted_overall_score: interview.final_result.weighted_overall_score ?? null,
+    recommendation: recommendation != null ? provider.ratings.find((r) => r.value === recommendation) : null,
+    notes: [
+      model.summary || null,
+      `Strengths:\n${bulletList(model.strengths)}`,
+      `Weaknesses:\n${bulletList(model.weaknesses)}`,
+      `Red flags:\n${bulletList(model.redFlags)}`,
+    ].filter(Boolean).join('\n\n'),
+    transcript_file: `${model.roleLabel.replace(/[^\w-]+/g, '-')}-Interview-Transcript-${model.isoDate}.txt`,
+    org_name: model.branding.orgName,
+  };
+}
+
+/** The scorecard as the text of a note on the candidate's ATS record. */
+export function scorecardNoteText(scorecard) {
+  const people = [scorecard.candidate_name && `Candidate: ${scorecard.candidate_name}`, scorecard.interviewer_name && `Interviewer: ${scorecard.interviewer_name}`];
+  const overall = [scorecard.hire_recommendation, scorecard.weighted_overall_score != null && `weighted score ${Number(scorecard.weighted_overall_score).toFixed(1)} / 100`]
+    .filter(Boolean)
+    .join('; ');
+  const ratings = scorecard.attributes.map((a) => {
+    // Greenhouse attributes are names worth showing; Lever's are field ids.
+    const name = scorecard.provider === 'greenhouse' && a.attribute && a.attribute !== a.category ? `${a.attribute} (${a.category})` : a.category;
+    return `- ${name}: ${a.rating?.label || '—'} (${a.score ?? '—'})${a.justification ? ` — ${a.justification}` : ''}`;
+  });
+  return [
+    `Interview scorecard — ${scorecard.role_label}, ${scorecard.completed_at.slice(0, 10)}`,
+    people.filter(Boolean).join(' · ') || null,
+    `Overall recommendation: ${scorecard.recommendation?.label || '—'}${overall ? ` (${overall})` : ''}`,
+    '',
+    `Ratings (scores on ${scorecard.scale}):`,
+    ...ratings,
+    '',
+    scorecard.notes,
+    '',
+    `The full transcript is attached as ${scorecard.transcript_file}.`,
+    `Sent from ${scorecard.org_name}`,
+  ].filter((line) => line != null).join('\n');
+}
+
+/** The interview's transcript as the file attached to the ATS record. */
+export function transcriptAttachment(interview, scorecard) {
+  return { filename: scorecard.transcript_file, content: Buffer.from(interview.transcript || '', 'utf-8'), type: 'text/plain' };
+}
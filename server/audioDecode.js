@@ -0,0 +1,78 @@
+import { spawn } from 'child_process';
+import { openSync, readSync, closeSync, readFileSync } from 'fs';
+
+/** Sample rate uploads are converted to; what the browser sends for live interviews. */
+export const DECODE_SAMPLE_RATE = 16000;
+
+/** Keep the last part of ffmpeg's error output for the job's error message. */
+const MAX_STDERR_CHARS = 2000;
+
+/** Format tag and bit depth of a WAV file when it is 16-bit PCM, otherwise null. */
+function pcmWavFormat(path) {
+  const fd = openSync(path, 'r');
+  const head = Buffer.alloc(36);
+  const read = readSync(fd, head, 0, head.length, 0);
+  closeSync(fd);
+  if (read < 36 || head.toString('ascii', 0, 4) !== 'RIFF' || head.toString('ascii', 8, 12) !== 'WAVE') return null;
+  if (head.toString('ascii', 12, 16) !== 'fmt ' || head.readUInt16LE(20) !== 1 || head.readUInt16LE(34) !== 16) return null;
+  return { channels: head.readUInt16LE(22), sampleRate: head.readUInt32LE(24) };
+}
+
+/** 16-bit PCM WAV read without ffmpeg; channels are mixed down to mono at the file's sample rate. */
+function readPcmWav(path, { channels, sampleRate }) {
+  const wav = readFileSync(path);
+  let offset = 12;
+  while (offset + 8 <= wav.length && wav.toString('ascii', offset, offset + 4) !== 'data') {
+    offset += 8 + wav.readUInt32LE(offset + 4);
+  }
+  if (offset + 8 > wav.length) throw new Error('WAV file has no audio data');
+  const data = wav.subarray(offset + 8, Math.min(wav.length, offset + 8 + wav.readUInt32LE(offset + 4)));
+  const frames = Math.floor(data.length / (2 * channels));
+  const pcm = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += data.readInt16LE((i * channels + c) * 2);
+    pcm.writeInt16LE(Math.round(sum / channels), i * 2);
+  }
+  return { pcm, sampleRate };
+}
+
+/** Any audio or video file ffmpeg can read, converted to 16 kHz mono PCM. */
+function runFfmpeg(path) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-nostdin', '-loglevel', 'error', '-i', path,
+      '-vn', '-ac', '1', '-ar', String(DECODE_SAMPLE_RATE), '-f', 's16le', 'pipe:1',
+    ]);
+    const chunks = [];
+    let stderr = '';
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-MAX_STDERR_CHARS);
+    });
+    ffmpeg.on('error', (err) => {
+      reject(err.code === 'ENOENT'
+        ? new Error('Converting audio and video uploads needs ffmpeg. Install it or set FFMPEG_PATH; 16-bit PCM WAV files work without it.')
+        : err);
+    });
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Could not read the audio in this file${stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+        return;
+      }
+      resolve({ pcm: Buffer.concat(chunks), sampleRate: DECODE_SAMPLE_RATE });
+    });
+  });
+}
+
+/**
+ * Decode an uploaded audio or video file to 16-bit little-endian mono PCM, as the STT providers
+ * expect. 16-bit PCM WAV is read directly; everything else (MP3, M4A, MP4 from Zoom, WebM…) goes
+ * through ffmpeg. Resolves with { pcm, sampleRate }.
+ */
+export async function decodeAudioFile(path) {
+  const wav = pcmWavFormat(path);
+  const decoded = wav ? readPcmWav(path, wav) : await runFfmpeg(path);
+  if (decoded.pcm.length === 0) throw new Error('The file has no audio');
+  return decoded;
+}
@@ -0,0 +1,76 @@
+import { sessionUser } from './sessions.js';
+import { roleRank } from './users.js';
+import { oidcConfig } from './oidc.js';
+
+/**
+ * Who may call the API. People sign in with a local account (email and password, see users.js) or
+ * through an OpenID Connect provider (oidc.js) and get a session cookie (sessions.js). Every API
+ * route names the lowest role that may call it:
+ *   - interviewer: run, upload, replay and read interviews and their reports; pick or add candidates
+ *   - recruiter: also candidate profiles and panel summaries, and reading rubrics
+ *   - admin: also editing rubrics and managing user accounts
+ */
+
+/** Origins allowed to call the API from a browser: FRONTEND_ORIGIN plus any in CORS_ORIGINS (comma-separated). */
+export function allowedOrigins() {
+  const extra = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim().replace(/\/$/, '')).filter(Boolean);
+  return [process.env.FRONTEND_ORIGIN.replace(/\/$/, ''), ...extra];
+}
+
+/** True for requests without an Origin header, from the app's own host, or from an allowed origin. */
+export function originAllowed(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    if (new URL(origin).host === req.headers.host) return true;
+  } catch (_) {
+    return false;
+  }
+  return allowedOrigins().includes(origin);
+}
+
+/** Options for the cors middleware: only allowed origins may read responses, with cookies. */
+export const corsOptions = {
+  origin: (origin, callback) => callback(null, !origin || allowedOrigins().includes(origin)),
+  credentials: true,
+};
+
+/**
+ * Sets req.user from the session cookie, and refuses state-changing requests from other sites
+ * (CORS only stops them reading the response, not the request being made).
+ */
+export function authenticate(req, res, next) {
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !originAllowed(req)) {
+    return res.status(403).json({ error: 'Requests from this origin are not allowed' });
+  }
+  req.user = sessionUser(req, res);
+  next();
+}
+
+/** Middleware: 401 without a session, 403 unless the user's role is at least `role`. */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+    if (roleRank(req.user.role) < roleRank(role)) {
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    next();
+  };
+}
+
+/** The user allowed to open a WebSocket at least `role`, or the HTTP status to refuse it with. */
+export function authorizeUpgrade(req, role) {
+  if (!originAllowed(req)) return { status: 403 };
+  const user = sessionUser(req);
+  if (!user) return { status: 401 };
+  if (roleRank(user.role) < roleRank(role)) return { status: 403 };
+  return { user };
+}
+
+/** One line for the startup log, e.g. "Auth: local accounts + OIDC (https://accounts.google.com)". */
+export function describeAuth() {
+  const oidc = oidcConfig();
+  if (!oidc) return 'Auth: local accounts';
+  if (oidc.mock) return 'Auth: local accounts + OIDC stand-in (OIDC_ISSUER=mock; anyone can sign in, tests only)';
+  return `Auth: local accounts + OIDC (${oidc.issuer})`;
+}
@@ -0,0 +1,108 @@
+import express from 'express';
+import { randomBytes, createHash } from 'crypto';
+
+const CODE_TTL_MS = 60 * 1000;
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * A stand-in OpenID Connect provider for tests and local development (OIDC_ISSUER=mock): discovery,
+ * an authorize page where you type any email and name, token and userinfo endpoints. It signs in
+ * whoever you say you are, so it must never be enabled on a deployed app. `login_hint` on the
+ * authorize request skips the page and signs in as that email, for scripted tests.
+ */
+export function createMockOidcRouter({ issuer, clientId }) {
+  const router = express.Router();
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  function issueCode(params, email, name) {
+    const code = randomBytes(16).toString('base64url');
+    const address = email.trim().toLowerCase();
+    codes.set(code, {
+      claims: { sub: `mock-${address}`, email: address, email_verified: true, name: name?.trim() || address.split('@')[0], nonce: params.nonce },
+      challenge: params.code_challenge,
+      redirectUri: params.redirect_uri,
+      expires: Date.now() + CODE_TTL_MS,
+    });
+    const url = new URL(params.redirect_uri);
+    url.searchParams.set('code', code);
+    if (params.state) url.searchParams.set('state', params.state);
+    return url.toString();
+  }
+
+  router.use(express.urlencoded({ extended: false }));
+
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['none'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  router.get('/authorize', (req, res) => {
+    const params = req.query;
+    if (params.client_id !== clientId || typeof params.redirect_uri !== 'string') {
+      return res.status(400).send('Unknown client or missing redirect_uri');
+    }
+    if (typeof params.login_hint === 'string' && params.login_hint.includes('@')) {
+      return res.redirect(issueCode(params, params.login_hint));
+    }
+    const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+      .map((k) => `<input type="hidden" name="${k}" value="${escapeHtml(params[k])}">`)
+      .join('');
+    res.type('html').send(`<!doctype html><meta charset="utf-8"><title>Test sign-in</title>
+<body style="font-family:sans-serif;max-width:360px;margin:4rem auto">
+<h1>Test sign-in</h1><p>Stand-in identity provider: sign in as anyone.</p>
+<form method="post">${hidden}
+<p><label>Email<br><input name="email" type="email" required autofocus></label></p>
+<p><label>Name<br><input name="name"></label></p>
+<button type="submit">Sign in</button></form></body>`);
+  });
+
+  router.post('/authorize', (req, res) => {
+    const { email, name } = req.body || {};
+    if (typeof email !== 'string' || !email.includes('@') || typeof req.body.redirect_uri !== 'string') {
+      return res.status(400).send('Email and redirect_uri are required');
+    }
+    res.redirect(issueCode(req.body, email, name));
+  });
+
+  router.post('/token', (req, res) => {
+    const { code, code_verifier: verifier, redirect_uri: redirectUri, client_id: client } = req.body || {};
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (!grant || grant.expires < Date.now() || client !== clientId || redirectUri !== grant.redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (grant.challenge && createHash('sha256').update(verifier || '').digest('base64url') !== grant.challenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const idToken = `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url({ iss: issuer, aud: clientId, iat: now, exp: now + 300, ...grant.claims })}.`;
+    const accessToken = randomBytes(16).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  router.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    if (!claims) return res.status(401).json({ error: 'invalid_token' });
+    const { nonce, ...info } = claims;
+    res.json(info);
+  });
+
+  return router;
+}
@@ -0,0 +1,144 @@
+import { randomBytes, createHash } from 'crypto';
+import { USER_ROLES, findUserBySubject, findUserByEmail, createUser, linkOidcSubject } from './users.js';
+
+/** Where the in-process stand-in issuer (mockOidc.js) is mounted when OIDC_ISSUER=mock. */
+export const MOCK_OIDC_PATH = '/api/auth/mock-oidc';
+
+/** Logins started but not yet returned from the provider, by `state`. Ten minutes to finish. */
+const pending = new Map();
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+let discovery = null;
+
+/**
+ * Single sign-on through any OpenID Connect provider (authorization code flow with PKCE), from
+ * OIDC_ISSUER / OIDC_CLIENT_ID / OIDC_CLIENT_SECRET. OIDC_ISSUER=mock uses the stand-in issuer
+ * served by this app, for tests and local development. Null when not configured.
+ */
+export function oidcConfig() {
+  const issuer = process.env.OIDC_ISSUER;
+  if (!issuer) return null;
+  const mock = issuer === 'mock';
+  const clientId = process.env.OIDC_CLIENT_ID || (mock ? 'mock-client' : '');
+  if (!clientId) return null;
+  return {
+    mock,
+    issuer: mock ? `http://localhost:${process.env.PORT || 8080}${MOCK_OIDC_PATH}` : issuer.replace(/\/$/, ''),
+    clientId,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || (mock ? 'mock-secret' : ''),
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_ORIGIN}/api/auth/oidc/callback`,
+    name: process.env.OIDC_NAME || (mock ? 'Test SSO' : 'single sign-on'),
+    // New people signing in through the provider get this role; "none" admits only existing users.
+    defaultRole: (process.env.OIDC_DEFAULT_ROLE || 'interviewer').toLowerCase(),
+    // For providers that never send email_verified but only issue addresses they own (e.g. a company tenant).
+    trustUnverifiedEmail: process.env.OIDC_TRUST_UNVERIFIED_EMAIL === 'true',
+  };
+}
+
+async function providerMetadata(config) {
+  if (discovery?.issuer === config.issuer) return discovery.metadata;
+  const res = await fetch(`${config.issuer}/.well-known/openid-configuration`);
+  if (!res.ok) throw new Error(`OIDC discovery failed (HTTP ${res.status})`);
+  const metadata = await res.json();
+  discovery = { issuer: config.issuer, metadata };
+  return metadata;
+}
+
+function prunePending() {
+  const now = Date.now();
+  for (const [state, login] of pending) if (login.expires < now) pending.delete(state);
+}
+
+/**
+ * Start a login: returns { url, state }, the provider URL to send the browser to and the state the
+ * callback must echo. `next` is the app path to return to afterwards.
+ */
+export async function startOidcLogin({ next, loginHint }) {
+  const config = oidcConfig();
+  const metadata = await providerMetadata(config);
+  prunePending();
+  const state = randomBytes(16).toString('base64url');
+  const nonce = randomBytes(16).toString('base64url');
+  const verifier = randomBytes(32).toString('base64url');
+  pending.set(state, { nonce, verifier, next, expires: Date.now() + PENDING_TTL_MS });
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: 'openid email profile',
+    state,
+    nonce,
+    code_challenge: createHash('sha256').update(verifier).digest('base64url'),
+    code_challenge_method: 'S256',
+    ...(loginHint ? { login_hint: loginHint } : {}),
+  }).toString();
+  return { url: url.toString(), state };
+}
+
+function decodeJwtPayload(token) {
+  const payload = (token || '').split('.')[1];
+  if (!payload) throw new Error('The provider returned no ID token');
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+}
+
+/**
+ * Exchange the callback's code for the signed-in person's claims and return { claims, next }. The
+ * ID token comes straight from the token endpoint over the back channel, so its claims are checked
+ * (issuer, audience, expiry, nonce) but its signature is not (OpenID Connect Core 3.1.3.7).
+ */
+export async function completeOidcLogin({ code, state }) {
+  const login = typeof state === 'string' ? pending.get(state) : null;
+  if (!login || login.expires < Date.now()) throw new Error('Sign-in expired or was not started here; try again');
+  pending.delete(state);
+  if (!code) throw new Error('The provider returned no authorization code');
+
+  const config = oidcConfig();
+  const metadata = await providerMetadata(config);
+  const res = await fetch(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code_verifier: login.verifier,
+    }).toString(),
+  });
+  const tokens = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`Token exchange failed: ${tokens.error_description || tokens.error || `HTTP ${res.status}`}`);
+
+  const claims = decodeJwtPayload(tokens.id_token);
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss?.replace(/\/$/, '') !== config.issuer) throw new Error('ID token is from another issuer');
+  if (!audience.includes(config.clientId)) throw new Error('ID token is for another client');
+  if (!(claims.exp * 1000 > Date.now() - 60_000)) throw new Error('ID token has expired');
+  if (claims.nonce !== login.nonce) throw new Error('ID token nonce does not match');
+
+  if (!claims.email && tokens.access_token && metadata.userinfo_endpoint) {
+    const info = await fetch(metadata.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+    if (info.ok) Object.assign(claims, { ...(await info.json()), sub: claims.sub });
+  }
+  return { claims, next: login.next };
+}
+
+/**
+ * The account for a provider identity: the one linked to it, else the one with its (verified) email,
+ * which is then linked, else a new account with OIDC_DEFAULT_ROLE. Throws if none is allowed. The
+ * email counts only with email_verified: true, unless OIDC_TRUST_UNVERIFIED_EMAIL=true.
+ */
+export async function userForClaims(claims) {
+  const config = oidcConfig();
+  const subject = `${config.issuer}|${claims.sub}`;
+  const linked = findUserBySubject(subject);
+  if (linked) return linked;
+  const verified = claims.email_verified === true || claims.email_verified === 'true' || config.trustUnverifiedEmail;
+  const email = verified ? claims.email : null;
+  if (!email) throw new Error('The provider did not share a verified email address');
+  const existing = findUserByEmail(email);
+  if (existing) return linkOidcSubject(existing.id, subject);
+  if (!USER_ROLES.includes(config.defaultRole)) throw new Error(`No account for ${email}; ask an admin to add you`);
+  return createUser({ email, name: claims.name, role: config.defaultRole, oidcSubject: subject });
+}
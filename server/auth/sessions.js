@@ -0,0 +1,100 @@
+import { randomBytes, createHash } from 'crypto';
+import { createCollection } from '../store.js';
+import { getUser } from './users.js';
+
+const sessions = createCollection('sessions');
+
+export const SESSION_COOKIE = 'sid';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function sessionTtlMs() {
+  const hours = Number(process.env.SESSION_TTL_HOURS);
+  return (hours > 0 ? hours : 12) * HOUR_MS;
+}
+
+/** Only the token's hash is stored, so a copy of the data directory does not sign anyone in. */
+function tokenHash(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/** The raw value of cookie `name` in a request's Cookie header (works for WebSocket upgrades too). */
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq !== -1 && part.slice(0, eq).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(eq + 1).trim());
+      } catch (_) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    // Browsers drop Secure cookies on plain http, so only set it when the app is served over https.
+    secure: process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === 'true' : (process.env.FRONTEND_ORIGIN || '').startsWith('https:'),
+    path: '/',
+  };
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const s of sessions.list((s) => Date.parse(s.expires_at) <= now)) sessions.remove(s.id);
+}
+
+/** Start a session for the user and set its cookie on the response. */
+export function startSession(res, user) {
+  pruneExpired();
+  const token = randomBytes(32).toString('base64url');
+  const ttl = sessionTtlMs();
+  sessions.insert({ token_hash: tokenHash(token), user_id: user.id, expires_at: new Date(Date.now() + ttl).toISOString() });
+  res.cookie(SESSION_COOKIE, token, { ...cookieOptions(), maxAge: ttl });
+}
+
+function findSession(req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (!token) return null;
+  const hash = tokenHash(token);
+  return sessions.list((s) => s.token_hash === hash)[0] || null;
+}
+
+/**
+ * The signed-in, enabled user for a request, or null. A session past half its lifetime is extended
+ * on use, so people are signed out after SESSION_TTL_HOURS (default 12) of inactivity.
+ */
+export function sessionUser(req, res) {
+  const session = findSession(req);
+  if (!session) return null;
+  const remaining = Date.parse(session.expires_at) - Date.now();
+  if (remaining <= 0) {
+    sessions.remove(session.id);
+    return null;
+  }
+  const user = getUser(session.user_id);
+  if (!user || user.disabled) return null;
+  const ttl = sessionTtlMs();
+  if (res && remaining < ttl / 2) {
+    sessions.update(session.id, { expires_at: new Date(Date.now() + ttl).toISOString() });
+    res.cookie(SESSION_COOKIE, readCookie(req, SESSION_COOKIE), { ...cookieOptions(), maxAge: ttl });
+  }
+  return user;
+}
+
+/** End the request's session (if any) and clear its cookie. */
+export function endSession(req, res) {
+  const session = findSession(req);
+  if (session) sessions.remove(session.id);
+  res.clearCookie(SESSION_COOKIE, cookieOptions());
+}
+
+/** Sign a user out everywhere, e.g. when they are disabled or their password is reset. `keep` spares the current request's session. */
+export function endUserSessions(userId, keep = null) {
+  const kept = keep ? findSession(keep)?.id : null;
+  for (const s of sessions.list((s) => s.user_id === userId && s.id !== kept)) sessions.remove(s.id);
+}
@@ -0,0 +1,147 @@
+import { scrypt, randomBytes, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { createCollection } from '../store.js';
+
+const users = createCollection('users');
+const scryptAsync = promisify(scrypt);
+
+/** Access levels, lowest first: each role can do everything the roles before it can. */
+export const USER_ROLES = ['interviewer', 'recruiter', 'admin'];
+
+export const MIN_PASSWORD_LENGTH = 10;
+
+const KEY_LENGTH = 64;
+
+export function roleRank(role) {
+  return USER_ROLES.indexOf(role);
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/** scrypt with a random salt, stored as `scrypt$<salt>$<hash>` (both base64). */
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function passwordMatches(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/** The user as the API shows it: never the password hash. */
+export function publicUser(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name || null,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    has_password: Boolean(user.password_hash),
+    sso: Boolean(user.oidc_subject),
+    last_login_at: user.last_login_at || null,
+    created_at: user.created_at,
+  };
+}
+
+export function listUsers() {
+  return users.list().sort((a, b) => a.email.localeCompare(b.email));
+}
+
+export function getUser(id) {
+  return users.get(id);
+}
+
+export function findUserByEmail(email) {
+  const wanted = normalizeEmail(email);
+  return wanted ? users.list((u) => u.email === wanted)[0] || null : null;
+}
+
+export function findUserBySubject(subject) {
+  return users.list((u) => u.oidc_subject === subject)[0] || null;
+}
+
+/** Problems with user fields, or null. `creating` requires email and role. */
+export function validateUserFields({ email, name, role, password }, { creating }) {
+  if (creating || email !== undefined) {
+    const address = normalizeEmail(email);
+    if (!address || !/^[^\s@]+@[^\s@]+$/.test(address)) return 'email must be a valid address';
+  }
+  if (name != null && typeof name !== 'string') return 'name must be a string';
+  if ((creating || role !== undefined) && !USER_ROLES.includes(role)) return `role must be one of: ${USER_ROLES.join(', ')}`;
+  if (password != null && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/** Insert a user; the caller validates first. Without a password the user can only sign in through OIDC. */
+export async function createUser({ email, name, role, password, oidcSubject }) {
+  return users.insert({
+    email: normalizeEmail(email),
+    name: typeof name === 'string' && name.trim() ? name.trim() : null,
+    role,
+    password_hash: password ? await hashPassword(password) : null,
+    oidc_subject: oidcSubject || null,
+    disabled: false,
+    last_login_at: null,
+  });
+}
+
+/** Apply { name, role, password, disabled } changes; returns null if the user does not exist. */
+export async function updateUser(id, { name, role, password, disabled }) {
+  const changes = {};
+  if (name !== undefined) changes.name = typeof name === 'string' && name.trim() ? name.trim() : null;
+  if (role !== undefined) changes.role = role;
+  if (disabled !== undefined) changes.disabled = Boolean(disabled);
+  if (password) changes.password_hash = await hashPassword(password);
+  return users.update(id, changes);
+}
+
+export function linkOidcSubject(id, subject) {
+  return users.update(id, { oidc_subject: subject });
+}
+
+export function recordLogin(id) {
+  return users.update(id, { last_login_at: new Date().toISOString() });
+}
+
+/** The enabled user with this email and password, or null. Takes about as long whether or not the email exists. */
+export async function verifyCredentials(email, password) {
+  const user = findUserByEmail(email);
+  if (typeof password !== 'string' || !password) return null;
+  if (!user || !user.password_hash) {
+    await hashPassword(password);
+    return null;
+  }
+  if (!(await passwordMatches(password, user.password_hash))) return null;
+  return user.disabled ? null : user;
+}
+
+/**
+ * On an empty user store, create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD so there is
+ * someone to add everyone else. Does nothing once any user exists.
+ */
+export async function ensureAdminUser() {
+  if (users.list().length) return;
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    console.warn('No user accounts yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+  const problem = validateUserFields({ email, role: 'admin', password }, { creating: true });
+  if (problem) {
+    console.error(`Cannot create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD: ${problem}`);
+    return;
+  }
+  await createUser({ email, name: process.env.ADMIN_NAME || null, role: 'admin', password });
+  console.log(`Created admin user ${normalizeEmail(email)}`);
+}
@@ -0,0 +1,153 @@
+import { eventsFromIcs } from './icalendar.js';
+import { fetchCalendarUrl, normalizeCalendarUrl } from './fetchUrl.js';
+
+/**
+ * CalDAV (RFC 4791) servers such as Fastmail, iCloud, Nextcloud or Radicale, signed in with a
+ * username and an app password. The URL may be the server root, the user's principal or calendar
+ * home, or one calendar: the calendars found under it are stored with the connection so refreshes
+ * only query them. Credentials: { url, username, password, calendars: [url] }.
+ */
+
+const NS = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"';
+
+function caldavError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/** Servers pick their own namespace prefixes, so elements are matched by local name. */
+function element(xml, name) {
+  const match = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i').exec(xml);
+  return match ? match[1].trim() : null;
+}
+
+function hasElement(xml, name) {
+  return new RegExp(`<(?:[\\w-]+:)?${name}[\\s/>]`, 'i').test(xml || '');
+}
+
+/** The <response> blocks of a multistatus body. */
+function responses(xml) {
+  return xml.split(/<(?:[\w-]+:)?response[\s>]/i).slice(1);
+}
+
+async function request(credentials, url, { method, depth, body }) {
+  const res = await fetchCalendarUrl(url, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`,
+      'Content-Type': 'application/xml; charset=utf-8',
+      Depth: String(depth),
+    },
+    body,
+  });
+  if (res.status === 401 || res.status === 403) {
+    throw caldavError(`${new URL(url).host} did not accept the CalDAV username or password`, 401);
+  }
+  if (res.status !== 207) throw caldavError(`${method} ${new URL(url).pathname} on ${new URL(url).host} returned HTTP ${res.status}`, 502);
+  return { xml: res.text, url: res.url };
+}
+
+/**
+ * A URL the server pointed us to. The username and password go with every request, so only hrefs
+ * on the origin the user connected to are followed.
+ */
+function onServer(credentials, href) {
+  const url = new URL(href);
+  if (url.origin !== new URL(credentials.url).origin) {
+    throw caldavError(`The CalDAV server at ${new URL(credentials.url).host} points to ${url.host}; only calendars on the same server are used`, 400);
+  }
+  return url.href;
+}
+
+function propfind(credentials, url, depth, props) {
+  return request(credentials, url, { method: 'PROPFIND', depth, body: `<?xml version="1.0" encoding="utf-8"?><d:propfind ${NS}><d:prop>${props}</d:prop></d:propfind>` });
+}
+
+/** Calendars holding events: `url` itself if it is one, else those in the calendar home it leads to. */
+async function discoverCalendars(credentials) {
+  let { xml, url } = await propfind(credentials, credentials.url, 0, '<d:resourcetype/><d:current-user-principal/><c:calendar-home-set/>');
+  if (hasElement(element(xml, 'resourcetype'), 'calendar')) return [onServer(credentials, url)];
+
+  let home = element(element(xml, 'calendar-home-set') || '', 'href');
+  if (!home) {
+    const principal = element(element(xml, 'current-user-principal') || '', 'href');
+    if (!principal) throw caldavError(`No CalDAV account found at ${credentials.url}`, 400);
+    ({ xml, url } = await propfind(credentials, onServer(credentials, new URL(decodeXml(principal), url).href), 0, '<c:calendar-home-set/>'));
+    home = element(element(xml, 'calendar-home-set') || '', 'href');
+    if (!home) throw caldavError(`The CalDAV account at ${credentials.url} has no calendar home`, 400);
+  }
+
+  const homeUrl = onServer(credentials, new URL(decodeXml(home), url).href);
+  ({ xml, url } = await propfind(credentials, homeUrl, 1, '<d:resourcetype/><c:supported-calendar-component-set/>'));
+  return responses(xml)
+    .filter((r) => hasElement(element(r, 'resourcetype'), 'calendar'))
+    .filter((r) => {
+      const components = element(r, 'supported-calendar-component-set');
+      return !components || /name="VEVENT"/i.test(components);
+    })
+    .map((r) => onServer(credentials, new URL(decodeXml(element(r, 'href')), url).href));
+}
+
+function icsTime(date) {
+  return date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+/** The calendar's events overlapping [from, to) as iCalendar texts (calendar-query REPORT). */
+async function queryCalendar(credentials, calendarUrl, from, to) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query ${NS}>
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"><c:time-range start="${icsTime(from)}" end="${icsTime(to)}"/></c:comp-filter></c:comp-filter></c:filter>
+</c:calendar-query>`;
+  const { xml } = await request(credentials, calendarUrl, { method: 'REPORT', depth: 1, body });
+  return responses(xml).map((r) => element(r, 'calendar-data')).filter(Boolean).map(decodeXml);
+}
+
+export function createCalDavCalendar() {
+  return {
+    name: 'caldav',
+    label: 'CalDAV',
+    connect: 'account',
+    configured: () => true,
+
+    /** Body: { url, username, password }. Finds the account's calendars, so a bad URL or password fails here. */
+    async connectionFrom(body) {
+      const url = normalizeCalendarUrl(body.url);
+      const username = typeof body.username === 'string' ? body.username.trim() : '';
+      const password = typeof body.password === 'string' ? body.password : '';
+      if (!url || !username || !password) throw caldavError('CalDAV needs the server URL, username and password', 400);
+      const credentials = { url, username, password };
+      try {
+        credentials.calendars = await discoverCalendars(credentials);
+      } catch (err) {
+        // At connect time a rejected password is the user's input to fix, not an expired connection.
+        throw err.status === 401 ? caldavError(err.message, 400) : err;
+      }
+      if (!credentials.calendars.length) throw caldavError(`No event calendars found at ${url}`, 400);
+      return { credentials, label: `${username} @ ${new URL(url).host}` };
+    },
+
+    async listEvents(credentials, { from, to, selfEmails }) {
+      const calendars = credentials.calendars?.length ? credentials.calendars : await discoverCalendars(credentials);
+      const self = [...selfEmails, credentials.username];
+      const events = [];
+      for (const calendarUrl of calendars) {
+        for (const ics of await queryCalendar(credentials, calendarUrl, from, to)) {
+          events.push(...eventsFromIcs(ics, { from, to, selfEmails: self }));
+        }
+      }
+      return events;
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+import { lookup } from 'dns';
+import { isIP, BlockList } from 'net';
+
+const TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+/** Largest calendar response or upload we read: CALENDAR_MAX_MB (default 5). */
+export function calendarMaxBytes() {
+  return (Number(process.env.CALENDAR_MAX_MB) || 5) * 1024 * 1024;
+}
+
+function calendarError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Loopback, private, link-local, shared (CGNAT), benchmarking, multicast and reserved ranges. BlockList
+ * also checks IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, ::ffff:7f00:1) against the IPv4 rules;
+ * IPv4-compatible (::/96) and NAT64 (64:ff9b::/96) addresses, which can reach IPv4 hosts, are refused
+ * whole.
+ */
+const PRIVATE_RANGES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+function allowPrivate() {
+  return process.env.CALENDAR_ALLOW_PRIVATE_URLS === 'true';
+}
+
+function isPrivateAddress(address) {
+  const family = isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function privateHostError(host) {
+  return calendarError(`${host} is on a private network; set CALENDAR_ALLOW_PRIVATE_URLS=true to allow it`, 400);
+}
+
+/**
+ * dns.lookup for the request itself: the addresses are checked where the connection is made, so a
+ * name cannot resolve to a public address for a check and a private one for the connection.
+ */
+function checkedLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(calendarError(`Cannot resolve ${hostname}`, 400));
+    if (!allowPrivate() && addresses.some((a) => isPrivateAddress(a.address))) return callback(privateHostError(hostname));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Calendar URLs come from users, and the server fetches them: refuse hosts on loopback, private
+ * and link-local networks (cloud metadata, internal services) unless CALENDAR_ALLOW_PRIVATE_URLS=true,
+ * e.g. for a CalDAV server on the office network. Names are checked as they are resolved (checkedLookup).
+ */
+function assertFetchable(url) {
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throw calendarError('Calendar URLs must be http(s)', 400);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && !allowPrivate() && isPrivateAddress(host)) throw privateHostError(host);
+}
+
+/** "webcal://…" subscription links are plain HTTPS. */
+export function normalizeCalendarUrl(value) {
+  const text = String(value || '').trim().replace(/^webcals?:\/\//i, 'https://');
+  try {
+    const url = new URL(text);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function tooLarge(url) {
+  return calendarError(`The calendar at ${url.host} is larger than ${process.env.CALENDAR_MAX_MB || 5} MB`, 413);
+}
+
+/** The decoded body stream of a response (gzip, deflate and br are what we accept). */
+function decoded(res) {
+  const encoding = String(res.headers['content-encoding'] || '').toLowerCase();
+  if (encoding === 'gzip' || encoding === 'x-gzip') return res.pipe(zlib.createGunzip());
+  if (encoding === 'deflate') return res.pipe(zlib.createInflate());
+  if (encoding === 'br') return res.pipe(zlib.createBrotliDecompress());
+  return res;
+}
+
+/**
+ * One request, without following redirects. The body is read as it arrives and the request is
+ * aborted as soon as it (decompressed) passes calendarMaxBytes().
+ */
+function requestOnce(url, { method, headers, body }) {
+  const maxBytes = calendarMaxBytes();
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method,
+      headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+      lookup: checkedLookup,
+    });
+    const fail = (err) => {
+      clearTimeout(timer);
+      req.destroy();
+      reject(err.status ? err : calendarError(`Cannot reach ${url.host}: ${err.message}`, 502));
+    };
+    const timer = setTimeout(() => fail(new Error(`no answer within ${TIMEOUT_MS / 1000}s`)), TIMEOUT_MS);
+    req.on('error', fail);
+    req.on('response', (res) => {
+      const status = res.statusCode;
+      const location = res.headers.location;
+      if (status >= 300 && status < 400 && location) {
+        clearTimeout(timer);
+        res.resume();
+        return resolve({ status, location });
+      }
+      if (Number(res.headers['content-length']) > maxBytes) return fail(tooLarge(url));
+      const stream = decoded(res);
+      const chunks = [];
+      let bytes = 0;
+      stream.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (bytes > maxBytes) {
+          stream.destroy();
+          return fail(tooLarge(url));
+        }
+        chunks.push(chunk);
+      });
+      stream.on('error', fail);
+      stream.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status, text: Buffer.concat(chunks).toString('utf-8') });
+      });
+    });
+    req.end(body);
+  });
+}
+
+/** `headers` without the credentials, for a redirect to another origin. */
+function withoutCredentials(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !CREDENTIAL_HEADERS.includes(name.toLowerCase())));
+}
+
+/**
+ * fetch() for user-supplied calendar URLs: every redirect hop is checked like the first URL, the
+ * request times out after 15 s and bodies over calendarMaxBytes() are refused. A redirect to another
+ * origin drops the Authorization and Cookie headers. Resolves to { status, url, text } for any HTTP
+ * status; network failures reject with a 502-status error.
+ */
+export async function fetchCalendarUrl(href, { method = 'GET', headers = {}, body } = {}) {
+  let url = new URL(href);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertFetchable(url);
+    const res = await requestOnce(url, { method, headers, body });
+    if (res.location) {
+      const next = new URL(res.location, url);
+      if (next.origin !== url.origin) headers = withoutCredentials(headers);
+      url = next;
+      continue;
+    }
+    return { status: res.status, url: url.href, text: res.text };
+  }
+  throw calendarError(`Too many redirects from ${new URL(href).host}`, 502);
+}
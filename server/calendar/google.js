@@ -0,0 +1,146 @@
+import { google } from 'googleapis';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { htmlToText } from '../calendarEvents.js';
+import { findMeetingLink } from './meetingLinks.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const projectRoot = join(__dirname, '..', '..');
+
+export function getEnvKey(varName) {
+  try {
+    const envPath = join(projectRoot, '.env');
+    const content = readFileSync(envPath, 'utf-8');
+    const line = content.split('\n').find((l) => l.startsWith(varName + '='));
+    if (line) {
+      let value = line.slice((varName + '=').length).trim();
+      if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+      if (value.startsWith("'") && value.endsWith("'")) value = value.slice(1, -1);
+      if (value) return value;
+    }
+  } catch (_) {}
+  return process.env[varName] || '';
+}
+
+/** The app's Google OAuth client (GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET); null when not configured. */
+export function getOAuth2Client() {
+  const clientId = getEnvKey('GOOGLE_CLIENT_ID');
+  const clientSecret = getEnvKey('GOOGLE_CLIENT_SECRET');
+  const redirectUri = getEnvKey('GOOGLE_CALENDAR_REDIRECT_URI') || 'http://localhost:4000/api/calendar/callback';
+  if (!clientId || !clientSecret) return null;
+  return new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+}
+
+/** The refresh token was revoked or expired: only reconnecting helps. */
+function isInvalidGrant(err) {
+  return err.response?.data?.error === 'invalid_grant' || err.message?.includes('invalid_grant');
+}
+
+function isUnauthorized(err) {
+  return err.code === 401 || err.response?.status === 401;
+}
+
+/** Anything else (network, 5xx, quota) is Google's or the network's problem; the connection is kept. */
+function upstreamError(err, fallback) {
+  const message = err?.response?.data?.error?.message || err.message || fallback;
+  return Object.assign(new Error(message), { status: 502 });
+}
+
+function expiredError() {
+  return Object.assign(new Error('Google Calendar access expired. Please connect again.'), { status: 401 });
+}
+
+/** A Google Calendar event in the provider-neutral shape described in calendarEvents.js. */
+function toCalendarEvent(e) {
+  const description = htmlToText(e.description);
+  // Conference data covers Meet and the Zoom / Teams add-ons; older invites only have hangoutLink or a link in the text.
+  const meeting = findMeetingLink(
+    ...(e.conferenceData?.entryPoints || []).filter((p) => p.entryPointType === 'video').map((p) => p.uri),
+    e.hangoutLink,
+    e.location,
+    description
+  );
+  return {
+    id: e.id,
+    summary: e.summary || '(No title)',
+    description,
+    location: e.location || null,
+    start: e.start?.dateTime || e.start?.date,
+    end: e.end?.dateTime || e.end?.date || null,
+    meetLink: meeting?.url || null,
+    meetingType: meeting?.type || null,
+    htmlLink: e.htmlLink || null,
+    organizer: e.organizer?.email ? { email: e.organizer.email, name: e.organizer.displayName || null } : null,
+    attendees: (e.attendees || []).map((a) => ({
+      email: a.email || null,
+      name: a.displayName || null,
+      self: Boolean(a.self),
+      organizer: Boolean(a.organizer),
+      optional: Boolean(a.optional),
+      resource: Boolean(a.resource),
+      response_status: a.responseStatus || null,
+    })),
+    attachments: (e.attachments || []).map((a) => ({ title: a.title || null, url: a.fileUrl || null, mime_type: a.mimeType || null })),
+  };
+}
+
+/**
+ * Google Calendar through the Calendar API, connected with OAuth (see routes/calendar.js for the
+ * consent redirect). Credentials are the user's OAuth tokens; refreshed tokens are handed to
+ * `saveCredentials`. Only a grant that can no longer be refreshed (`invalid_grant`, or no refresh token)
+ * fails with status 401, which drops the connection; network and Google errors fail with 502.
+ */
+export function createGoogleCalendar() {
+  return {
+    name: 'google',
+    label: 'Google Calendar',
+    connect: 'oauth',
+    configured: () => Boolean(getOAuth2Client()),
+
+    async listEvents(tokens, { from, to, saveCredentials }) {
+      const oauth2 = getOAuth2Client();
+      if (!oauth2) throw Object.assign(new Error('Google Calendar not configured'), { status: 500 });
+      oauth2.setCredentials(tokens);
+      oauth2.on('tokens', (fresh) => saveCredentials(fresh));
+      const calendar = google.calendar({ version: 'v3', auth: oauth2 });
+      const list = async () => {
+        const { data } = await calendar.events.list({
+          calendarId: 'primary',
+          timeMin: from.toISOString(),
+          timeMax: to.toISOString(),
+          singleEvents: true,
+          orderBy: 'startTime',
+          conferenceDataVersion: 1,
+        });
+        return (data.items || []).map(toCalendarEvent);
+      };
+      try {
+        return await list();
+      } catch (err) {
+        if (isInvalidGrant(err)) throw expiredError();
+        if (!isUnauthorized(err)) throw upstreamError(err, 'Failed to list events');
+        if (!tokens.refresh_token) throw expiredError();
+      }
+      let credentials;
+      try {
+        ({ credentials } = await oauth2.refreshAccessToken());
+      } catch (refreshErr) {
+        console.error('Calendar token refresh failed:', refreshErr.message);
+        throw isInvalidGrant(refreshErr) ? expiredError() : upstreamError(refreshErr, 'Failed to refresh Google Calendar access');
+      }
+      saveCredentials(credentials);
+      oauth2.setCredentials(credentials);
+      try {
+        return await list();
+      } catch (err) {
+        throw isInvalidGrant(err) ? expiredError() : upstreamError(err, 'Failed to list events');
+      }
+    },
+
+    async revoke(tokens) {
+      const oauth2 = getOAuth2Client();
+      if (oauth2) await oauth2.revokeToken(tokens.refresh_token || tokens.access_token);
+    },
+  };
+}
@@ -0,0 +1,460 @@
+import { htmlToText } from '../calendarEvents.js';
+import { findMeetingLink } from './meetingLinks.js';
+
+/**
+ * iCalendar (RFC 5545) reading for .ics feeds, uploads and CalDAV, down to the provider-neutral
+ * events of calendarEvents.js. Covers what calendar apps put in invites: time zones (IANA, the
+ * Windows names Outlook writes, or the file's own VTIMEZONE offsets), all-day events, DURATION,
+ * DAILY / WEEKLY / MONTHLY / YEARLY recurrence with INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY and
+ * EXDATE, moved or cancelled occurrences (RECURRENCE-ID), attendees and attachments.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+/** Upper bound on recurrence steps per event, so a rule that never matches cannot spin forever. */
+const RECURRENCE_STEP_LIMIT = 5000;
+
+/** Outlook names zones after Windows; the common ones, as IANA zones. */
+const WINDOWS_ZONES = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indianapolis',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Buenos_Aires',
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Calcutta',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+};
+
+const PARTSTAT = { ACCEPTED: 'accepted', DECLINED: 'declined', TENTATIVE: 'tentative', 'NEEDS-ACTION': 'needsAction' };
+
+// ---- Lines and components ----
+
+/** Split on `separator` outside double quotes (parameter values may contain ; and :). */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const c of text) {
+    if (c === '"') quoted = !quoted;
+    if (c === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/** "ATTENDEE;CN=\"Doe, Jane\";PARTSTAT=ACCEPTED:mailto:jane@x.com" → { name, params, value } */
+function parseLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, colon), ';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq !== -1) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/** The component tree: { name, props: { NAME: [{ params, value }] }, children }. */
+export function parseIcs(text) {
+  const root = { name: 'ROOT', props: {}, children: [] };
+  const stack = [root];
+  for (const line of String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const prop = parseLine(line);
+    if (!prop) continue;
+    const top = stack[stack.length - 1];
+    if (prop.name === 'BEGIN') {
+      const component = { name: prop.value.trim().toUpperCase(), props: {}, children: [] };
+      top.children.push(component);
+      stack.push(component);
+    } else if (prop.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      (top.props[prop.name] ||= []).push(prop);
+    }
+  }
+  return root;
+}
+
+function components(node, name) {
+  return node.children.flatMap((child) => (child.name === name ? [child] : components(child, name)));
+}
+
+function first(component, name) {
+  return component.props[name]?.[0] || null;
+}
+
+function unescapeText(value) {
+  return String(value || '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function text(component, name) {
+  return unescapeText(first(component, name)?.value).trim();
+}
+
+// ---- Dates and time zones ----
+
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+      });
+    } catch {
+      // Not an IANA zone name.
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/** Milliseconds `timeZone` is ahead of UTC at instant `ms`. */
+function zoneOffset(timeZone, ms) {
+  const parts = Object.fromEntries(zoneFormatter(timeZone).formatToParts(new Date(ms)).map((p) => [p.type, p.value]));
+  return Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second) - ms;
+}
+
+/** "+0530" → 330 minutes */
+function parseUtcOffset(value) {
+  const m = /^([+-])(\d{2})(\d{2})/.exec(String(value || '').trim());
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) : null;
+}
+
+/**
+ * A TZID as something toInstant understands: an IANA name, { offset } minutes from the file's
+ * VTIMEZONE (standard time only), or null for floating times (read in the server's zone).
+ */
+function resolveZone(tzid, fileZones) {
+  const name = String(tzid).replace(/^\/+/, '').trim();
+  if (zoneFormatter(name)) return name;
+  if (WINDOWS_ZONES[name]) return WINDOWS_ZONES[name];
+  if (fileZones[name] != null) return { offset: fileZones[name] };
+  const m = /\((?:UTC|GMT)([+-]\d{2}):?(\d{2})\)/.exec(name);
+  return m ? { offset: parseUtcOffset(`${m[1]}${m[2]}`) } : null;
+}
+
+/** VTIMEZONE TZID → standard-time offset in minutes, for zones with names we do not recognize. */
+function fileZoneOffsets(root) {
+  const zones = {};
+  for (const zone of components(root, 'VTIMEZONE')) {
+    const tzid = text(zone, 'TZID');
+    const standard = zone.children.find((c) => c.name === 'STANDARD') || zone.children[0];
+    const offset = standard && parseUtcOffset(first(standard, 'TZOFFSETTO')?.value);
+    if (tzid && offset != null) zones[tzid] = offset;
+  }
+  return zones;
+}
+
+/** A DATE or DATE-TIME property as { fields, zone, allDay }; null if unreadable. */
+function parseDate(prop, fileZones, fallbackZone = null) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(prop?.value || '').trim());
+  if (!m) return null;
+  const fields = { y: +m[1], mo: +m[2], d: +m[3], h: +(m[4] || 0), mi: +(m[5] || 0), s: +(m[6] || 0) };
+  if (!m[4] || prop.params?.VALUE === 'DATE') return { fields, zone: null, allDay: true };
+  if (m[7]) return { fields, zone: 'UTC', allDay: false };
+  return { fields, zone: prop.params?.TZID ? resolveZone(prop.params.TZID, fileZones) : fallbackZone, allDay: false };
+}
+
+function toInstant({ fields: f, zone, allDay }) {
+  const wall = Date.UTC(f.y, f.mo - 1, f.d, f.h, f.mi, f.s);
+  if (allDay || zone === 'UTC') return wall;
+  if (zone === null) return new Date(f.y, f.mo - 1, f.d, f.h, f.mi, f.s).getTime();
+  if (typeof zone === 'object') return wall - zone.offset * 60000;
+  const guess = wall - zoneOffset(zone, wall);
+  return wall - zoneOffset(zone, guess);
+}
+
+/** The same wall-clock time `days` later (so recurrences keep their local time across DST). */
+function addDays(date, days) {
+  const shifted = new Date(Date.UTC(date.fields.y, date.fields.mo - 1, date.fields.d + days));
+  return { ...date, fields: { ...date.fields, y: shifted.getUTCFullYear(), mo: shifted.getUTCMonth() + 1, d: shifted.getUTCDate() } };
+}
+
+function withDay(date, y, mo, d) {
+  return { ...date, fields: { ...date.fields, y, mo, d } };
+}
+
+function weekday(date) {
+  return new Date(Date.UTC(date.fields.y, date.fields.mo - 1, date.fields.d)).getUTCDay();
+}
+
+function daysInMonth(y, mo) {
+  return new Date(Date.UTC(y, mo, 0)).getUTCDate();
+}
+
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return date.allDay ? `${date.fields.y}-${pad(date.fields.mo)}-${pad(date.fields.d)}` : new Date(toInstant(date)).toISOString();
+}
+
+/** "PT1H30M", "P1D", "-PT15M" → milliseconds */
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!m) return null;
+  const ms = ((+(m[2] || 0) * 7 + +(m[3] || 0)) * 24 * 3600 + +(m[4] || 0) * 3600 + +(m[5] || 0) * 60 + +(m[6] || 0)) * 1000;
+  return m[1] === '-' ? -ms : ms;
+}
+
+// ---- Recurrence ----
+
+function parseRule(value) {
+  const rule = Object.fromEntries(String(value).split(';').map((part) => part.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, parseInt(rule.INTERVAL, 10) || 1),
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+    until: rule.UNTIL || null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map((s) => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(s.trim())).filter(Boolean).map((m) => ({ n: m[1] ? +m[1] : null, day: WEEKDAYS.indexOf(m[2]) }))
+      : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number).filter(Boolean) : null,
+    weekStart: WEEKDAYS.indexOf(rule.WKST || 'MO'),
+  };
+}
+
+/** Days of month `mo` a MONTHLY rule falls on: BYDAY ("2TU", "-1FR", "MO"), BYMONTHDAY, else DTSTART's day. */
+function monthDays(rule, start, y, mo) {
+  const length = daysInMonth(y, mo);
+  const firstWeekday = new Date(Date.UTC(y, mo - 1, 1)).getUTCDay();
+  const days = [];
+  if (rule.byDay) {
+    for (const { n, day } of rule.byDay) {
+      const matching = [];
+      for (let d = 1 + ((day - firstWeekday + 7) % 7); d <= length; d += 7) matching.push(d);
+      if (n == null) days.push(...matching);
+      else if (matching.at(n > 0 ? n - 1 : n) != null) days.push(matching.at(n > 0 ? n - 1 : n));
+    }
+  } else if (rule.byMonthDay) {
+    for (const d of rule.byMonthDay) days.push(d > 0 ? d : length + d + 1);
+  } else {
+    days.push(start.fields.d);
+  }
+  return [...new Set(days)].filter((d) => d >= 1 && d <= length).sort((a, b) => a - b);
+}
+
+/**
+ * Periods of `rule` that end before `fromMs`, less one, so long-running series start near the
+ * window instead of at DTSTART. Only usable without COUNT, which counts from DTSTART.
+ */
+function periodsBefore(start, rule, fromMs) {
+  const daysPerPeriod = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[rule.freq];
+  const elapsedDays = (fromMs - toInstant(start)) / DAY_MS;
+  if (!daysPerPeriod || rule.count != null || elapsedDays <= 0) return 0;
+  return Math.max(0, Math.floor(elapsedDays / (daysPerPeriod * rule.interval)) - 1);
+}
+
+/** Occurrence start dates of `rule` from period `firstStep` on, in order (UNTIL / COUNT applied by the caller). */
+function* recurrenceDates(start, rule, firstStep = 0) {
+  const afterStart = (date) => toInstant(date) >= toInstant(start);
+  for (let step = firstStep; step < firstStep + RECURRENCE_STEP_LIMIT; step++) {
+    if (rule.freq === 'DAILY') {
+      const date = addDays(start, step * rule.interval);
+      if (!rule.byDay || rule.byDay.some((b) => b.day === weekday(date))) yield date;
+    } else if (rule.freq === 'WEEKLY') {
+      const offset = (day) => (day - rule.weekStart + 7) % 7;
+      const weekBegin = addDays(start, -offset(weekday(start)) + step * 7 * rule.interval);
+      const days = rule.byDay ? rule.byDay.map((b) => b.day) : [weekday(start)];
+      for (const day of [...new Set(days)].sort((a, b) => offset(a) - offset(b))) {
+        const date = addDays(weekBegin, offset(day));
+        if (afterStart(date)) yield date;
+      }
+    } else if (rule.freq === 'MONTHLY') {
+      const month = start.fields.mo - 1 + step * rule.interval;
+      const y = start.fields.y + Math.floor(month / 12);
+      const mo = (month % 12) + 1;
+      for (const d of monthDays(rule, start, y, mo)) {
+        const date = withDay(start, y, mo, d);
+        if (afterStart(date)) yield date;
+      }
+    } else if (rule.freq === 'YEARLY') {
+      const y = start.fields.y + step * rule.interval;
+      if (start.fields.d <= daysInMonth(y, start.fields.mo)) yield withDay(start, y, start.fields.mo, start.fields.d);
+    } else {
+      // HOURLY and finer are not used for meetings; keep just the first occurrence.
+      if (step === firstStep) yield start;
+      return;
+    }
+  }
+}
+
+/** UNTIL as an instant: UTC when it ends in Z, else in DTSTART's zone; a bare date includes that whole day. */
+function untilInstant(value, start) {
+  const until = parseDate({ value, params: {} }, {}, start.zone);
+  if (!until) return Infinity;
+  if (until.allDay) return toInstant({ ...until, allDay: start.allDay, zone: start.zone, fields: { ...until.fields, h: 23, mi: 59, s: 59 } });
+  return toInstant(until);
+}
+
+// ---- Events ----
+
+function mailto(value) {
+  const email = String(value || '').replace(/^mailto:/i, '').trim();
+  return email.includes('@') ? email : null;
+}
+
+function httpUrl(value) {
+  const url = String(value || '').trim();
+  return /^https?:\/\//i.test(url) ? url : null;
+}
+
+/** One VEVENT occurrence in the provider-neutral shape described in calendarEvents.js; `start` and `end` are formatted. */
+function toCalendarEvent(vevent, { id, start, end }, selfEmails) {
+  const description = text(vevent, 'DESCRIPTION') || htmlToText(text(vevent, 'X-ALT-DESC'));
+  const location = text(vevent, 'LOCATION') || null;
+  const url = httpUrl(first(vevent, 'URL')?.value);
+  const meeting = findMeetingLink(
+    text(vevent, 'X-GOOGLE-CONFERENCE'),
+    text(vevent, 'X-MICROSOFT-SKYPETEAMSMEETINGURL'),
+    text(vevent, 'X-MICROSOFT-ONLINEMEETINGCONFLINK'),
+    location,
+    url,
+    description,
+    text(vevent, 'X-ALT-DESC')
+  );
+  const organizerProp = first(vevent, 'ORGANIZER');
+  const organizerEmail = mailto(organizerProp?.value);
+  return {
+    id,
+    summary: text(vevent, 'SUMMARY') || '(No title)',
+    description,
+    location,
+    start,
+    end,
+    meetLink: meeting?.url || null,
+    meetingType: meeting?.type || null,
+    htmlLink: url,
+    organizer: organizerEmail ? { email: organizerEmail, name: unescapeText(organizerProp.params.CN) || null } : null,
+    attendees: (vevent.props.ATTENDEE || [])
+      .map((a) => ({ a, email: mailto(a.value) }))
+      .filter(({ email }) => email)
+      .map(({ a, email }) => ({
+        email,
+        name: unescapeText(a.params.CN) || null,
+        self: selfEmails.includes(email.toLowerCase()),
+        organizer: Boolean(organizerEmail) && email.toLowerCase() === organizerEmail.toLowerCase(),
+        optional: a.params.ROLE === 'OPT-PARTICIPANT' || a.params.ROLE === 'NON-PARTICIPANT',
+        resource: a.params.CUTYPE === 'ROOM' || a.params.CUTYPE === 'RESOURCE',
+        response_status: PARTSTAT[a.params.PARTSTAT] || null,
+      })),
+    attachments: (vevent.props.ATTACH || [])
+      .filter((a) => a.params.VALUE !== 'BINARY' && !a.params.ENCODING && httpUrl(a.value))
+      .map((a) => ({ title: a.params.FILENAME || a.params['X-FILENAME'] || a.params['X-LABEL'] || null, url: a.value.trim(), mime_type: a.params.FMTTYPE || null })),
+  };
+}
+
+function compactInstant(date) {
+  return formatDate(date).replace(/[-:]|\.\d{3}/g, '');
+}
+
+/**
+ * Events in `ics` (an iCalendar file's text) that overlap [from, to), recurring ones expanded into
+ * occurrences with ids "<UID>/<start>", oldest first. `selfEmails` are the calendar owner's
+ * addresses, to mark their own attendee entry. Throws a 400-status error if `ics` is not iCalendar.
+ */
+export function eventsFromIcs(ics, { from, to, selfEmails = [] }) {
+  if (!/BEGIN:VCALENDAR/i.test(ics)) {
+    throw Object.assign(new Error('Not an iCalendar (.ics) file'), { status: 400 });
+  }
+  const root = parseIcs(ics);
+  const fileZones = fileZoneOffsets(root);
+  const self = selfEmails.filter(Boolean).map((e) => e.toLowerCase());
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const events = [];
+
+  const vevents = components(root, 'VEVENT');
+  // Moved or cancelled occurrences of recurring events, by "<UID> <original start instant>".
+  const overridden = new Set();
+  for (const vevent of vevents) {
+    const recurrenceId = parseDate(first(vevent, 'RECURRENCE-ID'), fileZones);
+    if (recurrenceId) overridden.add(`${text(vevent, 'UID')} ${toInstant(recurrenceId)}`);
+  }
+
+  for (const vevent of vevents) {
+    if (text(vevent, 'STATUS').toUpperCase() === 'CANCELLED') continue;
+    const start = parseDate(first(vevent, 'DTSTART'), fileZones);
+    if (!start) continue;
+    const uid = text(vevent, 'UID') || `${text(vevent, 'SUMMARY')}-${compactInstant(start)}`;
+    const endDate = parseDate(first(vevent, 'DTEND'), fileZones, start.zone);
+    const duration = endDate
+      ? toInstant(endDate) - toInstant(start)
+      : parseDuration(first(vevent, 'DURATION')?.value) ?? (start.allDay ? DAY_MS : 0);
+    const overlaps = (occurrence) => toInstant(occurrence) < toMs && toInstant(occurrence) + Math.max(duration, 0) > fromMs;
+    const add = (occurrence, id) => {
+      const end = occurrence.allDay
+        ? formatDate(addDays(occurrence, Math.round(duration / DAY_MS)))
+        : new Date(toInstant(occurrence) + duration).toISOString();
+      events.push(toCalendarEvent(vevent, { id, start: formatDate(occurrence), end }, self));
+    };
+
+    const rrule = first(vevent, 'RRULE');
+    const recurrenceId = parseDate(first(vevent, 'RECURRENCE-ID'), fileZones);
+    if (!rrule || recurrenceId) {
+      if (overlaps(start)) add(start, recurrenceId ? `${uid}/${compactInstant(recurrenceId)}` : uid);
+      continue;
+    }
+
+    const rule = parseRule(rrule.value);
+    const until = rule.until ? untilInstant(rule.until, start) : Infinity;
+    const excluded = new Set(
+      (vevent.props.EXDATE || []).flatMap((prop) =>
+        prop.value.split(',').map((value) => parseDate({ value, params: prop.params }, fileZones, start.zone)).filter(Boolean).map(toInstant)
+      )
+    );
+    let seen = 0;
+    for (const occurrence of recurrenceDates(start, rule, periodsBefore(start, rule, fromMs))) {
+      const instant = toInstant(occurrence);
+      if (instant > until || instant >= toMs || (rule.count != null && seen >= rule.count)) break;
+      seen++;
+      if (excluded.has(instant) || overridden.has(`${uid} ${instant}`) || !overlaps(occurrence)) continue;
+      add(occurrence, `${uid}/${compactInstant(occurrence)}`);
+    }
+  }
+
+  return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
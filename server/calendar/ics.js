@@ -0,0 +1,48 @@
+import { eventsFromIcs } from './icalendar.js';
+import { fetchCalendarUrl, normalizeCalendarUrl, calendarMaxBytes } from './fetchUrl.js';
+
+function feedError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * iCalendar feeds: a subscription URL (Outlook "Publish calendar", Fastmail or Google "secret
+ * address in iCal format", webcal:// links) fetched on every refresh, or an uploaded .ics file kept
+ * as uploaded. Credentials: { url } or { ics, file_name }.
+ */
+export function createIcsCalendar() {
+  return {
+    name: 'ics',
+    label: 'iCalendar feed',
+    connect: 'feed',
+    configured: () => true,
+
+    /** Body: { url } to subscribe, or { ics, fileName? } with the file's text. */
+    async connectionFrom(body) {
+      if (typeof body.ics === 'string' && body.ics.trim()) {
+        if (Buffer.byteLength(body.ics) > calendarMaxBytes()) {
+          throw feedError(`The .ics file is larger than ${process.env.CALENDAR_MAX_MB || 5} MB`, 413);
+        }
+        const fileName = typeof body.fileName === 'string' && body.fileName.trim() ? body.fileName.trim().slice(0, 200) : null;
+        return { credentials: { ics: body.ics, file_name: fileName }, label: fileName || 'Uploaded .ics file' };
+      }
+      const url = normalizeCalendarUrl(body.url);
+      if (!url) throw feedError('Give the feed\'s https:// or webcal:// URL, or upload an .ics file', 400);
+      return { credentials: { url }, label: new URL(url).host };
+    },
+
+    async listEvents(credentials, { from, to, selfEmails }) {
+      let text = credentials.ics;
+      if (text == null) {
+        const res = await fetchCalendarUrl(credentials.url, { headers: { Accept: 'text/calendar' } });
+        if (res.status === 401 || res.status === 403 || res.status === 404 || res.status === 410) {
+          // Published and secret feed links stop working when they are reset or unpublished.
+          throw feedError(`The calendar feed at ${new URL(credentials.url).host} cannot be read (HTTP ${res.status}); its link may have been reset or unpublished`, 401);
+        }
+        if (res.status >= 400) throw feedError(`The calendar feed at ${new URL(credentials.url).host} returned HTTP ${res.status}`, 502);
+        text = res.text;
+      }
+      return eventsFromIcs(text, { from, to, selfEmails });
+    },
+  };
+}
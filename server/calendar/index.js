@@ -0,0 +1,133 @@
+import { createGoogleCalendar } from './google.js';
+import { createCalDavCalendar } from './caldav.js';
+import { createIcsCalendar } from './ics.js';
+import { getCalendarTokens, saveCalendarTokens, removeCalendarTokens, listCalendarConnections } from '../calendarTokens.js';
+
+/**
+ * Calendar sources for the upcoming-interviews list. Each user connects their own, one per provider:
+ *   - google: Google Calendar API, connected with OAuth (GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET)
+ *   - caldav: a CalDAV server (Fastmail, iCloud, Nextcloud, …) with username and app password
+ *   - ics: an iCalendar feed URL (e.g. a published Outlook calendar) or an uploaded .ics file
+ * CALENDAR_PROVIDERS (comma-separated) limits which are offered; default all of them.
+ *
+ * A provider is { name, label, connect: 'oauth' | 'account' | 'feed', configured(),
+ * connectionFrom?(body) → { credentials, label }, listEvents(credentials, { from, to, selfEmails,
+ * saveCredentials }) → events, revoke?(credentials) }. Events come back in the provider-neutral shape
+ * of calendarEvents.js. Errors carry an HTTP `status`; 401 means the stored credentials no longer
+ * work, and the connection is dropped so the user connects again.
+ */
+const PROVIDERS = {
+  google: () => createGoogleCalendar(),
+  caldav: () => createCalDavCalendar(),
+  ics: () => createIcsCalendar(),
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let providers;
+
+function enabledProviders() {
+  if (providers) return providers;
+  const names = (process.env.CALENDAR_PROVIDERS || Object.keys(PROVIDERS).join(','))
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = names.filter((n) => !PROVIDERS[n]);
+  if (unknown.length) {
+    throw new Error(`Unknown CALENDAR_PROVIDERS "${unknown.join(', ')}". Use any of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  providers = names.map((n) => PROVIDERS[n]());
+  return providers;
+}
+
+/** The provider called `name` if it is enabled and configured, else null. */
+export function calendarProvider(name) {
+  return enabledProviders().find((p) => p.name === name && p.configured()) || null;
+}
+
+/** What the Home page can offer to connect: [{ name, label, connect }]. */
+export function availableCalendarProviders() {
+  return enabledProviders()
+    .filter((p) => p.configured())
+    .map(({ name, label, connect }) => ({ name, label, connect }));
+}
+
+/**
+ * Connect a non-OAuth source from the request body (see each provider's connectionFrom), replacing
+ * the user's earlier connection to that provider. Resolves to the connection without its secrets.
+ */
+export async function connectCalendar(user, name, body) {
+  const provider = calendarProvider(name);
+  if (!provider) throw Object.assign(new Error(`Unknown calendar provider "${name}"`), { status: 400 });
+  if (!provider.connectionFrom) {
+    throw Object.assign(new Error(`${provider.label} is connected through its sign-in page`), { status: 400 });
+  }
+  const { credentials, label } = await provider.connectionFrom(body);
+  // Read the calendar once, so a wrong URL or unreadable file is reported now rather than on Home.
+  const now = new Date();
+  await provider.listEvents(credentials, { from: now, to: new Date(now.getTime() + DAY_MS), selfEmails: [user.email], saveCredentials: () => {} });
+  removeCalendarTokens(user.id, name);
+  saveCalendarTokens(user.id, credentials, name, label);
+  return listCalendarConnections(user.id).find((c) => c.provider === name);
+}
+
+/** Forget the user's connection to `name` (revoking it with the provider where possible). */
+export async function disconnectCalendar(user, name) {
+  const credentials = getCalendarTokens(user.id, name);
+  const provider = calendarProvider(name);
+  if (credentials && provider?.revoke) {
+    try {
+      await provider.revoke(credentials);
+    } catch (err) {
+      // Already revoked or expired on the provider's side; forgetting it here is what matters.
+      console.warn(`${provider.label} revoke failed:`, err.message);
+    }
+  }
+  return removeCalendarTokens(user.id, name);
+}
+
+/** The user's connections to enabled providers: [{ provider, label, created_at, updated_at }]. */
+export function calendarConnections(user) {
+  return listCalendarConnections(user.id).filter((c) => calendarProvider(c.provider));
+}
+
+/**
+ * Events of the next `days` days from all of the user's calendars, each tagged with its `provider`,
+ * soonest first. A calendar that fails is reported in `errors` ({ provider, label, error, reconnect })
+ * and the others are still listed.
+ */
+export async function upcomingEvents(user, { days = 7 } = {}) {
+  const from = new Date();
+  const to = new Date(from.getTime() + days * DAY_MS);
+  const errors = [];
+  const lists = await Promise.all(
+    calendarConnections(user).map(async (connection) => {
+      const provider = calendarProvider(connection.provider);
+      const credentials = getCalendarTokens(user.id, connection.provider);
+      try {
+        if (!credentials) throw Object.assign(new Error('The stored connection can no longer be read'), { status: 401 });
+        const events = await provider.listEvents(credentials, {
+          from,
+          to,
+          selfEmails: [user.email],
+          saveCredentials: (fresh) => saveCalendarTokens(user.id, fresh, connection.provider),
+        });
+        return events.map((e) => ({ ...e, provider: connection.provider }));
+      } catch (err) {
+        const reconnect = err.status === 401;
+        if (reconnect) removeCalendarTokens(user.id, connection.provider);
+        console.error(`${provider.label} events for user ${user.id}:`, err.message);
+        errors.push({ provider: connection.provider, label: connection.label || provider.label, error: err.message, reconnect });
+        return [];
+      }
+    })
+  );
+  const events = lists.flat().sort((a, b) => new Date(a.start) - new Date(b.start));
+  return { events, errors };
+}
+
+/** One line for the startup log. */
+export function describeCalendar() {
+  const names = availableCalendarProviders().map((p) => p.name);
+  return `Calendar: ${names.length ? names.join(', ') : 'off'}`;
+}
@@ -0,0 +1,35 @@
+/**
+ * Video meeting links in calendar events, whichever tool the invite was made with. Invites carry
+ * the link in different places (Google's conference data, Outlook's X-MICROSOFT-* properties, the
+ * location, or only the description), so adapters pass every candidate field in order of trust.
+ */
+const URL_TAIL = String.raw`[^\s<>"'()\[\]{}]*`;
+
+const MEETING_SERVICES = [
+  { type: 'meet', pattern: new RegExp(String.raw`https://meet\.google\.com/[a-z]{3}-[a-z]{4}-[a-z]{3}${URL_TAIL}`, 'i') },
+  { type: 'teams', pattern: new RegExp(String.raw`https://teams\.(?:microsoft|live)\.com/(?:l/meetup-join|meet)/${URL_TAIL}`, 'i') },
+  { type: 'zoom', pattern: new RegExp(String.raw`https://(?:[\w-]+\.)?zoom(?:gov)?\.(?:us|com)/(?:j|my|w|s)/${URL_TAIL}`, 'i') },
+  { type: 'webex', pattern: new RegExp(String.raw`https://[\w-]+\.webex\.com/(?:meet/|join/|[\w-]+/j\.php)${URL_TAIL}`, 'i') },
+];
+
+/** Punctuation that ends a sentence rather than the link ("Join: https://zoom.us/j/123."). */
+function trimLink(url) {
+  return url.replace(/[.,;:!?]+$/, '');
+}
+
+/**
+ * The first meeting link in `sources` (strings, checked in order; empty ones are skipped), as
+ * { url, type: 'meet' | 'teams' | 'zoom' | 'webex' }, or null. Within one source the earliest link wins.
+ */
+export function findMeetingLink(...sources) {
+  for (const source of sources) {
+    if (!source) continue;
+    let found = null;
+    for (const { type, pattern } of MEETING_SERVICES) {
+      const match = pattern.exec(source);
+      if (match && (!found || match.index < found.index)) found = { index: match.index, url: trimLink(match[0]), type };
+    }
+    if (found) return { url: found.url, type: found.type };
+  }
+  return null;
+}
@@ -0,0 +1,132 @@
+import { listRoles } from './rubrics.js';
+import { findCandidateByEmail } from './routes/candidates.js';
+import { latestInterviewForCalendarEvent } from './routes/interviews.js';
+
+/**
+ * Interview setup from calendar events. Providers (calendar/) hand over events as
+ *   { id, summary, description, location, start, end, meetLink, meetingType, htmlLink,
+ *     organizer: { email, name } | null,
+ *     attendees: [{ email, name, self, organizer, optional, resource, response_status }],
+ *     attachments: [{ title, url, mime_type }] }
+ * and enrichEvents() adds what the interview screen is started with:
+ *   - role: { id, label, source: 'tag' | 'title' | 'description' } or null
+ *   - candidate: { id, name, email, existing } for the first external attendee, or null
+ *   - interview_id: the latest interview already started from this event, or null
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/** Calendar descriptions are often HTML: keep line breaks and link text, drop the markup. */
+export function htmlToText(value) {
+  if (!value) return '';
+  return String(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, e) => ENTITIES[e])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/** Lowercase words separated by single spaces and padded with one, for whole-word matching. */
+function normalize(text) {
+  return ` ${String(text || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+/** Ways a role is written in an event title: its label, its id, and "VP" spelled out or not. */
+function roleAliases(role) {
+  const forms = new Set([normalize(role.label), normalize(role.id)]);
+  for (const form of [...forms]) {
+    forms.add(form.replace(/ of /g, ' '));
+    forms.add(form.replace(/ vp /g, ' vice president '));
+    forms.add(form.replace(/ vice president /g, ' vp '));
+  }
+  return [...forms].filter((f) => f.trim());
+}
+
+/** The role whose longest alias appears in `text`, e.g. "VP of Sales" over "Sales" roles. */
+function roleInText(text, roles) {
+  const haystack = normalize(text);
+  let best = null;
+  for (const role of roles) {
+    for (const alias of roleAliases(role)) {
+      if (haystack.includes(alias) && (!best || alias.length > best.length)) best = { role, length: alias.length };
+    }
+  }
+  return best?.role || null;
+}
+
+/** Explicit tags: "#vp-sales" or "[role: VP of Sales]" in the title, or a "Role: …" line in the description. */
+function taggedRole(event, roles) {
+  const tags = [
+    ...[...`${event.summary || ''} ${event.description || ''}`.matchAll(/(?:^|\s)#([a-z0-9][a-z0-9-]*)/gi)].map((m) => m[1]),
+    ...[...`${event.summary || ''}\n${event.description || ''}`.matchAll(/\[role:\s*([^\]]+)\]/gi)].map((m) => m[1]),
+    ...[...(event.description || '').matchAll(/^\s*role:\s*(.+)$/gim)].map((m) => m[1]),
+  ];
+  for (const tag of tags) {
+    const wanted = normalize(tag);
+    const role = roles.find((r) => normalize(r.id) === wanted || normalize(r.label) === wanted) || roleInText(tag, roles);
+    if (role) return role;
+  }
+  return null;
+}
+
+export function inferRole(event, roles = listRoles()) {
+  const tagged = taggedRole(event, roles);
+  if (tagged) return { id: tagged.id, label: tagged.label, source: 'tag' };
+  const fromTitle = roleInText(event.summary, roles);
+  if (fromTitle) return { id: fromTitle.id, label: fromTitle.label, source: 'title' };
+  const fromDescription = roleInText(event.description, roles);
+  return fromDescription ? { id: fromDescription.id, label: fromDescription.label, source: 'description' } : null;
+}
+
+function domainOf(email) {
+  const at = (email || '').lastIndexOf('@');
+  return at === -1 ? '' : email.slice(at + 1).toLowerCase();
+}
+
+/**
+ * Our own email domains: INTERNAL_EMAIL_DOMAINS (comma-separated), else the domain of the calendar
+ * owner (the event's `self` attendee) or of the signed-in user.
+ */
+function internalDomains(event, user) {
+  const configured = (process.env.INTERNAL_EMAIL_DOMAINS || '').split(',').map((d) => d.trim().toLowerCase()).filter(Boolean);
+  if (configured.length) return configured;
+  const self = (event.attendees || []).find((a) => a.self)?.email || user?.email;
+  return self ? [domainOf(self)] : [];
+}
+
+/** "jane.doe-smith@x.com" → "Jane Doe Smith", for attendees without a display name. */
+function nameFromEmail(email) {
+  return email
+    .split('@')[0]
+    .split(/[._-]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+/** The candidate: the first attendee who is not us, not a room and not from one of our domains. */
+export function inferCandidate(event, user) {
+  const internal = internalDomains(event, user);
+  const external = (event.attendees || []).filter(
+    (a) => a.email && !a.self && !a.resource && !internal.includes(domainOf(a.email)) && a.response_status !== 'declined'
+  );
+  const attendee = external.find((a) => !a.optional) || external[0];
+  if (!attendee) return null;
+  const existing = findCandidateByEmail(attendee.email);
+  if (existing) return { id: existing.id, name: existing.name, email: attendee.email, existing: true };
+  // Outlook shows people as "Last, First".
+  const name = attendee.name?.replace(/^([^,]+),\s*([^,]+)$/, '$2 $1');
+  return { id: null, name: name || nameFromEmail(attendee.email), email: attendee.email, existing: false };
+}
+
+export function enrichEvents(events, { user }) {
+  const roles = listRoles();
+  return events.map((event) => ({
+    ...event,
+    role: inferRole(event, roles),
+    candidate: inferCandidate(event, user),
+    interview_id: latestInterviewForCalendarEvent(event.id)?.id || null,
+  }));
+}
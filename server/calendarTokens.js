@@ -0,0 +1,52 @@
+import { createCollection } from './store.js';
+import { encryptSecret, decryptSecret } from './secretBox.js';
+
+const connections = createCollection('calendar_connections');
+
+function connectionFor(userId, provider) {
+  return connections.list((c) => c.user_id === userId && c.provider === provider)[0] || null;
+}
+
+/** The user's calendar connections without their secrets: { provider, label, created_at, updated_at }. */
+export function listCalendarConnections(userId) {
+  return connections
+    .list((c) => c.user_id === userId)
+    .map(({ provider, label, created_at, updated_at }) => ({ provider, label: label || null, created_at, updated_at }));
+}
+
+/**
+ * One calendar connection per user and provider; its credentials (OAuth tokens, a CalDAV password,
+ * a feed URL or uploaded file) are stored encrypted (secretBox.js). Returns them decrypted, or null
+ * when the user has not connected or they can no longer be decrypted (e.g. TOKEN_ENCRYPTION_KEY changed).
+ */
+export function getCalendarTokens(userId, provider = 'google') {
+  const connection = connectionFor(userId, provider);
+  if (!connection) return null;
+  try {
+    return decryptSecret(connection.tokens);
+  } catch (err) {
+    console.error(`Cannot decrypt ${provider} calendar tokens for user ${userId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Store new tokens for the user, with a `label` naming the calendar if given. Refreshes return no
+ * refresh_token, so the previous one is kept unless the new set has its own.
+ */
+export function saveCalendarTokens(userId, tokens, provider = 'google', label) {
+  const connection = connectionFor(userId, provider);
+  if (!connection) {
+    return connections.insert({ user_id: userId, provider, label: label || null, tokens: encryptSecret(tokens) });
+  }
+  const previous = getCalendarTokens(userId, provider) || {};
+  return connections.update(connection.id, {
+    tokens: encryptSecret({ ...previous, ...tokens, refresh_token: tokens.refresh_token || previous.refresh_token }),
+    ...(label ? { label } : {}),
+  });
+}
+
+export function removeCalendarTokens(userId, provider = 'google') {
+  const connection = connectionFor(userId, provider);
+  return connection ? connections.remove(connection.id) : false;
+}
@@ -0,0 +1,91 @@
+import { normalizeTurns, turnLine } from './turns.js';
+
+/**
+ * Evidence citations on final results: category_scores[].evidence, strengths[].evidence and
+ * red_flags[].evidence are lists of { turn_id, quote }. The model sees each transcript line with
+ * its turn id; after scoring every quote is checked against the transcript text.
+ */
+
+/** Turns a transcript can be cited by: the structured turns when sent, otherwise one per transcript line. */
+export function citableTurns(transcript, turns) {
+  return Array.isArray(turns) && turns.length ? normalizeTurns(turns) : normalizeTurns(String(transcript || '').split('\n'));
+}
+
+/** Transcript text for the model, each line prefixed with its turn id: "#0-3 [12:40] Candidate: …". */
+export function citableTranscript(turns) {
+  return turns
+    .filter((t) => t.text.trim())
+    .map((t) => `#${t.id} ${turnLine(t)}`)
+    .join('\n');
+}
+
+/** Lowercase letters and digits only, single-spaced, so curly quotes, punctuation and casing don't break a match. */
+function comparable(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/[^\p{L}\p{N}']+/gu, ' ')
+    .trim();
+}
+
+/** A quote as the model tends to write it, minus ellipses and any copied "#id [mm:ss] Speaker:" prefix. */
+function cleanQuote(quote) {
+  return String(quote || '')
+    .trim()
+    .replace(/^#\S+\s+/, '')
+    .replace(/^\[\d{1,2}(:\d{2}){1,2}\]\s*/, '')
+    .replace(/^(Interviewer|Candidate):\s*/, '')
+    .replace(/^["“]|["”]$/g, '')
+    .replace(/^(\.\.\.|…)\s*|\s*(\.\.\.|…)$/g, '')
+    .trim();
+}
+
+/**
+ * Check one citation. The quote must appear in the cited turn; if it appears in a different turn
+ * the turn id is corrected. Evidence is what the candidate said, so only Candidate turns (and turns
+ * without a speaker label) count: a quote the interviewer said stays unverified.
+ * Returns { turn_id, quote, verified, start_ms }.
+ */
+function verifyCitation(citation, turns, byId) {
+  const quote = cleanQuote(typeof citation === 'string' ? citation : citation?.quote);
+  const citedId = String((typeof citation === 'object' && citation?.turn_id) || '').replace(/^#/, '');
+  const needle = comparable(quote);
+  const contains = (turn) => needle !== '' && turn.speaker !== 'Interviewer' && comparable(turn.text).includes(needle);
+  const cited = byId.get(citedId);
+  const found = cited && contains(cited) ? cited : turns.find(contains);
+  return {
+    turn_id: found ? found.id : citedId || null,
+    quote,
+    verified: !!found,
+    start_ms: found ? found.start_ms : null,
+  };
+}
+
+/** Findings (strengths, red flags) as { text, evidence }; older results and sloppy replies use plain strings. */
+function toFinding(item) {
+  if (typeof item === 'string') return { text: item, evidence: [] };
+  return item && typeof item === 'object' ? { ...item, evidence: Array.isArray(item.evidence) ? item.evidence : [] } : item;
+}
+
+/**
+ * Verify every quote in a final result against the transcript turns. Quotes not found anywhere are
+ * kept with verified: false so the report can flag them; `citation_check` counts both.
+ */
+export function verifyCitations(result, turns) {
+  const byId = new Map(turns.map((t) => [t.id, t]));
+  const checked = [];
+  const check = (evidence) =>
+    (Array.isArray(evidence) ? evidence : [])
+      .map((c) => verifyCitation(c, turns, byId))
+      .filter((c) => c.quote && checked.push(c));
+  const withEvidence = (item) => (item && typeof item === 'object' ? { ...item, evidence: check(item.evidence) } : item);
+
+  const verifiedResult = {
+    ...result,
+    category_scores: (result.category_scores || []).map(withEvidence),
+    strengths: (result.strengths || []).map(toFinding).map(withEvidence),
+    red_flags: (result.red_flags || []).map(toFinding).map(withEvidence),
+  };
+  verifiedResult.citation_check = { quotes: checked.length, verified: checked.filter((c) => c.verified).length };
+  return verifiedResult;
+}
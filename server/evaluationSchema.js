@@ -0,0 +1,261 @@
+import Ajv from 'ajv';
+
+/** Hire recommendations the final report and panel roll-up understand. */
+export const HIRE_RECOMMENDATIONS = ['Strong Hire', 'Hire with caveats', 'No Hire'];
+
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * Compiled validators by schema JSON. The builders return a new object on every call and Ajv keeps
+ * everything it compiles, so one compile per distinct schema (kind × rubric version) is all we keep.
+ */
+const validators = new Map();
+
+function compiled(schema) {
+  const key = JSON.stringify(schema);
+  let validate = validators.get(key);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(key, validate);
+  }
+  return validate;
+}
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/** Verbatim quotes with the id of the transcript turn they come from. */
+const citationList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['turn_id', 'quote'],
+    properties: {
+      turn_id: { type: 'string' },
+      quote: { type: 'string', minLength: 1 },
+    },
+  },
+};
+
+/** A strength or red flag in a final result, with the quotes that show it. */
+const findingList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['text', 'evidence'],
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      evidence: citationList,
+    },
+  },
+};
+
+function categoryNames(rubric) {
+  return (rubric.categories || []).map((c) => c.name);
+}
+
+function scoreRows(rubric, { integer, justificationRequired, evidence = false }) {
+  const names = categoryNames(rubric);
+  const required = justificationRequired ? ['name', 'score', 'justification'] : ['name', 'score'];
+  return {
+    type: 'array',
+    minItems: names.length,
+    maxItems: names.length,
+    items: {
+      type: 'object',
+      required: evidence ? [...required, 'evidence'] : required,
+      properties: {
+        name: { enum: names },
+        score: { type: integer ? 'integer' : 'number', minimum: 0, maximum: rubric.max_score || 5 },
+        justification: { type: 'string' },
+        ...(evidence ? { evidence: citationList } : {}),
+      },
+    },
+  };
+}
+
+/**
+ * JSON schema for a live (partial) evaluation against this rubric. Incremental evaluations also
+ * return the running `evidence_summary` carried to the next call.
+ */
+export function buildPartialSchema(rubric, { incremental = false } = {}) {
+  const required = ['partial_scores', 'suggested_questions', 'red_flags', 'strengths', 'current_impression'];
+  return {
+    type: 'object',
+    required: incremental ? [...required, 'evidence_summary'] : required,
+    properties: {
+      partial_scores: scoreRows(rubric, { integer: true, justificationRequired: false }),
+      suggested_questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['question'],
+          properties: {
+            question: { type: 'string', minLength: 1 },
+            already_asked: { type: 'boolean' },
+            category: { enum: categoryNames(rubric) },
+            weight_pct: { type: 'number', minimum: 0, maximum: 100 },
+          },
+        },
+      },
+      red_flags: stringList,
+      strengths: stringList,
+      current_impression: { type: 'string' },
+      evidence_summary: { type: 'string' },
+    },
+  };
+}
+
+/** JSON schema for a final evaluation against this rubric. */
+export function buildFinalSchema(rubric) {
+  return {
+    type: 'object',
+    required: ['category_scores', 'hire_recommendation', 'summary', 'strengths', 'weaknesses', 'red_flags'],
+    properties: {
+      category_scores: scoreRows(rubric, { integer: false, justificationRequired: true, evidence: true }),
+      weighted_overall_score: { type: 'number' },
+      hire_recommendation: { enum: HIRE_RECOMMENDATIONS },
+      summary: { type: 'string', minLength: 1 },
+      strengths: findingList,
+      weaknesses: stringList,
+      red_flags: findingList,
+      questions_coverage: {
+        type: 'object',
+        properties: {
+          asked: { type: 'array', items: { type: 'object' } },
+          missed: { type: 'array', items: { type: 'object' } },
+        },
+      },
+    },
+  };
+}
+
+/** JSON schema for evidence pulled from one segment of a long transcript. */
+export function buildEvidenceSchema(rubric) {
+  const categoryRef = { enum: categoryNames(rubric) };
+  return {
+    type: 'object',
+    required: ['evidence', 'strengths', 'red_flags', 'questions_asked'],
+    properties: {
+      evidence: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['category', 'quotes', 'notes'],
+          properties: {
+            category: categoryRef,
+            quotes: citationList,
+            notes: { type: 'string' },
+          },
+        },
+      },
+      strengths: stringList,
+      red_flags: stringList,
+      questions_asked: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['category', 'question_or_topic'],
+          properties: { category: categoryRef, question_or_topic: { type: 'string' } },
+        },
+      },
+    },
+  };
+}
+
+function describeError(err) {
+  const path = err.instancePath || '(root)';
+  if (err.keyword === 'enum') return `${path} must be one of: ${err.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}`;
+  return `${path} ${err.message}`;
+}
+
+/**
+ * Problems with an evaluation against its schema, as short sentences the model can act on.
+ * With `scoresKey`, also checks that every rubric category is scored exactly once, which JSON
+ * schema cannot express.
+ */
+export function validateEvaluation(schema, value, { rubric, scoresKey }) {
+  const validate = compiled(schema);
+  const problems = validate(value) ? [] : validate.errors.map(describeError);
+  if (!scoresKey) return problems;
+  const rows = Array.isArray(value?.[scoresKey]) ? value[scoresKey] : [];
+  const counts = new Map();
+  for (const row of rows) counts.set(row?.name, (counts.get(row?.name) || 0) + 1);
+  for (const name of categoryNames(rubric)) {
+    const n = counts.get(name) || 0;
+    if (n === 0) problems.push(`${scoresKey} is missing category "${name}"`);
+    if (n > 1) problems.push(`${scoresKey} scores category "${name}" ${n} times`);
+  }
+  return problems;
+}
+
+/**
+ * Local fixes applied before validation so small slips don't cost a retry: category names that
+ * differ only in case or spacing, numeric strings for scores, hire_recommendation casing, and
+ * citations given as bare quote strings. With `findings`, strengths and red flags given as plain
+ * strings become { text, evidence: [] } and score rows without evidence get an empty list.
+ */
+export function repairEvaluation(value, { rubric, scoresKey, findings = false }) {
+  if (!value || typeof value !== 'object') return value;
+  const canonical = new Map(categoryNames(rubric).map((n) => [normalizeName(n), n]));
+  const fixName = (name) => (typeof name === 'string' && canonical.get(normalizeName(name))) || name;
+  const repaired = { ...value };
+  if (scoresKey && Array.isArray(value[scoresKey])) {
+    repaired[scoresKey] = value[scoresKey].map((row) =>
+      row && typeof row === 'object'
+        ? {
+            ...row,
+            name: fixName(row.name),
+            score: toNumber(row.score),
+            ...(findings ? { evidence: repairCitations(row.evidence ?? []) } : {}),
+          }
+        : row
+    );
+  }
+  if (findings) {
+    for (const key of ['strengths', 'red_flags']) {
+      if (Array.isArray(value[key])) {
+        repaired[key] = value[key].map((item) => {
+          if (typeof item === 'string') return { text: item, evidence: [] };
+          return item && typeof item === 'object' ? { ...item, evidence: repairCitations(item.evidence ?? []) } : item;
+        });
+      }
+    }
+  }
+  if (Array.isArray(value.evidence)) {
+    repaired.evidence = value.evidence.map((e) => (e && typeof e === 'object' ? { ...e, quotes: repairCitations(e.quotes) } : e));
+  }
+  if (Array.isArray(value.suggested_questions)) {
+    repaired.suggested_questions = value.suggested_questions.map((q) => {
+      if (typeof q === 'string') return { question: q, already_asked: false };
+      return q && typeof q === 'object' ? { ...q, category: fixName(q.category), weight_pct: toNumber(q.weight_pct) } : q;
+    });
+  }
+  for (const key of ['evidence', 'questions_asked']) {
+    if (Array.isArray(repaired[key])) {
+      repaired[key] = repaired[key].map((e) => (e && typeof e === 'object' ? { ...e, category: fixName(e.category) } : e));
+    }
+  }
+  if (typeof value.hire_recommendation === 'string') {
+    const match = HIRE_RECOMMENDATIONS.find((r) => normalizeName(r) === normalizeName(value.hire_recommendation));
+    if (match) repaired.hire_recommendation = match;
+  }
+  return repaired;
+}
+
+/** Bare quote strings become { turn_id: '', quote }; a "#" copied in front of a turn id is dropped. */
+function repairCitations(list) {
+  if (!Array.isArray(list)) return list;
+  return list.map((c) => {
+    if (typeof c === 'string') return { turn_id: '', quote: c };
+    if (c && typeof c === 'object' && c.turn_id != null) return { ...c, turn_id: String(c.turn_id).replace(/^#/, '') };
+    return c;
+  });
+}
+
+function normalizeName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function toNumber(value) {
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+}
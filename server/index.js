@@ -4,9 +4,40 @@ import cors from 'cors';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { createReadStream, existsSync } from 'fs';
-import { generateTempToken } from './tokenGenerator.js';
-import { evaluatePartial, evaluateFinal, getRubricSampleQuestions, getRoles } from './routes/evaluate.js';
+import { evaluatePartial, evaluateLive, evaluateStream, evaluateFinal, getRubricSampleQuestions, getRoles, rescoreInterview, registerRescoreJob } from './routes/evaluate.js';
+import { createInterview, listInterviews, getInterview, updateInterview, getRecording } from './routes/interviews.js';
+import { startReplay, getReplay, listReplays, registerReplayJob } from './routes/replays.js';
+import { createUpload, getUpload, listUploads } from './routes/uploads.js';
+import { queueFinalEvaluation, getJobHandler, listInterviewJobsHandler } from './routes/jobs.js';
+import { getInterviewReport, getReportPdf, renderReportHandler } from './routes/reports.js';
+import { registerReportJobs } from './reportJobs.js';
+import { startJobWorker } from './jobs.js';
+import { createCandidate, listCandidates, getCandidate, updateCandidate, getCandidatePanel } from './routes/candidates.js';
+import {
+  listRubricsHandler,
+  getRubricHandler,
+  createRubricHandler,
+  updateRubricHandler,
+  deleteRubricHandler,
+  listRubricVersionsHandler,
+  getRubricVersionHandler,
+  importRubricHandler,
+} from './routes/rubrics.js';
+import { SCORECARD_CONTENT_TYPES } from './scorecardText.js';
 import * as calendar from './routes/calendar.js';
+import { getAtsStatus, searchAtsCandidates, linkCandidateToAts, unlinkCandidateFromAts, getAtsScorecard, queueAtsSubmission } from './routes/ats.js';
+import { describeLlm } from './llm/index.js';
+import { describeStt } from './stt/index.js';
+import { describeMail } from './mail/index.js';
+import { describeCalendar } from './calendar/index.js';
+import { describeAts, atsMock, mockAtsRouter, MOCK_ATS_PATH } from './ats/index.js';
+import { authenticate, requireRole, corsOptions, describeAuth } from './auth/index.js';
+import { ensureAdminUser } from './auth/users.js';
+import { oidcConfig, MOCK_OIDC_PATH } from './auth/oidc.js';
+import { createMockOidcRouter } from './auth/mockOidc.js';
+import { getAuthConfig, getMe, login, logout, oidcLogin, oidcCallback } from './routes/auth.js';
+import { listUsersHandler, createUserHandler, updateUserHandler } from './routes/users.js';
+import { attachSttRelay } from './sttRelay.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = join(__dirname, '..');
@@ -15,37 +46,94 @@ const DIST = join(PROJECT_ROOT, 'client', 'dist');
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-app.use(cors({ origin: true }));
-app.use(express.json());
-
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || `http://localhost:${PORT}`;
 process.env.FRONTEND_ORIGIN = FRONTEND_ORIGIN;
 
-app.get('/api/token', async (req, res) => {
-  try {
-    const token = await generateTempToken(600);
-    res.json({ token });
-  } catch (err) {
-    console.error('Token error:', err.response?.data || err.message);
-    const status = err.response?.status;
-    const message = !process.env.ASSEMBLYAI_API_KEY
-      ? 'Recording not configured. Add ASSEMBLYAI_API_KEY to server .env (see .env.example).'
-      : status === 401
-        ? 'AssemblyAI API key invalid. Check ASSEMBLYAI_API_KEY in server .env.'
-        : 'Failed to get recording token. Check ASSEMBLYAI_API_KEY and network.';
-    res.status(500).json({ error: message });
-  }
-});
+app.use(cors(corsOptions));
+// Long interviews (transcript plus turns) easily exceed the 100kb default.
+app.use(express.json({ limit: '5mb' }));
+
+const oidc = oidcConfig();
+if (oidc?.mock) {
+  app.use(MOCK_OIDC_PATH, createMockOidcRouter({ issuer: oidc.issuer, clientId: oidc.clientId }));
+}
+if (atsMock()) {
+  app.use(MOCK_ATS_PATH, mockAtsRouter());
+}
+
+// Every /api route below names the lowest role that may call it (see auth/index.js).
+app.use('/api', authenticate);
+const interviewer = requireRole('interviewer');
+const recruiter = requireRole('recruiter');
+const admin = requireRole('admin');
+
+app.get('/api/auth/config', getAuthConfig);
+app.get('/api/auth/me', getMe);
+app.post('/api/auth/login', login);
+app.post('/api/auth/logout', logout);
+app.get('/api/auth/oidc/login', oidcLogin);
+app.get('/api/auth/oidc/callback', oidcCallback);
 
-app.get('/api/roles', getRoles);
-app.get('/api/rubric-sample-questions', getRubricSampleQuestions);
-app.post('/api/evaluate', evaluatePartial);
-app.post('/api/evaluate-final', evaluateFinal);
+app.get('/api/users', admin, listUsersHandler);
+app.post('/api/users', admin, createUserHandler);
+app.patch('/api/users/:id', admin, updateUserHandler);
 
-app.get('/api/calendar/auth-url', calendar.getAuthUrl);
-app.get('/api/calendar/callback', calendar.callback);
-app.get('/api/calendar/events', calendar.listEvents);
-app.get('/api/calendar/status', calendar.getConnectionStatus);
+app.get('/api/roles', interviewer, getRoles);
+app.get('/api/rubric-sample-questions', interviewer, getRubricSampleQuestions);
+app.post('/api/evaluate', interviewer, evaluatePartial);
+app.post('/api/evaluate/live', interviewer, evaluateLive);
+app.post('/api/evaluate/stream', interviewer, evaluateStream);
+app.post('/api/evaluate-final', interviewer, evaluateFinal);
+
+app.get('/api/rubrics', recruiter, listRubricsHandler);
+app.get('/api/rubrics/:id', recruiter, getRubricHandler);
+app.post('/api/rubrics', admin, createRubricHandler);
+app.post('/api/rubrics/import', admin, express.raw({ type: SCORECARD_CONTENT_TYPES, limit: '10mb' }), importRubricHandler);
+app.put('/api/rubrics/:id', admin, updateRubricHandler);
+app.get('/api/rubrics/:id/versions', recruiter, listRubricVersionsHandler);
+app.get('/api/rubrics/:id/versions/:version', recruiter, getRubricVersionHandler);
+app.delete('/api/rubrics/:id', admin, deleteRubricHandler);
+
+app.post('/api/interviews', interviewer, createInterview);
+app.get('/api/interviews', interviewer, listInterviews);
+app.get('/api/interviews/:id', interviewer, getInterview);
+app.patch('/api/interviews/:id', interviewer, updateInterview);
+app.post('/api/interviews/:id/rescore', interviewer, rescoreInterview);
+app.post('/api/interviews/:id/final-evaluation', interviewer, queueFinalEvaluation);
+app.get('/api/interviews/:id/jobs', interviewer, listInterviewJobsHandler);
+app.get('/api/interviews/:id/report.pdf', interviewer, getReportPdf);
+app.get('/api/interviews/:id/report', interviewer, getInterviewReport);
+app.post('/api/reports', interviewer, renderReportHandler);
+app.get('/api/jobs/:id', interviewer, getJobHandler);
+app.get('/api/interviews/:id/recordings/:recordingId', interviewer, getRecording);
+app.post('/api/interviews/:id/replay', interviewer, startReplay);
+app.get('/api/interviews/:id/replays', interviewer, listReplays);
+app.get('/api/replays/:id', interviewer, getReplay);
+
+// The upload handler streams the raw body to disk itself; recordings can be hundreds of MB.
+app.post('/api/uploads', interviewer, createUpload);
+app.get('/api/uploads', interviewer, listUploads);
+app.get('/api/uploads/:id', interviewer, getUpload);
+
+app.post('/api/candidates', interviewer, createCandidate);
+app.get('/api/candidates', interviewer, listCandidates);
+app.get('/api/candidates/:id', recruiter, getCandidate);
+app.patch('/api/candidates/:id', recruiter, updateCandidate);
+app.get('/api/candidates/:id/panel', recruiter, getCandidatePanel);
+app.post('/api/candidates/:id/ats', recruiter, linkCandidateToAts);
+app.delete('/api/candidates/:id/ats', recruiter, unlinkCandidateFromAts);
+
+app.get('/api/ats/status', interviewer, getAtsStatus);
+app.get('/api/ats/candidates', recruiter, searchAtsCandidates);
+app.get('/api/interviews/:id/ats-scorecard', recruiter, getAtsScorecard);
+app.post('/api/interviews/:id/ats-submit', recruiter, queueAtsSubmission);
+
+app.get('/api/calendar/auth-url', interviewer, calendar.getAuthUrl);
+app.get('/api/calendar/callback', interviewer, calendar.callback);
+app.get('/api/calendar/events', interviewer, calendar.listEvents);
+app.get('/api/calendar/status', interviewer, calendar.getConnectionStatus);
+app.post('/api/calendar/connect', interviewer, calendar.connect);
+app.post('/api/calendar/disconnect', interviewer, calendar.disconnect);
 
 if (existsSync(DIST)) {
   app.use(express.static(DIST, { index: false }));
@@ -61,8 +149,19 @@ if (existsSync(DIST)) {
   app.get('/api', (req, res) => res.redirect(FRONTEND_ORIGIN));
 }
 
-app.listen(PORT, () => {
-  const key = process.env.XAI_API_KEY || '';
-  console.log('Grok API key loaded: ' + (key ? key.substring(0, 12) + '...' : '(none)'));
+const server = app.listen(PORT, () => {
+  console.log(describeLlm());
+  console.log(describeStt());
+  console.log(describeMail());
+  console.log(describeCalendar());
+  console.log(describeAts());
+  console.log(describeAuth());
   console.log(`Server running at http://localhost:${PORT}`);
 });
+attachSttRelay(server);
+
+ensureAdminUser().catch((err) => console.error('Failed to create the first admin:', err));
+registerReportJobs();
+registerRescoreJob();
+registerReplayJob();
+startJobWorker();
@@ -0,0 +1,170 @@
+import { createCollection } from './store.js';
+
+/**
+ * Persistent background jobs: work that must finish even when the browser that asked for it is
+ * gone (final evaluation, report PDF, report email). Jobs are records in the 'jobs' collection,
+ * so a restart picks up where it left off. One job runs at a time, oldest first, which keeps LLM
+ * request rates within provider limits.
+ *
+ * A handler registered with registerJob(type, handler) gets (payload, job) and returns a small
+ * JSON result. Errors that may pass — rate limits (429), provider 5xx, network failures — are
+ * retried with exponential backoff (honouring Retry-After) up to `maxAttempts`; anything else
+ * fails the job at once.
+ *
+ * Job: { id, type, payload, interview_id, status, attempts, max_attempts, run_at, result, error, completed_at }
+ * Status: queued → running → completed | failed (queued again between retries).
+ *
+ * The worker sleeps until the next queued job is due (enqueueJob wakes it early). Completed and
+ * failed jobs are deleted JOB_RETENTION_DAYS (default 30) after they finish.
+ */
+const jobs = createCollection('jobs');
+
+const handlers = new Map();
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+let started = false;
+let busy = false;
+let timer = null;
+
+export function registerJob(type, handler) {
+  handlers.set(type, handler);
+}
+
+function isRetryable(err) {
+  if (err.status === 429 || err.status >= 500) return true;
+  const code = err.code || err.cause?.code;
+  return RETRYABLE_CODES.includes(code) || err.message === 'fetch failed';
+}
+
+/** Delay before the next attempt: Retry-After when the provider sent one, else 5 s doubling up to 5 min. */
+function backoffMs(err, attempts) {
+  if (err.retryAfter > 0) return Math.min(err.retryAfter * 1000, BACKOFF_MAX_MS);
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+/** The queued job with the earliest run_at, due or not. */
+function nextQueuedJob() {
+  return jobs
+    .list((j) => j.status === 'queued' && handlers.has(j.type))
+    .sort((a, b) => String(a.run_at).localeCompare(String(b.run_at)))[0] || null;
+}
+
+function nextDueJob() {
+  const job = nextQueuedJob();
+  return job && job.run_at <= new Date().toISOString() ? job : null;
+}
+
+function retentionDays() {
+  const days = Number(process.env.JOB_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+/** Delete completed and failed jobs that finished more than JOB_RETENTION_DAYS ago. */
+function pruneFinishedJobs() {
+  const cutoff = new Date(Date.now() - retentionDays() * DAY_MS).toISOString();
+  try {
+    const removed = jobs.removeWhere((j) => (j.status === 'completed' || j.status === 'failed') && j.completed_at && j.completed_at < cutoff);
+    if (removed) console.log(`Removed ${removed} finished job${removed === 1 ? '' : 's'} older than ${retentionDays()} days`);
+  } catch (err) {
+    console.error('Failed to prune finished jobs:', err);
+  }
+}
+
+async function runJob(job) {
+  const attempts = (job.attempts || 0) + 1;
+  jobs.update(job.id, { status: 'running', attempts });
+  try {
+    const result = await handlers.get(job.type)(job.payload, job);
+    jobs.update(job.id, { status: 'completed', result: result ?? null, error: null, completed_at: new Date().toISOString() });
+  } catch (err) {
+    const retry = isRetryable(err) && attempts < job.max_attempts;
+    console.error(`Job ${job.type} ${job.id} attempt ${attempts} failed${retry ? ', will retry' : ''}:`, err.message);
+    jobs.update(job.id, retry
+      ? { status: 'queued', run_at: new Date(Date.now() + backoffMs(err, attempts)).toISOString(), error: err.message || 'Job failed', error_status: err.status ?? null }
+      : { status: 'failed', error: err.message || 'Job failed', error_status: err.status ?? null, completed_at: new Date().toISOString() });
+  }
+}
+
+async function work() {
+  clearTimeout(timer);
+  if (busy) return;
+  busy = true;
+  try {
+    for (let job = nextDueJob(); job; job = nextDueJob()) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('Job worker error:', err);
+  } finally {
+    busy = false;
+    scheduleWork();
+  }
+}
+
+/** Sleep until the next queued job is due; with none queued, enqueueJob wakes the worker. */
+function scheduleWork() {
+  clearTimeout(timer);
+  let next = null;
+  try {
+    next = nextQueuedJob();
+  } catch (err) {
+    console.error('Job worker error:', err);
+  }
+  if (next) timer = setTimeout(work, Math.max(0, Date.parse(next.run_at) - Date.now()));
+}
+
+/**
+ * Queue a job and wake the worker. `interviewId` links it to an interview so the client can list
+ * an interview's jobs. Returns the stored job.
+ */
+export function enqueueJob(type, payload, { interviewId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  if (!handlers.has(type)) throw new Error(`Unknown job type "${type}"`);
+  const job = jobs.insert({
+    type,
+    payload,
+    interview_id: interviewId,
+    status: 'queued',
+    attempts: 0,
+    max_attempts: maxAttempts,
+    run_at: new Date().toISOString(),
+    result: null,
+    error: null,
+    completed_at: null,
+  });
+  if (started) setImmediate(work);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id);
+}
+
+/** Jobs of one interview, oldest first. */
+export function listInterviewJobs(interviewId) {
+  return jobs
+    .list((j) => j.interview_id === interviewId)
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+/**
+ * Start processing. Jobs left 'running' by a previous process were interrupted and run again; the
+ * interrupted run counts as an attempt, so a job that brings the server down cannot loop forever.
+ */
+export function startJobWorker() {
+  if (started) return;
+  started = true;
+  for (const job of jobs.list((j) => j.status === 'running')) {
+    jobs.update(job.id, job.attempts < job.max_attempts
+      ? { status: 'queued' }
+      : { status: 'failed', error: 'Interrupted by a server restart', completed_at: new Date().toISOString() });
+  }
+  pruneFinishedJobs();
+  setInterval(pruneFinishedJobs, PRUNE_INTERVAL_MS).unref();
+  setImmediate(work);
+}
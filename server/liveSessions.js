@@ -0,0 +1,51 @@
+import { randomUUID } from 'crypto';
+
+/** Sessions idle longer than this are dropped; a client that comes back resends its turns. */
+const SESSION_TTL_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * In-memory state for incremental live evaluation, one per interview in progress: the rubric
+ * version fixed at the first call, how many turns have been evaluated, the model's running
+ * evidence summary, the last result and whether a call is running. A session belongs to one role
+ * and interview. Lost on restart by design — the client detects the mismatch in turn counts and
+ * resends the whole conversation once.
+ */
+const sessions = new Map();
+
+function sweep() {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, session] of sessions) {
+    if (session.touched_at < cutoff) sessions.delete(id);
+  }
+}
+
+export function createLiveSession({ roleId, interviewId, versioned }) {
+  sweep();
+  const session = {
+    id: randomUUID(),
+    role_id: roleId,
+    interview_id: interviewId || null,
+    versioned,
+    turn_count: 0,
+    recent_turns: [],
+    evidence_summary: '',
+    last_result: null,
+    in_flight: false,
+    touched_at: Date.now(),
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+export function getLiveSession(id) {
+  const session = id ? sessions.get(id) : null;
+  if (session) session.touched_at = Date.now();
+  return session || null;
+}
+
+export function updateLiveSession(id, changes) {
+  const session = sessions.get(id);
+  if (!session) return null;
+  Object.assign(session, changes, { touched_at: Date.now() });
+  return session;
+}
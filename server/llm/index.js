@@ -0,0 +1,87 @@
+import { createXaiProvider } from './xai.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * LLM access for evaluations and rubric import. The provider is chosen with LLM_PROVIDER:
+ *   - xai (default): Grok on x.ai, key from XAI_API_KEY
+ *   - openai: any OpenAI-compatible endpoint at LLM_BASE_URL (OpenAI, Ollama, llama.cpp…), key from LLM_API_KEY
+ *   - mock: deterministic offline responses for tests
+ * LLM_MODEL overrides the provider's default model; LLM_MODEL_PARTIAL / LLM_MODEL_FINAL override it
+ * for live and final evaluation respectively.
+ */
+const PROVIDERS = {
+  xai: () =>
+    createXaiProvider({
+      apiKey: process.env.LLM_API_KEY || process.env.XAI_API_KEY || '',
+    }),
+  openai: () =>
+    createOpenAICompatibleProvider({
+      name: 'openai',
+      baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+      defaultModel: 'gpt-4o-mini',
+    }),
+  mock: () => createMockProvider(),
+};
+
+let provider = null;
+
+function getProvider() {
+  if (provider) return provider;
+  const name = (process.env.LLM_PROVIDER || 'xai').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  provider = factory();
+  return provider;
+}
+
+/**
+ * Model for a purpose ('partial', 'final', 'evidence', 'import'): per-purpose override, then
+ * LLM_MODEL, then the provider default. Evidence extraction is part of the final report.
+ */
+export function modelFor(purpose) {
+  const perPurpose = {
+    partial: process.env.LLM_MODEL_PARTIAL,
+    final: process.env.LLM_MODEL_FINAL,
+    evidence: process.env.LLM_MODEL_FINAL,
+  }[purpose];
+  return perPurpose || process.env.LLM_MODEL || getProvider().defaultModel;
+}
+
+/**
+ * Send a chat completion and return the message text (may be empty). Errors carry the HTTP
+ * `status` from the provider so callers can map 429s.
+ */
+export async function llmChat(messages, { purpose, temperature = 0.3 } = {}) {
+  return getProvider().chat({ model: modelFor(purpose), messages, temperature, purpose });
+}
+
+/**
+ * Like llmChat, but streams: `onDelta(text)` is called for each chunk as it arrives. Resolves to
+ * the full reply.
+ */
+export async function llmChatStream(messages, { purpose, temperature = 0.3, onDelta } = {}) {
+  return getProvider().chatStream({ model: modelFor(purpose), messages, temperature, purpose, onDelta });
+}
+
+/** Name of the configured provider, for logs and error messages. */
+export function llmProviderName() {
+  return getProvider().name;
+}
+
+/** User-facing message for a provider rate limit (HTTP 429). */
+export function rateLimitMessage() {
+  return llmProviderName() === 'xai'
+    ? 'Grok API rate limit exceeded. Check your x.ai plan.'
+    : 'LLM rate limit exceeded. Check your provider plan.';
+}
+
+/** One-line description of the provider and models, logged at startup. */
+export function describeLlm() {
+  const p = getProvider();
+  return `LLM provider: ${p.name} (partial: ${modelFor('partial')}, final: ${modelFor('final')})`;
+}
+
@@ -0,0 +1,93 @@
+/**
+ * Pull complete values out of a JSON object while it is still being streamed. Watches the given
+ * top-level array keys and string keys and calls `onItem(key, value)` once for every array
+ * element (and string value) as soon as it is complete. Tolerates a leading code fence or prose.
+ */
+export function createJsonStreamParser({ arrays = [], strings = [] }, onItem) {
+  let buffer = '';
+  const emitted = Object.fromEntries(arrays.map((k) => [k, 0]));
+  const emittedStrings = new Set();
+
+  function scan() {
+    for (const key of arrays) {
+      const start = valueStart(buffer, key);
+      if (start === -1 || buffer[start] !== '[') continue;
+      const elements = completeElements(buffer, start + 1);
+      for (let i = emitted[key]; i < elements.length; i++) {
+        try {
+          onItem(key, JSON.parse(elements[i]));
+        } catch (_) {}
+      }
+      emitted[key] = Math.max(emitted[key], elements.length);
+    }
+    for (const key of strings) {
+      if (emittedStrings.has(key)) continue;
+      const start = valueStart(buffer, key);
+      if (start === -1 || buffer[start] !== '"') continue;
+      const end = tokenEnd(buffer, start);
+      if (end === -1) continue;
+      try {
+        onItem(key, JSON.parse(buffer.slice(start, end)));
+        emittedStrings.add(key);
+      } catch (_) {}
+    }
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      scan();
+    },
+  };
+}
+
+function valueStart(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*`).exec(text);
+  return match ? match.index + match[0].length : -1;
+}
+
+/** Source text of each complete element of the array whose body starts at `pos`. */
+function completeElements(text, pos) {
+  const elements = [];
+  let i = pos;
+  while (i < text.length) {
+    while (i < text.length && /[\s,]/.test(text[i])) i++;
+    if (i >= text.length || text[i] === ']') break;
+    const end = tokenEnd(text, i);
+    if (end === -1) break;
+    elements.push(text.slice(i, end));
+    i = end;
+  }
+  return elements;
+}
+
+/** Index just past the JSON value starting at `start`, or -1 if it isn't complete yet. */
+function tokenEnd(text, start) {
+  const first = text[start];
+  if (first === '"') {
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '\\') i++;
+      else if (text[i] === '"') return i + 1;
+    }
+    return -1;
+  }
+  if (first === '{' || first === '[') {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+      const c = text[i];
+      if (c === '"') {
+        const end = tokenEnd(text, i);
+        if (end === -1) return -1;
+        i = end - 1;
+      } else if (c === '{' || c === '[') depth++;
+      else if (c === '}' || c === ']') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return -1;
+  }
+  // Number, true, false or null: complete once a delimiter follows it.
+  const match = /^[^,\]}\s]+(?=[,\]}\s])/.exec(text.slice(start));
+  return match ? start + match[0].length : -1;
+}
@@ -0,0 +1,134 @@
+/**
+ * Deterministic provider for tests and offline development: no network, same answer for the
+ * same prompt. It reads the rubric embedded in the evaluation prompts and returns a mid-scale
+ * result in the shape each purpose expects.
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    async chat({ messages, purpose }) {
+      const system = messages.find((m) => m.role === 'system')?.content || '';
+      const user = messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n');
+      const rubric = findRubric(system);
+      const respond = RESPONSES[purpose];
+      return JSON.stringify(respond ? respond(rubric, user) : {}, null, 2);
+    },
+
+    /** Same reply as chat(), delivered in small chunks like a real stream. */
+    async chatStream({ onDelta, ...options }) {
+      const text = await this.chat(options);
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+        await new Promise((resolve) => setTimeout(resolve, STREAM_CHUNK_DELAY_MS));
+        onDelta(text.slice(i, i + STREAM_CHUNK_CHARS));
+      }
+      return text;
+    },
+  };
+}
+
+const STREAM_CHUNK_CHARS = 40;
+const STREAM_CHUNK_DELAY_MS = 5;
+
+/** The rubric is pretty-printed into the system prompt; its closing brace is the first at column 0. */
+function findRubric(system) {
+  const match = system.match(/^\{\n[\s\S]*?^\}$/m);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch (_) {
+    return null;
+  }
+}
+
+function midScore(rubric) {
+  return Math.ceil((rubric?.max_score || 5) / 2);
+}
+
+function wordCount(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * First citable line in the prompt as { turn_id, quote }: a transcript line ("#0-3 [00:12] Candidate: …")
+ * or a quote carried in a segment evidence brief (> #0-3 "…"). Prefers the candidate's lines.
+ */
+function firstCitation(user) {
+  const lines = [...user.matchAll(/^#([^#\s]+) (?:\[[\d:]+\] )?(?:(Interviewer|Candidate): )?(.+)$/gm)];
+  const line = lines.find((m) => m[2] === 'Candidate') || lines[0];
+  if (line) return { turn_id: line[1], quote: line[3].split(/\s+/).slice(0, 8).join(' ') };
+  const carried = user.match(/> #(\S+) "([^"]+)"/);
+  return carried ? { turn_id: carried[1], quote: carried[2] } : null;
+}
+
+const RESPONSES = {
+  partial(rubric, user) {
+    const categories = rubric?.categories || [];
+    return {
+      partial_scores: categories.map((c) => ({ name: c.name, score: midScore(rubric), justification: 'Mock score.' })),
+      suggested_questions: categories
+        .filter((c) => c.sample_questions?.length)
+        .map((c) => ({
+          question: c.sample_questions[0],
+          already_asked: false,
+          category: c.name,
+          weight_pct: Math.round((c.weight || 0) * 100),
+        })),
+      red_flags: [],
+      strengths: [],
+      current_impression: `Mock evaluation of ${wordCount(user)} words of transcript.`,
+      evidence_summary: `Mock evidence summary after ${wordCount(user)} words.`,
+    };
+  },
+
+  final(rubric, user) {
+    const categories = rubric?.categories || [];
+    const citation = firstCitation(user);
+    const evidence = citation ? [citation] : [];
+    return {
+      category_scores: categories.map((c) => ({ name: c.name, score: midScore(rubric), justification: 'Mock score.', evidence })),
+      weighted_overall_score: 0,
+      hire_recommendation: 'Hire with caveats',
+      summary: `Mock final evaluation of ${wordCount(user)} words of transcript.`,
+      strengths: citation ? [{ text: 'Mock strength.', evidence }] : [],
+      weaknesses: [],
+      red_flags: [],
+      questions_coverage: { asked: [], missed: [] },
+    };
+  },
+
+  evidence(rubric, user) {
+    const categories = rubric?.categories || [];
+    const citation = firstCitation(user);
+    return {
+      evidence: categories.map((c) => ({ category: c.name, quotes: citation ? [citation] : [], notes: 'Mock evidence.' })),
+      strengths: [],
+      red_flags: [],
+      questions_asked: [],
+    };
+  },
+
+  import() {
+    return {
+      role: 'Imported Role',
+      max_score: 5,
+      scoring_guide: '1=No fit, 2=Weak, 3=Mixed, 4=Strong, 5=Exceptional',
+      categories: [
+        {
+          name: 'Track Record',
+          weight: 0.5,
+          criteria: 'Mock criteria.',
+          sample_questions: ['Walk me through your most significant achievement.'],
+        },
+        {
+          name: 'Leadership',
+          weight: 0.5,
+          criteria: 'Mock criteria.',
+          sample_questions: ['Tell me about a team you built.'],
+        },
+      ],
+      non_negotiables_summary: '',
+      preferred: '',
+    };
+  },
+};
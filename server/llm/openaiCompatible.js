@@ -0,0 +1,61 @@
+/**
+ * Chat completions against any OpenAI-compatible endpoint: OpenAI itself, x.ai, or a local
+ * server such as Ollama (`http://localhost:11434/v1`) or llama.cpp (`http://localhost:8080/v1`).
+ */
+export function createOpenAICompatibleProvider({ name = 'openai', baseUrl, apiKey, defaultModel }) {
+  const url = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+
+  async function post(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually run without a key; only send one when configured.
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!res.ok) {
+      const errText = await res.text();
+      const err = new Error(errText || `${name} API ${res.status}`);
+      err.status = res.status;
+      // Seconds to wait before retrying, when the provider says (usually with a 429).
+      const retryAfter = Number(res.headers.get('retry-after'));
+      if (retryAfter > 0) err.retryAfter = retryAfter;
+      throw err;
+    }
+    return res;
+  }
+
+  return {
+    name,
+    defaultModel,
+    async chat({ model, messages, temperature }) {
+      const res = await post({ model: model || defaultModel, messages, stream: false, temperature });
+      const data = await res.json();
+      return data.choices?.[0]?.message?.content;
+    },
+
+    /** Stream the reply, calling `onDelta(text)` for each content chunk. Resolves to the full text. */
+    async chatStream({ model, messages, temperature, onDelta }) {
+      const res = await post({ model: model || defaultModel, messages, stream: true, temperature });
+      const decoder = new TextDecoder();
+      let pending = '';
+      let content = '';
+      for await (const chunk of res.body) {
+        pending += decoder.decode(chunk, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+          const data = line.trim();
+          if (!data.startsWith('data:')) continue;
+          const payload = data.slice('data:'.length).trim();
+          if (payload === '[DONE]') return content;
+          try {
+            const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+            if (delta) {
+              content += delta;
+              onDelta(delta);
+            }
+          } catch (_) {}
+        }
+      }
+      return content;
+    },
+  };
+}
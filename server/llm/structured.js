@@ -0,0 +1,61 @@
+import { llmChat, llmChatStream } from './index.js';
+
+/** Parse the model's JSON reply, tolerating a surrounding code fence or prose around the object. */
+export function extractJson(text) {
+  const trimmed = (text || '').trim();
+  const codeBlock = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const raw = codeBlock ? codeBlock[1].trim() : trimmed;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end <= start) throw err;
+    return JSON.parse(raw.slice(start, end + 1));
+  }
+}
+
+/**
+ * Ask the model for JSON that passes `validate`. Each reply is parsed, passed through `repair`
+ * (cheap local fixes such as category-name casing) and validated; on failure the problems are
+ * sent back to the model and it gets another try, up to `attempts` replies in total. With
+ * `onDelta`, the first reply is streamed through it; retries are not streamed.
+ *
+ * `validate(value)` returns a list of problems (empty when valid). Throws an error with
+ * `code` 'EMPTY_RESPONSE' or 'INVALID_OUTPUT' (and `details`) when no attempt succeeds.
+ */
+export async function llmJson(messages, { purpose, temperature, validate, repair = (v) => v, attempts = 2, onDelta }) {
+  const conversation = [...messages];
+  let problems = [];
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const raw =
+      onDelta && attempt === 1
+        ? await llmChatStream(conversation, { purpose, temperature, onDelta })
+        : await llmChat(conversation, { purpose, temperature });
+    if (!raw) {
+      const err = new Error('Empty LLM response');
+      err.code = 'EMPTY_RESPONSE';
+      throw err;
+    }
+    let value;
+    try {
+      value = repair(extractJson(raw));
+      problems = validate(value);
+    } catch (parseErr) {
+      problems = [`response is not valid JSON (${parseErr.message})`];
+    }
+    if (problems.length === 0) return value;
+    console.warn(`LLM ${purpose} output failed validation (attempt ${attempt}/${attempts}):`, problems.slice(0, 5));
+    conversation.push(
+      { role: 'assistant', content: raw },
+      {
+        role: 'user',
+        content: `Your JSON did not match the required format:\n${problems.map((p) => `- ${p}`).join('\n')}\n\nReturn the complete corrected JSON object only, nothing else.`,
+      }
+    );
+  }
+  const err = new Error('Invalid evaluation format from AI');
+  err.code = 'INVALID_OUTPUT';
+  err.details = problems;
+  throw err;
+}
@@ -0,0 +1,12 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+const XAI_BASE_URL = 'https://api.x.ai/v1';
+const XAI_DEFAULT_MODEL = 'grok-4-latest';
+
+/** Grok on x.ai. The API is OpenAI-compatible; this adapter only fixes the endpoint and default model. */
+export function createXaiProvider({ apiKey, baseUrl = XAI_BASE_URL, defaultModel = XAI_DEFAULT_MODEL }) {
+  if (!apiKey) {
+    console.error('XAI_API_KEY not found in .env (project root)');
+  }
+  return createOpenAICompatibleProvider({ name: 'xai', baseUrl, apiKey, defaultModel });
+}
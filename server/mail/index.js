@@ -0,0 +1,116 @@
+import { createSmtpTransport } from './smtp.js';
+import { createSendGridTransport } from './sendgrid.js';
+import { createResendTransport } from './resend.js';
+import { createFileTransport, createConsoleTransport } from './local.js';
+
+/**
+ * Outgoing email (the interview report). The transport is chosen with MAIL_TRANSPORT:
+ *   - smtp: any SMTP server via nodemailer, SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_SECURE
+ *   - sendgrid: SendGrid, key from SENDGRID_API_KEY
+ *   - resend: Resend, key from RESEND_API_KEY
+ *   - file: each message (HTML, text, attachments) written to a folder under MAIL_DIR, for testing
+ *   - console: each message logged, for development
+ * Without MAIL_TRANSPORT the first of SENDGRID_API_KEY, RESEND_API_KEY and SMTP_HOST that is set
+ * picks the transport; with none of them email is off.
+ *
+ * A transport's send({ from, to, subject, html, text, attachments }) resolves to { id } and rejects
+ * with errors that carry the HTTP `status` (and `retryAfter` in seconds) where the service gave one,
+ * so the job queue can retry rate limits and outages. `to` is an array of addresses; attachments are
+ * { filename, content (Buffer), type }.
+ */
+const TRANSPORTS = {
+  smtp: () =>
+    createSmtpTransport({
+      host: process.env.SMTP_HOST || '',
+      port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT, 10) : 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || '',
+    }),
+  sendgrid: () => createSendGridTransport({ apiKey: process.env.SENDGRID_API_KEY || '' }),
+  resend: () => createResendTransport({ apiKey: process.env.RESEND_API_KEY || '' }),
+  file: () => createFileTransport({ dir: process.env.MAIL_DIR }),
+  console: () => createConsoleTransport(),
+};
+
+const ADDRESS_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+let transport;
+
+function configuredName() {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT.toLowerCase();
+  if (process.env.SENDGRID_API_KEY) return 'sendgrid';
+  if (process.env.RESEND_API_KEY) return 'resend';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return null;
+}
+
+function getTransport() {
+  if (transport !== undefined) return transport;
+  const name = configuredName();
+  const factory = name && TRANSPORTS[name];
+  if (name && !factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  transport = factory ? factory() : null;
+  return transport;
+}
+
+/** Sender: MAIL_FROM, else the older SENDGRID_FROM_EMAIL / SENDGRID_FROM_NAME, else the SMTP user. */
+function sender() {
+  if (process.env.MAIL_FROM) return process.env.MAIL_FROM;
+  const email = process.env.SENDGRID_FROM_EMAIL || process.env.SMTP_USER || 'noreply@example.com';
+  const name = process.env.SENDGRID_FROM_NAME ?? 'Sales Interview Tool';
+  return name ? `${name} <${email}>` : email;
+}
+
+/**
+ * Split recipient input — an array and/or comma- or semicolon-separated strings — into unique
+ * addresses (first spelling wins) and the entries that are not addresses.
+ */
+export function parseRecipients(...values) {
+  const recipients = [];
+  const invalid = [];
+  const seen = new Set();
+  for (const value of values.flat()) {
+    if (typeof value !== 'string') continue;
+    for (const part of value.split(/[,;]/)) {
+      const address = part.trim();
+      if (!address) continue;
+      if (!ADDRESS_PATTERN.test(address)) {
+        invalid.push(address);
+      } else if (!seen.has(address.toLowerCase())) {
+        seen.add(address.toLowerCase());
+        recipients.push(address);
+      }
+    }
+  }
+  return { recipients, invalid };
+}
+
+/** Recipients for reports of interviews that name none: RECIPIENT_EMAIL (comma-separated). */
+export function defaultRecipients() {
+  return parseRecipients(process.env.RECIPIENT_EMAIL || '').recipients;
+}
+
+/** Whether a transport is configured. */
+export function mailEnabled() {
+  return !!getTransport();
+}
+
+/**
+ * Send one message to `to` (array of addresses) with the configured transport. Resolves to
+ * { transport, id }; rejects when email is off or the transport fails.
+ */
+export async function sendMail({ to, subject, html, text, attachments = [] }) {
+  const t = getTransport();
+  if (!t) throw new Error('Email is not configured (set MAIL_TRANSPORT)');
+  const { id } = await t.send({ from: sender(), to, subject, html, text, attachments });
+  return { transport: t.name, id: id ?? null };
+}
+
+/** One line for the startup log. */
+export function describeMail() {
+  const t = getTransport();
+  return t ? `Mail: ${t.name}${t.target ? ` (${t.target})` : ''}` : 'Mail: off';
+}
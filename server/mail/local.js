@@ -0,0 +1,39 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { join, basename } from 'path';
+import { randomUUID } from 'crypto';
+import { DATA_DIR } from '../store.js';
+
+/**
+ * Writes each message to its own folder under `dir` (default DATA_DIR/mail) instead of sending it:
+ * message.json (from, to, subject, attachment names), body.html, body.txt and the attachments.
+ * For tests and for checking what a report email looks like.
+ */
+export function createFileTransport({ dir = join(DATA_DIR, 'mail') } = {}) {
+  return {
+    name: 'file',
+    target: dir,
+    async send({ from, to, subject, html, text, attachments }) {
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}`;
+      const folder = join(dir, id);
+      mkdirSync(folder, { recursive: true });
+      const files = attachments.map((a) => basename(a.filename));
+      writeFileSync(join(folder, 'message.json'), JSON.stringify({ from, to, subject, attachments: files }, null, 2));
+      if (html) writeFileSync(join(folder, 'body.html'), html);
+      if (text) writeFileSync(join(folder, 'body.txt'), text);
+      attachments.forEach((a, i) => writeFileSync(join(folder, files[i]), a.content));
+      return { id };
+    },
+  };
+}
+
+/** Logs each message (recipients, subject, text body) instead of sending it. */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ from, to, subject, text, attachments }) {
+      const files = attachments.map((a) => `${a.filename} (${a.content.length} bytes)`).join(', ');
+      console.log(`[mail] From: ${from}\n[mail] To: ${to.join(', ')}\n[mail] Subject: ${subject}${files ? `\n[mail] Attachments: ${files}` : ''}\n${text || ''}`);
+      return { id: null };
+    },
+  };
+}
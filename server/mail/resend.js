@@ -0,0 +1,35 @@
+const RESEND_URL = 'https://api.resend.com/emails';
+
+/** Resend's REST API. The sender's domain must be verified in Resend. */
+export function createResendTransport({ apiKey, url = RESEND_URL }) {
+  if (!apiKey) {
+    console.error('MAIL_TRANSPORT=resend but RESEND_API_KEY is not set');
+  }
+
+  return {
+    name: 'resend',
+    async send({ from, to, subject, html, text, attachments }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from,
+          to,
+          subject,
+          html,
+          text,
+          attachments: attachments.map((a) => ({ filename: a.filename, content: a.content.toString('base64') })),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const err = new Error(`Resend: ${data.message || res.statusText || `HTTP ${res.status}`}`);
+        err.status = res.status;
+        const retryAfter = Number(res.headers.get('retry-after'));
+        if (retryAfter > 0) err.retryAfter = retryAfter;
+        throw err;
+      }
+      return { id: data.id };
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import sgMail from '@sendgrid/mail';
+
+/** SendGrid's v3 mail API. The sender must be a verified SendGrid sender. */
+export function createSendGridTransport({ apiKey }) {
+  if (!apiKey) {
+    console.error('MAIL_TRANSPORT=sendgrid but SENDGRID_API_KEY is not set');
+  }
+  sgMail.setApiKey(apiKey);
+
+  return {
+    name: 'sendgrid',
+    async send({ from, to, subject, html, text, attachments }) {
+      try {
+        const [response] = await sgMail.send({
+          from,
+          to,
+          subject,
+          html,
+          text,
+          attachments: attachments.map((a) => ({
+            content: a.content.toString('base64'),
+            filename: a.filename,
+            type: a.type,
+            disposition: 'attachment',
+          })),
+        });
+        return { id: response?.headers?.['x-message-id'] };
+      } catch (err) {
+        // The HTTP status is in `code`; the reasons are in the response body.
+        const reasons = err.response?.body?.errors?.map((e) => e.message).join('; ');
+        const error = new Error(reasons ? `SendGrid: ${reasons}` : err.message);
+        error.status = typeof err.code === 'number' ? err.code : undefined;
+        const retryAfter = Number(err.response?.headers?.['retry-after']);
+        if (retryAfter > 0) error.retryAfter = retryAfter;
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import nodemailer from 'nodemailer';
+
+/** Connection failures nodemailer reports in `code`; treated like a 503 so the send is retried. */
+const CONNECTION_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+/** Any SMTP server (Gmail, Office 365, Postfix…) via nodemailer. */
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) {
+    console.error('MAIL_TRANSPORT=smtp but SMTP_HOST is not set');
+  }
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    target: host ? `${host}:${port}` : null,
+    async send({ from, to, subject, html, text, attachments }) {
+      try {
+        const info = await transporter.sendMail({
+          from,
+          to,
+          subject,
+          html,
+          text,
+          attachments: attachments.map((a) => ({ filename: a.filename, content: a.content, contentType: a.type })),
+        });
+        return { id: info.messageId };
+      } catch (err) {
+        // 4xx SMTP replies (mailbox busy, greylisting, too many messages) are temporary.
+        if (err.responseCode >= 400 && err.responseCode < 500) err.status = 503;
+        else if (CONNECTION_CODES.includes(err.code)) err.status = 503;
+        throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,125 @@
+import { openSync, writeSync, closeSync, readFileSync, mkdirSync, existsSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { DATA_DIR } from './store.js';
+
+/**
+ * Audio recordings of live interviews, written by the STT relay when RECORD_AUDIO=true. Each
+ * audio source (mic, meeting tab) is one file: 8-bit μ-law WAV (G.711), half the size of the
+ * 16-bit PCM we receive and playable in any browser or audio player. Files live under
+ * RECORDINGS_DIR (default DATA_DIR/recordings) in one directory per interview.
+ */
+export const RECORDINGS_DIR = process.env.RECORDINGS_DIR || join(DATA_DIR, 'recordings');
+
+const HEADER_BYTES = 58;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+export function recordingEnabled() {
+  return process.env.RECORD_AUDIO === 'true';
+}
+
+function encodeMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function decodeMulaw(byte) {
+  const u = ~byte & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const magnitude = ((((u & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return u & 0x80 ? -magnitude : magnitude;
+}
+
+/** WAV header for mono μ-law audio (format 7, with the fact chunk non-PCM formats need). */
+function wavHeader(sampleRate, samples) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(HEADER_BYTES - 8 + samples, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(18, 16);
+  header.writeUInt16LE(7, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate, 28);
+  header.writeUInt16LE(1, 32);
+  header.writeUInt16LE(8, 34);
+  header.writeUInt16LE(0, 36);
+  header.write('fact', 38);
+  header.writeUInt32LE(4, 42);
+  header.writeUInt32LE(samples, 46);
+  header.write('data', 50);
+  header.writeUInt32LE(samples, 54);
+  return header;
+}
+
+function interviewDir(interviewId) {
+  return join(RECORDINGS_DIR, interviewId);
+}
+
+/** Absolute path of a recording's file, or null if it is missing. */
+export function recordingPath(interviewId, recording) {
+  const path = join(interviewDir(interviewId), recording.file);
+  return existsSync(path) ? path : null;
+}
+
+/**
+ * Start recording one audio source of an interview. write() takes 16-bit little-endian PCM
+ * chunks as received; finish() closes the file and returns the metadata stored on the interview.
+ */
+export function createRecorder({ interviewId, channel, speaker, sampleRate }) {
+  mkdirSync(interviewDir(interviewId), { recursive: true });
+  const id = randomUUID();
+  const file = `${channel}-${id}.wav`;
+  const fd = openSync(join(interviewDir(interviewId), file), 'w');
+  writeSync(fd, wavHeader(sampleRate, 0));
+  const startedAt = new Date().toISOString();
+  let samples = 0;
+  let finished = null;
+
+  return {
+    write(pcm) {
+      if (finished) return;
+      const count = Math.floor(pcm.length / 2);
+      const encoded = Buffer.alloc(count);
+      for (let i = 0; i < count; i++) encoded[i] = encodeMulaw(pcm.readInt16LE(i * 2));
+      writeSync(fd, encoded);
+      samples += count;
+    },
+    finish() {
+      if (finished) return finished;
+      writeSync(fd, wavHeader(sampleRate, samples), 0, HEADER_BYTES, 0);
+      closeSync(fd);
+      // A session that failed before any audio leaves nothing worth keeping.
+      if (samples === 0) unlinkSync(join(interviewDir(interviewId), file));
+      finished = {
+        id,
+        channel,
+        speaker,
+        file,
+        format: 'wav-mulaw',
+        sample_rate: sampleRate,
+        started_at: startedAt,
+        duration_ms: Math.round((samples / sampleRate) * 1000),
+        bytes: HEADER_BYTES + samples,
+      };
+      return finished;
+    },
+  };
+}
+
+/** A recording decoded back to 16-bit little-endian PCM, as the STT providers expect. */
+export function readRecordingPcm(interviewId, recording) {
+  const path = recordingPath(interviewId, recording);
+  if (!path) throw new Error(`Recording file missing: ${recording.file}`);
+  const wav = readFileSync(path);
+  const dataAt = wav.indexOf('data', 12) + 8;
+  const pcm = Buffer.alloc((wav.length - dataAt) * 2);
+  for (let i = dataAt; i < wav.length; i++) pcm.writeInt16LE(decodeMulaw(wav[i]), (i - dataAt) * 2);
+  return pcm;
+}
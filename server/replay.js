@@ -0,0 +1,99 @@
+import { createSttSession } from './stt/index.js';
+import { readRecordingPcm } from './recordings.js';
+
+/** Audio is sent in chunks of this length, like the browser does. */
+const CHUNK_MS = 100;
+/** After the last chunk, how long to wait for the provider to finish its final turns. */
+const DRAIN_TIMEOUT_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function meanConfidence(words) {
+  const scored = words.filter((w) => typeof w.confidence === 'number');
+  if (!scored.length) return null;
+  return Math.round((scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length) * 1000) / 1000;
+}
+
+/**
+ * Send one recording through a new STT session at `speed` × real time. Resolves with the final
+ * turns keyed by turn_order once the provider terminates; rejects on a provider error or when
+ * sending the audio fails.
+ */
+function transcribeRecording(pcm, recording, { speed, onChunk }) {
+  return new Promise((resolve, reject) => {
+    const turns = new Map();
+    let settled = false;
+    let drainTimer = null;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(drainTimer);
+      if (err) reject(err);
+      else resolve(turns);
+    };
+    const session = createSttSession({
+      sampleRate: recording.sample_rate,
+      onEvent(event) {
+        if (event.type === 'Turn') turns.set(event.turn_order, event);
+        else if (event.type === 'Error') finish(new Error(event.error));
+        else if (event.type === 'Termination') finish();
+      },
+    });
+
+    (async () => {
+      const chunkBytes = Math.round((recording.sample_rate * 2 * CHUNK_MS) / 1000);
+      for (let offset = 0; offset < pcm.length && !settled; offset += chunkBytes) {
+        const chunk = pcm.subarray(offset, offset + chunkBytes);
+        session.sendAudio(chunk);
+        onChunk(chunk.length);
+        await sleep(CHUNK_MS / speed);
+      }
+      session.close();
+      drainTimer = setTimeout(() => finish(), DRAIN_TIMEOUT_MS);
+    })().catch(finish);
+  });
+}
+
+/**
+ * Transcribe an interview's recordings again with the configured STT provider. All sources are
+ * replayed side by side, as they were recorded, and merged into structured turns (see turns.js)
+ * placed on one clock by each recording's start time. `onProgress(fraction)` reports audio sent.
+ */
+export async function transcribeRecordings(interviewId, recordings, { speed, onProgress }) {
+  const sources = recordings.map((recording) => ({ recording, pcm: readRecordingPcm(interviewId, recording) }));
+  const totalBytes = sources.reduce((sum, s) => sum + s.pcm.length, 0) || 1;
+  const firstStart = Math.min(...recordings.map((r) => Date.parse(r.started_at) || 0));
+  let sentBytes = 0;
+  const onChunk = (bytes) => {
+    sentBytes += bytes;
+    onProgress?.(sentBytes / totalBytes);
+  };
+
+  const perSource = await Promise.all(sources.map(({ recording, pcm }) => transcribeRecording(pcm, recording, { speed, onChunk })));
+
+  const turns = [];
+  perSource.forEach((events, i) => {
+    const { recording } = sources[i];
+    const offset = (Date.parse(recording.started_at) || firstStart) - firstStart;
+    for (const event of events.values()) {
+      if (!event.transcript?.trim()) continue;
+      const words = (event.words || []).map((w) => ({
+        text: w.text,
+        start_ms: Math.round(offset + w.start),
+        end_ms: Math.round(offset + w.end),
+        confidence: typeof w.confidence === 'number' ? w.confidence : null,
+      }));
+      turns.push({
+        id: `${recording.channel}-${event.turn_order}`,
+        speaker: recording.speaker,
+        text: event.transcript,
+        start_ms: words.length ? words[0].start_ms : offset,
+        end_ms: words.length ? words[words.length - 1].end_ms : offset,
+        end_of_turn: !!event.end_of_turn,
+        confidence: meanConfidence(words),
+        words,
+      });
+    }
+  });
+  return turns.sort((a, b) => a.start_ms - b.start_ms);
+}
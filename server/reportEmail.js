@@ -0,0 +1,28 @@
+import { sendMail, mailEnabled } from './mail/index.js';
+import { renderReportPdf } from './reportPdf.js';
+import { renderReport, reportFileName } from './reportTemplate.js';
+
+/**
+ * Email the final report, as HTML and text with the report PDF attached, to `recipients` (array of
+ * addresses). `model` comes from buildReportModel (reportTemplate.js); `pdf` is the already rendered
+ * PDF, rendered here when missing. Resolves to the outcome stored on the interview as
+ * `report_email` and returned with the final evaluation:
+ *   { sent, to, transport, id, error, at }
+ * Nothing to send to, or email not configured, resolves with sent: false; a failing transport
+ * rejects (with `status` for retryable failures) so the caller decides whether to retry.
+ */
+export async function emailReport({ model, recipients, pdf }) {
+  const outcome = (fields) => ({ sent: false, to: recipients, transport: null, id: null, error: null, at: new Date().toISOString(), ...fields });
+  if (!recipients.length) return outcome({ error: 'No recipients' });
+  if (!mailEnabled()) return outcome({ error: 'Email is not configured (set MAIL_TRANSPORT)' });
+
+  const { transport, id } = await sendMail({
+    to: recipients,
+    subject: `Interview Evaluation Report - ${model.roleLabel}${model.candidateName ? ` - ${model.candidateName}` : ''} - ${model.shortDate}`,
+    html: renderReport(model, 'html'),
+    text: renderReport(model, 'text'),
+    attachments: [{ filename: reportFileName(model, 'pdf'), content: pdf || await renderReportPdf(model), type: 'application/pdf' }],
+  });
+  console.log(`Report emailed to ${recipients.join(', ')} via ${transport}`);
+  return outcome({ sent: true, transport, id });
+}
@@ -0,0 +1,106 @@
+import { mkdirSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { DATA_DIR } from './store.js';
+import { registerJob, enqueueJob } from './jobs.js';
+import { getInterviewRecord, recordFinalEvaluation, recordReportPdf, recordReportEmail, recordAtsSubmission, interviewRecipients } from './routes/interviews.js';
+import { getCandidateRecord } from './routes/candidates.js';
+import { scoreTranscript } from './routes/evaluate.js';
+import { getInterviewRubric } from './rubrics.js';
+import { renderReportPdf } from './reportPdf.js';
+import { buildInterviewReportModel } from './reportTemplate.js';
+import { emailReport } from './reportEmail.js';
+import { transcriptFromTurns } from './turns.js';
+import { atsAutoSubmit, submitScorecard } from './ats/index.js';
+
+/**
+ * The jobs that turn a finished interview into a report, chained in this order:
+ *   final-evaluation  score the stored transcript and save the result on the interview
+ *   report-pdf        render the report PDF under DATA_DIR/reports
+ *   report-email      email the report with the PDF attached to the interview's recipients
+ *   ats-submit        send the scorecard, notes and transcript to the candidate's ATS record; queued
+ *                     after the final evaluation with ATS_AUTO_SUBMIT=true, else from the Candidates page
+ */
+export const REPORTS_DIR = join(DATA_DIR, 'reports');
+
+function loadInterview(interviewId) {
+  const interview = getInterviewRecord(interviewId);
+  if (!interview) throw new Error('Interview not found');
+  return interview;
+}
+
+export function reportPdfPath(interviewId) {
+  const path = join(REPORTS_DIR, `${interviewId}.pdf`);
+  return existsSync(path) ? path : null;
+}
+
+async function finalEvaluation({ interviewId }) {
+  const interview = loadInterview(interviewId);
+  const transcript = interview.transcript || transcriptFromTurns(interview.turns);
+  if (!transcript.trim()) throw new Error('No transcript to evaluate');
+  const versioned = getInterviewRubric(interview);
+  if (!versioned) throw Object.assign(new Error(`The rubric for role "${interview.role}" has been deleted`), { status: 404 });
+  const result = await scoreTranscript(transcript, versioned, interview.turns);
+  recordFinalEvaluation(interviewId, { transcript, turns: interview.turns, result });
+  enqueueJob('report-pdf', { interviewId }, { interviewId });
+  if (atsAutoSubmit() && getCandidateRecord(interview.candidate_id)?.ats) {
+    recordAtsSubmission(interviewId, null);
+    enqueueJob('ats-submit', { interviewId }, { interviewId });
+  }
+  return { hire_recommendation: result.hire_recommendation, weighted_overall_score: result.weighted_overall_score };
+}
+
+async function reportPdf({ interviewId }) {
+  const interview = loadInterview(interviewId);
+  if (!interview.final_result) throw new Error('Interview has no final result');
+  const pdf = await renderReportPdf(buildInterviewReportModel(interview));
+  mkdirSync(REPORTS_DIR, { recursive: true });
+  writeFileSync(join(REPORTS_DIR, `${interviewId}.pdf`), pdf);
+  recordReportPdf(interviewId, { bytes: pdf.length, created_at: new Date().toISOString() });
+  if (interviewRecipients(interview).length) enqueueJob('report-email', { interviewId }, { interviewId });
+  return { bytes: pdf.length };
+}
+
+async function reportEmail({ interviewId }) {
+  const interview = loadInterview(interviewId);
+  const recipients = interviewRecipients(interview);
+  const path = reportPdfPath(interviewId);
+  try {
+    const outcome = await emailReport({
+      model: buildInterviewReportModel(interview),
+      recipients,
+      pdf: path ? readFileSync(path) : null,
+    });
+    recordReportEmail(interviewId, outcome);
+    return outcome;
+  } catch (err) {
+    // Recorded on every attempt so the report shows the last failure while the queue retries.
+    recordReportEmail(interviewId, { sent: false, to: recipients, transport: null, id: null, error: err.message, at: new Date().toISOString() });
+    throw err;
+  }
+}
+
+async function atsSubmit({ interviewId }) {
+  const interview = loadInterview(interviewId);
+  if (!interview.final_result) throw new Error('Interview has no final result');
+  const link = getCandidateRecord(interview.candidate_id)?.ats;
+  try {
+    const outcome = await submitScorecard(link, interview, {
+      previous: interview.ats_submission,
+      onProgress: (progress) => recordAtsSubmission(interviewId, progress),
+    });
+    recordAtsSubmission(interviewId, outcome);
+    return outcome;
+  } catch (err) {
+    // Keeps the steps that went through, so the queue's retry carries on from the failed one.
+    const latest = getInterviewRecord(interviewId).ats_submission;
+    recordAtsSubmission(interviewId, { ...latest, submitted: false, provider: link?.provider ?? null, error: err.message, at: new Date().toISOString() });
+    throw err;
+  }
+}
+
+export function registerReportJobs() {
+  registerJob('final-evaluation', finalEvaluation);
+  registerJob('report-pdf', reportPdf);
+  registerJob('report-email', reportEmail);
+  registerJob('ats-submit', atsSubmit);
+}
@@ -0,0 +1,91 @@
+import PDFDocument from 'pdfkit';
+import { quoteLine } from './reportTemplate.js';
+
+const COLORS = { text: '#1a1a1a', muted: '#57606a', border: '#d0d7de' };
+
+function heading(doc, text) {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(text);
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+}
+
+function quotes(doc, list) {
+  if (!list.length) return;
+  doc.fillColor(COLORS.muted).text(list.map(quoteLine).join('  '), { indent: 8 }).fillColor(COLORS.text);
+}
+
+/** Report items ({ text, quotes }) as bullets, each followed by its quotes. */
+function bullets(doc, items, empty = 'None noted') {
+  const list = items.filter((item) => item.text);
+  if (!list.length) {
+    doc.fillColor(COLORS.muted).text(empty).fillColor(COLORS.text);
+    return;
+  }
+  for (const item of list) {
+    doc.text(`•  ${item.text}`, { indent: 8 });
+    quotes(doc, item.quotes);
+  }
+}
+
+/**
+ * The final evaluation report as a PDF (A4, text only), rendered on the server so it can be
+ * emailed and downloaded without the browser. Takes the model from buildReportModel
+ * (reportTemplate.js), so it shows the same content and branding as the HTML and text reports.
+ * Resolves with the file contents.
+ */
+export function renderReportPdf(model) {
+  return new Promise((resolve, reject) => {
+    const { branding } = model;
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: model.title, Author: branding.orgName } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(branding.orgName);
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(branding.accentColor).text(model.title);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text([model.date, ...model.people].join('   ·   '));
+    if (model.calendarEvent) {
+      const { title, url } = model.calendarEvent;
+      doc.text('Calendar: ', { continued: Boolean(url) });
+      if (url) doc.fillColor(branding.accentColor).text(title, { link: url, underline: true }).fillColor(COLORS.muted);
+      else doc.text(title);
+    }
+
+    heading(doc, 'Hire recommendation');
+    doc.font('Helvetica-Bold').fontSize(12).text(model.recommendation).font('Helvetica').fontSize(10);
+    heading(doc, 'Weighted overall score');
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(branding.accentColor).text(`${model.score} / 100`).fillColor(COLORS.text).font('Helvetica').fontSize(10);
+
+    heading(doc, `Category scores (${model.scale}) & justification`);
+    const notes = [model.scoringGuide && `Scale: ${model.scoringGuide}`, model.rubricVersion && `Rubric ${model.rubricVersion}`].filter(Boolean);
+    if (notes.length) doc.fillColor(COLORS.muted).text(notes.join('   ·   ')).fillColor(COLORS.text).moveDown(0.4);
+    for (const c of model.categories) {
+      doc.font('Helvetica-Bold').text(`${c.name}: ${c.score} / ${model.maxScore}`);
+      doc.font('Helvetica').text(c.justification, { indent: 8 });
+      quotes(doc, c.quotes);
+      doc.moveDown(0.4);
+    }
+
+    heading(doc, 'Strengths');
+    bullets(doc, model.strengths);
+    heading(doc, 'Weaknesses');
+    bullets(doc, model.weaknesses);
+    heading(doc, 'Red flags');
+    bullets(doc, model.redFlags);
+
+    heading(doc, 'Questions / topics asked');
+    bullets(doc, model.asked.map((a) => ({ text: `${a.category}: ${a.text}`, quotes: [] })), '—');
+    heading(doc, 'Questions missed (recommended from rubric)');
+    bullets(doc, model.missed.map((m) => ({ text: `${m.category}: ${m.questions.join(' / ')}`, quotes: [] })), '—');
+
+    heading(doc, 'Overall summary');
+    doc.text(model.summary);
+
+    heading(doc, 'Full transcript');
+    doc.fontSize(9).text(model.transcript || '—');
+
+    doc.moveDown(1.5).fontSize(8).fillColor(COLORS.muted).text(`Generated by ${branding.orgName}`);
+    if (branding.footer) doc.text(branding.footer);
+    doc.end();
+  });
+}
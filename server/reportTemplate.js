@@ -0,0 +1,354 @@
+import { formatTimestamp } from './turns.js';
+import { getVersionedRubric, getRubricVersion } from './rubrics.js';
+
+/**
+ * The final evaluation report, rendered from one model for every output: the email (HTML + text),
+ * the PDF (reportPdf.js), the downloads offered in the app (HTML, Markdown, text). Labels come from
+ * the rubric the interview was scored with — its `role` and its score scale (`max_score`, with the
+ * lowest score read from `scoring_guide`) — so a VP of TA report says 0–3, not 1–5.
+ *
+ * Branding is set per deployment:
+ *   REPORT_ORG_NAME      shown above the title and in the footer (default "Sales Interview Tool")
+ *   REPORT_LOGO_URL      image above the title in HTML output
+ *   REPORT_ACCENT_COLOR  hex color of the title and score (default #0969da)
+ *   REPORT_FOOTER        extra footer line, e.g. a confidentiality notice
+ */
+export const REPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+};
+
+const DEFAULT_ORG_NAME = 'Sales Interview Tool';
+const DEFAULT_ACCENT = '#0969da';
+
+export function reportBranding() {
+  const accent = process.env.REPORT_ACCENT_COLOR || '';
+  return {
+    orgName: process.env.REPORT_ORG_NAME || DEFAULT_ORG_NAME,
+    logoUrl: process.env.REPORT_LOGO_URL || null,
+    accentColor: /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(accent) ? accent : DEFAULT_ACCENT,
+    footer: process.env.REPORT_FOOTER || null,
+  };
+}
+
+/** Strengths and red flags are { text, evidence } since citations were added; older results hold strings. */
+function findingText(item) {
+  return typeof item === 'string' ? item : item?.text || '';
+}
+
+function quotesOf(evidence) {
+  return (evidence || []).map((c) => ({ text: c.quote, time: formatTimestamp(c.start_ms), verified: c.verified !== false }));
+}
+
+/** Lowest score of the rubric's scale: the first "n=" in its scoring guide, else 0. */
+function minScore(rubric) {
+  const match = /(\d+)\s*=/.exec(rubric?.scoring_guide || '');
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Everything a report shows, as plain values. `rubric` is the rubric version the result was scored
+ * with; `date` is when the interview ended; `calendarEvent` is the meeting it was started from.
+ */
+export function buildReportModel({ result, transcript, rubric, candidateName, interviewerName, calendarEvent = null, date = new Date() }) {
+  const roleLabel = rubric?.role || 'Interview';
+  const maxScore = rubric?.max_score || 5;
+  const coverage = result.questions_coverage || {};
+  return {
+    title: `${roleLabel} — Interview Evaluation Report`,
+    roleLabel,
+    date: date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    shortDate: date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }),
+    isoDate: date.toISOString().slice(0, 10),
+    candidateName: candidateName || null,
+    people: [candidateName && `Candidate: ${candidateName}`, interviewerName && `Interviewer: ${interviewerName}`].filter(Boolean),
+    calendarEvent: calendarEvent ? { title: calendarEvent.title || 'Calendar event', url: calendarEvent.url || null } : null,
+    recommendation: result.hire_recommendation || '—',
+    score: result.weighted_overall_score != null ? Number(result.weighted_overall_score).toFixed(1) : '—',
+    minScore: minScore(rubric),
+    maxScore,
+    scale: `${minScore(rubric)}–${maxScore}`,
+    scoringGuide: rubric?.scoring_guide || null,
+    rubricVersion: result.rubric_version ? `v${result.rubric_version_number} (${result.rubric_version})` : null,
+    categories: (result.category_scores || []).map((c) => ({
+      name: c.name,
+      score: c.score,
+      justification: c.justification || '',
+      quotes: quotesOf(c.evidence),
+    })),
+    strengths: (result.strengths || []).map((s) => ({ text: findingText(s), quotes: quotesOf(s?.evidence) })),
+    weaknesses: (result.weaknesses || []).map((w) => ({ text: findingText(w), quotes: [] })),
+    redFlags: (result.red_flags || []).map((f) => ({ text: findingText(f), quotes: quotesOf(f?.evidence) })),
+    asked: (coverage.asked || []).map((a) => ({ category: a.category, text: a.question_or_topic || '' })),
+    missed: (coverage.missed || []).map((m) => ({ category: m.category, questions: m.sample_questions_not_asked || [] })),
+    summary: result.summary || '',
+    transcript: transcript || '',
+    branding: reportBranding(),
+  };
+}
+
+/**
+ * Report model of a stored interview, labelled with the rubric version it was scored with (the
+ * role's current rubric for results from before rubric versions).
+ */
+export function buildInterviewReportModel(interview) {
+  const roleId = interview.role || 'vp-sales';
+  const version = interview.final_result?.rubric_version;
+  const versioned = (version && getRubricVersion(roleId, version)) || getVersionedRubric(roleId);
+  return buildReportModel({
+    result: interview.final_result,
+    transcript: interview.transcript,
+    rubric: versioned.rubric,
+    candidateName: interview.candidate_name,
+    interviewerName: interview.interviewer_name,
+    calendarEvent: interview.calendar_event,
+    date: new Date(interview.completed_at || interview.created_at),
+  });
+}
+
+/** File name for a report download or attachment, e.g. VP-of-TA-Interview-Report-2026-10-19.pdf. */
+export function reportFileName(model, extension) {
+  return `${model.roleLabel.replace(/[^\w-]+/g, '-')}-Interview-Report-${model.isoDate}.${extension}`;
+}
+
+/** A cited quote as one line: “…” (mm:ss), flagged when it is not in the transcript. */
+export function quoteLine(q) {
+  return `“${q.text}”${q.time ? ` (${q.time})` : ''}${q.verified ? '' : ' — not found in transcript'}`;
+}
+
+// ---- HTML (inline styles, so it also renders in email clients) ----
+
+function escapeHtml(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const CELL = 'padding: 10px 12px; border: 1px solid #d0d7de; vertical-align: top;';
+const H2 = 'margin: 28px 0 10px; font-size: 16px; font-weight: 600; color: #1a1a1a;';
+const LIST = 'margin: 0; padding-left: 20px; font-size: 14px;';
+
+function htmlQuotes(quotes) {
+  return quotes.map((q) => `<br><em style="color: #57606a;">${escapeHtml(quoteLine(q))}</em>`).join('');
+}
+
+function htmlList(items, empty = 'None noted') {
+  if (!items.length) return `<ul style="${LIST}"><li style="color: #57606a;">${empty}</li></ul>`;
+  return `<ul style="${LIST}">${items.map((item) => `<li>${escapeHtml(item.text)}${htmlQuotes(item.quotes)}</li>`).join('')}</ul>`;
+}
+
+/** "Calendar: <event title>" linking back to the meeting the interview was started from. */
+function calendarEventHtml(event, branding) {
+  if (!event) return '';
+  const title = event.url
+    ? `<a href="${escapeHtml(event.url)}" style="color: ${branding.accentColor};">${escapeHtml(event.title)}</a>`
+    : escapeHtml(event.title);
+  return `<p style="margin: 4px 0 0; font-size: 13px; color: #57606a;">Calendar: ${title}</p>`;
+}
+
+export function renderReportHtml(model) {
+  const { branding } = model;
+  const rows = model.categories
+    .map((c) => `<tr><td style="${CELL}">${escapeHtml(c.name)}</td><td style="${CELL} text-align: center;">${escapeHtml(c.score)}</td><td style="${CELL}">${escapeHtml(c.justification)}${htmlQuotes(c.quotes)}</td></tr>`)
+    .join('');
+  const asked = model.asked.length
+    ? model.asked.map((a) => `<li><strong>${escapeHtml(a.category)}:</strong> ${escapeHtml(a.text)}</li>`).join('')
+    : '<li>—</li>';
+  const missed = model.missed.length
+    ? model.missed.map((m) => `<li><strong>${escapeHtml(m.category)}:</strong><ul>${m.questions.map((q) => `<li>${escapeHtml(q)}</li>`).join('')}</ul></li>`).join('')
+    : '<li>—</li>';
+  const notes = [model.scoringGuide && `Scale: ${model.scoringGuide}`, model.rubricVersion && `Rubric ${model.rubricVersion}`].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(model.title)}</title>
+</head>
+<body style="margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #1a1a1a; background: #f6f8fa;">
+  <div style="max-width: 720px; margin: 0 auto; padding: 32px 24px; background: #ffffff;">
+    <div style="border-bottom: 3px solid ${branding.accentColor}; padding-bottom: 20px; margin-bottom: 8px;">
+      ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.orgName)}" style="max-height: 40px; margin-bottom: 12px;">` : ''}
+      <p style="margin: 0 0 4px; font-size: 13px; color: #57606a;">${escapeHtml(branding.orgName)}</p>
+      <h1 style="margin: 0 0 8px; font-size: 24px; font-weight: 700; color: ${branding.accentColor};">${escapeHtml(model.title)}</h1>
+      <p style="margin: 0; font-size: 14px; color: #57606a;">${escapeHtml([model.date, ...model.people].join('  ·  '))}</p>
+      ${calendarEventHtml(model.calendarEvent, branding)}
+    </div>
+
+    <h2 style="${H2}">Hire recommendation</h2>
+    <p style="margin: 0; font-size: 18px; font-weight: 700;">${escapeHtml(model.recommendation)}</p>
+
+    <h2 style="${H2}">Weighted overall score</h2>
+    <p style="margin: 0; font-size: 24px; font-weight: 700; color: ${branding.accentColor};">${escapeHtml(model.score)} / 100</p>
+
+    <h2 style="${H2}">Category scores (${model.scale}) &amp; justification</h2>
+    ${notes.length ? `<p style="margin: 0 0 10px; font-size: 13px; color: #57606a;">${escapeHtml(notes.join('  ·  '))}</p>` : ''}
+    <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+      <thead><tr style="background: #f6f8fa;"><th style="${CELL} text-align: left;">Category</th><th style="${CELL}">Score</th><th style="${CELL} text-align: left;">Justification</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+
+    <h2 style="${H2} color: #1a7f37;">Strengths</h2>
+    ${htmlList(model.strengths)}
+    <h2 style="${H2} color: #9a6700;">Weaknesses</h2>
+    ${htmlList(model.weaknesses)}
+    <h2 style="${H2} color: #cf222e;">Red flags</h2>
+    ${htmlList(model.redFlags)}
+
+    <h2 style="${H2}">Questions / topics asked</h2>
+    <ul style="${LIST}">${asked}</ul>
+    <h2 style="${H2}">Questions missed (recommended from rubric)</h2>
+    <ul style="${LIST}">${missed}</ul>
+
+    <h2 style="${H2}">Overall summary</h2>
+    <p style="margin: 0; font-size: 15px; color: #24292f;">${escapeHtml(model.summary)}</p>
+
+    <h2 style="${H2}">Full transcript</h2>
+    <div style="background: #f6f8fa; border-radius: 8px; padding: 16px; font-size: 13px; white-space: pre-wrap;">${escapeHtml(model.transcript || '—')}</div>
+
+    <p style="margin: 24px 0 0; font-size: 12px; color: #57606a;">Generated by ${escapeHtml(branding.orgName)}${branding.footer ? `<br>${escapeHtml(branding.footer)}` : ''}</p>
+  </div>
+</body>
+</html>
+`;
+}
+
+// ---- Markdown ----
+
+/** Escape characters that would start Markdown formatting inside running text. */
+function md(s) {
+  return String(s ?? '').replace(/([\\`*_[\]<>|#])/g, '\\$1');
+}
+
+function mdList(items, empty = '_None noted_') {
+  if (!items.length) return `- ${empty}`;
+  return items
+    .map((item) => [`- ${md(item.text)}`, ...item.quotes.map((q) => `  > ${md(quoteLine(q))}`)].join('\n'))
+    .join('\n');
+}
+
+export function renderReportMarkdown(model) {
+  const { branding } = model;
+  const notes = [model.scoringGuide && `Scale: ${md(model.scoringGuide)}`, model.rubricVersion && `Rubric ${md(model.rubricVersion)}`].filter(Boolean);
+  const categories = model.categories
+    .map((c) => [
+      `### ${md(c.name)}: ${c.score} / ${model.maxScore}`,
+      '',
+      md(c.justification),
+      ...c.quotes.map((q) => `\n> ${md(quoteLine(q))}`),
+    ].join('\n'))
+    .join('\n\n');
+  const asked = model.asked.length ? model.asked.map((a) => `- **${md(a.category)}:** ${md(a.text)}`).join('\n') : '- —';
+  const missed = model.missed.length
+    ? model.missed.map((m) => [`- **${md(m.category)}:**`, ...m.questions.map((q) => `  - ${md(q)}`)].join('\n')).join('\n')
+    : '- —';
+
+  return [
+    branding.logoUrl ? `![${md(branding.orgName)}](${branding.logoUrl})\n` : null,
+    `# ${md(model.title)}`,
+    '',
+    `_${md([branding.orgName, model.date, ...model.people].join(' · '))}_`,
+    '',
+    model.calendarEvent ? `Calendar: ${model.calendarEvent.url ? `[${md(model.calendarEvent.title)}](${model.calendarEvent.url})` : md(model.calendarEvent.title)}\n` : null,
+    `**Hire recommendation:** ${md(model.recommendation)}  `,
+    `**Weighted overall score:** ${model.score} / 100`,
+    '',
+    `## Category scores (${model.scale})`,
+    '',
+    notes.length ? `${notes.join(' · ')}\n` : null,
+    categories,
+    '',
+    '## Strengths',
+    '',
+    mdList(model.strengths),
+    '',
+    '## Weaknesses',
+    '',
+    mdList(model.weaknesses),
+    '',
+    '## Red flags',
+    '',
+    mdList(model.redFlags),
+    '',
+    '## Questions / topics asked',
+    '',
+    asked,
+    '',
+    '## Questions missed (recommended from rubric)',
+    '',
+    missed,
+    '',
+    '## Overall summary',
+    '',
+    md(model.summary),
+    '',
+    '## Full transcript',
+    '',
+    '```',
+    (model.transcript || '—').replace(/```/g, "'''"),
+    '```',
+    '',
+    '---',
+    '',
+    `_Generated by ${md(branding.orgName)}_${branding.footer ? `  \n_${md(branding.footer)}_` : ''}`,
+    '',
+  ].filter((line) => line != null).join('\n');
+}
+
+// ---- Plain text ----
+
+function textList(items, empty = 'None noted') {
+  if (!items.length) return `  - ${empty}`;
+  return items.map((item) => [`  - ${item.text}`, ...item.quotes.map((q) => `      ${quoteLine(q)}`)].join('\n')).join('\n');
+}
+
+export function renderReportText(model) {
+  const { branding } = model;
+  return [
+    model.title,
+    [branding.orgName, model.date, ...model.people].join('  ·  '),
+    model.calendarEvent ? `Calendar: ${model.calendarEvent.title}${model.calendarEvent.url ? ` — ${model.calendarEvent.url}` : ''}` : null,
+    '',
+    `Hire recommendation: ${model.recommendation}`,
+    `Weighted overall score: ${model.score} / 100`,
+    '',
+    `Category scores (${model.scale}):${model.scoringGuide ? `  [${model.scoringGuide}]` : ''}`,
+    textList(model.categories.map((c) => ({ text: `${c.name}: ${c.score} — ${c.justification}`, quotes: c.quotes }))),
+    '',
+    'Strengths:',
+    textList(model.strengths),
+    'Weaknesses:',
+    textList(model.weaknesses),
+    'Red flags:',
+    textList(model.redFlags),
+    '',
+    'Questions asked:',
+    textList(model.asked.map((a) => ({ text: `${a.category}: ${a.text}`, quotes: [] })), '—'),
+    'Questions missed:',
+    textList(model.missed.map((m) => ({ text: `${m.category}: ${m.questions.join(' / ')}`, quotes: [] })), '—'),
+    '',
+    'Summary:',
+    model.summary || '—',
+    '',
+    'Full transcript:',
+    model.transcript || '—',
+    '',
+    `Generated by ${branding.orgName}`,
+    branding.footer,
+    '',
+  ].filter((line) => line != null).join('\n');
+}
+
+const RENDERERS = { html: renderReportHtml, markdown: renderReportMarkdown, text: renderReportText };
+
+/** Render a report model as 'html', 'markdown' or 'text'. */
+export function renderReport(model, format) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unknown report format "${format}". Use one of: ${Object.keys(RENDERERS).join(', ')}`);
+  return render(model);
+}
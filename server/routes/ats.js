@@ -0,0 +1,104 @@
+import { enqueueJob, listInterviewJobs } from '../jobs.js';
+import { atsStatus, findAtsCandidates, atsLinkFor, previewScorecard } from '../ats/index.js';
+import { getCandidateRecord, recordAtsLink } from './candidates.js';
+import { getInterviewRecord, recordAtsSubmission } from './interviews.js';
+
+function sendError(res, err, fallback) {
+  if (!err.status || err.status >= 500) console.error(`${fallback}:`, err);
+  // A 401 or 403 from the ATS is our API key being refused, not the user's session.
+  const status = err.status === 401 || err.status === 403 ? 502 : err.status || 500;
+  res.status(status).json({ error: err.message || fallback });
+}
+
+/** GET /api/ats/status — { enabled, provider, label, auto_submit } */
+export function getAtsStatus(req, res) {
+  res.json(atsStatus());
+}
+
+/** GET /api/ats/candidates?email= — candidates in the ATS with this email address, with their applications */
+export async function searchAtsCandidates(req, res) {
+  const email = typeof req.query.email === 'string' ? req.query.email.trim() : '';
+  if (!email.includes('@')) {
+    return res.status(400).json({ error: 'email must be a valid address' });
+  }
+  try {
+    res.json({ candidates: await findAtsCandidates(email) });
+  } catch (err) {
+    sendError(res, err, 'Failed to search the ATS');
+  }
+}
+
+/**
+ * POST /api/candidates/:id/ats — link the candidate to an ATS record and pull in its applications.
+ * Body: { atsCandidateId?, applicationId? }; without atsCandidateId the existing link is refreshed.
+ * The candidate's email is filled in from the ATS when it has none.
+ */
+export async function linkCandidateToAts(req, res) {
+  const candidate = getCandidateRecord(req.params.id);
+  if (!candidate) {
+    return res.status(404).json({ error: 'Candidate not found' });
+  }
+  const { atsCandidateId, applicationId } = req.body || {};
+  const refresh = atsCandidateId == null || atsCandidateId === '';
+  if (refresh && !candidate.ats) {
+    return res.status(400).json({ error: 'atsCandidateId is required' });
+  }
+  try {
+    const target = refresh ? candidate.ats.candidate_id : String(atsCandidateId);
+    const link = await atsLinkFor(target, applicationId ?? (refresh ? candidate.ats.application_id : null));
+    res.json({ candidate: recordAtsLink(candidate.id, link) });
+  } catch (err) {
+    sendError(res, err, 'Failed to link the candidate');
+  }
+}
+
+/** DELETE /api/candidates/:id/ats — forget the candidate's ATS link (nothing changes in the ATS) */
+export function unlinkCandidateFromAts(req, res) {
+  const candidate = recordAtsLink(req.params.id, null);
+  if (!candidate) {
+    return res.status(404).json({ error: 'Candidate not found' });
+  }
+  res.json({ candidate });
+}
+
+/** GET /api/interviews/:id/ats-scorecard — the mapped scorecard and note that would be sent, without sending them */
+export function getAtsScorecard(req, res) {
+  const interview = getInterviewRecord(req.params.id);
+  if (!interview) {
+    return res.status(404).json({ error: 'Interview not found' });
+  }
+  if (!interview.final_result || interview.final_result.error) {
+    return res.status(409).json({ error: 'The interview has no final report yet' });
+  }
+  try {
+    res.json({ scorecard: previewScorecard(interview) });
+  } catch (err) {
+    sendError(res, err, 'Failed to build the scorecard');
+  }
+}
+
+/**
+ * POST /api/interviews/:id/ats-submit — queue sending the final report to the candidate's ATS record:
+ * the rubric scores as scorecard ratings, the hire recommendation, notes and the transcript. Responds
+ * 202 with the job to poll at GET /api/jobs/:id; the outcome follows in the interview's ats_submission.
+ * A second call while one is queued or running returns that job.
+ */
+export function queueAtsSubmission(req, res) {
+  const interview = getInterviewRecord(req.params.id);
+  if (!interview) {
+    return res.status(404).json({ error: 'Interview not found' });
+  }
+  if (!atsStatus().enabled) {
+    return res.status(503).json({ error: 'No applicant tracking system is configured (set ATS_PROVIDER)' });
+  }
+  if (!interview.final_result || interview.final_result.error) {
+    return res.status(409).json({ error: 'The interview has no final report yet' });
+  }
+  if (!getCandidateRecord(interview.candidate_id)?.ats) {
+    return res.status(409).json({ error: 'Link the candidate to their ATS record first' });
+  }
+  const pending = listInterviewJobs(interview.id).find((j) => j.type === 'ats-submit' && (j.status === 'queued' || j.status === 'running'));
+  if (pending) return res.status(202).json({ job: pending });
+  recordAtsSubmission(interview.id, null);
+  res.status(202).json({ job: enqueueJob('ats-submit', { interviewId: interview.id }, { interviewId: interview.id }) });
+}
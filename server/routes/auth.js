@@ -0,0 +1,112 @@
+import { verifyCredentials, publicUser, recordLogin } from '../auth/users.js';
+import { startSession, endSession, readCookie } from '../auth/sessions.js';
+import { oidcConfig, startOidcLogin, completeOidcLogin, userForClaims } from '../auth/oidc.js';
+
+/** Failed password attempts per email in the current window; five locks the email for the rest of it. */
+const failedLogins = new Map();
+const LOCKOUT_ATTEMPTS = 5;
+const LOCKOUT_WINDOW_MS = 15 * 60 * 1000;
+
+/** Ties an OIDC login to the browser that started it, so nobody can hand someone else their callback URL. */
+const OIDC_STATE_COOKIE = 'oidc_state';
+const OIDC_STATE_OPTIONS = { httpOnly: true, sameSite: 'lax', path: '/api/auth/oidc' };
+
+function lockedOut(email) {
+  const entry = failedLogins.get(email);
+  if (!entry) return false;
+  if (entry.since + LOCKOUT_WINDOW_MS < Date.now()) {
+    failedLogins.delete(email);
+    return false;
+  }
+  return entry.count >= LOCKOUT_ATTEMPTS;
+}
+
+function recordFailure(email) {
+  const entry = failedLogins.get(email);
+  if (entry && entry.since + LOCKOUT_WINDOW_MS >= Date.now()) entry.count += 1;
+  else failedLogins.set(email, { count: 1, since: Date.now() });
+}
+
+/** App path to return to after signing in; only same-site paths, never another host. */
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+/** GET /api/auth/config — how people can sign in: { oidc: { name } | null } */
+export function getAuthConfig(req, res) {
+  const oidc = oidcConfig();
+  res.json({ oidc: oidc ? { name: oidc.name } : null });
+}
+
+/** GET /api/auth/me — the signed-in user, or 401 */
+export function getMe(req, res) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  res.json({ user: publicUser(req.user) });
+}
+
+/** POST /api/auth/login — body: { email, password }; starts a session (cookie) and returns { user } */
+export async function login(req, res) {
+  try {
+    const { email, password } = req.body || {};
+    const key = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!key || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+    if (lockedOut(key)) {
+      return res.status(429).json({ error: 'Too many failed sign-in attempts; try again in 15 minutes' });
+    }
+    const user = await verifyCredentials(key, password);
+    if (!user) {
+      recordFailure(key);
+      return res.status(401).json({ error: 'Wrong email or password' });
+    }
+    failedLogins.delete(key);
+    startSession(res, user);
+    res.json({ user: publicUser(recordLogin(user.id)) });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Sign-in failed' });
+  }
+}
+
+/** POST /api/auth/logout — ends the session */
+export function logout(req, res) {
+  endSession(req, res);
+  res.json({ ok: true });
+}
+
+/** GET /api/auth/oidc/login?next=/&login_hint=… — redirects to the OIDC provider's sign-in page */
+export async function oidcLogin(req, res) {
+  if (!oidcConfig()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured (set OIDC_ISSUER and OIDC_CLIENT_ID)' });
+  }
+  try {
+    const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint : null;
+    const { url, state } = await startOidcLogin({ next: safeNext(req.query.next), loginHint });
+    res.cookie(OIDC_STATE_COOKIE, state, { ...OIDC_STATE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
+  } catch (err) {
+    console.error('OIDC login error:', err);
+    res.redirect(`${process.env.FRONTEND_ORIGIN}/?login=error&message=${encodeURIComponent(err.message)}`);
+  }
+}
+
+/** GET /api/auth/oidc/callback — the provider returns here; starts a session and redirects into the app */
+export async function oidcCallback(req, res) {
+  const frontendOrigin = process.env.FRONTEND_ORIGIN;
+  try {
+    const browserState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, OIDC_STATE_OPTIONS);
+    if (req.query.error) throw new Error(req.query.error_description || req.query.error);
+    if (!browserState || browserState !== req.query.state) throw new Error('Sign-in was started in another browser; try again');
+    const { claims, next } = await completeOidcLogin({ code: req.query.code, state: req.query.state });
+    const user = await userForClaims(claims);
+    if (user.disabled) throw new Error('This account is disabled');
+    startSession(res, user);
+    recordLogin(user.id);
+    res.redirect(`${frontendOrigin}${next}`);
+  } catch (err) {
+    console.error('OIDC callback error:', err);
+    res.redirect(`${frontendOrigin}/?login=error&message=${encodeURIComponent(err.message)}`);
+  }
+}
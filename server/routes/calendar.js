@@ -1,68 +1,46 @@
-import { google } from 'googleapis';
-import { readFileSync, writeFileSync, existsSync, unlinkSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { saveCalendarTokens } from '../calendarTokens.js';
+import { readCookie } from '../auth/sessions.js';
+import { enrichEvents } from '../calendarEvents.js';
+import { getEnvKey, getOAuth2Client } from '../calendar/google.js';
+import {
+  availableCalendarProviders,
+  calendarConnections,
+  connectCalendar,
+  disconnectCalendar,
+  upcomingEvents,
+} from '../calendar/index.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const projectRoot = join(__dirname, '..', '..');
-const TOKENS_PATH = join(projectRoot, '.calendar-tokens.json');
-
-function getEnvKey(varName) {
-  try {
-    const envPath = join(projectRoot, '.env');
-    const content = readFileSync(envPath, 'utf-8');
-    const line = content.split('\n').find((l) => l.startsWith(varName + '='));
-    if (line) {
-      let value = line.slice((varName + '=').length).trim();
-      if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
-      if (value.startsWith("'") && value.endsWith("'")) value = value.slice(1, -1);
-      if (value) return value;
-    }
-  } catch (_) {}
-  return process.env[varName] || '';
-}
-
-function loadTokens() {
-  try {
-    if (existsSync(TOKENS_PATH)) {
-      return JSON.parse(readFileSync(TOKENS_PATH, 'utf-8'));
-    }
-  } catch (_) {}
-  return null;
-}
-
-function saveTokens(tokens) {
-  try {
-    writeFileSync(TOKENS_PATH, JSON.stringify(tokens, null, 2), 'utf-8');
-  } catch (err) {
-    console.error('Failed to save calendar tokens:', err);
-  }
-}
-
-function getOAuth2Client() {
-  const clientId = getEnvKey('GOOGLE_CLIENT_ID');
-  const clientSecret = getEnvKey('GOOGLE_CLIENT_SECRET');
-  const redirectUri = getEnvKey('GOOGLE_CALENDAR_REDIRECT_URI') || 'http://localhost:4000/api/calendar/callback';
-  if (!clientId || !clientSecret) return null;
-  return new google.auth.OAuth2(clientId, clientSecret, redirectUri);
-}
+/** Ties the OAuth callback to the browser (and so the signed-in user) that asked for the auth URL. */
+const STATE_COOKIE = 'calendar_state';
+const STATE_COOKIE_OPTIONS = { httpOnly: true, sameSite: 'lax', path: '/api/calendar' };
 
+/** GET /api/calendar/auth-url — { url } to connect the signed-in user's Google Calendar (read-only) */
 export function getAuthUrl(req, res) {
   const oauth2 = getOAuth2Client();
   if (!oauth2) {
     return res.status(500).json({ error: 'Google Calendar not configured. Add GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET to .env' });
   }
+  const state = randomBytes(16).toString('base64url');
+  res.cookie(STATE_COOKIE, state, { ...STATE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
   const url = oauth2.generateAuthUrl({
     access_type: 'offline',
     scope: ['https://www.googleapis.com/auth/calendar.readonly'],
     prompt: 'consent',
+    state,
   });
   res.json({ url });
 }
 
+/** GET /api/calendar/callback — Google returns here; stores the tokens (encrypted) on the signed-in user */
 export async function callback(req, res) {
-  const { code } = req.query;
+  const { code, state } = req.query;
   const frontendOrigin = process.env.FRONTEND_ORIGIN || getEnvKey('FRONTEND_ORIGIN') || 'http://localhost:5173';
+  const expectedState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+  if (!expectedState || state !== expectedState) {
+    return res.redirect(`${frontendOrigin}?calendar=error&message=state_mismatch`);
+  }
   if (!code) {
     return res.redirect(`${frontendOrigin}?calendar=error&message=no_code`);
   }
@@ -72,8 +50,7 @@ export async function callback(req, res) {
   }
   try {
     const { tokens } = await oauth2.getToken(code);
-    oauth2.setCredentials(tokens);
-    saveTokens(tokens);
+    saveCalendarTokens(req.user.id, tokens, 'google', 'Google Calendar');
     return res.redirect(`${frontendOrigin}?calendar=connected`);
   } catch (err) {
     console.error('Calendar OAuth callback error:', err);
@@ -81,75 +58,64 @@ export async function callback(req, res) {
   }
 }
 
-async function listEventsWithCalendar(oauth2, calendar) {
-  const now = new Date();
-  const weekLater = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-  const { data } = await calendar.events.list({
-    calendarId: 'primary',
-    timeMin: now.toISOString(),
-    timeMax: weekLater.toISOString(),
-    singleEvents: true,
-    orderBy: 'startTime',
-    conferenceDataVersion: 1,
-  });
-  const events = (data.items || []).map((e) => {
-    const start = e.start?.dateTime || e.start?.date;
-    const meetFromConf = e.conferenceData?.entryPoints?.find(
-      (p) => p.entryPointType === 'video' || (p.uri && p.uri.includes('meet.google.com'))
-    );
-    const meetLink = meetFromConf?.uri || e.hangoutLink || null;
-    return {
-      id: e.id,
-      summary: e.summary || '(No title)',
-      start,
-      meetLink,
-      htmlLink: e.htmlLink || null,
-    };
-  });
-  return events;
-}
-
+/**
+ * GET /api/calendar/events — the signed-in user's events for the next 7 days from all their
+ * calendars, with attendees, description and attachments, the meeting link (Meet, Teams, Zoom or
+ * Webex), and the role, candidate and earlier interview inferred from each (calendarEvents.js).
+ * Calendars that could not be read are listed in `errors`.
+ */
 export async function listEvents(req, res) {
-  const oauth2 = getOAuth2Client();
-  if (!oauth2) {
-    return res.status(500).json({ error: 'Google Calendar not configured' });
+  if (!calendarConnections(req.user).length) {
+    return res.status(401).json({ error: 'No calendar connected. Connect one first.' });
   }
-  const tokens = loadTokens();
-  if (!tokens) {
-    return res.status(401).json({ error: 'Not connected to Google Calendar. Connect first.' });
-  }
-  oauth2.setCredentials(tokens);
-  const calendar = google.calendar({ version: 'v3', auth: oauth2 });
-  let events;
   try {
-    events = await listEventsWithCalendar(oauth2, calendar);
-    return res.json({ events });
+    const { events, errors } = await upcomingEvents(req.user);
+    res.json({ events: enrichEvents(events, { user: req.user }), errors });
   } catch (err) {
-    if (err.code === 401 || (err.response?.status === 401) || err.message?.includes('invalid_grant') || err.message?.includes('Token has been expired')) {
-      if (tokens.refresh_token) {
-        try {
-          const { credentials } = await oauth2.refreshAccessToken();
-          saveTokens(credentials);
-          oauth2.setCredentials(credentials);
-          events = await listEventsWithCalendar(oauth2, calendar);
-          return res.json({ events });
-        } catch (refreshErr) {
-          console.error('Calendar token refresh failed:', refreshErr);
-        }
-      }
-      try {
-        unlinkSync(TOKENS_PATH);
-      } catch (_) {}
-      return res.status(401).json({ error: 'Calendar access expired. Please connect again.' });
-    }
-    console.error('Calendar list error:', err?.response?.data || err.message);
-    const message = err?.response?.data?.error?.message || err.message || 'Failed to list events';
-    return res.status(500).json({ error: message });
+    console.error('List calendar events error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list calendar events' });
   }
 }
 
+/**
+ * GET /api/calendar/status — for the signed-in user: `connected` (any calendar), `connections`,
+ * the `providers` they can connect, and `hasConfig` (Google Calendar is configured).
+ */
 export function getConnectionStatus(req, res) {
-  const hasConfig = !!(getEnvKey('GOOGLE_CLIENT_ID') && getEnvKey('GOOGLE_CLIENT_SECRET'));
-  const connected = hasConfig && !!loadTokens();
-  res.json({ connected, hasConfig });
+  const connections = calendarConnections(req.user);
+  const providers = availableCalendarProviders();
+  res.json({
+    connected: connections.length > 0,
+    hasConfig: providers.some((p) => p.name === 'google'),
+    providers,
+    connections,
+  });
+}
+
+/**
+ * POST /api/calendar/connect — Body: { provider: 'caldav', url, username, password } or
+ * { provider: 'ics', url } / { provider: 'ics', ics, fileName? }. Checks the calendar can be read,
+ * then stores it (encrypted) on the signed-in user in place of their earlier one of that provider.
+ */
+export async function connect(req, res) {
+  const { provider, ...body } = req.body || {};
+  try {
+    const connection = await connectCalendar(req.user, provider, body);
+    res.status(201).json({ connection });
+  } catch (err) {
+    // A 401 from the calendar here means the details just entered are wrong, not that the user's session is.
+    res.status(err.status === 401 ? 400 : err.status || 500).json({ error: err.message });
+  }
+}
+
+/** POST /api/calendar/disconnect — Body: { provider? }. Forgets that calendar, or all of the user's calendars. */
+export async function disconnect(req, res) {
+  try {
+    const names = req.body?.provider ? [req.body.provider] : calendarConnections(req.user).map((c) => c.provider);
+    for (const name of names) await disconnectCalendar(req.user, name);
+    res.json({ connected: calendarConnections(req.user).length > 0 });
+  } catch (err) {
+    console.error('Calendar disconnect error:', err);
+    res.status(500).json({ error: err.message || 'Failed to disconnect calendar' });
+  }
 }
@@ -0,0 +1,252 @@
+import { createCollection } from '../store.js';
+import { listInterviewsForCandidate, renameCandidateOnInterviews } from './interviews.js';
+import { computeWeightedScore } from './evaluate.js';
+import { getRubricVersion, getInterviewRubric } from '../rubrics.js';
+
+const candidates = createCollection('candidates');
+
+export const PIPELINE_STAGES = ['applied', 'screening', 'interviewing', 'offer', 'hired', 'rejected'];
+
+const RECOMMENDATION_POINTS = { 'Strong Hire': 2, 'Hire with caveats': 1, 'No Hire': 0 };
+
+/** Category scores whose spread (max − min) is at least this share of max_score are flagged as a disagreement. */
+const DISAGREEMENT_SHARE = 0.4;
+
+function cleanString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function validateCandidateFields(body, { requireName }) {
+  const { name, email, stage } = body;
+  if (requireName && !cleanString(name)) return 'name is required';
+  if (name !== undefined && name !== null && typeof name !== 'string') return 'name must be a string';
+  if (cleanString(email) && !email.includes('@')) return 'email must be a valid address';
+  if (stage != null && !PIPELINE_STAGES.includes(stage)) return `stage must be one of: ${PIPELINE_STAGES.join(', ')}`;
+  return null;
+}
+
+function recommendationFromPoints(avg) {
+  if (avg == null) return null;
+  if (avg >= 1.5) return 'Strong Hire';
+  if (avg >= 0.75) return 'Hire with caveats';
+  return 'No Hire';
+}
+
+/**
+ * Combine completed interviews for one role and rubric version into a panel view: per-category
+ * scores from each interviewer, mean / spread with disagreement flags, and a rolled-up score and
+ * recommendation. `versioned` is the rubric version the interviews were scored against.
+ */
+function buildRolePanel(roleId, versioned, roleInterviews, { latest }) {
+  const { rubric } = versioned;
+  const maxScore = rubric.max_score || 5;
+  const categories = (rubric.categories || []).map((cat) => {
+    const scores = roleInterviews
+      .map((iv) => {
+        const row = (iv.final_result.category_scores || []).find((r) => r.name === cat.name);
+        return row && row.score != null ? { interview_id: iv.id, interviewer: iv.interviewer_name || null, score: Number(row.score) } : null;
+      })
+      .filter(Boolean);
+    if (!scores.length) {
+      return { name: cat.name, weight: cat.weight, scores: [], mean: null, min: null, max: null, spread: null, disagreement: false };
+    }
+    const values = scores.map((s) => s.score);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const mean = Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100;
+    return {
+      name: cat.name,
+      weight: cat.weight,
+      scores,
+      mean,
+      min,
+      max,
+      spread: max - min,
+      disagreement: scores.length > 1 && max - min >= maxScore * DISAGREEMENT_SHARE,
+    };
+  });
+
+  const interviewers = roleInterviews.map((iv) => ({
+    interview_id: iv.id,
+    interviewer: iv.interviewer_name || null,
+    recommendation: iv.final_result.hire_recommendation || null,
+  }));
+  const votes = interviewers.filter((v) => v.recommendation in RECOMMENDATION_POINTS);
+  const avgPoints = votes.length
+    ? votes.reduce((sum, v) => sum + RECOMMENDATION_POINTS[v.recommendation], 0) / votes.length
+    : null;
+  const voteSet = new Set(votes.map((v) => v.recommendation));
+
+  return {
+    role: roleId,
+    role_label: rubric.role || roleId,
+    rubric_version: versioned.version,
+    rubric_version_number: versioned.version_number,
+    latest_version: latest,
+    max_score: maxScore,
+    interview_count: roleInterviews.length,
+    categories,
+    interviewers,
+    recommendation_split: voteSet.has('Strong Hire') && voteSet.has('No Hire'),
+    weighted_overall_score: computeWeightedScore(
+      categories.filter((c) => c.mean != null).map((c) => ({ name: c.name, score: c.mean })),
+      rubric
+    ),
+    hire_recommendation: recommendationFromPoints(avgPoints),
+  };
+}
+
+/** The rubric version a final result was scored against (older results: the interview's), or null if it is gone. */
+function resultRubric(interview) {
+  const version = interview.final_result.rubric_version;
+  return (version && getRubricVersion(interview.role, version)) || getInterviewRubric(interview);
+}
+
+/**
+ * One panel per role and rubric version: scores given under different versions may use other
+ * category names or another max_score, so they are never averaged together. Newest version first.
+ */
+function buildPanelSummary(candidateInterviews) {
+  const completed = candidateInterviews.filter((iv) => iv.final_result && !iv.final_result.error);
+  const groups = new Map();
+  for (const iv of completed) {
+    const versioned = resultRubric(iv);
+    if (!versioned) continue;
+    const key = `${iv.role}|${versioned.version}`;
+    if (!groups.has(key)) groups.set(key, { roleId: iv.role, versioned, list: [] });
+    groups.get(key).list.push(iv);
+  }
+  const sorted = [...groups.values()].sort(
+    (a, b) => a.roleId.localeCompare(b.roleId) || (b.versioned.version_number || 0) - (a.versioned.version_number || 0)
+  );
+  return sorted.map(({ roleId, versioned, list }) =>
+    buildRolePanel(roleId, versioned, list, { latest: sorted.find((g) => g.roleId === roleId).versioned === versioned })
+  );
+}
+
+/** The candidate with this email address (case-insensitive), or null. */
+export function findCandidateByEmail(email) {
+  const wanted = cleanString(email)?.toLowerCase();
+  return wanted ? candidates.list((c) => c.email?.toLowerCase() === wanted)[0] || null : null;
+}
+
+/** Full candidate record by id, or null. */
+export function getCandidateRecord(id) {
+  return id ? candidates.get(id) : null;
+}
+
+/**
+ * Store (or with null, remove) the candidate's link to their ATS record (see ats/index.js). A
+ * candidate without an email address takes the ATS record's first one.
+ */
+export function recordAtsLink(id, link) {
+  return candidates.update(id, (candidate) => ({
+    ats: link,
+    ...(!candidate.email && link?.emails?.length ? { email: link.emails[0] } : {}),
+  }));
+}
+
+/** POST /api/candidates — Body: { name, email?, resume?, stage? } */
+export function createCandidate(req, res) {
+  try {
+    const body = req.body || {};
+    const invalid = validateCandidateFields(body, { requireName: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const candidate = candidates.insert({
+      name: cleanString(body.name),
+      email: cleanString(body.email),
+      resume: typeof body.resume === 'string' ? body.resume : '',
+      stage: body.stage || 'interviewing',
+    });
+    res.status(201).json({ candidate });
+  } catch (err) {
+    console.error('Create candidate error:', err);
+    res.status(500).json({ error: err.message || 'Failed to create candidate' });
+  }
+}
+
+/** GET /api/candidates?q=&stage= — list candidates by name, with interview counts */
+export function listCandidates(req, res) {
+  try {
+    const { q, stage } = req.query;
+    const needle = typeof q === 'string' ? q.trim().toLowerCase() : '';
+    const list = candidates
+      .list((c) => {
+        if (stage && c.stage !== stage) return false;
+        if (needle && !`${c.name} ${c.email || ''}`.toLowerCase().includes(needle)) return false;
+        return true;
+      })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((c) => ({
+        id: c.id,
+        name: c.name,
+        email: c.email,
+        stage: c.stage,
+        created_at: c.created_at,
+        interview_count: listInterviewsForCandidate(c.id).length,
+      }));
+    res.json({ candidates: list, stages: PIPELINE_STAGES });
+  } catch (err) {
+    console.error('List candidates error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list candidates' });
+  }
+}
+
+/** GET /api/candidates/:id — candidate profile plus summaries of attached interviews */
+export function getCandidate(req, res) {
+  const candidate = candidates.get(req.params.id);
+  if (!candidate) {
+    return res.status(404).json({ error: 'Candidate not found' });
+  }
+  const interviews = listInterviewsForCandidate(candidate.id).map((iv) => ({
+    id: iv.id,
+    role: iv.role,
+    interviewer_name: iv.interviewer_name || null,
+    status: iv.status,
+    created_at: iv.created_at,
+    hire_recommendation: iv.final_result?.hire_recommendation ?? null,
+    weighted_overall_score: iv.final_result?.weighted_overall_score ?? null,
+    ats_submission: iv.ats_submission || null,
+  }));
+  res.json({ candidate, interviews });
+}
+
+/** PATCH /api/candidates/:id — update name, email, resume or pipeline stage */
+export function updateCandidate(req, res) {
+  try {
+    const body = req.body || {};
+    const invalid = validateCandidateFields(body, { requireName: false });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const changes = {};
+    if (body.name !== undefined) {
+      if (!cleanString(body.name)) return res.status(400).json({ error: 'name cannot be empty' });
+      changes.name = cleanString(body.name);
+    }
+    if (body.email !== undefined) changes.email = cleanString(body.email);
+    if (typeof body.resume === 'string') changes.resume = body.resume;
+    if (body.stage != null) changes.stage = body.stage;
+    const candidate = candidates.update(req.params.id, changes);
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    if (changes.name) renameCandidateOnInterviews(candidate.id, candidate.name);
+    res.json({ candidate });
+  } catch (err) {
+    console.error('Update candidate error:', err);
+    res.status(500).json({ error: err.message || 'Failed to update candidate' });
+  }
+}
+
+/** GET /api/candidates/:id/panel — per-role aggregation of every interviewer's category scores */
+export function getCandidatePanel(req, res) {
+  try {
+    const candidate = candidates.get(req.params.id);
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    res.json({ candidate_id: candidate.id, panels: buildPanelSummary(listInterviewsForCandidate(candidate.id)) });
+  } catch (err) {
+    console.error('Candidate panel error:', err);
+    res.status(500).json({ error: err.message || 'Failed to build panel summary' });
+  }
+}
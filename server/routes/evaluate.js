@@ -1,87 +1,25 @@
-import { readFileSync, existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const projectRoot = join(__dirname, '..', '..');
-const rubricsDir = join(__dirname, '..', 'rubrics');
-const GROK_API_URL = 'https://api.x.ai/v1/chat/completions';
-const GROK_MODEL = 'grok-4-latest';
-
-const ROLES = [
-  { id: 'vp-sales', label: 'VP of Sales' },
-  { id: 'vp-ta', label: 'VP of TA' },
-  { id: 'account-executive', label: 'Account Executive' },
-];
-
-function getEnvKey(varName) {
-  try {
-    const envPath = join(projectRoot, '.env');
-    const content = readFileSync(envPath, 'utf-8');
-    const line = content.split('\n').find((l) => l.startsWith(varName + '='));
-    if (line) {
-      let value = line.slice((varName + '=').length).trim();
-      if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
-      if (value.startsWith("'") && value.endsWith("'")) value = value.slice(1, -1);
-      if (value) return value;
-    }
-  } catch (_) {}
-  return process.env[varName] || '';
-}
-
-const grokApiKey = getEnvKey('XAI_API_KEY');
-if (!grokApiKey) {
-  console.error('XAI_API_KEY not found in .env (project root)');
-}
-
-async function grokChat(messages, temperature = 0.3) {
-  const res = await fetch(GROK_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${grokApiKey}`,
-    },
-    body: JSON.stringify({
-      model: GROK_MODEL,
-      messages,
-      stream: false,
-      temperature,
-    }),
-  });
-  if (!res.ok) {
-    const errText = await res.text();
-    const err = new Error(errText || `Grok API ${res.status}`);
-    err.status = res.status;
-    throw err;
-  }
-  const data = await res.json();
-  const raw = data.choices?.[0]?.message?.content;
-  return raw;
-}
+import { rateLimitMessage } from '../llm/index.js';
+import { llmJson } from '../llm/structured.js';
+import { createJsonStreamParser } from '../llm/jsonStream.js';
+import { buildPartialSchema, buildFinalSchema, buildEvidenceSchema, validateEvaluation, repairEvaluation } from '../evaluationSchema.js';
+import { recordPartialEvaluation, recordFinalEvaluation, getInterviewRecord, recordRescore, recordReportEmail, recipientsFromRequest, interviewRecipients } from './interviews.js';
+import { getRubric, getVersionedRubric, getRubricVersion, getInterviewRubric, rubricExists, listRoles } from '../rubrics.js';
+import { createLiveSession, getLiveSession, updateLiveSession } from '../liveSessions.js';
+import { transcriptFromTurns } from '../turns.js';
+import { citableTurns, citableTranscript, verifyCitations } from '../citations.js';
+import { emailReport } from '../reportEmail.js';
+import { buildReportModel } from '../reportTemplate.js';
+import { defaultRecipients } from '../mail/index.js';
+import { registerJob, enqueueJob, listInterviewJobs } from '../jobs.js';
 
-function extractJson(text) {
-  const trimmed = (text || '').trim();
-  const codeBlock = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
-  const raw = codeBlock ? codeBlock[1].trim() : trimmed;
-  return JSON.parse(raw);
-}
-
-function getRubric(roleId) {
-  const safe = roleId && ROLES.some((r) => r.id === roleId) ? roleId : 'vp-sales';
-  const path = join(rubricsDir, `${safe}.json`);
-  if (!existsSync(path)) {
-    const fallback = join(__dirname, '..', 'rubric.json');
-    if (existsSync(fallback)) {
-      return JSON.parse(readFileSync(fallback, 'utf-8'));
-    }
-    throw new Error(`Rubric not found: ${roleId}`);
-  }
-  return JSON.parse(readFileSync(path, 'utf-8'));
-}
-
-/** GET /api/roles — list available evaluation roles */
+/** GET /api/roles — list available evaluation roles (one per rubric file) */
 export function getRoles(req, res) {
-  res.json({ roles: ROLES });
+  try {
+    res.json({ roles: listRoles() });
+  } catch (err) {
+    console.error('Roles error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list roles' });
+  }
 }
 
 /** GET /api/rubric-sample-questions?role=vp-sales — questions with category and weight %, sorted by weight desc */
@@ -100,11 +38,16 @@ export function getRubricSampleQuestions(req, res) {
     );
     res.json({ questions, role: rubric.role });
   } catch (err) {
-    console.error('Rubric sample questions error:', err);
-    res.status(500).json({ error: err.message || 'Failed to load rubric questions' });
+    if (err.status !== 404) console.error('Rubric sample questions error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Failed to load rubric questions' });
   }
 }
 
+/** Transcript lines carry a speaker label when the audio sources were kept apart (see useStreamingTranscription). */
+const CITATION_NOTE = `CITATIONS: Each transcript line starts with its turn id, e.g. "#0-3". A citation is { "turn_id": "<id without #>", "quote": "<words copied exactly from that line>" }. Quote the candidate's own words, 5-30 words, without the id, time or speaker label. Never paraphrase inside a quote.`;
+
+const SPEAKER_NOTE = `SPEAKERS: Transcript lines starting with "Interviewer:" or "Candidate:" say who spoke. Score only what the candidate says; use the interviewer's lines to tell which questions were asked. Lines without a label come from a single mixed source—infer the speaker from context. A leading [mm:ss] is the time into the interview; use it when pointing to what was said (e.g. "at 12:40 the candidate said…").`;
+
 function buildPartialSystem(rubric) {
   const roleLabel = rubric.role || 'this role';
   const maxScore = rubric.max_score || 5;
@@ -119,6 +62,8 @@ ${JSON.stringify(rubric, null, 2)}
 
 Allowed categories for suggested_questions (use exact names): ${categoryList}.
 
+${SPEAKER_NOTE}
+
 Your job is to analyze the conversation so far and return a JSON object with no other text, no markdown, no code fence—only the raw JSON. Use this exact structure:
 {
   "partial_scores": [ { "name": "<category name>", "score": <0-${maxScore} integer>, "justification": "<1-2 sentences>" } ],
@@ -148,15 +93,19 @@ function buildFinalSystem(rubric) {
 RUBRIC (use exact category names and weights for weighted average):
 ${JSON.stringify(rubric, null, 2)}
 
+${SPEAKER_NOTE}
+
+${CITATION_NOTE}
+
 Return a single JSON object with no other text, no markdown, no code fence—only the raw JSON. Use this exact structure:
 {
-  "category_scores": [ { "name": "<category name>", "score": <0-${maxScore} number>, "justification": "<detailed 2-5 sentences per category>" } ],
+  "category_scores": [ { "name": "<category name>", "score": <0-${maxScore} number>, "justification": "<detailed 2-5 sentences per category>", "evidence": [ { "turn_id": "<turn id>", "quote": "<verbatim quote>" }, ... ] } ],
   "weighted_overall_score": <number 0-100, one decimal>,
   "hire_recommendation": "Strong Hire" | "Hire with caveats" | "No Hire",
   "summary": "<3-5 sentence overall summary and recommendation>",
-  "strengths": [ "<strength 1>", ... ],
+  "strengths": [ { "text": "<strength 1>", "evidence": [ { "turn_id": "<turn id>", "quote": "<verbatim quote>" }, ... ] } ],
   "weaknesses": [ "<weakness 1>", ... ],
-  "red_flags": [ "<red flag 1>", ... ],
+  "red_flags": [ { "text": "<red flag 1>", "evidence": [ { "turn_id": "<turn id>", "quote": "<verbatim quote>" }, ... ] } ],
   "questions_coverage": {
     "asked": [ { "category": "<rubric category name>", "question_or_topic": "<what was asked or discussed (brief)>" } ],
     "missed": [ { "category": "<rubric category name>", "sample_questions_not_asked": [ "<question from rubric>", ... ] } ]
@@ -166,10 +115,20 @@ Return a single JSON object with no other text, no markdown, no code fence—onl
 Rules:
 - weighted_overall_score: MUST be computed from category_scores and rubric weights. Formula: weighted_sum = sum(category_score * category_weight) for each category; then (weighted_sum / ${maxScore}) * 100. Round to one decimal. The rubric uses max_score ${maxScore} for each category.
 - hire_recommendation, category_scores, strengths, weaknesses, red_flags, summary, questions_coverage: as before. Use exact category names from the rubric.
+- evidence: 1-3 citations per category score, strength and red flag that show why. Use an empty list only when the transcript has nothing on it (e.g. a category never discussed).
 - Output only valid JSON, nothing else.`;
 }
 
-function computeWeightedScore(categoryScores, rubric) {
+/** Fields stamped on every partial and final result so it stays tied to the rubric it was scored against. */
+function rubricStamp(versioned) {
+  return {
+    rubric_id: versioned.id,
+    rubric_version: versioned.version,
+    rubric_version_number: versioned.version_number,
+  };
+}
+
+export function computeWeightedScore(categoryScores, rubric) {
   const maxScore = rubric.max_score || 5;
   const byName = new Map((rubric.categories || []).map((c) => [c.name, c.weight]));
   let weightedSum = 0;
@@ -180,17 +139,61 @@ function computeWeightedScore(categoryScores, rubric) {
   return Math.round((weightedSum / maxScore) * 1000) / 10;
 }
 
+/** Fill in missing question weights from the rubric, sort questions by weight and stamp the rubric version. */
+function finishPartialResult(parsed, versioned) {
+  const { rubric } = versioned;
+  const categoryByWeight = new Map((rubric.categories || []).map((c) => [c.name, { name: c.name, weight: c.weight }]));
+  if (Array.isArray(parsed.suggested_questions)) {
+    parsed.suggested_questions = parsed.suggested_questions.map((item) => {
+      const q = typeof item === 'string' ? { question: item, already_asked: false } : { question: item?.question ?? String(item), already_asked: !!item?.already_asked, category: item?.category, weight_pct: item?.weight_pct };
+      if (q.category && categoryByWeight.has(q.category) && (q.weight_pct == null || q.weight_pct === 0)) {
+        q.weight_pct = Math.round((categoryByWeight.get(q.category).weight || 0) * 100);
+      }
+      if (!q.weight_pct && q.category) q.weight_pct = Math.round((categoryByWeight.get(q.category)?.weight || 0) * 100);
+      return q;
+    });
+    parsed.suggested_questions.sort((a, b) => (b.weight_pct || 0) - (a.weight_pct || 0));
+  }
+  return Object.assign(parsed, rubricStamp(versioned));
+}
+
+/**
+ * The rubric a request is scored against: a stored interview's own version (see getInterviewRubric),
+ * else the current rubric of `roleId`. Null for an unknown or deleted role.
+ */
+function requestRubric(roleId, interviewId) {
+  const interview = getInterviewRecord(interviewId);
+  if (interview) return getInterviewRubric(interview);
+  const role = roleId || 'vp-sales';
+  return rubricExists(role) ? getVersionedRubric(role) : null;
+}
+
+function unknownRoleBody(roleId, interviewId) {
+  const interview = getInterviewRecord(interviewId);
+  return { error: `Unknown role "${interview?.role || roleId || 'vp-sales'}"` };
+}
+
+/** Live evaluations run every few seconds, so a bad reply gets one retry; the final report gets two. */
+const PARTIAL_ATTEMPTS = 2;
+const FINAL_ATTEMPTS = 3;
+
 export async function evaluatePartial(req, res) {
   try {
-    const { transcript, role: roleId } = req.body;
+    const { transcript, role: roleId, interviewId } = req.body;
     if (typeof transcript !== 'string') {
       return res.status(400).json({ error: 'transcript must be a string' });
     }
-    const rubric = getRubric(roleId || 'vp-sales');
+    const versioned = requestRubric(roleId, interviewId);
+    if (!versioned) {
+      return res.status(400).json(unknownRoleBody(roleId, interviewId));
+    }
+    const { rubric } = versioned;
     const systemContent = buildPartialSystem(rubric);
 
     const roleLabel = rubric.role || 'the selected role';
-    const raw = await grokChat(
+    const schema = buildPartialSchema(rubric);
+    const shape = { rubric, scoresKey: 'partial_scores' };
+    const parsed = await llmJson(
       [
         { role: 'system', content: systemContent },
         {
@@ -198,86 +201,498 @@ export async function evaluatePartial(req, res) {
           content: `Role being evaluated: ${roleLabel}.\n\nConversation so far:\n\n${transcript || '(No speech transcribed yet.)'}`,
         },
       ],
-      0.3
+      {
+        purpose: 'partial',
+        temperature: 0.3,
+        attempts: PARTIAL_ATTEMPTS,
+        repair: (value) => repairEvaluation(value, shape),
+        validate: (value) => validateEvaluation(schema, value, shape),
+      }
     );
-    if (!raw) {
-      return res.status(500).json({ error: 'Empty Grok response' });
-    }
-
-    const parsed = extractJson(raw);
-    const categoryByWeight = new Map((rubric.categories || []).map((c) => [c.name, { name: c.name, weight: c.weight }]));
-    if (Array.isArray(parsed.suggested_questions)) {
-      parsed.suggested_questions = parsed.suggested_questions.map((item) => {
-        const q = typeof item === 'string' ? { question: item, already_asked: false } : { question: item?.question ?? String(item), already_asked: !!item?.already_asked, category: item?.category, weight_pct: item?.weight_pct };
-        if (q.category && categoryByWeight.has(q.category) && (q.weight_pct == null || q.weight_pct === 0)) {
-          q.weight_pct = Math.round((categoryByWeight.get(q.category).weight || 0) * 100);
-        }
-        if (!q.weight_pct && q.category) q.weight_pct = Math.round((categoryByWeight.get(q.category)?.weight || 0) * 100);
-        return q;
-      });
-      parsed.suggested_questions.sort((a, b) => (b.weight_pct || 0) - (a.weight_pct || 0));
+    finishPartialResult(parsed, versioned);
+    try {
+      recordPartialEvaluation(interviewId, parsed);
+    } catch (storeErr) {
+      console.error('Failed to store partial evaluation:', storeErr);
     }
     return res.json(parsed);
   } catch (err) {
     console.error('Evaluate partial error:', err);
-    const is429 = err.status === 429 || (err.message && String(err.message).includes('429'));
-    const status = is429 ? 429 : 500;
-    const message = is429
-      ? 'Grok API rate limit exceeded. Check your x.ai plan.'
-      : (err.message || 'Evaluation failed');
-    return res.status(status).json({ error: message });
+    const { status, body } = evaluationErrorBody(err);
+    return res.status(status).json(body);
+  }
+}
+
+/** Already-evaluated turns sent again with each incremental call so the new turns have context. */
+const CONTEXT_TURNS = 4;
+
+function buildIncrementalSystem(rubric) {
+  return `${buildPartialSystem(rubric)}
+
+INCREMENTAL MODE: You do not see the whole conversation. You get (1) your running evidence summary from earlier evaluations, (2) your previous scores, (3) the last few turns you already evaluated, for context, and (4) the new turns since then. Score the whole interview so far: earlier evidence still counts, so only move a score when the new turns justify it. Mark a suggested question already_asked if the summary or the new turns show it was asked.
+Add one more field to the JSON object:
+  "evidence_summary": "<updated running summary of the evidence for every category so far, including what earlier turns showed and which topics were asked; at most 400 words>"`;
+}
+
+/**
+ * Validate an incremental live request and build the model call for it, marking the session in flight
+ * until runLiveEvaluation finishes. Returns { error: { status, body } } for a bad request, a busy session
+ * or an out-of-sync offset, { cached } when there is nothing new to evaluate, or the
+ * call context for runLiveEvaluation.
+ */
+function prepareLiveEvaluation(body) {
+  const { sessionId, role: roleId, interviewId, turnOffset, turns } = body || {};
+  if (!Array.isArray(turns) || turns.some((t) => typeof t !== 'string')) {
+    return { error: { status: 400, body: { error: 'turns must be an array of strings' } } };
+  }
+  if (!Number.isInteger(turnOffset) || turnOffset < 0) {
+    return { error: { status: 400, body: { error: 'turnOffset must be a non-negative integer' } } };
+  }
+  let session = getLiveSession(sessionId);
+  if (!session) {
+    const versioned = requestRubric(roleId, interviewId);
+    if (!versioned) return { error: { status: 400, body: unknownRoleBody(roleId, interviewId) } };
+    session = createLiveSession({ roleId: versioned.id, interviewId, versioned });
+  }
+  if ((roleId && roleId !== session.role_id) || (interviewId || null) !== session.interview_id) {
+    return { error: { status: 400, body: { error: 'Live session belongs to another role or interview', session_id: session.id } } };
+  }
+  // Both calls would start from the same turn count and append their turns twice.
+  if (session.in_flight) {
+    return { error: { status: 409, body: { error: 'A live evaluation of this session is already running', session_id: session.id, busy: true } } };
+  }
+  if (turnOffset !== session.turn_count) {
+    return { error: { status: 409, body: { error: 'Live session out of sync', session_id: session.id, turn_count: session.turn_count } } };
+  }
+  const newTurns = turns.filter((t) => t.trim());
+  if (newTurns.length === 0 && session.last_result) {
+    return { cached: { ...session.last_result, session_id: session.id, turn_count: session.turn_count } };
+  }
+
+  const { rubric } = session.versioned;
+  const roleLabel = rubric.role || 'the selected role';
+  const previousScores = session.last_result ? JSON.stringify(session.last_result.partial_scores) : '(none yet)';
+  const context = session.recent_turns.length ? session.recent_turns.join('\n') : '(start of interview)';
+  const messages = [
+    { role: 'system', content: buildIncrementalSystem(rubric) },
+    {
+      role: 'user',
+      content: `Role being evaluated: ${roleLabel}.
+
+Running evidence summary so far:
+${session.evidence_summary || '(none yet)'}
+
+Previous scores:
+${previousScores}
+
+Last turns already evaluated (context only):
+${context}
+
+New turns since the last evaluation:
+${newTurns.join('\n') || '(No speech transcribed yet.)'}`,
+    },
+  ];
+  updateLiveSession(session.id, { in_flight: true });
+  return { session, interviewId, messages, newTurns, turnCount: turnOffset + turns.length };
+}
+
+/** Run a prepared live evaluation, advance the session and store the snapshot. Returns the response body. */
+async function runLiveEvaluation({ session, interviewId, messages, newTurns, turnCount }, { onDelta } = {}) {
+  const { versioned } = session;
+  const { rubric } = versioned;
+  const schema = buildPartialSchema(rubric, { incremental: true });
+  const shape = { rubric, scoresKey: 'partial_scores' };
+  let parsed;
+  try {
+    parsed = await llmJson(messages, {
+      purpose: 'partial',
+      temperature: 0.3,
+      attempts: PARTIAL_ATTEMPTS,
+      onDelta,
+      repair: (value) => repairEvaluation(value, shape),
+      validate: (value) => validateEvaluation(schema, value, shape),
+    });
+  } finally {
+    updateLiveSession(session.id, { in_flight: false });
+  }
+  const { evidence_summary: evidenceSummary, ...result } = parsed;
+  finishPartialResult(result, versioned);
+  updateLiveSession(session.id, {
+    turn_count: turnCount,
+    recent_turns: [...session.recent_turns, ...newTurns].slice(-CONTEXT_TURNS),
+    evidence_summary: evidenceSummary,
+    last_result: result,
+  });
+  try {
+    recordPartialEvaluation(interviewId || session.interview_id, result);
+  } catch (storeErr) {
+    console.error('Failed to store partial evaluation:', storeErr);
+  }
+  return { ...result, session_id: session.id, turn_count: turnCount };
+}
+
+/** HTTP status and JSON body for a failed evaluation: provider rate limits (status 429) pass through as 429, the rest are 500. */
+function evaluationErrorBody(err, fallback = 'Evaluation failed') {
+  const is429 = err.status === 429;
+  const message = is429 ? rateLimitMessage() : (err.message || fallback);
+  return { status: is429 ? 429 : 500, body: err.details ? { error: message, details: err.details } : { error: message } };
+}
+
+/**
+ * POST /api/evaluate/live — incremental live evaluation.
+ * Body: { sessionId?, role, interviewId?, turnOffset, turns } where `turns` are the turns added since
+ * the last call and `turnOffset` is the index of the first one. The server keeps a running evidence
+ * summary per session, so only new turns are sent to the model. Responds 409 with the session's
+ * `turn_count` when the offset doesn't match (e.g. after a restart); the client resends from there.
+ * A session is used for its own role and interview only (else 400) and evaluates one call at a time:
+ * a call while another is running gets 409 with `busy: true`.
+ */
+export async function evaluateLive(req, res) {
+  try {
+    const prepared = prepareLiveEvaluation(req.body);
+    if (prepared.error) return res.status(prepared.error.status).json(prepared.error.body);
+    if (prepared.cached) return res.json(prepared.cached);
+    return res.json(await runLiveEvaluation(prepared));
+  } catch (err) {
+    console.error('Evaluate live error:', err);
+    const { status, body } = evaluationErrorBody(err);
+    return res.status(status).json(body);
+  }
+}
+
+/** Top-level keys streamed item by item, and the SSE event each item is sent as. */
+const STREAM_ARRAY_EVENTS = {
+  partial_scores: 'score',
+  red_flags: 'red_flag',
+  strengths: 'strength',
+  suggested_questions: 'question',
+};
+
+/**
+ * POST /api/evaluate/stream — same body and session as /api/evaluate/live, answered as Server-Sent
+ * Events while the model writes: `score`, `red_flag`, `strength`, `question` and `impression` for each
+ * item as soon as it is parsed, then `result` with the validated evaluation (which replaces the
+ * streamed items), or `error`. Bad requests and 409s are answered as plain JSON like /live.
+ */
+export async function evaluateStream(req, res) {
+  let prepared;
+  try {
+    prepared = prepareLiveEvaluation(req.body);
+  } catch (err) {
+    console.error('Evaluate stream error:', err);
+    const { status, body } = evaluationErrorBody(err);
+    return res.status(status).json(body);
+  }
+  if (prepared.error) return res.status(prepared.error.status).json(prepared.error.body);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (prepared.cached) {
+    send('result', prepared.cached);
+    return res.end();
   }
+  const parser = createJsonStreamParser(
+    { arrays: Object.keys(STREAM_ARRAY_EVENTS), strings: ['current_impression'] },
+    (key, value) => send(key === 'current_impression' ? 'impression' : STREAM_ARRAY_EVENTS[key], value)
+  );
+  try {
+    send('result', await runLiveEvaluation(prepared, { onDelta: (text) => parser.push(text) }));
+  } catch (err) {
+    console.error('Evaluate stream error:', err);
+    send('error', evaluationErrorBody(err).body);
+  }
+  res.end();
 }
 
+/** Transcripts up to this length are scored in one call; longer ones go through evidence extraction. */
 const MAX_TRANSCRIPT_CHARS = 36000;
+/** Target size of each segment when a long transcript is split. */
+const SEGMENT_CHARS = 24000;
+
+/** Split a transcript into segments of at most SEGMENT_CHARS, breaking between lines where possible. */
+function splitTranscript(transcript) {
+  const segments = [];
+  let current = '';
+  for (const line of transcript.split('\n')) {
+    for (let start = 0; start < Math.max(line.length, 1); start += SEGMENT_CHARS) {
+      const piece = line.slice(start, start + SEGMENT_CHARS);
+      if (current && current.length + piece.length + 1 > SEGMENT_CHARS) {
+        segments.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+  if (current.trim()) segments.push(current);
+  return segments;
+}
+
+function buildEvidenceSystem(rubric) {
+  const roleLabel = rubric.role || 'this role';
+  return `You are an expert interviewer and assessor for a ${roleLabel} role. The interview transcript is too long to score at once, so you are reading one segment of it and collecting evidence. Do NOT score.
+
+RUBRIC (use exact category names):
+${JSON.stringify(rubric, null, 2)}
+
+${SPEAKER_NOTE}
+
+${CITATION_NOTE}
+
+Return a single JSON object with no other text, no markdown, no code fence—only the raw JSON. Use this exact structure:
+{
+  "evidence": [ { "category": "<exact rubric category name>", "quotes": [ { "turn_id": "<turn id>", "quote": "<short verbatim quote from the candidate>" }, ... ], "notes": "<1-3 sentences on what this segment shows for the category, positive or negative>" } ],
+  "strengths": [ "<strength shown in this segment>", ... ],
+  "red_flags": [ "<red flag shown in this segment>", ... ],
+  "questions_asked": [ { "category": "<exact rubric category name>", "question_or_topic": "<what was asked or discussed (brief)>" } ]
+}
+
+Rules:
+- Only include categories this segment says something about; omit the rest.
+- quotes must be copied from the segment, at most 3 per category.
+- Output only valid JSON, nothing else.`;
+}
+
+/** Pull per-category evidence from one transcript segment. */
+async function extractSegmentEvidence(rubric, segment, index, total) {
+  const schema = buildEvidenceSchema(rubric);
+  const shape = { rubric };
+  return llmJson(
+    [
+      { role: 'system', content: buildEvidenceSystem(rubric) },
+      { role: 'user', content: `Segment ${index + 1} of ${total} of the interview transcript:\n\n${segment}` },
+    ],
+    {
+      purpose: 'evidence',
+      temperature: 0.2,
+      attempts: FINAL_ATTEMPTS,
+      repair: (value) => repairEvaluation(value, shape),
+      validate: (value) => validateEvaluation(schema, value, shape),
+    }
+  );
+}
+
+/** Merge segment evidence into one brief, grouped by rubric category in rubric order. */
+function formatEvidence(rubric, segmentEvidence) {
+  const total = segmentEvidence.length;
+  const sections = (rubric.categories || []).map((cat) => {
+    const lines = [];
+    segmentEvidence.forEach((ev, i) => {
+      for (const item of ev.evidence.filter((e) => e.category === cat.name)) {
+        lines.push(`- [Segment ${i + 1}/${total}] ${item.notes}`);
+        for (const { turn_id: turnId, quote } of item.quotes) lines.push(`  > #${turnId} "${quote}"`);
+      }
+    });
+    return `## ${cat.name}\n${lines.length ? lines.join('\n') : '- No evidence found in any segment.'}`;
+  });
+  const listAll = (key, format) =>
+    segmentEvidence.flatMap((ev, i) => ev[key].map((item) => `- [Segment ${i + 1}/${total}] ${format(item)}`)).join('\n') || '- None';
+  return [
+    ...sections,
+    `## Strengths observed\n${listAll('strengths', (s) => s)}`,
+    `## Red flags observed\n${listAll('red_flags', (s) => s)}`,
+    `## Questions asked\n${listAll('questions_asked', (q) => `${q.category}: ${q.question_or_topic}`)}`,
+  ].join('\n\n');
+}
+
+/**
+ * Run the final evaluation of a transcript against one rubric version. Long transcripts are
+ * split into segments; evidence is extracted from each in order and the score is given from the
+ * merged evidence, so the whole interview counts. Throws when a model reply is empty or still
+ * fails schema validation after retries; the result carries the weighted score, the rubric stamp
+ * and evidence quotes checked against the transcript (see citations.js).
+ */
+export async function scoreTranscript(rawTranscript, versioned, turns) {
+  const { rubric } = versioned;
+  const systemContent = buildFinalSystem(rubric);
+  const citable = citableTurns(rawTranscript, turns);
+  const transcript = citableTranscript(citable);
+
+  let userContent = `Full interview transcript:\n\n${transcript}`;
+  let segmentCount = 1;
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+    const segments = splitTranscript(transcript);
+    segmentCount = segments.length;
+    const segmentEvidence = [];
+    // One segment at a time: keeps request rate within provider limits.
+    for (let i = 0; i < segments.length; i++) {
+      segmentEvidence.push(await extractSegmentEvidence(rubric, segments[i], i, segments.length));
+    }
+    userContent = `The interview transcript was too long to send whole (${segments.length} segments). Below is the evidence extracted from every segment, in interview order, grouped by rubric category. Score the whole interview from this evidence.\n\n${formatEvidence(rubric, segmentEvidence)}`;
+  }
+
+  const schema = buildFinalSchema(rubric);
+  const shape = { rubric, scoresKey: 'category_scores', findings: true };
+  const scored = await llmJson(
+    [
+      { role: 'system', content: systemContent },
+      { role: 'user', content: userContent },
+    ],
+    {
+      purpose: 'final',
+      temperature: 0.2,
+      attempts: FINAL_ATTEMPTS,
+      repair: (value) => repairEvaluation(value, shape),
+      validate: (value) => validateEvaluation(schema, value, shape),
+    }
+  );
+  const parsed = verifyCitations(scored, citable);
+  if (segmentCount > 1) parsed.transcript_segments = segmentCount;
+
+  parsed.weighted_overall_score = computeWeightedScore(parsed.category_scores, rubric);
+  return Object.assign(parsed, rubricStamp(versioned));
+}
 
+/**
+ * POST /api/evaluate-final — score a whole transcript synchronously and email the report.
+ * Body: { transcript?, turns?, role?, interviewId?, recipients? } — the report goes to `recipients`,
+ * else the interview's recipients, else RECIPIENT_EMAIL. Responds with the final result plus
+ * `email`: { sent, to, transport, id, error, at }. The app queues
+ * POST /api/interviews/:id/final-evaluation instead and uses this only when no interview is stored.
+ */
 export async function evaluateFinal(req, res) {
   try {
-    const { transcript, turns, role: roleId } = req.body;
+    const { turns, role: roleId, interviewId } = req.body;
+    if (turns != null && !Array.isArray(turns)) {
+      return res.status(400).json({ error: 'turns must be an array' });
+    }
+    const requested = recipientsFromRequest(req.body);
+    if (requested.error) {
+      return res.status(400).json({ error: requested.error });
+    }
+    // Turns alone are enough; the transcript is then rebuilt from them as timestamped lines.
+    const transcript = req.body.transcript ?? (turns ? transcriptFromTurns(turns) : undefined);
     if (typeof transcript !== 'string') {
       return res.status(400).json({ error: 'transcript must be a string' });
     }
-    const rubric = getRubric(roleId || 'vp-sales');
-    const systemContent = buildFinalSystem(rubric);
-
-    const transcriptForEval =
-      transcript.length <= MAX_TRANSCRIPT_CHARS
-        ? transcript
-        : transcript.slice(-MAX_TRANSCRIPT_CHARS) +
-          '\n\n[Note: Earlier part of transcript omitted for length. Above is the final portion of the interview.]';
-
-    const raw = await grokChat(
-      [
-        { role: 'system', content: systemContent },
-        {
-          role: 'user',
-          content: `Full interview transcript:\n\n${transcriptForEval}`,
-        },
-      ],
-      0.2
-    );
-    if (!raw) {
-      console.error('Final evaluation: Grok returned empty content');
-      return res.status(500).json({ error: 'Empty Grok response' });
+    const versioned = requestRubric(roleId, interviewId);
+    if (!versioned) {
+      return res.status(400).json(unknownRoleBody(roleId, interviewId));
     }
-
-    let parsed;
+    const parsed = await scoreTranscript(transcript, versioned, turns);
+    let interview = null;
     try {
-      parsed = extractJson(raw);
-    } catch (parseErr) {
-      console.error('Final evaluation: Invalid JSON from Grok', parseErr);
-      return res.status(500).json({ error: 'Invalid evaluation format from AI' });
+      interview = recordFinalEvaluation(interviewId, { transcript, turns, result: parsed });
+    } catch (storeErr) {
+      console.error('Failed to store final evaluation:', storeErr);
     }
-
-    parsed.weighted_overall_score = computeWeightedScore(parsed.category_scores, rubric);
-    return res.status(200).json(parsed);
+    const recipients = requested.recipients.length
+      ? requested.recipients
+      : interview ? interviewRecipients(interview) : defaultRecipients();
+    let email;
+    try {
+      const model = buildReportModel({
+        result: parsed,
+        transcript,
+        rubric: versioned.rubric,
+        candidateName: interview?.candidate_name,
+        interviewerName: interview?.interviewer_name,
+      });
+      email = await emailReport({ model, recipients });
+    } catch (mailErr) {
+      console.error('Failed to email final report:', mailErr);
+      email = { sent: false, to: recipients, transport: null, id: null, error: mailErr.message, at: new Date().toISOString() };
+    }
+    if (interview) recordReportEmail(interview.id, email);
+    return res.status(200).json({ ...parsed, email });
   } catch (err) {
     console.error('Evaluate final error:', err);
-    const is429 = err.status === 429 || (err.message && String(err.message).includes('429'));
-    const status = is429 ? 429 : 500;
-    const message = is429
-      ? 'Grok API rate limit exceeded. Check your x.ai plan.'
-      : (err.message || 'Final evaluation failed');
-    return res.status(status).json({ error: message });
+    const { status, body } = evaluationErrorBody(err, 'Final evaluation failed');
+    return res.status(status).json(body);
+  }
+}
+
+/** Per-category comparison of two final results, matched by category name (case-insensitive). */
+export function compareCategoryScores(original, rescored) {
+  const key = (name) => String(name || '').trim().toLowerCase();
+  const before = new Map((original?.category_scores || []).map((c) => [key(c.name), c]));
+  const after = new Map((rescored?.category_scores || []).map((c) => [key(c.name), c]));
+  const names = [...new Set([...after.keys(), ...before.keys()])];
+  return names.map((k) => {
+    const a = before.get(k);
+    const b = after.get(k);
+    const originalScore = typeof a?.score === 'number' ? a.score : null;
+    const rescoredScore = typeof b?.score === 'number' ? b.score : null;
+    return {
+      name: (b || a).name,
+      original: originalScore,
+      rescored: rescoredScore,
+      delta: originalScore != null && rescoredScore != null ? rescoredScore - originalScore : null,
+    };
+  });
+}
+
+/**
+ * Job 'rescore' (see jobs.js): score an interview's stored transcript against an archived rubric
+ * version and append the comparison with the original report to its `rescores`.
+ */
+async function rescoreJob({ interviewId, version }) {
+  const interview = getInterviewRecord(interviewId);
+  if (!interview) throw Object.assign(new Error('Interview not found'), { status: 404 });
+  const versioned = getRubricVersion(interview.role || 'vp-sales', version);
+  if (!versioned) throw Object.assign(new Error('Rubric version not found'), { status: 404 });
+  const result = await scoreTranscript(interview.transcript, versioned, interview.turns);
+  const original = interview.final_result || null;
+  recordRescore(interview.id, {
+    rubric_version: versioned.version,
+    rubric_version_number: versioned.version_number,
+    original_rubric_version: original?.rubric_version || null,
+    original_weighted_overall_score: original?.weighted_overall_score ?? null,
+    original_hire_recommendation: original?.hire_recommendation || null,
+    categories: compareCategoryScores(original, result),
+    result,
+    created_at: new Date().toISOString(),
+  });
+  return { rubric_version: versioned.version, weighted_overall_score: result.weighted_overall_score, hire_recommendation: result.hire_recommendation };
+}
+
+export function registerRescoreJob() {
+  registerJob('rescore', rescoreJob);
+}
+
+/**
+ * POST /api/interviews/:id/rescore — score the stored transcript again against another rubric version.
+ * Body: { version? } — defaults to the role's current rubric. Runs as the background job 'rescore',
+ * with the queue's retries: responds 202 with the job to poll at GET /api/jobs/:id; when it completes
+ * the re-score is the last of the interview's `rescores`. The original final result is kept. A
+ * second call while a re-score is queued or running returns that job.
+ */
+export function rescoreInterview(req, res) {
+  try {
+    const interview = getInterviewRecord(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    if (!interview.transcript || !interview.transcript.trim()) {
+      return res.status(400).json({ error: 'Interview has no transcript to score' });
+    }
+    const pending = listInterviewJobs(interview.id).find((j) => j.type === 'rescore' && (j.status === 'queued' || j.status === 'running'));
+    if (pending) return res.status(202).json({ job: pending });
+    const { version } = req.body || {};
+    const roleId = interview.role || 'vp-sales';
+    if (!version && !rubricExists(roleId)) {
+      return res.status(404).json({ error: `The rubric for role "${roleId}" has been deleted; pick an archived version` });
+    }
+    // Resolved now, so a rubric edit while the job waits does not change what it scores against.
+    const versioned = version ? getRubricVersion(roleId, version) : getVersionedRubric(roleId);
+    if (!versioned) {
+      return res.status(404).json({ error: 'Rubric version not found' });
+    }
+    const job = enqueueJob('rescore', { interviewId: interview.id, version: versioned.version }, { interviewId: interview.id });
+    res.status(202).json({ job });
+  } catch (err) {
+    console.error('Rescore interview error:', err);
+    res.status(500).json({ error: err.message || 'Failed to queue the re-score' });
   }
 }
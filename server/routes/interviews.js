@@ -0,0 +1,353 @@
+import { createCollection } from '../store.js';
+import { normalizeTurns } from '../turns.js';
+import { recordingPath } from '../recordings.js';
+import { parseRecipients, defaultRecipients } from '../mail/index.js';
+import { listRoles, getVersionedRubric } from '../rubrics.js';
+import { getCandidateRecord } from './candidates.js';
+
+const interviews = createCollection('interviews');
+
+/** Keep at most this many live-evaluation snapshots per interview (oldest dropped first). */
+const MAX_PARTIAL_SNAPSHOTS = 50;
+
+const SNIPPET_RADIUS = 80;
+
+function summarize(interview) {
+  const final = interview.final_result || null;
+  return {
+    id: interview.id,
+    role: interview.role,
+    candidate_id: interview.candidate_id || null,
+    candidate_name: interview.candidate_name || null,
+    interviewer_name: interview.interviewer_name || null,
+    status: interview.status,
+    source: interview.source || 'live',
+    calendar_event_id: interview.calendar_event?.id || null,
+    created_at: interview.created_at,
+    updated_at: interview.updated_at,
+    turn_count: (interview.turns || []).length,
+    hire_recommendation: final?.hire_recommendation ?? null,
+    weighted_overall_score: final?.weighted_overall_score ?? null,
+  };
+}
+
+/** Text around the first case-insensitive match of `needle` in `text`, or null. */
+function matchSnippet(text, needle) {
+  if (!text || !needle) return null;
+  const idx = text.toLowerCase().indexOf(needle);
+  if (idx === -1) return null;
+  const start = Math.max(0, idx - SNIPPET_RADIUS);
+  const end = Math.min(text.length, idx + needle.length + SNIPPET_RADIUS);
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+function cleanString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Report recipients from a request: `recipients` (array or comma-separated) plus the older single
+ * `recipientEmail`. Returns { recipients } or { error } naming the entries that are not addresses.
+ */
+export function recipientsFromRequest({ recipients, recipientEmail }) {
+  const parsed = parseRecipients(recipients ?? [], recipientEmail ?? []);
+  return parsed.invalid.length
+    ? { error: `Not an email address: ${parsed.invalid.join(', ')}` }
+    : { recipients: parsed.recipients };
+}
+
+/**
+ * Who the report of an interview is emailed to: its own recipients, else RECIPIENT_EMAIL.
+ * Interviews stored before recipient lists have a single `recipient_email`.
+ */
+export function interviewRecipients(interview) {
+  const own = interview.recipients?.length ? interview.recipients : parseRecipients(interview.recipient_email || '').recipients;
+  return own.length ? own : defaultRecipients();
+}
+
+/** Full interview records attached to a candidate, oldest first. */
+export function listInterviewsForCandidate(candidateId) {
+  return interviews
+    .list((iv) => iv.candidate_id === candidateId)
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+/** The most recent interview started from a calendar event, or null. */
+export function latestInterviewForCalendarEvent(eventId) {
+  if (!eventId) return null;
+  return interviews
+    .list((iv) => iv.calendar_event?.id === eventId)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))[0] || null;
+}
+
+/**
+ * The calendar event an interview was started from, as stored on it: { id, provider, title, start,
+ * url (the event in the calendar), meeting_link }. Returns { calendarEvent } (null when absent) or { error }.
+ */
+export function calendarEventFromRequest(value) {
+  if (value == null) return { calendarEvent: null };
+  if (typeof value !== 'object' || !cleanString(value.id)) {
+    return { error: 'calendarEvent must be an object with an id' };
+  }
+  const url = cleanString(value.url);
+  if (url && !/^https?:\/\//i.test(url)) {
+    return { error: 'calendarEvent.url must be an http(s) URL' };
+  }
+  return {
+    calendarEvent: {
+      id: cleanString(value.id),
+      provider: cleanString(value.provider) || 'google',
+      title: cleanString(value.title),
+      start: cleanString(value.start),
+      url,
+      meeting_link: cleanString(value.meetingLink ?? value.meeting_link),
+    },
+  };
+}
+
+/** Keep the denormalized candidate_name on attached interviews in sync after a rename. */
+export function renameCandidateOnInterviews(candidateId, name) {
+  for (const iv of listInterviewsForCandidate(candidateId)) {
+    interviews.update(iv.id, { candidate_name: name });
+  }
+}
+
+/** Append a partial evaluation snapshot to an interview. No-op when the id is unknown. */
+export function recordPartialEvaluation(id, result) {
+  if (!id) return null;
+  return interviews.update(id, (current) => ({
+    partial_evaluations: [
+      ...(current.partial_evaluations || []),
+      { at: new Date().toISOString(), result },
+    ].slice(-MAX_PARTIAL_SNAPSHOTS),
+  }));
+}
+
+/** Store the final evaluation on an interview and mark it completed. No-op when the id is unknown. */
+export function recordFinalEvaluation(id, { transcript, turns, result }) {
+  if (!id) return null;
+  return interviews.update(id, {
+    transcript,
+    turns: normalizeTurns(turns),
+    final_result: result,
+    status: 'completed',
+    completed_at: new Date().toISOString(),
+  });
+}
+
+/** Store the transcript and turns of an interview whose final evaluation is queued. */
+export function recordTranscript(id, { transcript, turns }) {
+  return interviews.update(id, { transcript, turns: normalizeTurns(turns) });
+}
+
+/** Replace the addresses an interview's report is emailed to. */
+export function updateRecipients(id, recipients) {
+  return interviews.update(id, { recipients });
+}
+
+/** Note the rendered report PDF (see reportJobs.js) on an interview. */
+export function recordReportPdf(id, pdf) {
+  return interviews.update(id, { report_pdf: pdf });
+}
+
+/** Note the outcome of emailing the report: { sent, to, transport, id, error, at } (see reportEmail.js). */
+export function recordReportEmail(id, email) {
+  return interviews.update(id, { report_email: email });
+}
+
+/**
+ * Note the outcome of sending the scorecard to the ATS: { submitted, provider, candidate_id,
+ * application_id, scorecard_id, note_id, attachment_id, url, warnings, error, at } (see ats/index.js).
+ */
+export function recordAtsSubmission(id, submission) {
+  return interviews.update(id, { ats_submission: submission });
+}
+
+/** Full interview record by id, or null. */
+export function getInterviewRecord(id) {
+  return id ? interviews.get(id) : null;
+}
+
+/** Append a re-score of the stored transcript to an interview. The original final result is left untouched. */
+export function recordRescore(id, rescore) {
+  return interviews.update(id, (interview) => ({
+    rescores: [...(interview.rescores || []), rescore],
+  }));
+}
+
+/** Append a finished audio recording (see recordings.js) to an interview. */
+export function recordAudioRecording(id, recording) {
+  return interviews.update(id, (interview) => ({
+    recordings: [...(interview.recordings || []), recording],
+  }));
+}
+
+/**
+ * Insert a new in-progress interview. `source` is 'live' (the interview screen) or 'upload'. The
+ * role's current rubric version is stored with it, so it is scored against the rubric it began with.
+ */
+export function createInterviewRecord({ role = 'vp-sales', candidateId, candidateName, interviewerName, transcript, turns, recipients = [], calendarEvent = null, source = 'live' }) {
+  return interviews.insert({
+    role,
+    rubric_version: getVersionedRubric(role).version,
+    candidate_id: cleanString(candidateId),
+    candidate_name: cleanString(candidateName),
+    interviewer_name: cleanString(interviewerName),
+    status: 'in_progress',
+    source,
+    transcript: transcript || '',
+    turns: normalizeTurns(turns),
+    recipients,
+    calendar_event: calendarEvent,
+    partial_evaluations: [],
+    final_result: null,
+    completed_at: null,
+  });
+}
+
+/** Set an interview's status ('in_progress', 'completed' or 'abandoned'). */
+export function setInterviewStatus(id, status) {
+  return interviews.update(id, { status });
+}
+
+/**
+ * POST /api/interviews — create an interview record.
+ * Body: { role, candidateId?, candidateName?, interviewerName?, transcript?, turns?, recipients?, calendarEvent? }
+ * `recipients` are the addresses the report is emailed to (array or comma-separated string);
+ * `calendarEvent` ({ id, provider?, title?, start?, url?, meetingLink? }) is the meeting it was started from.
+ */
+export function createInterview(req, res) {
+  try {
+    const { role = 'vp-sales', candidateId, candidateName, interviewerName, transcript, turns } = req.body || {};
+    if (!listRoles().some((r) => r.id === role)) {
+      return res.status(400).json({ error: `Unknown role "${role}"` });
+    }
+    if (transcript != null && typeof transcript !== 'string') {
+      return res.status(400).json({ error: 'transcript must be a string' });
+    }
+    const { recipients, error } = recipientsFromRequest(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { calendarEvent, error: eventError } = calendarEventFromRequest(req.body?.calendarEvent);
+    if (eventError) {
+      return res.status(400).json({ error: eventError });
+    }
+    const interview = createInterviewRecord({ role, candidateId, candidateName, interviewerName, transcript, turns, recipients, calendarEvent });
+    res.status(201).json({ interview });
+  } catch (err) {
+    console.error('Create interview error:', err);
+    res.status(500).json({ error: err.message || 'Failed to create interview' });
+  }
+}
+
+/**
+ * GET /api/interviews — list interviews, newest first (summaries only; fetch by id for turns and results).
+ * Query: q (search transcripts and candidate name), role, candidate, calendar_event (event id), recommendation, status, from / to (ISO dates, inclusive).
+ */
+export function listInterviews(req, res) {
+  try {
+    const { q, role, candidate, calendar_event: calendarEvent, recommendation, status, from, to } = req.query;
+    const needle = typeof q === 'string' ? q.trim().toLowerCase() : '';
+    const fromTime = from ? Date.parse(from) : NaN;
+    // A bare date for `to` means "through the end of that day".
+    const toTime = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : NaN;
+    const list = interviews
+      .list((iv) => {
+        if (role && iv.role !== role) return false;
+        if (candidate && iv.candidate_id !== candidate) return false;
+        if (calendarEvent && iv.calendar_event?.id !== calendarEvent) return false;
+        if (status && iv.status !== status) return false;
+        if (recommendation && iv.final_result?.hire_recommendation !== recommendation) return false;
+        const created = Date.parse(iv.created_at);
+        if (!Number.isNaN(fromTime) && created < fromTime) return false;
+        if (!Number.isNaN(toTime) && created > toTime) return false;
+        return true;
+      })
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .flatMap((iv) => {
+        if (!needle) return [summarize(iv)];
+        const snippet = matchSnippet(iv.transcript, needle) || matchSnippet(iv.candidate_name, needle);
+        return snippet ? [{ ...summarize(iv), match_snippet: snippet }] : [];
+      });
+    res.json({ interviews: list });
+  } catch (err) {
+    console.error('List interviews error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list interviews' });
+  }
+}
+
+/** GET /api/interviews/:id — full interview including turns, partial snapshots and final result */
+export function getInterview(req, res) {
+  const interview = interviews.get(req.params.id);
+  if (!interview) {
+    return res.status(404).json({ error: 'Interview not found' });
+  }
+  res.json({ interview });
+}
+
+/**
+ * PATCH /api/interviews/:id — update transcript, turns, status, report recipients, candidate or interviewer.
+ * The final result is not editable here; only the final evaluation (directly or as a job) sets it, so
+ * `completed` needs one. `candidateId` must be an existing candidate, whose name is copied over.
+ */
+export function updateInterview(req, res) {
+  try {
+    const { transcript, turns, status, recipients, recipientEmail, candidateId, candidateName, interviewerName } = req.body || {};
+    if (transcript != null && typeof transcript !== 'string') {
+      return res.status(400).json({ error: 'transcript must be a string' });
+    }
+    if (status != null && !['in_progress', 'completed', 'abandoned'].includes(status)) {
+      return res.status(400).json({ error: 'status must be in_progress, completed or abandoned' });
+    }
+    const existing = interviews.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    if (status === 'completed' && !existing.final_result) {
+      return res.status(400).json({ error: 'Interview has no final result; run the final evaluation to complete it' });
+    }
+    const changes = {};
+    if (transcript != null) changes.transcript = transcript;
+    if (Array.isArray(turns)) changes.turns = normalizeTurns(turns);
+    if (status != null) changes.status = status;
+    if (recipients !== undefined || recipientEmail !== undefined) {
+      const parsed = recipientsFromRequest({ recipients, recipientEmail });
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      changes.recipients = parsed.recipients;
+    }
+    if (candidateName !== undefined) changes.candidate_name = cleanString(candidateName);
+    if (candidateId !== undefined) {
+      changes.candidate_id = cleanString(candidateId);
+      if (changes.candidate_id) {
+        const candidate = getCandidateRecord(changes.candidate_id);
+        if (!candidate) {
+          return res.status(404).json({ error: 'Candidate not found' });
+        }
+        changes.candidate_name = candidate.name;
+      }
+    }
+    if (interviewerName !== undefined) changes.interviewer_name = cleanString(interviewerName);
+    const interview = interviews.update(req.params.id, changes);
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    res.json({ interview });
+  } catch (err) {
+    console.error('Update interview error:', err);
+    res.status(500).json({ error: err.message || 'Failed to update interview' });
+  }
+}
+
+/** GET /api/interviews/:id/recordings/:recordingId — the recorded audio as a WAV file */
+export function getRecording(req, res) {
+  const interview = interviews.get(req.params.id);
+  const recording = (interview?.recordings || []).find((r) => r.id === req.params.recordingId);
+  const path = recording && recordingPath(interview.id, recording);
+  if (!path) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  res.type('audio/wav').sendFile(path);
+}
@@ -0,0 +1,63 @@
+import { enqueueJob, getJob, listInterviewJobs } from '../jobs.js';
+import { getInterviewRecord, recordTranscript, recipientsFromRequest, updateRecipients } from './interviews.js';
+import { transcriptFromTurns } from '../turns.js';
+
+function isPending(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+/**
+ * POST /api/interviews/:id/final-evaluation — queue the final evaluation of an interview.
+ * Body: { transcript?, turns?, recipients? } — stored on the interview first when given; the report
+ * is emailed to the interview's recipients (else RECIPIENT_EMAIL). The evaluation, the report PDF
+ * and the report email then run as background jobs that survive the browser closing
+ * and a server restart, with retries on rate limits. Responds 202 with the job to poll at
+ * GET /api/jobs/:id; when it completes, the result is the interview's final_result and the email
+ * outcome follows in its report_email. A second call
+ * while a final evaluation is still queued or running returns that job.
+ */
+export function queueFinalEvaluation(req, res) {
+  try {
+    const interview = getInterviewRecord(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    const { transcript, turns } = req.body || {};
+    if (turns != null && !Array.isArray(turns)) {
+      return res.status(400).json({ error: 'turns must be an array' });
+    }
+    if (transcript != null && typeof transcript !== 'string') {
+      return res.status(400).json({ error: 'transcript must be a string' });
+    }
+    if (req.body?.recipients !== undefined) {
+      const { recipients, error } = recipientsFromRequest({ recipients: req.body.recipients });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateRecipients(interview.id, recipients);
+    }
+    if (turns || transcript != null) {
+      recordTranscript(interview.id, { transcript: transcript ?? transcriptFromTurns(turns), turns: turns ?? interview.turns });
+    }
+    const pending = listInterviewJobs(interview.id).find((j) => j.type === 'final-evaluation' && isPending(j));
+    const job = pending || enqueueJob('final-evaluation', { interviewId: interview.id }, { interviewId: interview.id });
+    res.status(202).json({ job });
+  } catch (err) {
+    console.error('Queue final evaluation error:', err);
+    res.status(500).json({ error: err.message || 'Failed to queue final evaluation' });
+  }
+}
+
+/** GET /api/jobs/:id — job status: queued, running, completed or failed (with attempts and error) */
+export function getJobHandler(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job });
+}
+
+/** GET /api/interviews/:id/jobs — background jobs of an interview, oldest first */
+export function listInterviewJobsHandler(req, res) {
+  res.json({ jobs: listInterviewJobs(req.params.id) });
+}
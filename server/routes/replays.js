@@ -0,0 +1,154 @@
+import { createCollection } from '../store.js';
+import { getInterviewRecord } from './interviews.js';
+import { scoreTranscript, compareCategoryScores } from './evaluate.js';
+import { getVersionedRubric, getRubricVersion } from '../rubrics.js';
+import { transcribeRecordings } from '../replay.js';
+import { replaySpeed } from '../stt/index.js';
+import { transcriptFromTurns } from '../turns.js';
+import { rateLimitMessage } from '../llm/index.js';
+import { registerJob, enqueueJob, getJob } from '../jobs.js';
+
+const replays = createCollection('replays');
+
+/** Progress is written to the store at most this often while audio is being sent. */
+const PROGRESS_INTERVAL_MS = 2000;
+
+function isActive(replay) {
+  return replay.status === 'queued' || replay.status === 'transcribing' || replay.status === 'scoring';
+}
+
+/**
+ * Settle an active replay from its job: the queue has given up on it (or it was pruned), so mark the
+ * replay failed with the job's last error and clients stop polling.
+ */
+function settleFromJob(replay) {
+  if (!isActive(replay)) return replay;
+  const job = replay.job_id ? getJob(replay.job_id) : null;
+  if (job && job.status !== 'failed') return replay;
+  const error = job?.error_status === 429 ? rateLimitMessage() : (job?.error || replay.error || 'Replay failed');
+  return replays.update(replay.id, { status: 'failed', error });
+}
+
+/**
+ * Rubric for a replay: the requested archived version, otherwise the one the original report used,
+ * so a changed score comes from the transcription and not from a rubric edit.
+ */
+function replayRubric(interview, version) {
+  const roleId = interview.role || 'vp-sales';
+  if (version) return getRubricVersion(roleId, version);
+  const originalVersion = interview.final_result?.rubric_version;
+  return (originalVersion && getRubricVersion(roleId, originalVersion)) || getVersionedRubric(roleId);
+}
+
+/**
+ * Job 'replay' (see jobs.js). A retry after the audio was transcribed reuses the stored turns and
+ * only scores again.
+ */
+async function runReplay({ replayId }) {
+  const replay = replays.get(replayId);
+  if (!replay) throw new Error('Replay not found');
+  const interview = getInterviewRecord(replay.interview_id);
+  if (!interview) throw Object.assign(new Error('Interview not found'), { status: 404 });
+  const versioned = getRubricVersion(interview.role || 'vp-sales', replay.rubric_version);
+  if (!versioned) throw Object.assign(new Error('Rubric version not found'), { status: 404 });
+  let lastWrite = 0;
+  try {
+    let { turns, transcript } = replay;
+    if (!turns) {
+      replays.update(replayId, { status: 'transcribing', progress: 0, error: null });
+      turns = await transcribeRecordings(interview.id, interview.recordings, {
+        speed: replay.speed,
+        onProgress(progress) {
+          if (Date.now() - lastWrite < PROGRESS_INTERVAL_MS) return;
+          lastWrite = Date.now();
+          replays.update(replayId, { progress: Math.round(progress * 1000) / 1000 });
+        },
+      });
+      transcript = transcriptFromTurns(turns);
+    }
+    replays.update(replayId, { status: 'scoring', progress: 1, turns, transcript, error: null });
+    if (!transcript.trim()) throw new Error('Replay produced no transcript');
+    const result = await scoreTranscript(transcript, versioned, turns);
+    const original = interview.final_result || null;
+    replays.update(replayId, {
+      status: 'completed',
+      result,
+      original_weighted_overall_score: original?.weighted_overall_score ?? null,
+      original_hire_recommendation: original?.hire_recommendation || null,
+      categories: compareCategoryScores(original, result),
+      completed_at: new Date().toISOString(),
+    });
+    return { weighted_overall_score: result.weighted_overall_score, hire_recommendation: result.hire_recommendation };
+  } catch (err) {
+    // Recorded on every attempt so the replay shows the last failure while the queue retries.
+    replays.update(replayId, { error: err.status === 429 ? rateLimitMessage() : (err.message || 'Replay failed') });
+    throw err;
+  }
+}
+
+export function registerReplayJob() {
+  registerJob('replay', runReplay);
+}
+
+/**
+ * POST /api/interviews/:id/replay — send the interview's recorded audio through transcription and
+ * the final evaluation again, to debug a disputed score. Body: { speed?, version? }. `speed` is a
+ * multiple of real time, capped by the STT provider (AssemblyAI only accepts real time). Runs as the
+ * background job 'replay', with the queue's retries: responds 202 with the replay to poll at
+ * GET /api/replays/:id. The interview's own transcript and report are not changed.
+ */
+export function startReplay(req, res) {
+  try {
+    const interview = getInterviewRecord(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    if (!interview.recordings?.length) {
+      return res.status(400).json({ error: 'Interview has no recordings. Set RECORD_AUDIO=true to record interviews.' });
+    }
+    const { speed, version } = req.body || {};
+    const versioned = replayRubric(interview, version);
+    if (!versioned) {
+      return res.status(404).json({ error: 'Rubric version not found' });
+    }
+    const replay = replays.insert({
+      interview_id: interview.id,
+      status: 'queued',
+      progress: 0,
+      speed: replaySpeed(speed),
+      rubric_version: versioned.version,
+      rubric_version_number: versioned.version_number,
+      original_rubric_version: interview.final_result?.rubric_version || null,
+      error: null,
+    });
+    const job = enqueueJob('replay', { replayId: replay.id }, { interviewId: interview.id });
+    res.status(202).json({ replay: replays.update(replay.id, { job_id: job.id }) });
+  } catch (err) {
+    console.error('Start replay error:', err);
+    res.status(500).json({ error: err.message || 'Failed to start replay' });
+  }
+}
+
+/** GET /api/replays/:id — replay status, and when completed its turns, result and comparison */
+export function getReplay(req, res) {
+  const replay = replays.get(req.params.id);
+  if (!replay) {
+    return res.status(404).json({ error: 'Replay not found' });
+  }
+  res.json({ replay: settleFromJob(replay) });
+}
+
+/** GET /api/interviews/:id/replays — replays of an interview, newest first, without turns */
+export function listReplays(req, res) {
+  try {
+    const list = replays
+      .list((r) => r.interview_id === req.params.id)
+      .map(settleFromJob)
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .map(({ turns, transcript, ...summary }) => summary);
+    res.json({ replays: list });
+  } catch (err) {
+    console.error('List replays error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list replays' });
+  }
+}
@@ -0,0 +1,88 @@
+import { readFileSync } from 'fs';
+import { getInterviewRecord } from './interviews.js';
+import { reportPdfPath } from '../reportJobs.js';
+import { renderReportPdf } from '../reportPdf.js';
+import { REPORT_FORMATS, buildReportModel, buildInterviewReportModel, renderReport, reportFileName } from '../reportTemplate.js';
+import { getVersionedRubric, getRubricVersion, rubricExists } from '../rubrics.js';
+
+function formatOf(req) {
+  const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'html';
+  return format === 'md' ? 'markdown' : format;
+}
+
+/** Send a rendered report; `download` makes the browser save it under the report's file name. */
+async function sendReport(req, res, model, format, storedPdf = null) {
+  const download = req.query.download != null && req.query.download !== '0';
+  if (format === 'pdf') {
+    res.type('application/pdf');
+    if (download) res.attachment(reportFileName(model, 'pdf'));
+    return res.send(storedPdf || await renderReportPdf(model));
+  }
+  const { contentType, extension } = REPORT_FORMATS[format];
+  res.set('Content-Type', contentType);
+  if (download) res.attachment(reportFileName(model, extension));
+  res.send(renderReport(model, format));
+}
+
+function unknownFormat(res, format) {
+  res.status(400).json({ error: `Unknown format "${format}". Use one of: ${[...Object.keys(REPORT_FORMATS), 'pdf'].join(', ')}` });
+}
+
+/**
+ * GET /api/interviews/:id/report?format=html|markdown|text|pdf&download=1 — the interview's final
+ * report from the shared template (reportTemplate.js), labelled with the rubric it was scored with.
+ * The PDF is the one the report-pdf job stored, rendered on the fly until it exists.
+ */
+export function getInterviewReport(req, res) {
+  return interviewReport(req, res, formatOf(req));
+}
+
+/** GET /api/interviews/:id/report.pdf — the report PDF (same as ?format=pdf) */
+export function getReportPdf(req, res) {
+  return interviewReport(req, res, 'pdf');
+}
+
+async function interviewReport(req, res, format) {
+  try {
+    if (format !== 'pdf' && !Object.hasOwn(REPORT_FORMATS, format)) return unknownFormat(res, format);
+    const interview = getInterviewRecord(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    if (!interview.final_result) {
+      return res.status(404).json({ error: 'Interview has no final report yet' });
+    }
+    const path = format === 'pdf' ? reportPdfPath(interview.id) : null;
+    await sendReport(req, res, buildInterviewReportModel(interview), format, path ? readFileSync(path) : null);
+  } catch (err) {
+    console.error('Render report error:', err);
+    res.status(500).json({ error: err.message || 'Failed to render report' });
+  }
+}
+
+/**
+ * POST /api/reports?format=html|markdown|text|pdf&download=1 — render a final result that is not
+ * stored on an interview (e.g. the server could not save it). Body: { result, transcript?, role,
+ * candidateName?, interviewerName? }. The rubric is the version named in the result, else the
+ * role's current one.
+ */
+export async function renderReportHandler(req, res) {
+  try {
+    const format = formatOf(req);
+    if (format !== 'pdf' && !Object.hasOwn(REPORT_FORMATS, format)) return unknownFormat(res, format);
+    const { result, transcript, role, candidateName, interviewerName } = req.body || {};
+    if (!result || typeof result !== 'object') {
+      return res.status(400).json({ error: 'result is required' });
+    }
+    const roleId = role || 'vp-sales';
+    if (!rubricExists(roleId)) {
+      return res.status(400).json({ error: `Unknown role "${roleId}"` });
+    }
+    const versioned = (result.rubric_version && getRubricVersion(roleId, result.rubric_version)) || getVersionedRubric(roleId);
+    const model = buildReportModel({ result, transcript, rubric: versioned.rubric, candidateName, interviewerName });
+    await sendReport(req, res, model, format);
+  } catch (err) {
+    console.error('Render report error:', err);
+    res.status(500).json({ error: err.message || 'Failed to render report' });
+  }
+}
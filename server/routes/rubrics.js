@@ -0,0 +1,255 @@
+import {
+  listRubrics,
+  getVersionedRubric,
+  getRubricVersion,
+  listRubricVersions,
+  rubricExists,
+  rubricVersion,
+  isValidRoleId,
+  validateRubric,
+  saveRubric,
+  deleteRubric,
+} from '../rubrics.js';
+import { extractScorecardText } from '../scorecardText.js';
+import { llmChat, rateLimitMessage } from '../llm/index.js';
+import { extractJson } from '../llm/structured.js';
+
+/** Scorecard text beyond this is cut before drafting; real scorecards are a few pages. */
+const MAX_SCORECARD_CHARS = 30000;
+
+function summarize({ id, rubric }) {
+  return {
+    id,
+    role: rubric.role || id,
+    version: rubricVersion(rubric),
+    max_score: rubric.max_score ?? null,
+    category_count: (rubric.categories || []).length,
+  };
+}
+
+/** Trim names and drop blank sample questions so the editor can post its form state as-is. */
+function normalizeRubric(rubric) {
+  if (!rubric || typeof rubric !== 'object' || !Array.isArray(rubric.categories)) return rubric;
+  return {
+    ...rubric,
+    role: typeof rubric.role === 'string' ? rubric.role.trim() : rubric.role,
+    categories: rubric.categories.map((cat) =>
+      cat && typeof cat === 'object'
+        ? {
+            ...cat,
+            name: typeof cat.name === 'string' ? cat.name.trim() : cat.name,
+            sample_questions: Array.isArray(cat.sample_questions)
+              ? cat.sample_questions.map((q) => (typeof q === 'string' ? q.trim() : q)).filter((q) => q !== '')
+              : cat.sample_questions,
+          }
+        : cat
+    ),
+  };
+}
+
+/** Suggested role id from a display name, made unique against existing rubrics. */
+function suggestRoleId(name) {
+  const base = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'new-role';
+  let id = base;
+  for (let n = 2; rubricExists(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/** Accept weights drafted as percentages (e.g. 25 instead of 0.25). */
+function normalizeWeights(rubric) {
+  if (!rubric || !Array.isArray(rubric.categories)) return rubric;
+  const sum = rubric.categories.reduce((s, c) => s + (typeof c?.weight === 'number' ? c.weight : 0), 0);
+  if (sum <= 1.5) return rubric;
+  return {
+    ...rubric,
+    categories: rubric.categories.map((c) =>
+      c && typeof c.weight === 'number' ? { ...c, weight: Math.round(c.weight * 10) / 1000 } : c
+    ),
+  };
+}
+
+function buildImportSystem() {
+  return `You convert interview scorecards into a rubric JSON used by an interview evaluation tool.
+
+Read the scorecard text and return a single JSON object with no other text, no markdown, no code fence—only the raw JSON. Use this exact structure:
+{
+  "role": "<role display name, e.g. VP of Sales>",
+  "max_score": <integer top of the scoring scale, e.g. 5>,
+  "scoring_guide": "<one line describing the scale, e.g. 1=No fit, 2=Weak, 3=Mixed, 4=Strong, 5=Exceptional>",
+  "categories": [
+    {
+      "name": "<short category name>",
+      "weight": <decimal weight, e.g. 0.25>,
+      "criteria": "<what strong evidence looks like, 1-3 sentences>",
+      "sample_questions": [ "<behavioral interview question>", ... ]
+    }
+  ],
+  "non_negotiables_summary": "<must-haves from the scorecard, or empty string>",
+  "preferred": "<nice-to-haves from the scorecard, or empty string>"
+}
+
+Rules:
+- One category per scored dimension in the scorecard. Keep the scorecard's own dimension names, shortened if long.
+- weights: use the scorecard's weights as decimals; they MUST add up to exactly 1. If the scorecard has no weights, split evenly.
+- criteria: summarize what the scorecard says a top score looks like and what evidence to look for.
+- sample_questions: 2-4 per category. Use questions from the scorecard when it has them; otherwise write behavioral questions ("Tell me about a time...", "Walk me through...") that test the criteria.
+- Output only valid JSON, nothing else.`;
+}
+
+/** GET /api/rubrics — list rubrics found in the rubrics directory */
+export function listRubricsHandler(req, res) {
+  try {
+    res.json({ rubrics: listRubrics().map(summarize) });
+  } catch (err) {
+    console.error('List rubrics error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list rubrics' });
+  }
+}
+
+/** GET /api/rubrics/:id — current rubric JSON with its version */
+export function getRubricHandler(req, res) {
+  try {
+    if (!rubricExists(req.params.id)) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    res.json(getVersionedRubric(req.params.id));
+  } catch (err) {
+    console.error('Get rubric error:', err);
+    res.status(500).json({ error: err.message || 'Failed to load rubric' });
+  }
+}
+
+/** POST /api/rubrics — Body: { id, rubric }. 409 if the role id already exists. */
+export function createRubricHandler(req, res) {
+  try {
+    const { id, rubric } = req.body || {};
+    if (!isValidRoleId(id)) {
+      return res.status(400).json({ error: 'id must be lowercase letters, numbers and dashes (e.g. "vp-marketing")' });
+    }
+    if (rubricExists(id)) {
+      return res.status(409).json({ error: `A rubric with id "${id}" already exists` });
+    }
+    const normalized = normalizeRubric(rubric);
+    const errors = validateRubric(normalized);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Rubric is invalid', details: errors });
+    }
+    res.status(201).json(saveRubric(id, normalized));
+  } catch (err) {
+    console.error('Create rubric error:', err);
+    res.status(500).json({ error: err.message || 'Failed to create rubric' });
+  }
+}
+
+/** PUT /api/rubrics/:id — Body: { rubric }. Replaces the whole rubric. */
+export function updateRubricHandler(req, res) {
+  try {
+    const { id } = req.params;
+    if (!rubricExists(id)) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    const normalized = normalizeRubric(req.body?.rubric);
+    const errors = validateRubric(normalized);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Rubric is invalid', details: errors });
+    }
+    res.json(saveRubric(id, normalized));
+  } catch (err) {
+    console.error('Update rubric error:', err);
+    res.status(500).json({ error: err.message || 'Failed to update rubric' });
+  }
+}
+
+/** GET /api/rubrics/:id/versions — archived versions, newest first. Works for deleted roles too. */
+export function listRubricVersionsHandler(req, res) {
+  try {
+    // Loading the current rubric archives it first, so a hand-edited file shows up in the list.
+    const current = rubricExists(req.params.id) ? getVersionedRubric(req.params.id).version : null;
+    const versions = listRubricVersions(req.params.id);
+    if (!versions.length) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    res.json({ id: req.params.id, current, versions });
+  } catch (err) {
+    console.error('List rubric versions error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list rubric versions' });
+  }
+}
+
+/** GET /api/rubrics/:id/versions/:version — an archived rubric exactly as it was */
+export function getRubricVersionHandler(req, res) {
+  const found = getRubricVersion(req.params.id, req.params.version);
+  if (!found) {
+    return res.status(404).json({ error: 'Rubric version not found' });
+  }
+  res.json(found);
+}
+
+/**
+ * POST /api/rubrics/import?filename=scorecard.pdf — raw PDF, DOCX or text body.
+ * Drafts a rubric from the scorecard with the LLM. Nothing is saved; the editor shows the
+ * draft for review and saves it through POST /api/rubrics.
+ */
+export async function importRubricHandler(req, res) {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload a scorecard file as the request body' });
+    }
+    const filename = typeof req.query.filename === 'string' ? req.query.filename : '';
+    const text = await extractScorecardText(req.body, { filename, contentType: req.get('Content-Type') });
+    if (!text) {
+      return res.status(400).json({ error: 'No text found in the scorecard. Scanned PDFs are not supported.' });
+    }
+    const raw = await llmChat(
+      [
+        { role: 'system', content: buildImportSystem() },
+        { role: 'user', content: `Scorecard (${filename || 'uploaded file'}):\n\n${text.slice(0, MAX_SCORECARD_CHARS)}` },
+      ],
+      { purpose: 'import', temperature: 0.2 }
+    );
+    if (!raw) {
+      return res.status(500).json({ error: 'Empty LLM response' });
+    }
+    let drafted;
+    try {
+      drafted = extractJson(raw);
+    } catch (parseErr) {
+      console.error('Rubric import: Invalid JSON from LLM', parseErr);
+      return res.status(500).json({ error: 'Invalid rubric format from AI' });
+    }
+    const rubric = normalizeRubric(normalizeWeights(drafted));
+    res.json({
+      id: suggestRoleId(rubric?.role),
+      rubric,
+      problems: validateRubric(rubric),
+      source: { filename, text },
+    });
+  } catch (err) {
+    console.error('Import rubric error:', err);
+    const is429 = err.status === 429;
+    const status = is429 ? 429 : err.status === 400 ? 400 : 500;
+    const message = is429
+      ? rateLimitMessage()
+      : (err.message || 'Failed to import scorecard');
+    res.status(status).json({ error: message });
+  }
+}
+
+/** DELETE /api/rubrics/:id — archived versions are kept */
+export function deleteRubricHandler(req, res) {
+  try {
+    if (listRubrics().length <= 1 && rubricExists(req.params.id)) {
+      return res.status(400).json({ error: 'Cannot delete the last rubric' });
+    }
+    if (!deleteRubric(req.params.id)) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('Delete rubric error:', err);
+    res.status(500).json({ error: err.message || 'Failed to delete rubric' });
+  }
+}
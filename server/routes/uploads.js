@@ -0,0 +1,200 @@
+import { createWriteStream, mkdirSync, readFileSync, rmSync } from 'fs';
+import { join, extname } from 'path';
+import { randomUUID } from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createCollection, DATA_DIR } from '../store.js';
+import { createInterviewRecord, getInterviewRecord, recipientsFromRequest, recordTranscript, recordAudioRecording, setInterviewStatus } from './interviews.js';
+import { rubricExists } from '../rubrics.js';
+import { enqueueJob, getJob } from '../jobs.js';
+import { isTranscriptFile, parseTranscriptFile } from '../transcriptFiles.js';
+import { decodeAudioFile } from '../audioDecode.js';
+import { createRecorder } from '../recordings.js';
+import { transcribeRecordings } from '../replay.js';
+import { replaySpeed } from '../stt/index.js';
+import { transcriptFromTurns } from '../turns.js';
+
+const uploads = createCollection('uploads');
+
+/** Uploaded files wait here until the job has read them, then are deleted. */
+const UPLOADS_DIR = join(DATA_DIR, 'uploads');
+const MAX_UPLOAD_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 500) * 1024 * 1024;
+
+/** Progress is written to the store at most this often while audio is being sent. */
+const PROGRESS_INTERVAL_MS = 2000;
+
+/** Uploads being processed in this process; a stored job that is still running but not here died with a restart. */
+const running = new Set();
+
+function isActive(upload) {
+  return upload.status === 'converting' || upload.status === 'transcribing' || upload.status === 'scoring';
+}
+
+/** Mark an upload failed; its interview is abandoned unless it has been completed meanwhile (e.g. a retried report). */
+function failUpload(upload, error) {
+  if (getInterviewRecord(upload.interview_id)?.status !== 'completed') setInterviewStatus(upload.interview_id, 'abandoned');
+  return uploads.update(upload.id, { status: 'failed', error });
+}
+
+/**
+ * Bring a stored upload up to date: scoring follows its final-evaluation job (see jobs.js), and
+ * transcription interrupted by a restart is marked failed so clients stop polling. Finished jobs
+ * are deleted after a while, so without its job the upload goes by the interview's final result.
+ */
+function settleStatus(upload) {
+  if (!isActive(upload)) return upload;
+  if (upload.job_id) {
+    const job = getJob(upload.job_id);
+    if (!job) {
+      const interview = getInterviewRecord(upload.interview_id);
+      return interview?.final_result && !interview.final_result.error
+        ? uploads.update(upload.id, { status: 'completed', completed_at: interview.completed_at })
+        : failUpload(upload, 'Final evaluation failed');
+    }
+    if (job.status === 'completed') {
+      return uploads.update(upload.id, { status: 'completed', completed_at: job.completed_at });
+    }
+    if (job.status === 'failed') return failUpload(upload, job.error || 'Final evaluation failed');
+    return upload;
+  }
+  if (running.has(upload.id)) return upload;
+  return failUpload(upload, 'Server restarted while processing the upload');
+}
+
+/** Write the request body to `path`, failing with 413 past MAX_UPLOAD_BYTES. Resolves with the size. */
+async function saveRequestBody(req, path) {
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, _encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > MAX_UPLOAD_BYTES) {
+        const err = new Error(`File is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB`);
+        err.status = 413;
+        callback(err);
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  await pipeline(req, limit, createWriteStream(path));
+  return bytes;
+}
+
+/** Turns of an uploaded audio or video file: decoded, kept as the interview's recording, then transcribed. */
+async function transcribeUpload(upload, interview, path) {
+  const { pcm, sampleRate } = await decodeAudioFile(path);
+  const recorder = createRecorder({ interviewId: interview.id, channel: 'upload', speaker: null, sampleRate });
+  recorder.write(pcm);
+  const recording = recorder.finish();
+  recordAudioRecording(interview.id, recording);
+
+  const speed = replaySpeed();
+  uploads.update(upload.id, { status: 'transcribing', speed, duration_ms: recording.duration_ms });
+  let lastWrite = 0;
+  return transcribeRecordings(interview.id, [recording], {
+    speed,
+    onProgress(progress) {
+      if (Date.now() - lastWrite < PROGRESS_INTERVAL_MS) return;
+      lastWrite = Date.now();
+      uploads.update(upload.id, { progress: Math.round(progress * 1000) / 1000 });
+    },
+  });
+}
+
+/**
+ * Transcribe (or parse) the upload and store the transcript on the interview, then queue its final
+ * evaluation — the same job as a live interview's, with retries — which the upload follows.
+ */
+async function runUpload(upload, interview, path) {
+  running.add(upload.id);
+  try {
+    const turns = upload.kind === 'transcript'
+      ? parseTranscriptFile(readFileSync(path, 'utf8'), { interviewerName: interview.interviewer_name, candidateName: interview.candidate_name })
+      : await transcribeUpload(upload, interview, path);
+    const transcript = transcriptFromTurns(turns);
+    if (!transcript.trim()) throw new Error('No speech was recognized in the file');
+    recordTranscript(interview.id, { transcript, turns });
+    const job = enqueueJob('final-evaluation', { interviewId: interview.id }, { interviewId: interview.id });
+    uploads.update(upload.id, { status: 'scoring', progress: 1, turn_count: turns.length, job_id: job.id });
+  } catch (err) {
+    console.error('Upload processing error:', err);
+    setInterviewStatus(interview.id, 'abandoned');
+    uploads.update(upload.id, { status: 'failed', error: err.message || 'Processing failed' });
+  } finally {
+    running.delete(upload.id);
+    rmSync(path, { force: true });
+  }
+}
+
+/**
+ * POST /api/uploads?filename=interview.mp4&role=vp-sales — raw file body: an audio or video
+ * recording, or an existing transcript (.vtt, .srt, .txt). Optional query: candidateId,
+ * candidateName, interviewerName, recipients (comma-separated report recipients). Creates the interview and processes the file in
+ * the background — recordings are transcribed with the configured STT provider, transcripts are
+ * parsed — then scored by the final-evaluation job (see jobs.js). Responds 202 with { upload, interview };
+ * poll GET /api/uploads/:id until status is 'completed' or 'failed'.
+ */
+export async function createUpload(req, res) {
+  const filename = typeof req.query.filename === 'string' ? req.query.filename : '';
+  const role = typeof req.query.role === 'string' && req.query.role ? req.query.role : 'vp-sales';
+  if (!rubricExists(role)) {
+    return res.status(400).json({ error: `Unknown role "${role}"` });
+  }
+  const { recipients, error } = recipientsFromRequest(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Number(req.get('Content-Length')) > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: `File is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB` });
+  }
+  mkdirSync(UPLOADS_DIR, { recursive: true });
+  const path = join(UPLOADS_DIR, `${randomUUID()}${extname(filename).toLowerCase()}`);
+  try {
+    const bytes = await saveRequestBody(req, path);
+    if (bytes === 0) {
+      rmSync(path, { force: true });
+      return res.status(400).json({ error: 'Upload an audio, video or transcript file as the request body' });
+    }
+    const { candidateId, candidateName, interviewerName } = req.query;
+    const interview = createInterviewRecord({ role, candidateId, candidateName, interviewerName, recipients, source: 'upload' });
+    const kind = isTranscriptFile(filename, req.get('Content-Type')) ? 'transcript' : 'media';
+    const upload = uploads.insert({
+      interview_id: interview.id,
+      filename: filename || 'upload',
+      kind,
+      bytes,
+      status: kind === 'transcript' ? 'scoring' : 'converting',
+      progress: 0,
+      error: null,
+    });
+    runUpload(upload, interview, path);
+    res.status(202).json({ upload, interview });
+  } catch (err) {
+    rmSync(path, { force: true });
+    console.error('Upload error:', err);
+    res.status(err.status === 413 ? 413 : 500).json({ error: err.message || 'Upload failed' });
+  }
+}
+
+/** GET /api/uploads/:id — processing status; the interview holds the transcript and report once completed */
+export function getUpload(req, res) {
+  const upload = uploads.get(req.params.id);
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  res.json({ upload: settleStatus(upload) });
+}
+
+/** GET /api/uploads — uploads, newest first */
+export function listUploads(req, res) {
+  try {
+    const list = uploads
+      .list()
+      .map(settleStatus)
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    res.json({ uploads: list });
+  } catch (err) {
+    console.error('List uploads error:', err);
+    res.status(500).json({ error: err.message || 'Failed to list uploads' });
+  }
+}
@@ -0,0 +1,50 @@
+import { listUsers, getUser, findUserByEmail, createUser, updateUser, validateUserFields, publicUser } from '../auth/users.js';
+import { endUserSessions } from '../auth/sessions.js';
+
+/** GET /api/users — all accounts */
+export function listUsersHandler(req, res) {
+  res.json({ users: listUsers().map(publicUser) });
+}
+
+/** POST /api/users — body: { email, name?, role, password? }. Without a password the account can only use single sign-on. */
+export async function createUserHandler(req, res) {
+  try {
+    const body = req.body || {};
+    const problem = validateUserFields(body, { creating: true });
+    if (problem) return res.status(400).json({ error: problem });
+    if (findUserByEmail(body.email)) {
+      return res.status(409).json({ error: `There is already an account for ${body.email.trim()}` });
+    }
+    const { email, name, role, password } = body;
+    const user = await createUser({ email, name, role, password });
+    res.status(201).json({ user: publicUser(user) });
+  } catch (err) {
+    console.error('Create user error:', err);
+    res.status(500).json({ error: err.message || 'Failed to create user' });
+  }
+}
+
+/**
+ * PATCH /api/users/:id — body: any of { name, role, password, disabled }. Disabling an account or
+ * setting its password signs it out everywhere. Admins cannot demote or disable themselves.
+ */
+export async function updateUserHandler(req, res) {
+  try {
+    const { name, role, password, disabled } = req.body || {};
+    const problem = validateUserFields({ name, role, password }, { creating: false });
+    if (problem) return res.status(400).json({ error: problem });
+    if (!getUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const self = req.params.id === req.user.id;
+    if (self && ((role !== undefined && role !== 'admin') || disabled)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+    const user = await updateUser(req.params.id, { name, role, password, disabled });
+    if (disabled || password) endUserSessions(user.id, self ? req : null);
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    console.error('Update user error:', err);
+    res.status(500).json({ error: err.message || 'Failed to update user' });
+  }
+}
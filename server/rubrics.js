@@ -0,0 +1,226 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, renameSync, unlinkSync, copyFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createHash } from 'crypto';
+import { createCollection } from './store.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BUNDLED_DIR = join(__dirname, 'rubrics');
+const LEGACY_RUBRIC = join(__dirname, 'rubric.json');
+
+/**
+ * Directory of `<role-id>.json` rubric files. Defaults to the rubrics bundled with the server;
+ * set RUBRICS_DIR to a persistent path so rubrics edited in the app survive a redeploy.
+ */
+export const RUBRICS_DIR = process.env.RUBRICS_DIR || BUNDLED_DIR;
+
+export const DEFAULT_ROLE = 'vp-sales';
+
+const ROLE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const WEIGHT_TOLERANCE = 0.001;
+
+let seeded = false;
+
+/** Every rubric version ever used or saved, so reports stay readable after the rubric changes. */
+const versions = createCollection('rubric_versions');
+
+/** First use of an empty external RUBRICS_DIR copies in the bundled rubrics so existing roles keep working. */
+function ensureRubricsDir() {
+  if (seeded) return;
+  seeded = true;
+  mkdirSync(RUBRICS_DIR, { recursive: true });
+  if (RUBRICS_DIR === BUNDLED_DIR) return;
+  if (readdirSync(RUBRICS_DIR).some((f) => f.endsWith('.json'))) return;
+  for (const file of readdirSync(BUNDLED_DIR).filter((f) => f.endsWith('.json'))) {
+    copyFileSync(join(BUNDLED_DIR, file), join(RUBRICS_DIR, file));
+  }
+}
+
+function rubricPath(roleId) {
+  return join(RUBRICS_DIR, `${roleId}.json`);
+}
+
+export function isValidRoleId(roleId) {
+  return typeof roleId === 'string' && ROLE_ID_PATTERN.test(roleId);
+}
+
+/** All rubrics on disk as { id, rubric }, sorted by role id. Unreadable files are skipped with a warning. */
+export function listRubrics() {
+  ensureRubricsDir();
+  return readdirSync(RUBRICS_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => f.slice(0, -'.json'.length))
+    .filter(isValidRoleId)
+    .sort()
+    .flatMap((id) => {
+      try {
+        return [{ id, rubric: JSON.parse(readFileSync(rubricPath(id), 'utf-8')) }];
+      } catch (err) {
+        console.warn(`Skipping unreadable rubric ${id}:`, err.message);
+        return [];
+      }
+    });
+}
+
+/** Roles for the role picker: { id, label } from each rubric's `role` field. */
+export function listRoles() {
+  return listRubrics().map(({ id, rubric }) => ({ id, label: rubric.role || id }));
+}
+
+export function rubricExists(roleId) {
+  ensureRubricsDir();
+  return isValidRoleId(roleId) && existsSync(rubricPath(roleId));
+}
+
+/**
+ * Rubric for a role. Unknown and deleted roles throw a 404-status error rather than being scored
+ * against another role's rubric; the default role falls back to the legacy server/rubric.json.
+ */
+export function getRubric(roleId) {
+  return loadRubric(roleId).rubric;
+}
+
+function loadRubric(roleId) {
+  ensureRubricsDir();
+  if (rubricExists(roleId)) {
+    return { id: roleId, rubric: JSON.parse(readFileSync(rubricPath(roleId), 'utf-8')) };
+  }
+  if (roleId === DEFAULT_ROLE && existsSync(LEGACY_RUBRIC)) {
+    return { id: roleId, rubric: JSON.parse(readFileSync(LEGACY_RUBRIC, 'utf-8')) };
+  }
+  throw Object.assign(new Error(`Unknown role "${roleId}"`), { status: 404 });
+}
+
+/** Content hash identifying a rubric version (first 12 hex chars of SHA-256 over its JSON). */
+export function rubricVersion(rubric) {
+  return createHash('sha256').update(JSON.stringify(rubric)).digest('hex').slice(0, 12);
+}
+
+/** Record this rubric content as a version of the role if it is new. Returns the version record. */
+function archiveVersion(roleId, rubric) {
+  const version = rubricVersion(rubric);
+  const existing = versions.list((v) => v.role_id === roleId);
+  const found = existing.find((v) => v.version === version);
+  if (found) return found;
+  return versions.insert({
+    role_id: roleId,
+    version,
+    version_number: existing.reduce((max, v) => Math.max(max, v.version_number || 0), 0) + 1,
+    rubric,
+  });
+}
+
+/**
+ * Current rubric for a role plus its version. Hand edits to a rubric file are picked up here
+ * and archived as a new version the first time they are used.
+ */
+export function getVersionedRubric(roleId) {
+  const { id, rubric } = loadRubric(roleId);
+  const record = archiveVersion(id, rubric);
+  return { id, version: record.version, version_number: record.version_number, rubric };
+}
+
+/** A specific archived version of a role's rubric, or null. */
+export function getRubricVersion(roleId, version) {
+  const record = versions.list((v) => v.role_id === roleId && v.version === version)[0];
+  return record ? { id: roleId, version: record.version, version_number: record.version_number, rubric: record.rubric } : null;
+}
+
+/**
+ * The rubric an existing interview is scored against: the version it was created with (or, for
+ * older interviews, the one its final result used), else the role's current rubric. Null when that
+ * version is gone and the role has been deleted.
+ */
+export function getInterviewRubric(interview) {
+  const roleId = interview.role || DEFAULT_ROLE;
+  const version = interview.rubric_version || interview.final_result?.rubric_version;
+  const archived = version && getRubricVersion(roleId, version);
+  if (archived) return archived;
+  return rubricExists(roleId) ? getVersionedRubric(roleId) : null;
+}
+
+/** Archived versions of a role, newest first (without rubric bodies). */
+export function listRubricVersions(roleId) {
+  return versions
+    .list((v) => v.role_id === roleId)
+    .sort((a, b) => (b.version_number || 0) - (a.version_number || 0))
+    .map((v) => ({ version: v.version, version_number: v.version_number, created_at: v.created_at }));
+}
+
+/**
+ * Check a rubric against the schema the evaluation prompts expect. Returns a list of
+ * human-readable problems; empty means valid.
+ */
+export function validateRubric(rubric) {
+  const errors = [];
+  if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+    return ['rubric must be an object'];
+  }
+  if (typeof rubric.role !== 'string' || !rubric.role.trim()) {
+    errors.push('role (display name) is required');
+  }
+  if (rubric.max_score == null) {
+    errors.push('max_score is required');
+  } else if (!Number.isInteger(rubric.max_score) || rubric.max_score < 1) {
+    errors.push('max_score must be a positive integer');
+  }
+  if (rubric.scoring_guide != null && typeof rubric.scoring_guide !== 'string') {
+    errors.push('scoring_guide must be a string');
+  }
+  if (!Array.isArray(rubric.categories) || rubric.categories.length === 0) {
+    errors.push('categories must be a non-empty array');
+    return errors;
+  }
+  const seen = new Set();
+  let weightSum = 0;
+  rubric.categories.forEach((cat, i) => {
+    const label = `categories[${i}]`;
+    if (!cat || typeof cat !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    const name = typeof cat.name === 'string' ? cat.name.trim() : '';
+    if (!name) {
+      errors.push(`${label}.name is required`);
+    } else if (seen.has(name.toLowerCase())) {
+      errors.push(`category name "${name}" is used more than once`);
+    } else {
+      seen.add(name.toLowerCase());
+    }
+    if (typeof cat.weight !== 'number' || !(cat.weight > 0) || cat.weight > 1) {
+      errors.push(`${label}.weight must be a number between 0 and 1`);
+    } else {
+      weightSum += cat.weight;
+    }
+    if (cat.criteria != null && typeof cat.criteria !== 'string') {
+      errors.push(`${label}.criteria must be a string`);
+    }
+    if (cat.sample_questions != null && (!Array.isArray(cat.sample_questions) || cat.sample_questions.some((q) => typeof q !== 'string'))) {
+      errors.push(`${label}.sample_questions must be an array of strings`);
+    }
+  });
+  if (Math.abs(weightSum - 1) > WEIGHT_TOLERANCE) {
+    errors.push(`category weights must add up to 1 (currently ${Math.round(weightSum * 1000) / 1000})`);
+  }
+  return errors;
+}
+
+/** Write a rubric file atomically and archive it as a version. Caller validates first. */
+export function saveRubric(roleId, rubric) {
+  ensureRubricsDir();
+  const path = rubricPath(roleId);
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, JSON.stringify(rubric, null, 2) + '\n', 'utf-8');
+  renameSync(tmp, path);
+  const record = archiveVersion(roleId, rubric);
+  return { id: roleId, version: record.version, version_number: record.version_number, rubric };
+}
+
+/** Remove a role's rubric file. Archived versions are kept so old reports stay readable. */
+export function deleteRubric(roleId) {
+  if (!rubricExists(roleId)) return false;
+  // Interviews of the role keep being scored and reported against this version.
+  getVersionedRubric(roleId);
+  unlinkSync(rubricPath(roleId));
+  return true;
+}
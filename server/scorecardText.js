@@ -0,0 +1,44 @@
+import { extname } from 'path';
+import { PDFParse } from 'pdf-parse';
+import mammoth from 'mammoth';
+
+const PDF_TYPES = ['application/pdf'];
+const DOCX_TYPES = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+const TEXT_TYPES = ['text/plain', 'text/markdown'];
+
+/** Content types the scorecard import route accepts as a raw request body. */
+export const SCORECARD_CONTENT_TYPES = [...PDF_TYPES, ...DOCX_TYPES, ...TEXT_TYPES, 'application/octet-stream'];
+
+/** Detect the scorecard format from its file extension, falling back to the upload's content type. */
+function scorecardFormat(filename, contentType) {
+  const ext = extname(filename || '').toLowerCase();
+  if (ext === '.pdf' || PDF_TYPES.includes(contentType)) return 'pdf';
+  if (ext === '.docx' || DOCX_TYPES.includes(contentType)) return 'docx';
+  if (ext === '.txt' || ext === '.md' || TEXT_TYPES.includes(contentType)) return 'text';
+  return null;
+}
+
+/**
+ * Plain text of an uploaded scorecard (PDF, DOCX or plain text). Throws an error with
+ * `status` 400 for formats we cannot read.
+ */
+export async function extractScorecardText(buffer, { filename, contentType } = {}) {
+  const format = scorecardFormat(filename, contentType);
+  if (!format) {
+    const err = new Error('Unsupported file type. Upload a PDF, DOCX or text file.');
+    err.status = 400;
+    throw err;
+  }
+  if (format === 'text') return buffer.toString('utf-8').trim();
+  if (format === 'docx') {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value.trim();
+  }
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text } = await parser.getText();
+    return text.trim();
+  } finally {
+    await parser.destroy();
+  }
+}
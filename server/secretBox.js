@@ -0,0 +1,50 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { DATA_DIR } from './store.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+let key;
+
+/**
+ * The 32-byte key for secrets at rest, from TOKEN_ENCRYPTION_KEY: 64 hex characters are used as
+ * the key, anything else is hashed into one. Without it a random key is generated once into
+ * DATA_DIR/secret.key — that keeps secrets out of the JSON store, but anyone with the whole data
+ * directory can read them, so production should set the variable.
+ */
+function encryptionKey() {
+  if (key) return key;
+  const configured = process.env.TOKEN_ENCRYPTION_KEY;
+  if (configured) {
+    key = /^[0-9a-f]{64}$/i.test(configured) ? Buffer.from(configured, 'hex') : createHash('sha256').update(configured).digest();
+    return key;
+  }
+  const path = join(DATA_DIR, 'secret.key');
+  if (!existsSync(path)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+    writeFileSync(path, randomBytes(32).toString('hex'), { mode: 0o600 });
+    console.warn(`TOKEN_ENCRYPTION_KEY is not set; generated ${path}. Set TOKEN_ENCRYPTION_KEY in production.`);
+  }
+  key = Buffer.from(readFileSync(path, 'utf-8').trim(), 'hex');
+  return key;
+}
+
+/** Encrypt a JSON-serializable value into "v1.<iv>.<tag>.<ciphertext>" (base64url parts). */
+export function encryptSecret(value) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext].map((p) => (typeof p === 'string' ? p : p.toString('base64url'))).join('.');
+}
+
+/** The value from encryptSecret. Throws if it was tampered with or encrypted under another key. */
+export function decryptSecret(payload) {
+  const [version, iv, tag, ciphertext] = String(payload).split('.');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) throw new Error('Not an encrypted secret');
+  const decipher = createDecipheriv(ALGORITHM, encryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf-8'));
+}
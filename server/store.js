@@ -0,0 +1,111 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { randomUUID } from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const projectRoot = join(__dirname, '..');
+
+/** Directory holding one JSON file per collection. Override with DATA_DIR (e.g. a mounted volume in production). */
+export const DATA_DIR = process.env.DATA_DIR || join(projectRoot, '.data');
+
+function collectionPath(name) {
+  return join(DATA_DIR, `${name}.json`);
+}
+
+/** Loaded collections by name; each file is read once and then served from memory. */
+const loaded = new Map();
+
+/**
+ * The collection's records. A file that cannot be parsed is an error, not an empty collection:
+ * the next write would replace it, so nothing is read from or written to it until it is fixed.
+ */
+function records(name) {
+  if (loaded.has(name)) return loaded.get(name);
+  const path = collectionPath(name);
+  let data = [];
+  if (existsSync(path)) {
+    try {
+      data = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+      console.error(`Failed to read ${name} store at ${path}:`, err);
+      throw Object.assign(new Error(`The ${name} store is not valid JSON; fix or restore ${name}.json in the data directory`), { status: 500 });
+    }
+    if (!Array.isArray(data)) {
+      throw Object.assign(new Error(`The ${name} store is not a JSON array; fix or restore ${name}.json in the data directory`), { status: 500 });
+    }
+  }
+  loaded.set(name, data);
+  return data;
+}
+
+/** A deep copy as it would come back from the file (dates become strings, undefined is dropped). */
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function writeAll(name, next) {
+  mkdirSync(DATA_DIR, { recursive: true });
+  const path = collectionPath(name);
+  const tmp = `${path}.tmp`;
+  // Write to a temp file and rename so a crash mid-write never leaves a truncated store.
+  writeFileSync(tmp, JSON.stringify(next, null, 2), 'utf-8');
+  renameSync(tmp, path);
+  loaded.set(name, next);
+}
+
+/**
+ * Small embedded JSON-file store. Each collection is an array of records with
+ * `id`, `created_at` and `updated_at`, kept in memory and written to its file on
+ * every change. Reads and writes are synchronous so concurrent requests on the
+ * single Node process never interleave; callers get copies, so changing a
+ * returned record does not change the store.
+ */
+export function createCollection(name) {
+  return {
+    list(filter) {
+      const all = records(name);
+      return copy(filter ? all.filter(filter) : all);
+    },
+
+    get(id) {
+      const record = records(name).find((r) => r.id === id);
+      return record ? copy(record) : null;
+    },
+
+    insert(fields) {
+      const now = new Date().toISOString();
+      const record = { id: randomUUID(), ...copy(fields ?? {}), created_at: now, updated_at: now };
+      writeAll(name, [...records(name), record]);
+      return copy(record);
+    },
+
+    /** Merge `changes` into the record, or pass a function that returns the new fields. Returns null if not found. */
+    update(id, changes) {
+      const all = records(name);
+      const idx = all.findIndex((r) => r.id === id);
+      if (idx === -1) return null;
+      const current = all[idx];
+      const next = typeof changes === 'function' ? changes(copy(current)) : changes;
+      const record = { ...current, ...copy(next ?? {}), id: current.id, created_at: current.created_at, updated_at: new Date().toISOString() };
+      writeAll(name, all.map((r, i) => (i === idx ? record : r)));
+      return copy(record);
+    },
+
+    remove(id) {
+      const all = records(name);
+      const next = all.filter((r) => r.id !== id);
+      if (next.length === all.length) return false;
+      writeAll(name, next);
+      return true;
+    },
+
+    /** Remove every record matching `filter` in one write. Returns how many were removed. */
+    removeWhere(filter) {
+      const all = records(name);
+      const next = all.filter((r) => !filter(r));
+      if (next.length < all.length) writeAll(name, next);
+      return all.length - next.length;
+    },
+  };
+}
@@ -0,0 +1,87 @@
+import WebSocket from 'ws';
+
+const STREAMING_URL = 'wss://streaming.assemblyai.com/v3/ws';
+
+/** Audio kept while the upstream socket connects; about 10 s of 16 kHz mono PCM. */
+const MAX_PENDING_BYTES = 320000;
+
+/**
+ * AssemblyAI Streaming v3. The server connects with the API key, so the browser never sees a
+ * key or token. Messages are passed through unchanged: they already are the event shape.
+ */
+export function createAssemblyAiProvider({ apiKey }) {
+  if (!apiKey) console.warn('ASSEMBLYAI_API_KEY not found in .env (project root)');
+
+  return {
+    name: 'assemblyai',
+    // Streaming sessions reject audio sent faster than real time.
+    maxReplaySpeed: 1,
+    createSession({ sampleRate, onEvent }) {
+      if (!apiKey) {
+        onEvent({ type: 'Error', error: 'Recording not configured. Add ASSEMBLYAI_API_KEY to server .env (see .env.example).' });
+        return { sendAudio() {}, close() {} };
+      }
+      const upstream = new WebSocket(`${STREAMING_URL}?sample_rate=${sampleRate}&formatted_finals=true`, {
+        headers: { Authorization: apiKey },
+      });
+      let pending = [];
+      let pendingBytes = 0;
+      let closed = false;
+
+      upstream.on('open', () => {
+        for (const chunk of pending) upstream.send(chunk);
+        pending = [];
+        pendingBytes = 0;
+      });
+      upstream.on('message', (data) => {
+        try {
+          const msg = JSON.parse(data.toString());
+          if (msg.type === 'Termination') closed = true;
+          if (msg.type === 'Begin' || msg.type === 'Turn' || msg.type === 'Termination') onEvent(msg);
+        } catch (_) {}
+      });
+      upstream.on('unexpected-response', (req, res) => {
+        closed = true;
+        onEvent({
+          type: 'Error',
+          error: res.statusCode === 401 || res.statusCode === 403
+            ? 'AssemblyAI API key invalid. Check ASSEMBLYAI_API_KEY in server .env.'
+            : `AssemblyAI streaming unavailable (${res.statusCode}).`,
+        });
+        upstream.terminate();
+      });
+      upstream.on('error', (err) => {
+        if (closed) return;
+        closed = true;
+        console.error('AssemblyAI streaming error:', err.message);
+        onEvent({ type: 'Error', error: 'Could not reach AssemblyAI streaming. Check ASSEMBLYAI_API_KEY and network.' });
+      });
+      upstream.on('close', (code, reason) => {
+        if (closed) return;
+        closed = true;
+        // 1000 is a normal close after Terminate; AssemblyAI puts the cause in the reason otherwise.
+        if (code !== 1000) onEvent({ type: 'Error', error: `AssemblyAI closed the stream: ${reason.toString() || code}` });
+        else onEvent({ type: 'Termination' });
+      });
+
+      return {
+        sendAudio(chunk) {
+          if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(chunk);
+          } else if (upstream.readyState === WebSocket.CONNECTING && pendingBytes < MAX_PENDING_BYTES) {
+            pending.push(chunk);
+            pendingBytes += chunk.length;
+          }
+        },
+        close() {
+          if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(JSON.stringify({ type: 'Terminate' }));
+          } else if (upstream.readyState === WebSocket.CONNECTING) {
+            closed = true;
+            upstream.terminate();
+          }
+        },
+      };
+    },
+  };
+}
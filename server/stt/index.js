@@ -0,0 +1,56 @@
+import { createAssemblyAiProvider } from './assemblyai.js';
+import { createVoskProvider } from './vosk.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * Speech-to-text for live interviews. The browser streams 16-bit PCM to our own WebSocket
+ * (see sttRelay.js) and the server forwards it to the provider chosen with STT_PROVIDER:
+ *   - assemblyai (default): AssemblyAI Streaming v3, key from ASSEMBLYAI_API_KEY
+ *   - vosk: a local Vosk server (vosk-server WebSocket API) at VOSK_URL; audio never leaves the deployment
+ *   - mock: fixed turns paced by the audio received, for tests
+ *
+ * A provider's createSession({ sampleRate, onEvent }) returns { sendAudio(buffer), close() } and
+ * reports events in AssemblyAI's streaming shape, which the browser already understands:
+ *   { type: 'Begin' }
+ *   { type: 'Turn', turn_order, transcript, end_of_turn, turn_is_formatted, words: [{ text, start, end, confidence }] }
+ *   { type: 'Error', error }     user-facing message; the session is over
+ *   { type: 'Termination' }
+ * Word times are ms from the first audio sent to the session. `maxReplaySpeed` is how much faster
+ * than real time recorded audio may be sent when replaying an interview.
+ */
+const PROVIDERS = {
+  assemblyai: () => createAssemblyAiProvider({ apiKey: process.env.ASSEMBLYAI_API_KEY || '' }),
+  vosk: () => createVoskProvider({ url: process.env.VOSK_URL || 'ws://localhost:2700' }),
+  mock: () => createMockProvider(),
+};
+
+let provider = null;
+
+function getProvider() {
+  if (provider) return provider;
+  const name = (process.env.STT_PROVIDER || 'assemblyai').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STT_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  provider = factory();
+  return provider;
+}
+
+/** Open a streaming transcription session with the configured provider. */
+export function createSttSession({ sampleRate, onEvent }) {
+  return getProvider().createSession({ sampleRate, onEvent });
+}
+
+/** Replay speed (multiple of real time) clamped to what the configured provider accepts. */
+export function replaySpeed(requested) {
+  const max = getProvider().maxReplaySpeed || 1;
+  const speed = Number(requested);
+  return Number.isFinite(speed) && speed > 0 ? Math.min(speed, max) : max;
+}
+
+/** One line for the startup log. */
+export function describeStt() {
+  const p = getProvider();
+  return `STT: ${p.name}${p.target ? ` (${p.target})` : ''}`;
+}
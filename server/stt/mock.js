@@ -0,0 +1,59 @@
+/** Seconds of audio per mock turn. */
+const TURN_SECONDS = 3;
+
+const LINES = [
+  'Tell me about the last team you built.',
+  'I hired twelve account executives and we grew revenue forty percent in a year.',
+  'How did you forecast that growth?',
+  'We reviewed the pipeline weekly and tied every commit to a documented next step.',
+];
+
+/**
+ * Offline stand-in for tests and development: one ended turn per few seconds of audio received,
+ * cycling through fixed lines, with evenly spaced word timings. The audio content is ignored.
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    maxReplaySpeed: 100,
+    createSession({ sampleRate, onEvent }) {
+      const bytesPerTurn = sampleRate * 2 * TURN_SECONDS;
+      let received = 0;
+      let turnOrder = 0;
+      let open = true;
+      queueMicrotask(() => onEvent({ type: 'Begin' }));
+
+      return {
+        sendAudio(chunk) {
+          if (!open) return;
+          received += chunk.length;
+          while (received >= (turnOrder + 1) * bytesPerTurn) {
+            const text = LINES[turnOrder % LINES.length];
+            const words = text.split(' ');
+            const start = turnOrder * TURN_SECONDS * 1000;
+            const step = (TURN_SECONDS * 1000) / words.length;
+            onEvent({
+              type: 'Turn',
+              turn_order: turnOrder,
+              transcript: text,
+              end_of_turn: true,
+              turn_is_formatted: true,
+              words: words.map((word, i) => ({
+                text: word,
+                start: Math.round(start + i * step),
+                end: Math.round(start + (i + 1) * step),
+                confidence: 0.9,
+              })),
+            });
+            turnOrder++;
+          }
+        },
+        close() {
+          if (!open) return;
+          open = false;
+          onEvent({ type: 'Termination' });
+        },
+      };
+    },
+  };
+}
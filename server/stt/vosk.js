@@ -0,0 +1,90 @@
+import WebSocket from 'ws';
+
+/** Audio kept while the socket connects; about 10 s of 16 kHz mono PCM. */
+const MAX_PENDING_BYTES = 320000;
+
+/**
+ * Local Vosk server (https://github.com/alphacep/vosk-server, e.g. the alphacep/kaldi-en image),
+ * so audio stays inside the deployment. One session is one socket: a config message, then raw
+ * PCM; Vosk answers with { partial } while someone speaks and { result, text } when an utterance
+ * ends. Each utterance becomes one turn. Vosk output is lowercase without punctuation.
+ */
+export function createVoskProvider({ url }) {
+  return {
+    name: 'vosk',
+    target: url,
+    maxReplaySpeed: 8,
+    createSession({ sampleRate, onEvent }) {
+      const upstream = new WebSocket(url);
+      let pending = [];
+      let pendingBytes = 0;
+      let turnOrder = 0;
+      let closed = false;
+
+      upstream.on('open', () => {
+        upstream.send(JSON.stringify({ config: { sample_rate: sampleRate, words: 1 } }));
+        for (const chunk of pending) upstream.send(chunk);
+        pending = [];
+        pendingBytes = 0;
+        onEvent({ type: 'Begin' });
+      });
+      upstream.on('message', (data) => {
+        let msg;
+        try {
+          msg = JSON.parse(data.toString());
+        } catch (_) {
+          return;
+        }
+        if (typeof msg.partial === 'string' && msg.partial) {
+          onEvent({ type: 'Turn', turn_order: turnOrder, transcript: msg.partial, end_of_turn: false, turn_is_formatted: false, words: [] });
+        } else if (typeof msg.text === 'string' && msg.text) {
+          onEvent({
+            type: 'Turn',
+            turn_order: turnOrder,
+            transcript: msg.text,
+            end_of_turn: true,
+            turn_is_formatted: true,
+            words: (msg.result || []).map((w) => ({
+              text: w.word,
+              start: Math.round(w.start * 1000),
+              end: Math.round(w.end * 1000),
+              confidence: w.conf,
+            })),
+          });
+          turnOrder++;
+        }
+      });
+      upstream.on('error', (err) => {
+        if (closed) return;
+        closed = true;
+        console.error('Vosk error:', err.message);
+        onEvent({ type: 'Error', error: `Could not reach the local speech-to-text server at ${url}. Check VOSK_URL and that it is running.` });
+      });
+      upstream.on('close', () => {
+        if (closed) return;
+        closed = true;
+        onEvent({ type: 'Termination' });
+      });
+
+      return {
+        sendAudio(chunk) {
+          if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(chunk);
+          } else if (upstream.readyState === WebSocket.CONNECTING && pendingBytes < MAX_PENDING_BYTES) {
+            pending.push(chunk);
+            pendingBytes += chunk.length;
+          }
+        },
+        close() {
+          // eof flushes the last utterance; Vosk closes the socket after answering it.
+          if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(JSON.stringify({ eof: 1 }));
+          } else if (upstream.readyState === WebSocket.CONNECTING) {
+            closed = true;
+            upstream.terminate();
+          }
+        },
+      };
+    },
+  };
+}
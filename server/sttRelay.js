@@ -0,0 +1,108 @@
+import { WebSocketServer } from 'ws';
+import { createSttSession } from './stt/index.js';
+import { recordingEnabled, createRecorder } from './recordings.js';
+import { getInterviewRecord, recordAudioRecording } from './routes/interviews.js';
+import { authorizeUpgrade } from './auth/index.js';
+
+const STT_PATH = '/api/stt';
+
+/**
+ * WebSocket /api/stt?sample_rate=16000&interview_id=…&channel=0&speaker=Interviewer — live
+ * transcription through our server. The browser sends binary 16-bit mono PCM and a final
+ * {"type":"Terminate"}; it receives the JSON events described in stt/index.js. One socket is one
+ * transcription session (one audio source). With RECORD_AUDIO=true and a known interview id the
+ * audio is also recorded and linked to the interview when the socket closes. Needs a signed-in
+ * interviewer (the session cookie comes with the upgrade request) from an allowed origin.
+ */
+export function attachSttRelay(httpServer) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (pathname !== STT_PATH) {
+      socket.destroy();
+      return;
+    }
+    const { status } = authorizeUpgrade(req, 'interviewer');
+    if (status) {
+      socket.end(`HTTP/1.1 ${status} ${status === 401 ? 'Unauthorized' : 'Forbidden'}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => relay(ws, searchParams));
+  });
+}
+
+function relay(ws, params) {
+  const rate = Number(params.get('sample_rate') || 16000);
+  const sampleRate = Number.isInteger(rate) && rate >= 8000 && rate <= 48000 ? rate : 16000;
+  let session;
+  let recorder = null;
+  let finished = false;
+  // 'error' (e.g. a malformed frame) is followed by 'close'; whichever comes first cleans up.
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    session?.close();
+    finishRecorder(recorder, params.get('interview_id'));
+  };
+  ws.on('error', (err) => {
+    console.error('STT socket error:', err.message);
+    finish();
+  });
+  const send = (event) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+    if (event.type === 'Error' || event.type === 'Termination') ws.close();
+  };
+  try {
+    session = createSttSession({ sampleRate, onEvent: send });
+  } catch (err) {
+    console.error('STT session error:', err);
+    send({ type: 'Error', error: err.message || 'Transcription is not available' });
+    return;
+  }
+  recorder = startRecorder(params, sampleRate);
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      session.sendAudio(data);
+      try {
+        recorder?.write(data);
+      } catch (err) {
+        console.error('Recording write failed:', err);
+      }
+      return;
+    }
+    try {
+      if (JSON.parse(data.toString()).type === 'Terminate') session.close();
+    } catch (_) {}
+  });
+  ws.on('close', finish);
+}
+
+function startRecorder(params, sampleRate) {
+  const interviewId = params.get('interview_id');
+  if (!recordingEnabled() || !interviewId || !getInterviewRecord(interviewId)) return null;
+  const channel = Number(params.get('channel'));
+  const speaker = params.get('speaker');
+  try {
+    return createRecorder({
+      interviewId,
+      channel: Number.isInteger(channel) && channel >= 0 ? channel : 0,
+      speaker: ['Interviewer', 'Candidate'].includes(speaker) ? speaker : null,
+      sampleRate,
+    });
+  } catch (err) {
+    console.error('Failed to start recording:', err);
+    return null;
+  }
+}
+
+function finishRecorder(recorder, interviewId) {
+  if (!recorder) return;
+  try {
+    const recording = recorder.finish();
+    if (recording.duration_ms > 0) recordAudioRecording(interviewId, recording);
+  } catch (err) {
+    console.error('Failed to save recording:', err);
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Existing transcripts uploaded instead of audio: WebVTT (Zoom, Teams, Meet exports), SubRip (.srt)
+ * and plain text. Each is read into structured turns (see turns.js). Speaker labels are matched to
+ * Interviewer / Candidate by name; labels that cannot be matched stay in the turn text.
+ */
+
+const CUE_TIME = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+/** "[12:40] " or "[1:02:05] " at the start of a line, as in our own transcripts. */
+const LINE_TIME = /^\[((?:\d+:)?\d{1,2}:\d{2})\]\s*/;
+/** "Jane Doe: " — a short label starting with a letter. */
+const LINE_LABEL = /^([\p{L}][\p{L}\p{N} .'’-]{0,40}?):\s+/u;
+const ROLES = ['Interviewer', 'Candidate'];
+
+export const TRANSCRIPT_EXTENSIONS = ['.vtt', '.srt', '.txt'];
+
+/** True when an upload is a transcript rather than audio or video, by file name or content type. */
+export function isTranscriptFile(filename, contentType) {
+  const name = String(filename || '').toLowerCase();
+  if (TRANSCRIPT_EXTENSIONS.some((ext) => name.endsWith(ext))) return true;
+  const type = String(contentType || '').toLowerCase();
+  return type.startsWith('text/') || type === 'application/x-subrip';
+}
+
+function parseTime(value) {
+  const [clock, fraction = '0'] = value.replace(',', '.').split('.');
+  const parts = clock.split(':').map(Number);
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds * 1000 + Math.round(Number(`0.${fraction}`) * 1000);
+}
+
+/** WebVTT and SubRip cues: { start_ms, end_ms, label, text }. */
+function parseCues(text) {
+  const cues = [];
+  for (const block of text.replace(/\r/g, '').split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const timeIndex = lines.findIndex((line) => CUE_TIME.test(line));
+    if (timeIndex === -1) continue;
+    const [, start, end] = lines[timeIndex].match(CUE_TIME);
+    let body = lines.slice(timeIndex + 1).join(' ');
+    const voice = body.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    body = body.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    if (!body) continue;
+    let label = voice ? voice[1].trim() : null;
+    const prefix = !label && body.match(LINE_LABEL);
+    if (prefix) {
+      label = prefix[1].trim();
+      body = body.slice(prefix[0].length);
+    }
+    cues.push({ start_ms: parseTime(start), end_ms: parseTime(end), label, text: body });
+  }
+  return cues;
+}
+
+/** Consecutive cues from the same speaker become one turn; caption files split sentences across cues. */
+function mergeCues(cues) {
+  const merged = [];
+  for (const cue of cues) {
+    const last = merged[merged.length - 1];
+    if (last && cue.label && last.label === cue.label) {
+      last.text = `${last.text} ${cue.text}`;
+      last.end_ms = cue.end_ms;
+    } else {
+      merged.push({ ...cue });
+    }
+  }
+  return merged;
+}
+
+function parsePlainText(text) {
+  return text
+    .replace(/\r/g, '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      let rest = line;
+      let start = null;
+      const time = rest.match(LINE_TIME);
+      if (time) {
+        start = parseTime(time[1]);
+        rest = rest.slice(time[0].length);
+      }
+      const label = rest.match(LINE_LABEL);
+      return {
+        start_ms: start,
+        end_ms: null,
+        label: label ? label[1].trim() : null,
+        text: label ? rest.slice(label[0].length) : rest,
+      };
+    })
+    .filter((cue) => cue.text);
+}
+
+function sameName(label, name) {
+  if (!label || !name) return false;
+  const a = label.trim().toLowerCase();
+  const b = name.trim().toLowerCase();
+  return a === b || a === b.split(/\s+/)[0];
+}
+
+/**
+ * Interviewer / Candidate for each label: the role names themselves, the interviewer's and the
+ * candidate's names, and — when there are exactly two speakers and one is known — the other one.
+ */
+function speakerRoles(labels, { interviewerName, candidateName }) {
+  const roles = new Map();
+  for (const label of labels) {
+    const role = ROLES.find((r) => r.toLowerCase() === label.toLowerCase());
+    if (role) roles.set(label, role);
+    else if (sameName(label, interviewerName)) roles.set(label, 'Interviewer');
+    else if (sameName(label, candidateName)) roles.set(label, 'Candidate');
+  }
+  if (labels.length === 2 && roles.size === 1) {
+    const [known] = roles.keys();
+    const other = labels.find((label) => label !== known);
+    roles.set(other, roles.get(known) === 'Interviewer' ? 'Candidate' : 'Interviewer');
+  }
+  return roles;
+}
+
+/**
+ * Structured turns from an uploaded transcript. The interview's interviewer and candidate names
+ * are used to tell who is speaking. Throws when nothing readable is found.
+ */
+export function parseTranscriptFile(text, { interviewerName, candidateName } = {}) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const cues = CUE_TIME.test(source) ? mergeCues(parseCues(source)) : parsePlainText(source);
+  if (!cues.length) {
+    throw new Error('No transcript text found in the file');
+  }
+  const labels = [...new Set(cues.map((cue) => cue.label).filter(Boolean))];
+  const roles = speakerRoles(labels, { interviewerName, candidateName });
+  return cues.map((cue, i) => {
+    const speaker = cue.label ? roles.get(cue.label) || null : null;
+    return {
+      id: `t${i + 1}`,
+      speaker,
+      text: cue.label && !speaker ? `${cue.label}: ${cue.text}` : cue.text,
+      start_ms: cue.start_ms,
+      end_ms: cue.end_ms,
+      end_of_turn: true,
+      confidence: null,
+      words: [],
+    };
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * Structured transcript turns: { id, speaker, text, start_ms, end_ms, end_of_turn, confidence, words }.
+ * Times are milliseconds from the start of the recording; words are { text, start_ms, end_ms, confidence }.
+ * Interviews stored before turns were structured hold "Speaker: text" strings; normalizeTurns upgrades them.
+ */
+
+const SPEAKERS = ['Interviewer', 'Candidate'];
+const LEGACY_SPEAKER_PREFIX = /^(Interviewer|Candidate): /;
+
+function finiteOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function normalizeWord(word) {
+  if (!word || typeof word.text !== 'string') return null;
+  return {
+    text: word.text,
+    start_ms: finiteOrNull(word.start_ms),
+    end_ms: finiteOrNull(word.end_ms),
+    confidence: finiteOrNull(word.confidence),
+  };
+}
+
+/** Turn objects with known fields only; legacy strings get their speaker parsed and no timing. Invalid entries are dropped. */
+export function normalizeTurns(turns) {
+  if (!Array.isArray(turns)) return [];
+  return turns.flatMap((turn, i) => {
+    if (typeof turn === 'string') {
+      const match = turn.match(LEGACY_SPEAKER_PREFIX);
+      return [{
+        id: `t${i + 1}`,
+        speaker: match ? match[1] : null,
+        text: match ? turn.slice(match[0].length) : turn,
+        start_ms: null,
+        end_ms: null,
+        end_of_turn: true,
+        confidence: null,
+        words: [],
+      }];
+    }
+    if (!turn || typeof turn !== 'object' || typeof turn.text !== 'string') return [];
+    return [{
+      id: typeof turn.id === 'string' && turn.id ? turn.id : `t${i + 1}`,
+      speaker: SPEAKERS.includes(turn.speaker) ? turn.speaker : null,
+      text: turn.text,
+      start_ms: finiteOrNull(turn.start_ms),
+      end_ms: finiteOrNull(turn.end_ms),
+      end_of_turn: turn.end_of_turn !== false,
+      confidence: finiteOrNull(turn.confidence),
+      words: Array.isArray(turn.words) ? turn.words.map(normalizeWord).filter(Boolean) : [],
+    }];
+  });
+}
+
+/** "12:40" (or "1:02:05" past the hour) for a time offset in ms, '' when unknown. */
+export function formatTimestamp(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) return '';
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+}
+
+/** One transcript line: "[12:40] Candidate: text". */
+export function turnLine(turn) {
+  if (typeof turn === 'string') return turn;
+  const time = formatTimestamp(turn.start_ms);
+  return `${time ? `[${time}] ` : ''}${turn.speaker ? `${turn.speaker}: ` : ''}${turn.text}`;
+}
+
+/** Plain-text transcript, one line per turn. */
+export function transcriptFromTurns(turns) {
+  return normalizeTurns(turns).map(turnLine).join('\n');
+}